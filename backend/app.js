@@ -0,0 +1,277 @@
+// --- Core Dependencies ---
+const express = require('express');
+const cors = require('cors');
+
+// --- Middleware ---
+const createAuthMiddleware = require('./middleware/authMiddleware');
+const createRequireVerifiedEmail = require('./middleware/requireVerifiedEmail');
+const createRequirePermission = require('./middleware/requirePermission');
+const requireScope = require('./middleware/requireScope');
+const { createRateLimiter, parseLimit } = require('./middleware/rateLimit');
+
+// --- Services ---
+const { createMailerFromConfig } = require('./mailer');
+const { createStorageFromConfig } = require('./storage');
+const { createSigningKeys } = require('./services/signingKeys');
+const { createTokenService } = require('./services/tokenService');
+const { createIdentityProviders, googleProvider } = require('./services/identityProviders');
+const createTwoFactorService = require('./services/twoFactorService');
+const { createPasskeyService } = require('./services/passkeyService');
+const { createPersonalAccessTokenService } = require('./services/personalAccessTokenService');
+const { createOAuthServer } = require('./services/oauthServer');
+const createEmailVerificationService = require('./services/emailVerificationService');
+const { createEmailChangeService } = require('./services/emailChangeService');
+const createPasswordResetService = require('./services/passwordResetService');
+const createMagicLinkService = require('./services/magicLinkService');
+const { createOrganizationService } = require('./services/organizationService');
+const { createAuditLog } = require('./services/auditLog');
+const { createAvatarService } = require('./services/avatarService');
+const createAccountDeletionService = require('./services/accountDeletionService');
+const createReauthService = require('./services/reauthService');
+const { createMemoryStore } = require('./services/rateLimitStore');
+const createLoginLockout = require('./services/loginLockout');
+const { createPasswordPolicy } = require('./services/passwordPolicy');
+
+// --- Routes ---
+const createAuthRouter = require('./routes/auth');
+const createEmailVerificationRouter = require('./routes/emailVerification');
+const createEmailChangeRouter = require('./routes/emailChange');
+const createProfileRouter = require('./routes/profile');
+const createTwoFactorRouter = require('./routes/twoFactor');
+const createIdentitiesRouter = require('./routes/identities');
+const createPasskeysRouter = require('./routes/passkeys');
+const createPersonalAccessTokensRouter = require('./routes/personalAccessTokens');
+const createOAuthRouter = require('./routes/oauth');
+const createOAuthClientsRouter = require('./routes/oauthClients');
+const createOrganizationsRouter = require('./routes/organizations');
+const createRolesRouter = require('./routes/roles');
+const createAdminRouter = require('./routes/admin');
+const createSessionsRouter = require('./routes/sessions');
+const createAccountRouter = require('./routes/account');
+const createWellKnownRouter = require('./routes/wellKnown');
+
+/**
+ * Builds the Express app without starting it, so tests can drive it over HTTP
+ * (e.g. with an in-memory repository) and server.js only has to call `listen`.
+ *
+ * @param {object} options
+ * @param {object} options.repo - Repository from ./repositories (MySQL or in-memory).
+ * @param {object} options.config - Result of loadConfig() from ./config.
+ * @param {object} [options.mailer] - Defaults to one built from config.mail.
+ * @param {object} [options.storage] - File storage for uploads; defaults to one built from config.storage.
+ */
+function createApp({ repo, config, mailer = createMailerFromConfig(config), storage = createStorageFromConfig(config) }) {
+    const app = express();
+
+    // --- Global Middleware ---
+    // Trust X-Forwarded-For from the Next.js server (same host by default) so rate limits see the real client IP.
+    app.set('trust proxy', config.trustProxy);
+    app.use(cors());
+    app.use(express.json()); // Allows the server to parse JSON request bodies
+
+    // --- Signing Keys ---
+    // HS256 with JWT_SECRET, or RS256/EdDSA with the keys in JWT_KEYS_FILE (published at /.well-known/jwks.json).
+    const signingKeys = createSigningKeys(config.jwt);
+
+    // --- Token Service ---
+    // Issues access JWTs plus rotating refresh tokens stored (hashed) by the repository.
+    const tokenService = createTokenService({
+        repo,
+        signingKeys,
+        accessTokenExpiresIn: config.accessTokenExpiresIn,
+        refreshTokenTtlDays: config.refreshTokenTtlDays,
+    });
+
+    // --- Sign-In Providers ---
+    // Google (when GOOGLE_CLIENT_ID is set) plus the providers from AUTH_PROVIDERS_FILE.
+    // GOOGLE_JWKS_URI can point at a local JWKS file or server (e.g. for tests); it defaults to Google's certs.
+    const identityProviders = createIdentityProviders([
+        ...(config.google.clientId ? [googleProvider(config.google)] : []),
+        ...config.authProviders,
+    ]);
+
+    // --- Two-Factor Service ---
+    const twoFactorService = createTwoFactorService({ repo, issuer: config.totpIssuer });
+
+    // --- Passkeys ---
+    // WebAuthn credentials for passwordless sign-in, bound to WEBAUTHN_RP_ID and the frontend's origin.
+    const passkeyService = createPasskeyService({
+        repo,
+        rpId: config.webauthn.rpId,
+        rpName: config.webauthn.rpName,
+        origins: config.webauthn.origins,
+    });
+
+    // --- Personal Access Tokens ---
+    // Long-lived, scoped tokens for scripts; authMiddleware accepts them on routes that declare scopes.
+    const personalAccessTokenService = createPersonalAccessTokenService({ repo });
+
+    // --- OAuth 2.0 / OpenID Connect Server ---
+    // Lets registered apps sign users in here. Only with RS256 or EdDSA: the apps check our tokens with
+    // /.well-known/jwks.json and must never be able to mint them, so the HS256 secret can't be used.
+    const oauthServer = signingKeys.algorithm === 'HS256' ? null : createOAuthServer({
+        repo,
+        signingKeys,
+        issuer: config.publicUrl,
+        accessTokenExpiresIn: config.accessTokenExpiresIn,
+    });
+
+    // --- Email Verification ---
+    // EMAIL_VERIFICATION_MODE: 'block' refuses logins until verified, 'restrict' allows login but
+    // protects account-changing routes with requireVerifiedEmail, 'off' disables the check.
+    const emailVerificationService = createEmailVerificationService({
+        repo,
+        mailer,
+        ttlHours: config.emailVerification.ttlHours,
+    });
+
+    // --- Email Change ---
+    // The new address must be confirmed before it replaces the old one, which is told and can cancel.
+    const emailChangeService = createEmailChangeService({
+        repo,
+        mailer,
+        tokenService,
+        ttlHours: config.emailChange.ttlHours,
+        cancelDays: config.emailChange.cancelDays,
+    });
+
+    // --- Password Reset ---
+    // Links sent by "forgot password" and by admins from the admin console.
+    const passwordResetService = createPasswordResetService({ repo, mailer });
+
+    // --- Magic Links ---
+    // Passwordless sign-in links, emailed by POST /api/auth/magic-link.
+    const magicLinkService = createMagicLinkService({ repo, mailer, ttlMinutes: config.magicLink.ttlMinutes });
+
+    // --- Organizations ---
+    // Teams with owner/admin/member roles, joined through emailed invitations.
+    const organizationService = createOrganizationService({
+        repo,
+        mailer,
+        invitationTtlDays: config.organizations.invitationTtlDays,
+    });
+
+    // --- Avatars ---
+    // Uploaded profile pictures live in `storage` and are served by GET /api/avatars/:key.
+    const avatarService = createAvatarService({ repo, storage, publicUrl: config.publicUrl, size: config.avatar.size });
+
+    // --- Audit Log ---
+    // Security events from every route go to the append-only `auth_events` table.
+    const auditLog = createAuditLog({ repo });
+
+    // --- Account Deletion ---
+    // Deletion requests wait out a grace period; the purge job is exposed on app.locals for server.js
+    // and scripts/purgeAccounts.js.
+    const accountDeletionService = createAccountDeletionService({
+        repo,
+        tokenService,
+        avatarService,
+        organizationService,
+        auditLog,
+        graceDays: config.accountDeletion.graceDays,
+    });
+    app.locals.accountDeletionService = accountDeletionService;
+
+    // --- Re-authentication ---
+    // Password (or a fresh sign-in) and 2FA code checks before changes a stolen access token must not make:
+    // deleting the account, setting a first password, adding a passkey.
+    const reauthService = createReauthService({ repo, twoFactorService, auditLog });
+
+    // --- Rate Limiting & Lockout ---
+    // Limits are written as "<max>/<window>" (e.g. "20/15m"). RATE_LIMIT_STORE=mysql keeps counters in the
+    // repository (the `rate_limits` table) so they survive restarts; the default in-memory store needs nothing extra.
+    const rateLimitStore = config.rateLimit.store === 'mysql' ? repo.rateLimits : createMemoryStore();
+    const emailKey = (req) => (req.body && req.body.email ? String(req.body.email).trim().toLowerCase() : null);
+    // For limiters placed after authMiddleware.
+    const userKey = (req) => (req.user ? String(req.user.id) : null);
+    const limit = (name, spec, fallback, key) =>
+        createRateLimiter({ store: rateLimitStore, name, ...parseLimit(spec, fallback), key });
+
+    const rateLimits = {
+        loginIp: limit('login-ip', config.rateLimit.loginIp, '20/15m'),
+        registerIp: limit('register-ip', config.rateLimit.registerIp, '10/1h'),
+        resetPasswordIp: limit('reset-password-ip', config.rateLimit.resetPasswordIp, '10/15m'),
+        // Endpoints that send email (forgot-password, resend-verification, magic-link) are also limited per address,
+        // so nobody can flood a single inbox from many IPs.
+        emailIp: limit('email-ip', config.rateLimit.emailIp, '5/15m'),
+        emailAccount: limit('email-account', config.rateLimit.emailAccount, '3/1h', emailKey),
+        // Invitations are emailed to any address, so each account can only send so many.
+        invitations: limit('invitations', config.rateLimit.invitations, '30/1h', userKey),
+        // Signed-in requests that check a 2FA code or the password (changing the password or email, adding a passkey,
+        // disabling 2FA, new recovery codes, deleting the account) are limited per account, so a stolen access token
+        // can't guess them.
+        // emailAccount is keyed by the address in the body, which the caller picks, so it doesn't cover this.
+        reauthAccount: limit('reauth-account', config.rateLimit.reauthAccount, '10/15m', userKey),
+    };
+
+    const loginLockout = createLoginLockout({
+        store: rateLimitStore,
+        threshold: config.lockout.threshold,
+        baseLockMs: config.lockout.baseSeconds * 1000,
+        maxLockMs: config.lockout.maxSeconds * 1000,
+    });
+
+    // --- Password Policy ---
+    // Applied on register, reset and change; GET /api/password-policy lets the frontend show the same rules.
+    const passwordPolicy = createPasswordPolicy(config.passwordPolicy);
+
+    // --- Auth Middleware ---
+    // Needs the repository so it can reject revoked tokens and tokens from before a password change.
+    const authMiddleware = createAuthMiddleware({ repo, signingKeys, personalAccessTokenService });
+    const requireVerifiedEmail = createRequireVerifiedEmail(config.emailVerification.mode);
+    // Role-based access: requirePermission('users:read') runs after authMiddleware (see services/permissions.js).
+    // Routes personal access tokens may use also declare scopes with requireScope('profile:read').
+    const requirePermission = createRequirePermission({ repo });
+
+    // --- Routes ---
+    // Every router gets the same context and declares its full /api/... paths.
+    const ctx = {
+        config,
+        repo,
+        mailer,
+        signingKeys,
+        tokenService,
+        identityProviders,
+        twoFactorService,
+        passkeyService,
+        personalAccessTokenService,
+        oauthServer,
+        emailVerificationService,
+        emailChangeService,
+        passwordResetService,
+        magicLinkService,
+        organizationService,
+        avatarService,
+        accountDeletionService,
+        reauthService,
+        auditLog,
+        loginLockout,
+        passwordPolicy,
+        rateLimits,
+        authMiddleware,
+        requireVerifiedEmail,
+        requirePermission,
+        requireScope,
+    };
+
+    app.use(createAuthRouter(ctx));
+    app.use(createEmailVerificationRouter(ctx));
+    app.use(createEmailChangeRouter(ctx));
+    app.use(createProfileRouter(ctx));
+    app.use(createTwoFactorRouter(ctx));
+    app.use(createIdentitiesRouter(ctx));
+    app.use(createPasskeysRouter(ctx));
+    app.use(createPersonalAccessTokensRouter(ctx));
+    if (oauthServer) app.use(createOAuthRouter(ctx));
+    app.use(createOAuthClientsRouter(ctx));
+    app.use(createOrganizationsRouter(ctx));
+    app.use(createRolesRouter(ctx));
+    app.use(createAdminRouter(ctx));
+    app.use(createSessionsRouter(ctx));
+    app.use(createAccountRouter(ctx));
+    app.use(createWellKnownRouter(ctx));
+
+    return app;
+}
+
+module.exports = createApp;
@@ -1,16 +1,20 @@
 const mysql = require('mysql2/promise');
 
+/**
+ * Creates the MySQL connection pool from the `db` section of the config.
+ * Using a pool is more efficient than creating a new connection for every query.
+ * @param {object} db - { host, user, password, database }
+ */
+function createPool(db) {
+    return mysql.createPool({
+        host: db.host,
+        user: db.user,
+        password: db.password,
+        database: db.database,
+        waitForConnections: true,
+        connectionLimit: 10,
+        queueLimit: 0
+    });
+}
 
-const pool = mysql.createPool({
-    host: '127.0.0.1', // or 'localhost'
-    user: 'root',      // default XAMPP user is 'root'
-    password: '',      // default XAMPP password is empty
-    database: 'midterm_auth', 
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0
-});
-
-console.log("MySQL Connection Pool Created Successfully");
-
-module.exports = pool;
\ No newline at end of file
+module.exports = createPool;
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Builds the backend configuration from environment variables.
+ * Every setting has a default that works for local development, so tests can call
+ * `loadConfig({ JWT_SECRET: 'test' })` and override only what they need.
+ * @param {object} [env=process.env]
+ */
+function loadConfig(env = process.env) {
+    const number = (value, fallback) => (value !== undefined && value !== '' ? Number(value) : fallback);
+
+    const port = number(env.PORT, 5000);
+    const frontendUrl = env.FRONTEND_URL || 'http://localhost:3000';
+    const totpIssuer = env.TOTP_ISSUER || 'Midterm Auth';
+
+    return {
+        port,
+        jwt: {
+            // 'HS256' signs with JWT_SECRET; 'RS256' or 'EdDSA' with a key from JWT_KEYS_FILE (see scripts/jwtKeys.js).
+            algorithm: env.JWT_ALGORITHM || 'HS256',
+            secret: env.JWT_SECRET,
+            keysFile: env.JWT_KEYS_FILE,
+        },
+        accessTokenExpiresIn: env.ACCESS_TOKEN_EXPIRES_IN || '1h',
+        refreshTokenTtlDays: number(env.REFRESH_TOKEN_TTL_DAYS, 30),
+        // Base URL of the Next.js app, used for links in emails.
+        frontendUrl,
+        // Public base URL of this API, used for links to files it serves (e.g. avatars).
+        publicUrl: (env.PUBLIC_URL || `http://localhost:${port}`).replace(/\/+$/, ''),
+        // Express "trust proxy" setting; the Next.js server forwards the client IP.
+        trustProxy: env.TRUST_PROXY || 'loopback',
+
+        db: {
+            host: env.DB_HOST,
+            user: env.DB_USER,
+            password: env.DB_PASSWORD,
+            database: env.DB_DATABASE,
+        },
+
+        mail: {
+            // 'smtp' or 'outbox'; SMTP only when credentials are configured.
+            transport: env.MAIL_TRANSPORT || (env.EMAIL_USER && env.EMAIL_PASS ? 'smtp' : 'outbox'),
+            outboxDir: env.MAIL_OUTBOX_DIR,
+            from: env.EMAIL_FROM || env.EMAIL_USER || 'no-reply@localhost',
+            smtp: {
+                host: env.EMAIL_HOST,
+                port: number(env.EMAIL_PORT, undefined),
+                secure: env.EMAIL_SECURE === 'true',
+                service: env.EMAIL_SERVICE,
+                user: env.EMAIL_USER,
+                pass: env.EMAIL_PASS,
+            },
+        },
+
+        google: {
+            clientId: env.GOOGLE_CLIENT_ID,
+            jwksUri: env.GOOGLE_JWKS_URI || undefined,
+        },
+
+        // Other OIDC / OAuth sign-in providers, from the JSON file in AUTH_PROVIDERS_FILE
+        // (see config/authProviders.example.json). Google is added from `google` above.
+        authProviders: env.AUTH_PROVIDERS_FILE
+            ? JSON.parse(fs.readFileSync(path.resolve(env.AUTH_PROVIDERS_FILE), 'utf8'))
+            : [],
+
+        storage: {
+            // 'local' keeps uploads on disk, in STORAGE_DIR (default backend/uploads).
+            driver: env.STORAGE_DRIVER || 'local',
+            dir: env.STORAGE_DIR,
+        },
+
+        avatar: {
+            maxBytes: number(env.AVATAR_MAX_BYTES, 2 * 1024 * 1024),
+            // Uploads are cropped to a square of this many pixels.
+            size: number(env.AVATAR_SIZE, 256),
+        },
+
+        accountDeletion: {
+            // How long a deleted account can still be restored by signing in.
+            graceDays: number(env.ACCOUNT_DELETION_GRACE_DAYS, 14),
+        },
+
+        totpIssuer,
+
+        webauthn: {
+            // Passkeys are bound to this domain; it must be the frontend's host or a parent domain of it.
+            rpId: env.WEBAUTHN_RP_ID || new URL(frontendUrl).hostname,
+            rpName: env.WEBAUTHN_RP_NAME || totpIssuer,
+            // Comma-separated origins the browser may run the ceremonies on.
+            origins: (env.WEBAUTHN_ORIGINS || new URL(frontendUrl).origin).split(',').map((origin) => origin.trim()).filter(Boolean),
+        },
+
+        emailVerification: {
+            // 'block', 'restrict' or 'off'.
+            mode: env.EMAIL_VERIFICATION_MODE || 'restrict',
+            ttlHours: number(env.EMAIL_VERIFICATION_TTL_HOURS, 24),
+        },
+
+        emailChange: {
+            ttlHours: number(env.EMAIL_CHANGE_TTL_HOURS, 24),
+            // How long the "this wasn't me" link sent to the old address works, even after the change.
+            cancelDays: number(env.EMAIL_CHANGE_CANCEL_DAYS, 7),
+        },
+
+        magicLink: {
+            // How long an emailed sign-in link stays valid.
+            ttlMinutes: number(env.MAGIC_LINK_TTL_MINUTES, 15),
+        },
+
+        organizations: {
+            // How long an emailed invitation to join an organization can be accepted.
+            invitationTtlDays: number(env.ORGANIZATION_INVITATION_TTL_DAYS, 7),
+        },
+
+        rateLimit: {
+            // 'memory' or 'mysql' (the repository's store, i.e. the rate_limits table).
+            store: env.RATE_LIMIT_STORE || 'memory',
+            loginIp: env.RATE_LIMIT_LOGIN_IP || '20/15m',
+            registerIp: env.RATE_LIMIT_REGISTER_IP || '10/1h',
+            resetPasswordIp: env.RATE_LIMIT_RESET_PASSWORD_IP || '10/15m',
+            emailIp: env.RATE_LIMIT_EMAIL_IP || '5/15m',
+            emailAccount: env.RATE_LIMIT_EMAIL_ACCOUNT || '3/1h',
+            invitations: env.RATE_LIMIT_INVITATIONS || '30/1h',
+            reauthAccount: env.RATE_LIMIT_REAUTH_ACCOUNT || '10/15m',
+        },
+
+        passwordPolicy: {
+            minLength: number(env.PASSWORD_MIN_LENGTH, 8),
+            // Comma-separated: any of lowercase, uppercase, number, symbol ("" for none).
+            requiredClasses: (env.PASSWORD_REQUIRED_CLASSES ?? 'lowercase,uppercase,number')
+                .split(',').map((name) => name.trim()).filter(Boolean),
+            forbidPersonalInfo: env.PASSWORD_FORBID_PERSONAL_INFO !== 'false',
+            // Path to a breached/common password list, or 'off'. Defaults to data/common-passwords.txt.
+            breachedListPath: env.PASSWORD_BREACHED_LIST === 'off' ? null : env.PASSWORD_BREACHED_LIST || undefined,
+        },
+
+        lockout: {
+            threshold: number(env.LOGIN_LOCKOUT_THRESHOLD, 5),
+            baseSeconds: number(env.LOGIN_LOCKOUT_BASE_SECONDS, 60),
+            maxSeconds: number(env.LOGIN_LOCKOUT_MAX_SECONDS, 3600),
+        },
+    };
+}
+
+module.exports = loadConfig;
@@ -0,0 +1,147 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+/**
+ * Returns true if a SQL script has something to run besides comments and whitespace.
+ * @param {string} sql
+ */
+const hasStatements = (sql) => sql.replace(/--.*$/gm, '').replace(/\/\*[\s\S]*?\*\//g, '').trim().length > 0;
+
+/**
+ * Versioned schema migrations.
+ *
+ * Each migration is a pair of files in backend/migrations:
+ *   0007_add_something.up.sql    applied by `up`
+ *   0007_add_something.down.sql  applied by `down`
+ * Applied versions are recorded in the `schema_migrations` table.
+ *
+ * @param {object} options
+ * @param {object} options.connection - A mysql2/promise connection created with `multipleStatements: true`.
+ * @param {string} [options.dir] - Migrations directory.
+ */
+function createMigrator({ connection, dir = MIGRATIONS_DIR }) {
+    const ensureTable = () => connection.query(
+        `CREATE TABLE IF NOT EXISTS \`schema_migrations\` (
+            \`version\` varchar(255) NOT NULL,
+            \`applied_at\` timestamp NOT NULL DEFAULT current_timestamp(),
+            PRIMARY KEY (\`version\`)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci`
+    );
+
+    /**
+     * Lists migrations found on disk, oldest first.
+     * @returns {Promise<Array<{ version: string, number: string, name: string, upFile: string, downFile: string|null }>>}
+     */
+    const listMigrations = async () => {
+        const files = await fs.readdir(dir);
+        const byVersion = new Map();
+
+        for (const file of files) {
+            const match = FILE_PATTERN.exec(file);
+            if (!match) continue;
+            const [, number, name, direction] = match;
+            const version = `${number}_${name}`;
+            const entry = byVersion.get(version) || { version, number, name, upFile: null, downFile: null };
+            entry[direction === 'up' ? 'upFile' : 'downFile'] = path.join(dir, file);
+            byVersion.set(version, entry);
+        }
+
+        const migrations = [...byVersion.values()].sort((a, b) => a.version.localeCompare(b.version));
+        for (const migration of migrations) {
+            if (!migration.upFile) {
+                throw new Error(`Migration ${migration.version} has no .up.sql file`);
+            }
+        }
+        return migrations;
+    };
+
+    const appliedVersions = async () => {
+        await ensureTable();
+        const [rows] = await connection.query('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+        return new Map(rows.map((row) => [row.version, row.applied_at]));
+    };
+
+    const runFile = async (file) => {
+        const sql = await fs.readFile(file, 'utf8');
+        if (hasStatements(sql)) {
+            await connection.query(sql);
+        }
+    };
+
+    /**
+     * @returns {Promise<Array<{ version: string, appliedAt: Date|null }>>} Every migration on disk and
+     *          whether it has been applied.
+     */
+    const status = async () => {
+        const applied = await appliedVersions();
+        return (await listMigrations()).map((m) => ({ version: m.version, appliedAt: applied.get(m.version) || null }));
+    };
+
+    /**
+     * Applies every pending migration in order. Stops at the first failure.
+     * @returns {Promise<string[]>} The versions that were applied.
+     */
+    const up = async () => {
+        const applied = await appliedVersions();
+        const done = [];
+        for (const migration of await listMigrations()) {
+            if (applied.has(migration.version)) continue;
+            await runFile(migration.upFile);
+            await connection.query('INSERT INTO schema_migrations (version) VALUES (?)', [migration.version]);
+            done.push(migration.version);
+        }
+        return done;
+    };
+
+    /**
+     * Reverts the most recently applied migrations.
+     * @param {number} [steps=1]
+     * @returns {Promise<string[]>} The versions that were reverted.
+     */
+    const down = async (steps = 1) => {
+        const applied = await appliedVersions();
+        const migrations = (await listMigrations()).filter((m) => applied.has(m.version)).reverse().slice(0, steps);
+        const done = [];
+        for (const migration of migrations) {
+            if (!migration.downFile) {
+                throw new Error(`Migration ${migration.version} has no .down.sql file and cannot be reverted`);
+            }
+            await runFile(migration.downFile);
+            await connection.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            done.push(migration.version);
+        }
+        return done;
+    };
+
+    return { listMigrations, status, up, down };
+}
+
+/**
+ * Creates an empty up/down pair numbered after the newest migration.
+ * @param {string} name - e.g. "add user roles"; normalized to snake_case.
+ * @param {string} [dir]
+ * @returns {Promise<string[]>} The created file paths.
+ */
+async function createMigrationFiles(name, dir = MIGRATIONS_DIR) {
+    const slug = String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!slug) {
+        throw new Error('A migration name is required, e.g. `migrate create add_user_roles`');
+    }
+
+    const numbers = (await fs.readdir(dir))
+        .map((file) => FILE_PATTERN.exec(file))
+        .filter(Boolean)
+        .map((match) => Number(match[1]));
+    const next = String((numbers.length ? Math.max(...numbers) : 0) + 1).padStart(4, '0');
+
+    const upFile = path.join(dir, `${next}_${slug}.up.sql`);
+    const downFile = path.join(dir, `${next}_${slug}.down.sql`);
+    await fs.writeFile(upFile, `-- ${next}_${slug}: apply\n`, { flag: 'wx' });
+    await fs.writeFile(downFile, `-- ${next}_${slug}: revert (undo everything the .up.sql file does)\n`, { flag: 'wx' });
+    return [upFile, downFile];
+}
+
+module.exports = { createMigrator, createMigrationFiles, MIGRATIONS_DIR };
@@ -0,0 +1,74 @@
+const templates = require('./templates');
+const createSmtpTransport = require('./transports/smtp');
+const createOutboxTransport = require('./transports/outbox');
+
+/**
+ * Creates a mailer bound to a single transport.
+ * @param {object} options
+ * @param {object} options.transport - Any object with an async `send(message)` method.
+ * @param {string} options.from - Default "From" header.
+ * @param {string} options.frontendUrl - Base URL of the Next.js app, used for links in emails.
+ */
+function createMailer({ transport, from, frontendUrl }) {
+    const baseUrl = (frontendUrl || 'http://localhost:3000').replace(/\/+$/, '');
+
+    /**
+     * Builds an absolute link into the frontend.
+     * @param {string} pathname - e.g. '/reset-password'
+     * @param {object} [query] - Query string parameters.
+     */
+    const buildUrl = (pathname, query = {}) => {
+        const url = new URL(pathname, `${baseUrl}/`);
+        for (const [key, value] of Object.entries(query)) {
+            url.searchParams.set(key, value);
+        }
+        return url.toString();
+    };
+
+    /**
+     * Renders a registered template and hands it to the transport.
+     * @param {string} templateName - A key of ./templates.
+     * @param {string} to - Recipient address.
+     * @param {object} data - Template variables.
+     */
+    const send = async (templateName, to, data = {}) => {
+        const template = templates[templateName];
+        if (!template) {
+            throw new Error(`Unknown email template: ${templateName}`);
+        }
+        const { subject, text, html } = template(data);
+        return transport.send({ from, to, subject, text, html, template: templateName });
+    };
+
+    return {
+        transport,
+        buildUrl,
+        send,
+        sendPasswordResetEmail: (to, resetUrl) => send('passwordReset', to, { resetUrl }),
+        sendVerificationEmail: (to, verifyUrl, expiresInHours) => send('emailVerification', to, { verifyUrl, expiresInHours }),
+        sendEmailChangeConfirmation: (to, confirmUrl, expiresInHours) => send('emailChangeConfirm', to, { confirmUrl, expiresInHours }),
+        sendEmailChangeNotice: (to, newEmail, cancelUrl, cancelDays) => send('emailChangeNotice', to, { newEmail, cancelUrl, cancelDays }),
+        sendMagicLinkEmail: (to, signInUrl, expiresInMinutes) => send('magicLink', to, { signInUrl, expiresInMinutes }),
+        sendOrganizationInvitation: (to, { organizationName, inviterName, role, acceptUrl, expiresInDays }) =>
+            send('organizationInvitation', to, { organizationName, inviterName, role, acceptUrl, expiresInDays }),
+    };
+}
+
+/**
+ * Builds a mailer from the loaded config (see ../config).
+ * @param {object} config - { mail, frontendUrl }
+ */
+function createMailerFromConfig({ mail, frontendUrl }) {
+    let transport;
+    if (mail.transport === 'smtp') {
+        transport = createSmtpTransport(mail.smtp);
+    } else if (mail.transport === 'outbox') {
+        transport = createOutboxTransport({ dir: mail.outboxDir });
+    } else {
+        throw new Error(`Unknown MAIL_TRANSPORT: ${mail.transport}`);
+    }
+
+    return createMailer({ transport, from: mail.from, frontendUrl });
+}
+
+module.exports = { createMailer, createMailerFromConfig };
@@ -0,0 +1,28 @@
+const { escapeHtml, renderLayout, renderButton } = require('./layout');
+
+/**
+ * Sent to the new address when a user asks to change their email.
+ * @param {object} data - { confirmUrl, expiresInHours }
+ */
+module.exports = function emailChangeConfirm({ confirmUrl, expiresInHours = 24 }) {
+    const title = 'Confirm your new email address';
+
+    return {
+        subject: title,
+        text: [
+            'You asked to use this address for your account from now on.',
+            '',
+            `Open this link to confirm the change (valid for ${expiresInHours} hours):`,
+            confirmUrl,
+            '',
+            "Until you do, you keep signing in with your current address. If you didn't ask for this, you can safely ignore this email.",
+        ].join('\n'),
+        html: renderLayout({
+            title,
+            body: `<p>You asked to use this address for your account from now on.</p>
+      ${renderButton(confirmUrl, 'Confirm new address')}
+      <p style="color:#9ca3af;font-size:14px;">This link is valid for ${escapeHtml(expiresInHours)} hours. If the button doesn't work, paste this URL into your browser:<br>${escapeHtml(confirmUrl)}</p>
+      <p style="color:#9ca3af;font-size:14px;">Until you confirm, you keep signing in with your current address. If you didn't ask for this, you can safely ignore this email.</p>`,
+        }),
+    };
+};
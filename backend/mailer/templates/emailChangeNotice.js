@@ -0,0 +1,30 @@
+const { escapeHtml, renderLayout, renderButton } = require('./layout');
+
+/**
+ * Sent to the current address when someone asks to move the account to another one.
+ * @param {object} data - { newEmail, cancelUrl, cancelDays }
+ */
+module.exports = function emailChangeNotice({ newEmail, cancelUrl, cancelDays = 7 }) {
+    const title = 'Your email address is being changed';
+
+    return {
+        subject: title,
+        text: [
+            `Someone asked to change the email address of your account to ${newEmail}.`,
+            'The change happens once the new address is confirmed.',
+            '',
+            `If this wasn't you, open this link to stop it (works for ${cancelDays} days, even after the change):`,
+            cancelUrl,
+            '',
+            'This also signs out every session. Then reset your password, since whoever did this knows it.',
+        ].join('\n'),
+        html: renderLayout({
+            title,
+            body: `<p>Someone asked to change the email address of your account to <strong>${escapeHtml(newEmail)}</strong>. The change happens once the new address is confirmed.</p>
+      <p>If this wasn't you, stop it now:</p>
+      ${renderButton(cancelUrl, "This wasn't me")}
+      <p style="color:#9ca3af;font-size:14px;">The link works for ${escapeHtml(cancelDays)} days, even after the change, and signs out every session. Then reset your password, since whoever did this knows it. If the button doesn't work, paste this URL into your browser:<br>${escapeHtml(cancelUrl)}</p>
+      <p style="color:#9ca3af;font-size:14px;">If you asked for this yourself, there is nothing to do.</p>`,
+        }),
+    };
+};
@@ -0,0 +1,28 @@
+const { escapeHtml, renderLayout, renderButton } = require('./layout');
+
+/**
+ * Email address verification email, sent after registration or on request.
+ * @param {object} data - { verifyUrl, expiresInHours }
+ */
+module.exports = function emailVerification({ verifyUrl, expiresInHours = 24 }) {
+    const title = 'Verify your email address';
+
+    return {
+        subject: title,
+        text: [
+            'Thanks for signing up! Please confirm that this is your email address.',
+            '',
+            `Open this link to verify it (valid for ${expiresInHours} hours):`,
+            verifyUrl,
+            '',
+            "If you didn't create an account, you can safely ignore this email.",
+        ].join('\n'),
+        html: renderLayout({
+            title,
+            body: `<p>Thanks for signing up! Please confirm that this is your email address.</p>
+      ${renderButton(verifyUrl, 'Verify email address')}
+      <p style="color:#9ca3af;font-size:14px;">This link is valid for ${escapeHtml(expiresInHours)} hours. If the button doesn't work, paste this URL into your browser:<br>${escapeHtml(verifyUrl)}</p>
+      <p style="color:#9ca3af;font-size:14px;">If you didn't create an account, you can safely ignore this email.</p>`,
+        }),
+    };
+};
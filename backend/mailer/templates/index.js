@@ -0,0 +1,10 @@
+// Registry of every transactional email the backend can send.
+// Each template is a function of its data returning { subject, text, html }.
+module.exports = {
+    passwordReset: require('./passwordReset'),
+    emailVerification: require('./emailVerification'),
+    emailChangeConfirm: require('./emailChangeConfirm'),
+    emailChangeNotice: require('./emailChangeNotice'),
+    magicLink: require('./magicLink'),
+    organizationInvitation: require('./organizationInvitation'),
+};
@@ -0,0 +1,40 @@
+/**
+ * Escapes a value for safe interpolation into HTML.
+ * @param {string} value
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Wraps a template's body in the shared HTML shell used by every email.
+ * @param {object} parts - { title, body } where body is already-escaped HTML.
+ */
+function renderLayout({ title, body }) {
+    return `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>
+  <body style="margin:0;padding:24px;background:#111827;font-family:Arial,sans-serif;color:#e5e7eb;">
+    <div style="max-width:480px;margin:0 auto;background:#1f2937;border:1px solid #374151;border-radius:16px;padding:32px;">
+      <h1 style="margin-top:0;font-size:22px;color:#ffffff;">${escapeHtml(title)}</h1>
+      ${body}
+    </div>
+  </body>
+</html>`;
+}
+
+/**
+ * Renders the indigo call-to-action button used for links.
+ * @param {string} href
+ * @param {string} label
+ */
+function renderButton(href, label) {
+    return `<p style="margin:24px 0;"><a href="${escapeHtml(href)}" style="display:inline-block;background:#4f46e5;color:#ffffff;text-decoration:none;font-weight:bold;padding:12px 20px;border-radius:12px;">${escapeHtml(label)}</a></p>`;
+}
+
+module.exports = { escapeHtml, renderLayout, renderButton };
@@ -0,0 +1,28 @@
+const { escapeHtml, renderLayout, renderButton } = require('./layout');
+
+/**
+ * Passwordless sign-in email.
+ * @param {object} data - { signInUrl, expiresInMinutes }
+ */
+module.exports = function magicLink({ signInUrl, expiresInMinutes = 15 }) {
+    const title = 'Your sign-in link';
+
+    return {
+        subject: title,
+        text: [
+            'Someone asked to sign in to your account with this email address.',
+            '',
+            `Open this link to sign in (valid for ${expiresInMinutes} minutes, and only once):`,
+            signInUrl,
+            '',
+            "If you didn't request this, you can safely ignore this email. Nobody can sign in without the link.",
+        ].join('\n'),
+        html: renderLayout({
+            title,
+            body: `<p>Someone asked to sign in to your account with this email address.</p>
+      ${renderButton(signInUrl, 'Sign in')}
+      <p style="color:#9ca3af;font-size:14px;">This link is valid for ${escapeHtml(expiresInMinutes)} minutes and works only once. If the button doesn't work, paste this URL into your browser:<br>${escapeHtml(signInUrl)}</p>
+      <p style="color:#9ca3af;font-size:14px;">If you didn't request this, you can safely ignore this email. Nobody can sign in without the link.</p>`,
+        }),
+    };
+};
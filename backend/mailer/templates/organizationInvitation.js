@@ -0,0 +1,30 @@
+const { escapeHtml, renderLayout, renderButton } = require('./layout');
+
+/**
+ * Invitation to join an organization, sent to any address (it may not have an account yet).
+ * @param {object} data - { organizationName, inviterName, role, acceptUrl, expiresInDays }
+ */
+module.exports = function organizationInvitation({ organizationName, inviterName, role, acceptUrl, expiresInDays = 7 }) {
+    const title = `Join ${organizationName}`;
+    const invitedBy = inviterName ? `${inviterName} invited you` : "You've been invited";
+
+    return {
+        subject: `${invitedBy} to join ${organizationName}`,
+        text: [
+            `${invitedBy} to join ${organizationName} as ${role === 'admin' ? 'an admin' : 'a member'}.`,
+            '',
+            `Open this link to accept or decline (valid for ${expiresInDays} days):`,
+            acceptUrl,
+            '',
+            "You'll be asked to sign in, or to create an account with this email address if you don't have one.",
+            "If you weren't expecting this, you can ignore this email.",
+        ].join('\n'),
+        html: renderLayout({
+            title,
+            body: `<p>${escapeHtml(invitedBy)} to join <strong>${escapeHtml(organizationName)}</strong> as ${role === 'admin' ? 'an admin' : 'a member'}.</p>
+      ${renderButton(acceptUrl, 'View invitation')}
+      <p style="color:#9ca3af;font-size:14px;">You'll be asked to sign in, or to create an account with this email address if you don't have one. The link is valid for ${escapeHtml(expiresInDays)} days. If the button doesn't work, paste this URL into your browser:<br>${escapeHtml(acceptUrl)}</p>
+      <p style="color:#9ca3af;font-size:14px;">If you weren't expecting this, you can ignore this email.</p>`,
+        }),
+    };
+};
@@ -0,0 +1,28 @@
+const { escapeHtml, renderLayout, renderButton } = require('./layout');
+
+/**
+ * Password reset email.
+ * @param {object} data - { resetUrl, expiresInMinutes }
+ */
+module.exports = function passwordReset({ resetUrl, expiresInMinutes = 60 }) {
+    const title = 'Reset your password';
+
+    return {
+        subject: title,
+        text: [
+            'We received a request to reset the password for your account.',
+            '',
+            `Open this link to choose a new password (valid for ${expiresInMinutes} minutes):`,
+            resetUrl,
+            '',
+            "If you didn't request this, you can safely ignore this email.",
+        ].join('\n'),
+        html: renderLayout({
+            title,
+            body: `<p>We received a request to reset the password for your account.</p>
+      ${renderButton(resetUrl, 'Choose a new password')}
+      <p style="color:#9ca3af;font-size:14px;">This link is valid for ${escapeHtml(expiresInMinutes)} minutes. If the button doesn't work, paste this URL into your browser:<br>${escapeHtml(resetUrl)}</p>
+      <p style="color:#9ca3af;font-size:14px;">If you didn't request this, you can safely ignore this email.</p>`,
+        }),
+    };
+};
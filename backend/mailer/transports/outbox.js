@@ -0,0 +1,35 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Creates a development "outbox" transport.
+ * Instead of delivering mail, every message is written to a JSON file in `dir`
+ * (and summarised on the console) so links can be copied straight from disk.
+ * @param {object} options - { dir, log }
+ */
+function createOutboxTransport(options = {}) {
+    const dir = options.dir || path.join(__dirname, '..', '..', 'outbox');
+    const log = options.log !== false;
+
+    return {
+        name: 'outbox',
+        dir,
+        async send(message) {
+            const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(
+                path.join(dir, `${id}.json`),
+                JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2)
+            );
+
+            if (log) {
+                console.log(`[outbox] "${message.subject}" -> ${message.to} (${id}.json)`);
+                console.log(message.text);
+            }
+            return { id };
+        },
+    };
+}
+
+module.exports = createOutboxTransport;
@@ -0,0 +1,30 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Creates an SMTP transport backed by Nodemailer.
+ * Uses EMAIL_HOST/EMAIL_PORT when provided, otherwise falls back to Gmail,
+ * which matches the EMAIL_USER/EMAIL_PASS app-password setup in the README.
+ * @param {object} options - { host, port, secure, service, user, pass }
+ */
+function createSmtpTransport(options) {
+    const auth = { user: options.user, pass: options.pass };
+
+    const transporter = options.host
+        ? nodemailer.createTransport({
+            host: options.host,
+            port: options.port || 587,
+            secure: Boolean(options.secure),
+            auth,
+        })
+        : nodemailer.createTransport({ service: options.service || 'gmail', auth });
+
+    return {
+        name: 'smtp',
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { id: info.messageId };
+        },
+    };
+}
+
+module.exports = createSmtpTransport;
@@ -1,14 +1,105 @@
-const jwt = require('jsonwebtoken');
+const { isPersonalAccessToken, splitScopes } = require('../services/personalAccessTokenService');
+
+// A session's last-seen time is only written when it is at least this old, not on every request.
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * The scopes the matched route asks for with requireScope() or requirePermission(). Routes that ask
+ * for none don't accept personal access tokens at all, so new routes are session-only until they opt in.
+ * @param {object} req - Express request, inside a route (req.route is set).
+ * @returns {string[]}
+ */
+const routeScopes = (req) => (req.route ? req.route.stack.flatMap((layer) => layer.handle.scopes || []) : []);
+
+/**
+ * Creates the authentication middleware.
+ * Besides verifying the JWT signature (with the key its `kid` header names, see ../services/signingKeys.js),
+ * it rejects tokens that were revoked on logout (by `jti`), tokens issued before the user's last
+ * password change (by `token_version`), tokens whose session (`sid`) has been signed out, and disabled accounts.
+ *
+ * Personal access tokens (`pat_...`) are accepted too, on routes that declare scopes. For them
+ * `req.user` has `tokenId` and `scopes` instead of `sid`; requireScope() and requirePermission() check the scopes.
+ * @param {object} options - { repo, signingKeys, personalAccessTokenService }
+ */
+const createAuthMiddleware = ({ repo, signingKeys, personalAccessTokenService }) => {
+    /**
+     * Authenticates a personal access token, for routes that accept them.
+     */
+    const authenticatePersonalAccessToken = async (req, res, next, token) => {
+        if (routeScopes(req).length === 0) {
+            return res.status(403).json({
+                message: 'Personal access tokens cannot be used for this request. Sign in instead.',
+                code: 'TOKEN_NOT_ALLOWED',
+            });
+        }
+
+        let row;
+        let user;
+        try {
+            row = await personalAccessTokenService.findActive(token);
+            user = row ? await repo.users.findById(row.user_id) : null;
+            // Scheduling a deletion revokes the account's tokens; a deletion can only be cancelled by signing in.
+            if (!user || user.disabled_at || user.delete_after) {
+                return res.status(401).json({ error: 'Authentication failed.' });
+            }
+            if (!row.last_used_at || Date.now() - new Date(row.last_used_at).getTime() >= LAST_SEEN_INTERVAL_MS) {
+                await repo.personalAccessTokens.touch(row.id, { ip: req.ip });
+            }
+        } catch (e) {
+            console.error('!!! AUTH MIDDLEWARE ERROR !!!:', e);
+            return res.status(500).json({ error: 'Authentication check failed.' });
+        }
+
+        req.user = {
+            id: user.id,
+            tokenId: row.id,
+            scopes: splitScopes(row.scopes),
+            emailVerified: user.email_verified === 1,
+        };
+        next();
+    };
+
+    return async (req, res, next) => {
+        let token;
+        let decoded;
+        try {
+            token = req.header('Authorization').replace('Bearer ', '');
+            if (isPersonalAccessToken(token)) {
+                return authenticatePersonalAccessToken(req, res, next, token);
+            }
+            decoded = signingKeys.verify(token);
+            // Purpose-bound tokens (e.g. a 2FA login challenge) are not access tokens, nor are
+            // the ones issued to OAuth client apps (they carry the app as `aud`).
+            if (decoded.purpose || decoded.aud) throw new Error('Not an access token');
+        } catch (e) {
+            return res.status(401).json({ error: 'Authentication failed.' });
+        }
+
+        let user;
+        try {
+            user = await repo.users.findById(decoded.id);
+            const revoked = decoded.jti ? await repo.revokedTokens.isRevoked(decoded.jti) : false;
+            // Disabling an account also revokes its tokens; checking here closes the gap for any issued meanwhile.
+            if (!user || user.token_version !== decoded.ver || revoked || user.disabled_at) {
+                return res.status(401).json({ error: 'Authentication failed.' });
+            }
+
+            const session = decoded.sid ? await repo.sessions.findById(decoded.sid) : null;
+            if (!session || session.revoked_at || session.user_id !== user.id) {
+                return res.status(401).json({ error: 'Authentication failed.' });
+            }
+            if (Date.now() - new Date(session.last_seen_at).getTime() >= LAST_SEEN_INTERVAL_MS) {
+                await repo.sessions.touch(session.id, { ip: req.ip });
+            }
+        } catch (e) {
+            console.error('!!! AUTH MIDDLEWARE ERROR !!!:', e);
+            return res.status(500).json({ error: 'Authentication check failed.' });
+        }
 
-const authMiddleware = (req, res, next) => {
-    try {
-        const token = req.header('Authorization').replace('Bearer ', '');
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
         req.user = decoded;
+        req.user.emailVerified = user.email_verified === 1;
         next();
-    } catch (e) {
-        res.status(401).json({ error: 'Authentication failed.' });
-    }
+    };
 };
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = createAuthMiddleware;
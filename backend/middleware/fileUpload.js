@@ -0,0 +1,47 @@
+const multer = require('multer');
+
+/**
+ * Creates middleware that accepts one multipart/form-data file into memory as `req.file`.
+ * Files that are too large, of the wrong type or in the wrong field are answered with a JSON error
+ * (413 or 400) instead of reaching the route.
+ * @param {object} options
+ * @param {string} options.field - Form field holding the file.
+ * @param {number} options.maxBytes
+ * @param {string[]} options.mimeTypes - Accepted Content-Types of the file part. This is only what the
+ *        client claims; routes must still check the content.
+ */
+const createFileUpload = ({ field, maxBytes, mimeTypes }) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: 1 },
+        fileFilter: (req, file, callback) => {
+            if (!mimeTypes.includes(file.mimetype)) {
+                const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', field);
+                error.code = 'UNSUPPORTED_TYPE';
+                return callback(error);
+            }
+            callback(null, true);
+        },
+    }).single(field);
+
+    return (req, res, next) => upload(req, res, (error) => {
+        if (!error) {
+            if (!req.file) {
+                return res.status(400).json({ message: `Attach the file as the "${field}" form field.` });
+            }
+            return next();
+        }
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ message: `The file is too large. The limit is ${Math.floor(maxBytes / 1024)} KB.`, code: 'FILE_TOO_LARGE' });
+        }
+        if (error.code === 'UNSUPPORTED_TYPE') {
+            return res.status(400).json({ message: 'This file type is not supported.', code: 'UNSUPPORTED_TYPE' });
+        }
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({ message: `Attach the file as the "${field}" form field.` });
+        }
+        next(error);
+    });
+};
+
+module.exports = createFileUpload;
@@ -0,0 +1,59 @@
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parses a limit written as "<max>/<window>", e.g. "20/15m" or "5/1h".
+ * @param {string} spec
+ * @param {string} fallback - Used when spec is empty.
+ * @returns {{ max: number, windowMs: number }}
+ */
+const parseLimit = (spec, fallback) => {
+    const match = /^(\d+)\s*\/\s*(\d+)\s*([smhd])$/.exec((spec || fallback).trim());
+    if (!match) {
+        throw new Error(`Invalid rate limit "${spec}". Expected something like "20/15m".`);
+    }
+    return { max: Number(match[1]), windowMs: Number(match[2]) * UNITS[match[3]] };
+};
+
+/**
+ * Sends the standard "too many requests" response with a Retry-After header.
+ * @param {object} res - Express response.
+ * @param {number} retryAfterSeconds
+ * @param {object} [body] - Overrides for the JSON body.
+ */
+const sendTooManyRequests = (res, retryAfterSeconds, body = {}) => {
+    const retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        message: 'Too many requests. Please try again later.',
+        code: 'RATE_LIMITED',
+        retryAfter,
+        ...body,
+    });
+};
+
+/**
+ * Creates a fixed-window rate limiting middleware.
+ * @param {object} options
+ * @param {object} options.store - A store from services/rateLimitStore.
+ * @param {string} options.name - Prefix that keeps this limiter's counters separate.
+ * @param {number} options.max - Requests allowed per window.
+ * @param {number} options.windowMs
+ * @param {function} [options.key] - (req) => string|null; defaults to the client IP. Return null to skip.
+ */
+const createRateLimiter = ({ store, name, max, windowMs, key = (req) => req.ip }) => async (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    try {
+        const entry = await store.hit(`${name}:${id}`, windowMs);
+        if (entry.count > max) {
+            return sendTooManyRequests(res, (entry.resetAt - Date.now()) / 1000);
+        }
+    } catch (error) {
+        // Fail open: a broken counter store shouldn't take logins down with it.
+        console.error('!!! RATE LIMIT ERROR !!!:', error);
+    }
+    next();
+};
+
+module.exports = { createRateLimiter, parseLimit, sendTooManyRequests };
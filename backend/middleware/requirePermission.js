@@ -0,0 +1,38 @@
+/**
+ * Creates the `requirePermission(...permissions)` middleware factory.
+ * Must run after authMiddleware. Permissions are read from the repository on every request rather
+ * than from the token, so granting or revoking a role takes effect immediately. A personal access
+ * token also needs each permission among its scopes.
+ * @param {object} options - { repo }
+ * @returns {(...permissions: string[]) => Function} Middleware that requires all of the given permissions,
+ *          e.g. `router.get('/api/admin/users', authMiddleware, requirePermission('users:read'), ...)`.
+ */
+const createRequirePermission = ({ repo }) => (...required) => {
+    const middleware = async (req, res, next) => {
+        let permissions;
+        try {
+            permissions = await repo.roles.permissionsForUser(req.user.id);
+        } catch (e) {
+            console.error('!!! PERMISSION CHECK ERROR !!!:', e);
+            return res.status(500).json({ message: 'Permission check failed.' });
+        }
+
+        if (!required.every((permission) => permissions.includes(permission))) {
+            return res.status(403).json({ message: 'You do not have permission to do this.', code: 'FORBIDDEN' });
+        }
+        const missingScopes = req.user.scopes ? required.filter((permission) => !req.user.scopes.includes(permission)) : [];
+        if (missingScopes.length > 0) {
+            return res.status(403).json({
+                message: `This token is missing the ${missingScopes.join(', ')} scope.`,
+                code: 'INSUFFICIENT_SCOPE',
+            });
+        }
+        req.user.permissions = permissions;
+        next();
+    };
+    // Permissions double as token scopes (see requireScope).
+    middleware.scopes = required;
+    return middleware;
+};
+
+module.exports = createRequirePermission;
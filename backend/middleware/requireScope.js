@@ -0,0 +1,23 @@
+/**
+ * `requireScope(...scopes)`: lets personal access tokens with all of the given scopes use a route
+ * (see TOKEN_SCOPES in ../services/personalAccessTokenService.js). Must run after authMiddleware.
+ * Signed-in sessions pass unchecked; routes without it (or requirePermission) refuse tokens altogether.
+ * @param {...string} required - e.g. `router.get('/api/profile', authMiddleware, requireScope('profile:read'), ...)`.
+ * @returns {Function} Middleware; its `scopes` property tells authMiddleware the route accepts tokens.
+ */
+const requireScope = (...required) => {
+    const middleware = (req, res, next) => {
+        const missing = req.user.scopes ? required.filter((scope) => !req.user.scopes.includes(scope)) : [];
+        if (missing.length > 0) {
+            return res.status(403).json({
+                message: `This token is missing the ${missing.join(', ')} scope.`,
+                code: 'INSUFFICIENT_SCOPE',
+            });
+        }
+        next();
+    };
+    middleware.scopes = required;
+    return middleware;
+};
+
+module.exports = requireScope;
@@ -0,0 +1,13 @@
+/**
+ * Creates a middleware that blocks users whose email is not verified yet.
+ * Must run after authMiddleware, which sets `req.user.emailVerified`.
+ * @param {string} mode - EMAIL_VERIFICATION_MODE: 'off' lets everyone through; 'restrict' and 'block' enforce.
+ */
+const createRequireVerifiedEmail = (mode) => (req, res, next) => {
+    if (mode === 'off' || req.user.emailVerified) {
+        return next();
+    }
+    res.status(403).json({ message: 'Please verify your email address first.', code: 'EMAIL_NOT_VERIFIED' });
+};
+
+module.exports = createRequireVerifiedEmail;
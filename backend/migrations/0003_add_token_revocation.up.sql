@@ -0,0 +1,10 @@
+ALTER TABLE `users`
+  ADD COLUMN `token_version` int(11) NOT NULL DEFAULT 0 AFTER `resetTokenExpiry`;
+
+CREATE TABLE `revoked_tokens` (
+  `jti` char(36) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `expires_at` datetime NOT NULL,
+  PRIMARY KEY (`jti`),
+  KEY `expires_at` (`expires_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -0,0 +1,19 @@
+ALTER TABLE `users`
+  ADD COLUMN `email_verified` tinyint(1) NOT NULL DEFAULT 0 AFTER `totp_last_step`,
+  ADD COLUMN `email_verified_at` datetime DEFAULT NULL AFTER `email_verified`;
+
+-- Accounts created before verification existed are grandfathered in.
+UPDATE `users` SET `email_verified` = 1, `email_verified_at` = NOW();
+
+CREATE TABLE `email_verification_tokens` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `user_id` int(11) NOT NULL,
+  `token_hash` char(64) NOT NULL,
+  `expires_at` datetime NOT NULL,
+  `used_at` datetime DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `token_hash` (`token_hash`),
+  KEY `user_id` (`user_id`),
+  CONSTRAINT `email_verification_tokens_user_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -0,0 +1,9 @@
+-- Only used when RATE_LIMIT_STORE=mysql.
+CREATE TABLE `rate_limits` (
+  `key` varchar(191) NOT NULL,
+  `count` int(11) NOT NULL DEFAULT 0,
+  `reset_at` datetime(3) NOT NULL,
+  `last_hit_at` datetime(3) NOT NULL,
+  PRIMARY KEY (`key`),
+  KEY `reset_at` (`reset_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
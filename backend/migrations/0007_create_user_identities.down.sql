@@ -0,0 +1,5 @@
+-- Accounts without a password get an unusable one (no bcrypt hash matches an empty string).
+UPDATE `users` SET `password` = '' WHERE `password` IS NULL;
+ALTER TABLE `users` MODIFY `password` varchar(255) NOT NULL;
+
+DROP TABLE IF EXISTS `user_identities`;
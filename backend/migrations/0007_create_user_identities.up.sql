@@ -0,0 +1,16 @@
+-- External sign-in identities (e.g. Google) linked to an account. Password sign-in is
+-- available when users.password is set, which is now optional for provider-only accounts.
+CREATE TABLE `user_identities` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `user_id` int(11) NOT NULL,
+  `provider` varchar(50) NOT NULL,
+  `provider_user_id` varchar(255) NOT NULL,
+  `email` varchar(255) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `provider_user` (`provider`, `provider_user_id`),
+  UNIQUE KEY `user_provider` (`user_id`, `provider`),
+  CONSTRAINT `user_identities_user_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+ALTER TABLE `users` MODIFY `password` varchar(255) DEFAULT NULL;
@@ -0,0 +1,52 @@
+-- Role-based access control. Keep the seed data in sync with services/permissions.js.
+CREATE TABLE `roles` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `name` varchar(50) NOT NULL,
+  `description` varchar(255) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `name` (`name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+CREATE TABLE `permissions` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `name` varchar(100) NOT NULL,
+  `description` varchar(255) DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `name` (`name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+CREATE TABLE `role_permissions` (
+  `role_id` int(11) NOT NULL,
+  `permission_id` int(11) NOT NULL,
+  PRIMARY KEY (`role_id`, `permission_id`),
+  CONSTRAINT `role_permissions_role_fk` FOREIGN KEY (`role_id`) REFERENCES `roles` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `role_permissions_permission_fk` FOREIGN KEY (`permission_id`) REFERENCES `permissions` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+CREATE TABLE `user_roles` (
+  `user_id` int(11) NOT NULL,
+  `role_id` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`user_id`, `role_id`),
+  CONSTRAINT `user_roles_user_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `user_roles_role_fk` FOREIGN KEY (`role_id`) REFERENCES `roles` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+INSERT INTO `roles` (`name`, `description`) VALUES
+  ('user', 'Regular account'),
+  ('admin', 'Full access to the admin features');
+
+INSERT INTO `permissions` (`name`, `description`) VALUES
+  ('users:read', 'View any user account'),
+  ('users:write', 'Edit, disable and enable user accounts'),
+  ('users:delete', 'Delete user accounts'),
+  ('roles:read', 'View roles and who has them'),
+  ('roles:write', 'Grant and revoke roles');
+
+-- Admins get every permission.
+INSERT INTO `role_permissions` (`role_id`, `permission_id`)
+  SELECT r.`id`, p.`id` FROM `roles` r CROSS JOIN `permissions` p WHERE r.`name` = 'admin';
+
+-- Existing accounts become regular users; grant admin with `npm run roles -- grant <email> admin`.
+INSERT INTO `user_roles` (`user_id`, `role_id`)
+  SELECT u.`id`, r.`id` FROM `users` u CROSS JOIN `roles` r WHERE r.`name` = 'user';
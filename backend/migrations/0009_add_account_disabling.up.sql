@@ -0,0 +1,3 @@
+-- Set by an admin to block an account from signing in; NULL means the account is active.
+ALTER TABLE `users`
+  ADD COLUMN `disabled_at` datetime DEFAULT NULL;
@@ -0,0 +1,4 @@
+DELETE FROM `permissions` WHERE `name` = 'audit:read';
+DROP TRIGGER IF EXISTS `auth_events_no_delete`;
+DROP TRIGGER IF EXISTS `auth_events_no_update`;
+DROP TABLE IF EXISTS `auth_events`;
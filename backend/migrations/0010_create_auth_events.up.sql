@@ -0,0 +1,31 @@
+-- Append-only security audit log (see services/auditLog.js). Rows are never updated or deleted,
+-- so there is no foreign key: events outlive the account they belong to.
+CREATE TABLE `auth_events` (
+  `id` bigint(20) NOT NULL AUTO_INCREMENT,
+  `event_type` varchar(50) NOT NULL,
+  `outcome` enum('success','failure') NOT NULL,
+  `user_id` int(11) DEFAULT NULL,
+  `actor_id` int(11) DEFAULT NULL,
+  `email` varchar(255) DEFAULT NULL,
+  `ip` varchar(45) DEFAULT NULL,
+  `user_agent` varchar(255) DEFAULT NULL,
+  `detail` varchar(255) DEFAULT NULL,
+  `created_at` datetime(3) NOT NULL DEFAULT current_timestamp(3),
+  PRIMARY KEY (`id`),
+  KEY `user_created` (`user_id`, `created_at`),
+  KEY `type_created` (`event_type`, `created_at`),
+  KEY `created_at` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+CREATE TRIGGER `auth_events_no_update` BEFORE UPDATE ON `auth_events`
+  FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'auth_events is append-only';
+
+CREATE TRIGGER `auth_events_no_delete` BEFORE DELETE ON `auth_events`
+  FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'auth_events is append-only';
+
+INSERT INTO `permissions` (`name`, `description`) VALUES
+  ('audit:read', 'View the security audit log');
+
+INSERT INTO `role_permissions` (`role_id`, `permission_id`)
+  SELECT r.`id`, p.`id` FROM `roles` r CROSS JOIN `permissions` p
+  WHERE r.`name` = 'admin' AND p.`name` = 'audit:read';
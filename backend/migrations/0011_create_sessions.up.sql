@@ -0,0 +1,22 @@
+-- One row per signed-in device. The id is the refresh token family id, which access tokens carry as `sid`,
+-- so authMiddleware can check that the session hasn't been signed out.
+CREATE TABLE `sessions` (
+  `id` char(36) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `device` varchar(100) DEFAULT NULL,
+  `user_agent` varchar(255) DEFAULT NULL,
+  `ip` varchar(45) DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `last_seen_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `revoked_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `user_id` (`user_id`),
+  CONSTRAINT `sessions_user_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- Keep everyone who is signed in now signed in: one session per refresh token family that still has a live token.
+INSERT INTO `sessions` (`id`, `user_id`, `created_at`, `last_seen_at`)
+  SELECT `family_id`, `user_id`, MIN(`created_at`), MAX(`created_at`)
+  FROM `refresh_tokens`
+  GROUP BY `family_id`, `user_id`
+  HAVING SUM(`revoked_at` IS NULL AND `expires_at` > NOW()) > 0;
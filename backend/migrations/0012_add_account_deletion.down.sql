@@ -0,0 +1,3 @@
+ALTER TABLE `users`
+  DROP KEY `delete_after`,
+  DROP COLUMN `delete_after`;
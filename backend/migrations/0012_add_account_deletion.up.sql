@@ -0,0 +1,5 @@
+-- Set when the user asks to delete their account; the account is purged once this time has passed,
+-- unless they sign in again before then. NULL means no deletion is pending.
+ALTER TABLE `users`
+  ADD COLUMN `delete_after` datetime DEFAULT NULL,
+  ADD KEY `delete_after` (`delete_after`);
@@ -0,0 +1,20 @@
+-- Pending and past email address changes. The new address only replaces users.email once the
+-- confirmation link sent to it is used; the notice sent to the old address carries a cancel link
+-- that stays valid for a while after the change, so a hijacked account can be handed back.
+CREATE TABLE `email_changes` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `user_id` int(11) NOT NULL,
+  `old_email` varchar(255) NOT NULL,
+  `new_email` varchar(255) NOT NULL,
+  `token_hash` char(64) NOT NULL,
+  `cancel_token_hash` char(64) NOT NULL,
+  `expires_at` datetime NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `confirmed_at` datetime DEFAULT NULL,
+  `cancelled_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `token_hash` (`token_hash`),
+  UNIQUE KEY `cancel_token_hash` (`cancel_token_hash`),
+  KEY `user_id` (`user_id`),
+  CONSTRAINT `email_changes_user_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
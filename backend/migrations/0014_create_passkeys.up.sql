@@ -0,0 +1,34 @@
+-- WebAuthn credentials ("passkeys"). credential_id is base64url, so it is compared case-sensitively.
+CREATE TABLE `passkeys` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `user_id` int(11) NOT NULL,
+  `credential_id` varchar(512) CHARACTER SET ascii COLLATE ascii_bin NOT NULL,
+  `public_key` blob NOT NULL,
+  `sign_count` int(10) unsigned NOT NULL DEFAULT 0,
+  -- Comma-separated hints from the browser, e.g. "internal,hybrid".
+  `transports` varchar(255) DEFAULT NULL,
+  `name` varchar(100) NOT NULL,
+  -- 'singleDevice' or 'multiDevice' (synced, e.g. through a password manager).
+  `device_type` varchar(20) NOT NULL,
+  `backed_up` tinyint(1) NOT NULL DEFAULT 0,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `last_used_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `credential_id` (`credential_id`),
+  KEY `user_id` (`user_id`),
+  CONSTRAINT `passkeys_user_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- Challenges handed out for registration and sign-in ceremonies. Each is used at most once.
+-- Sign-in challenges have no user: the passkey the browser picks says who is signing in.
+CREATE TABLE `webauthn_challenges` (
+  `id` char(36) NOT NULL,
+  `user_id` int(11) DEFAULT NULL,
+  `purpose` varchar(20) NOT NULL,
+  `challenge` varchar(255) CHARACTER SET ascii COLLATE ascii_bin NOT NULL,
+  `expires_at` datetime NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  KEY `expires_at` (`expires_at`),
+  CONSTRAINT `webauthn_challenges_user_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
@@ -0,0 +1,5 @@
+-- Passwordless sign-in links, stored like the password reset token: the SHA-256 hash of the emailed
+-- token and its expiry. Only the newest link works, and using it clears both columns.
+ALTER TABLE `users`
+  ADD COLUMN `magicLinkToken` varchar(255) DEFAULT NULL AFTER `resetTokenExpiry`,
+  ADD COLUMN `magicLinkTokenExpiry` datetime DEFAULT NULL AFTER `magicLinkToken`;
@@ -0,0 +1,45 @@
+-- Apps that sign users in through this server (OAuth 2.0 / OpenID Connect, see services/oauthServer.js).
+-- Public clients (single-page and native apps) have no secret; confidential ones store its SHA-256.
+CREATE TABLE `oauth_clients` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `client_id` varchar(64) CHARACTER SET ascii COLLATE ascii_bin NOT NULL,
+  `name` varchar(100) NOT NULL,
+  `client_secret_hash` char(64) DEFAULT NULL,
+  -- One per line; the redirect_uri of a request must match one of them exactly.
+  `redirect_uris` text NOT NULL,
+  -- Comma-separated, e.g. "openid,profile,email".
+  `scopes` varchar(255) NOT NULL,
+  `created_by` int(11) DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `client_id` (`client_id`),
+  CONSTRAINT `oauth_clients_created_by_fk` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- Authorization codes waiting to be exchanged at the token endpoint. Each is used at most once,
+-- and only with the PKCE verifier matching `code_challenge` (S256).
+CREATE TABLE `oauth_authorization_codes` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `code_hash` char(64) NOT NULL,
+  `client_id` varchar(64) CHARACTER SET ascii COLLATE ascii_bin NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `redirect_uri` text NOT NULL,
+  `scopes` varchar(255) NOT NULL,
+  `nonce` varchar(255) DEFAULT NULL,
+  `code_challenge` varchar(128) NOT NULL,
+  `expires_at` datetime NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `code_hash` (`code_hash`),
+  KEY `expires_at` (`expires_at`),
+  CONSTRAINT `oauth_authorization_codes_client_fk` FOREIGN KEY (`client_id`) REFERENCES `oauth_clients` (`client_id`) ON DELETE CASCADE,
+  CONSTRAINT `oauth_authorization_codes_user_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+INSERT INTO `permissions` (`name`, `description`) VALUES
+  ('oauth_clients:read', 'View the apps that sign users in through this server'),
+  ('oauth_clients:write', 'Register and remove apps that sign users in through this server');
+
+INSERT INTO `role_permissions` (`role_id`, `permission_id`)
+  SELECT r.`id`, p.`id` FROM `roles` r CROSS JOIN `permissions` p
+  WHERE r.`name` = 'admin' AND p.`name` IN ('oauth_clients:read', 'oauth_clients:write');
@@ -0,0 +1,46 @@
+-- Teams of users (see services/organizationService.js). Every organization keeps at least one owner.
+CREATE TABLE `organizations` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `name` varchar(100) NOT NULL,
+  `created_by` int(11) DEFAULT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`id`),
+  CONSTRAINT `organizations_created_by_fk` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+CREATE TABLE `organization_members` (
+  `organization_id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `role` enum('owner','admin','member') NOT NULL DEFAULT 'member',
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  PRIMARY KEY (`organization_id`, `user_id`),
+  KEY `user_id` (`user_id`),
+  CONSTRAINT `organization_members_organization_fk` FOREIGN KEY (`organization_id`) REFERENCES `organizations` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `organization_members_user_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+
+-- Invitations by email; the link carries a token whose SHA-256 is `token_hash`. An invitation is pending
+-- until it is accepted, declined or cancelled, or expires. `user_id` is the account with the invited
+-- address, once there is one (when inviting, or later on sign-up): it then shows up in that account's
+-- list too, so the link isn't needed.
+CREATE TABLE `organization_invitations` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `organization_id` int(11) NOT NULL,
+  `email` varchar(255) NOT NULL,
+  `role` enum('admin','member') NOT NULL DEFAULT 'member',
+  `token_hash` char(64) NOT NULL,
+  `invited_by` int(11) DEFAULT NULL,
+  `user_id` int(11) DEFAULT NULL,
+  `expires_at` datetime NOT NULL,
+  `created_at` datetime NOT NULL DEFAULT current_timestamp(),
+  `accepted_at` datetime DEFAULT NULL,
+  `declined_at` datetime DEFAULT NULL,
+  `cancelled_at` datetime DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `token_hash` (`token_hash`),
+  KEY `organization_email` (`organization_id`, `email`),
+  KEY `email` (`email`),
+  CONSTRAINT `organization_invitations_organization_fk` FOREIGN KEY (`organization_id`) REFERENCES `organizations` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `organization_invitations_invited_by_fk` FOREIGN KEY (`invited_by`) REFERENCES `users` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `organization_invitations_user_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
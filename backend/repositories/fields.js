@@ -0,0 +1,31 @@
+// Columns users.update() accepts; everything else has a dedicated repository method.
+const USER_UPDATABLE_FIELDS = [
+    'password',
+    'name',
+    'username',
+    'onboarded',
+    'image',
+    'resetToken',
+    'resetTokenExpiry',
+    'magicLinkToken',
+    'magicLinkTokenExpiry',
+    'totp_secret',
+    'totp_enabled',
+    'totp_last_step',
+    'disabled_at',
+    'delete_after',
+];
+
+/**
+ * Throws if `fields` contains a column users.update() doesn't allow.
+ * @param {object} fields
+ */
+const assertUpdatableUserFields = (fields) => {
+    for (const key of Object.keys(fields)) {
+        if (!USER_UPDATABLE_FIELDS.includes(key)) {
+            throw new Error(`users.update() cannot change "${key}"`);
+        }
+    }
+};
+
+module.exports = { USER_UPDATABLE_FIELDS, assertUpdatableUserFields };
@@ -0,0 +1,100 @@
+/**
+ * Storage adapters.
+ *
+ * Routes and services never talk to the database directly; they use a repository with
+ * this shape (both implementations below provide it):
+ *
+ *   users
+ *     findById(id), findByEmail(email), findByValidResetToken(tokenHash)  -> row | null
+ *     claimMagicLinkToken(tokenHash)           -> row | null (clears the token; null if unknown or expired)
+ *     isUsernameTaken(username, exceptUserId)                             -> boolean
+ *     findDueForDeletion(now)                  -> rows whose delete_after has passed
+ *     create({ email, password, name?, onboarded?, emailVerified? })      -> row (password may be null)
+ *     update(id, fields)                       fields: any of USER_UPDATABLE_FIELDS
+ *     search({ query, onboarded, provider, status, createdFrom, createdBefore, limit, offset })
+ *       -> { users: rows with a `providers` array, total }   newest first; provider 'password' = has a password
+ *     delete(id) -> boolean                    also deletes everything that belongs to the user
+ *     markEmailVerified(id)
+ *     changeEmail(id, email)                   also marks it verified and clears reset/magic-link tokens;
+ *                                              ER_DUP_ENTRY if the address is taken
+ *     incrementTokenVersion(id)
+ *     claimTotpStep(id, step)                  -> boolean (false if step isn't newer than the last one)
+ *   refreshTokens
+ *     create({ userId, tokenHash, familyId, expiresAt }) -> id
+ *     findByHash(tokenHash) -> row | null
+ *     claim(id) -> boolean, setReplacedBy(id, nextId)
+ *     revokeFamily(familyId), revokeAllForUser(userId, { exceptFamilyId })
+ *   sessions (id is the refresh token family id)
+ *     create({ id, userId, device, userAgent, ip }), findById(id) -> row | null,
+ *     listForUser(userId) -> rows, including signed-out ones   oldest first,
+ *     listActiveForUser(userId) -> rows   most recently seen first,
+ *     touch(id, { ip? }), revoke(id) -> boolean, revokeAllForUser(userId, { exceptId })
+ *   revokedTokens
+ *     add({ jti, userId, expiresAt }), isRevoked(jti) -> boolean, deleteExpired()
+ *   recoveryCodes
+ *     replaceAll(userId, codeHashes), consume(userId, codeHash) -> boolean,
+ *     status(userId) -> { total, remaining }, deleteAll(userId)
+ *   emailVerificationTokens
+ *     deleteUnused(userId), create({ userId, tokenHash, expiresAt }),
+ *     findValidByHash(tokenHash) -> row | null, claim(id) -> boolean
+ *   emailChanges (pending = neither confirmed nor cancelled)
+ *     create({ userId, oldEmail, newEmail, tokenHash, cancelTokenHash, expiresAt }), cancelPending(userId),
+ *     findPendingForUser(userId) -> newest unexpired pending row | null,
+ *     findValidByHash(tokenHash) -> unexpired pending row | null, findByCancelHash(cancelTokenHash) -> row | null,
+ *     confirm(id) -> boolean (false unless pending), cancel(id) -> boolean (false if already cancelled)
+ *   passkeys (credential_id is base64url and case-sensitive; transports is a comma-separated string)
+ *     create({ userId, credentialId, publicKey, signCount, transports, name, deviceType, backedUp }) -> id,
+ *     findByCredentialId(credentialId) -> row | null, listForUser(userId) -> rows   oldest first,
+ *     recordUse(id, { signCount, backedUp }), delete(userId, id) -> boolean
+ *   webauthnChallenges
+ *     create({ id, userId?, purpose, challenge, expiresAt }),
+ *     consume(id, purpose) -> row | null (removes it; null if unknown, for another purpose or expired), deleteExpired()
+ *   personalAccessTokens (token_hash is the SHA-256 of the secret; scopes is a comma-separated string)
+ *     create({ userId, name, tokenHash, tokenPrefix, scopes, expiresAt }) -> id,
+ *     findByHash(tokenHash) -> row | null (also revoked and expired ones),
+ *     listForUser(userId) -> unrevoked rows, including expired ones   newest first,
+ *     touch(id, { ip }), revoke(userId, id) -> boolean (false if unknown or already revoked), revokeAllForUser(userId)
+ *   oauthClients (client_secret_hash is the SHA-256 of the secret, null for public clients;
+ *   redirect_uris is newline-separated, scopes comma-separated)
+ *     create({ clientId, name, clientSecretHash, redirectUris, scopes, createdBy }) -> id,
+ *     findByClientId(clientId) -> row | null, list() -> rows   oldest first,
+ *     delete(id) -> boolean (also deletes the client's pending codes)
+ *   oauthCodes (code_hash is the SHA-256 of the authorization code)
+ *     create({ codeHash, clientId, userId, redirectUri, scopes, nonce, codeChallenge, expiresAt }),
+ *     consume(codeHash) -> row | null (removes it; null if unknown or expired), deleteExpired()
+ *   organizations
+ *     create({ name, createdBy }) -> id, findById(id) -> row | null,
+ *     listForUser(userId) -> rows with the user's `role`   by name,
+ *     delete(id) -> boolean (also deletes its memberships and invitations)
+ *   organizationMembers (role is 'owner', 'admin' or 'member')
+ *     add({ organizationId, userId, role }) (ER_DUP_ENTRY if already a member), find(organizationId, userId) -> row | null,
+ *     list(organizationId) -> rows with the user's email, name, username and image   oldest first,
+ *     setRole(organizationId, userId, role) -> boolean, remove(organizationId, userId) -> boolean
+ *   organizationInvitations (token_hash is the SHA-256 of the token; pending = not accepted, declined or cancelled)
+ *     create({ organizationId, email, role, tokenHash, invitedBy, userId, expiresAt }) -> id,
+ *     findById(id), findByHash(tokenHash) -> row | null (in any state, expired too),
+ *     listPending(organizationId), listPendingForUser(userId) -> unexpired pending rows   newest first,
+ *     cancelPending(organizationId, email), attachToUser(email, userId) -> number (pending rows for the email it attached),
+ *     accept(id), decline(id), cancel(id) -> boolean (false unless pending)
+ *   identities
+ *     findByProvider(provider, providerUserId) -> row | null, listForUser(userId) -> rows,
+ *     create({ userId, provider, providerUserId, email }), delete(userId, provider) -> boolean
+ *   roles
+ *     list() -> [{ name, description, permissions }], listForUser(userId) -> role names,
+ *     permissionsForUser(userId) -> permission names, assign(userId, role) -> boolean (false if no such role),
+ *     revoke(userId, role) -> boolean, countUsers(role) -> number
+ *   authEvents (append-only: no update or delete)
+ *     record({ type, outcome, userId?, actorId?, email?, ip?, userAgent?, detail? }),
+ *     listForUser(userId) -> rows   oldest first,
+ *     search({ userId?, types?, outcome?, email?, ip?, from?, before?, limit, offset }) -> { events, total }   newest first
+ *   rateLimits
+ *     the counter store interface from services/rateLimitStore (hit, get, reset)
+ *
+ * Rows use the database column names (e.g. `email_verified`, `resetToken`). Unique-key
+ * violations are thrown as errors with `code === 'ER_DUP_ENTRY'`, like mysql2 does.
+ */
+const createMysqlRepository = require('./mysqlRepository');
+const createMemoryRepository = require('./memoryRepository');
+const { USER_UPDATABLE_FIELDS } = require('./fields');
+
+module.exports = { createMysqlRepository, createMemoryRepository, USER_UPDATABLE_FIELDS };
@@ -0,0 +1,818 @@
+const { assertUpdatableUserFields } = require('./fields');
+const { createMemoryStore } = require('../services/rateLimitStore');
+const { PERMISSIONS, BUILT_IN_ROLES } = require('../services/permissions');
+
+/**
+ * In-memory implementation of the repository interface (see ./index.js).
+ * Behaves like the MySQL one, including case-insensitive email/username matching
+ * (utf8mb4_general_ci) and ER_DUP_ENTRY errors, so the app can be tested without a database.
+ * Returned rows are copies; changing them doesn't change what's stored.
+ */
+function createMemoryRepository() {
+    const tables = {
+        users: [],
+        refresh_tokens: [],
+        sessions: [],
+        revoked_tokens: [],
+        recovery_codes: [],
+        email_verification_tokens: [],
+        email_changes: [],
+        passkeys: [],
+        webauthn_challenges: [],
+        personal_access_tokens: [],
+        oauth_clients: [],
+        oauth_authorization_codes: [],
+        organizations: [],
+        organization_members: [],
+        organization_invitations: [],
+        user_identities: [],
+        roles: [],
+        permissions: [],
+        role_permissions: [],
+        user_roles: [],
+        auth_events: [],
+    };
+    const nextIds = {};
+
+    const insert = (table, row) => {
+        nextIds[table] = (nextIds[table] || 0) + 1;
+        const stored = { id: nextIds[table], ...row };
+        tables[table].push(stored);
+        return stored;
+    };
+    const copy = (row) => (row ? { ...row } : null);
+    const sameText = (a, b) => a != null && b != null && String(a).toLowerCase() === String(b).toLowerCase();
+    const isFuture = (date) => date != null && new Date(date).getTime() > Date.now();
+
+    const duplicateEntry = (key) => {
+        const error = new Error(`Duplicate entry for key '${key}'`);
+        error.code = 'ER_DUP_ENTRY';
+        return error;
+    };
+    const findUser = (id) => tables.users.find((user) => user.id === Number(id));
+
+    // The same roles and permissions migration 0008_create_roles seeds.
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+        insert('permissions', { name, description });
+    }
+    for (const [name, { description, permissions }] of Object.entries(BUILT_IN_ROLES)) {
+        const role = insert('roles', { name, description });
+        for (const permission of permissions) {
+            tables.role_permissions.push({ role_id: role.id, permission_id: tables.permissions.find((row) => row.name === permission).id });
+        }
+    }
+    const findRole = (name) => tables.roles.find((role) => role.name === name);
+    const roleIdsFor = (userId) => tables.user_roles.filter((row) => row.user_id === userId).map((row) => row.role_id);
+
+    const users = {
+        findById: async (id) => copy(findUser(id)),
+
+        findByEmail: async (email) => copy(tables.users.find((user) => sameText(user.email, email))),
+
+        findByValidResetToken: async (tokenHash) =>
+            copy(tables.users.find((user) => user.resetToken === tokenHash && isFuture(user.resetTokenExpiry))),
+
+        async claimMagicLinkToken(tokenHash) {
+            const user = tables.users.find((row) => row.magicLinkToken === tokenHash && isFuture(row.magicLinkTokenExpiry));
+            if (!user) return null;
+            user.magicLinkToken = null;
+            user.magicLinkTokenExpiry = null;
+            return copy(user);
+        },
+
+        findDueForDeletion: async (now) => tables.users
+            .filter((user) => user.delete_after && new Date(user.delete_after) <= now)
+            .map(copy),
+
+        isUsernameTaken: async (username, exceptUserId) =>
+            tables.users.some((user) => sameText(user.username, username) && user.id !== Number(exceptUserId)),
+
+        async create({ email, password, name = null, onboarded = 0, emailVerified = false }) {
+            if (tables.users.some((user) => sameText(user.email, email))) {
+                throw duplicateEntry('email');
+            }
+            const user = insert('users', {
+                email,
+                password,
+                name,
+                username: null,
+                onboarded,
+                image: null,
+                resetToken: null,
+                resetTokenExpiry: null,
+                magicLinkToken: null,
+                magicLinkTokenExpiry: null,
+                token_version: 0,
+                totp_secret: null,
+                totp_enabled: 0,
+                totp_last_step: null,
+                email_verified: emailVerified ? 1 : 0,
+                email_verified_at: emailVerified ? new Date() : null,
+                disabled_at: null,
+                delete_after: null,
+                created_at: new Date(),
+            });
+            return copy(user);
+        },
+
+        async search({ query, onboarded, provider, status, createdFrom, createdBefore, limit, offset }) {
+            const providersOf = (userId) => tables.user_identities
+                .filter((row) => row.user_id === userId)
+                .map((row) => row.provider)
+                .sort();
+            const contains = (value) => value != null && String(value).toLowerCase().includes(query.toLowerCase());
+
+            const matches = tables.users.filter((user) =>
+                (!query || contains(user.email) || contains(user.name) || contains(user.username))
+                && (onboarded === undefined || user.onboarded === (onboarded ? 1 : 0))
+                && (!provider || (provider === 'password' ? user.password != null : providersOf(user.id).includes(provider)))
+                && (!status || (status === 'disabled') === (user.disabled_at != null))
+                && (!createdFrom || user.created_at >= createdFrom)
+                && (!createdBefore || user.created_at < createdBefore)
+            );
+            matches.sort((a, b) => b.created_at - a.created_at || b.id - a.id);
+
+            return {
+                users: matches.slice(offset, offset + limit).map((user) => ({ ...user, providers: providersOf(user.id) })),
+                total: matches.length,
+            };
+        },
+
+        async delete(id) {
+            const user = findUser(id);
+            if (!user) return false;
+            // Like ON DELETE CASCADE in MySQL.
+            tables.users = tables.users.filter((row) => row !== user);
+            for (const table of ['refresh_tokens', 'sessions', 'recovery_codes', 'email_verification_tokens', 'email_changes', 'passkeys', 'webauthn_challenges', 'personal_access_tokens', 'oauth_authorization_codes', 'organization_members', 'organization_invitations', 'user_identities', 'user_roles']) {
+                tables[table] = tables[table].filter((row) => row.user_id !== user.id);
+            }
+            // Like ON DELETE SET NULL.
+            for (const client of tables.oauth_clients.filter((row) => row.created_by === user.id)) {
+                client.created_by = null;
+            }
+            for (const organization of tables.organizations.filter((row) => row.created_by === user.id)) {
+                organization.created_by = null;
+            }
+            for (const invitation of tables.organization_invitations.filter((row) => row.invited_by === user.id)) {
+                invitation.invited_by = null;
+            }
+            return true;
+        },
+
+        async update(id, fields) {
+            assertUpdatableUserFields(fields);
+            const user = findUser(id);
+            if (!user) return;
+            if (fields.username != null && tables.users.some((other) => other.id !== user.id && sameText(other.username, fields.username))) {
+                throw duplicateEntry('username');
+            }
+            Object.assign(user, fields);
+        },
+
+        async markEmailVerified(id) {
+            const user = findUser(id);
+            if (!user) return;
+            user.email_verified = 1;
+            user.email_verified_at = user.email_verified_at || new Date();
+        },
+
+        async changeEmail(id, email) {
+            const user = findUser(id);
+            if (!user) return;
+            if (tables.users.some((other) => other.id !== user.id && sameText(other.email, email))) {
+                throw duplicateEntry('email');
+            }
+            user.email = email;
+            user.email_verified = 1;
+            user.email_verified_at = new Date();
+            user.resetToken = null;
+            user.resetTokenExpiry = null;
+            user.magicLinkToken = null;
+            user.magicLinkTokenExpiry = null;
+        },
+
+        async incrementTokenVersion(id) {
+            const user = findUser(id);
+            if (user) user.token_version += 1;
+        },
+
+        async claimTotpStep(id, step) {
+            const user = findUser(id);
+            if (!user || (user.totp_last_step !== null && user.totp_last_step >= step)) return false;
+            user.totp_last_step = step;
+            return true;
+        },
+    };
+
+    const refreshTokens = {
+        async create({ userId, tokenHash, familyId, expiresAt }) {
+            return insert('refresh_tokens', {
+                user_id: userId,
+                token_hash: tokenHash,
+                family_id: familyId,
+                expires_at: expiresAt,
+                revoked_at: null,
+                replaced_by: null,
+                created_at: new Date(),
+            }).id;
+        },
+
+        findByHash: async (tokenHash) => copy(tables.refresh_tokens.find((row) => row.token_hash === tokenHash)),
+
+        async claim(id) {
+            const row = tables.refresh_tokens.find((token) => token.id === id);
+            if (!row || row.revoked_at) return false;
+            row.revoked_at = new Date();
+            return true;
+        },
+
+        async setReplacedBy(id, nextId) {
+            const row = tables.refresh_tokens.find((token) => token.id === id);
+            if (row) row.replaced_by = nextId;
+        },
+
+        async revokeFamily(familyId) {
+            for (const row of tables.refresh_tokens) {
+                if (row.family_id === familyId && !row.revoked_at) row.revoked_at = new Date();
+            }
+        },
+
+        async revokeAllForUser(userId, { exceptFamilyId } = {}) {
+            for (const row of tables.refresh_tokens) {
+                if (row.user_id === userId && row.family_id !== exceptFamilyId && !row.revoked_at) {
+                    row.revoked_at = new Date();
+                }
+            }
+        },
+    };
+
+    const sessions = {
+        async create({ id, userId, device = null, userAgent = null, ip = null }) {
+            if (tables.sessions.some((row) => row.id === id)) throw duplicateEntry('PRIMARY');
+            const now = new Date();
+            tables.sessions.push({ id, user_id: userId, device, user_agent: userAgent, ip, created_at: now, last_seen_at: now, revoked_at: null });
+        },
+
+        findById: async (id) => copy(tables.sessions.find((row) => row.id === id)),
+
+        listForUser: async (userId) => tables.sessions
+            .filter((row) => row.user_id === userId)
+            .sort((a, b) => a.created_at - b.created_at)
+            .map(copy),
+
+        listActiveForUser: async (userId) => tables.sessions
+            .filter((row) => row.user_id === userId && !row.revoked_at)
+            .sort((a, b) => b.last_seen_at - a.last_seen_at)
+            .map(copy),
+
+        async touch(id, { ip } = {}) {
+            const row = tables.sessions.find((session) => session.id === id);
+            if (!row) return;
+            row.last_seen_at = new Date();
+            if (ip) row.ip = ip;
+        },
+
+        async revoke(id) {
+            const row = tables.sessions.find((session) => session.id === id);
+            if (!row || row.revoked_at) return false;
+            row.revoked_at = new Date();
+            return true;
+        },
+
+        async revokeAllForUser(userId, { exceptId } = {}) {
+            for (const row of tables.sessions) {
+                if (row.user_id === userId && row.id !== exceptId && !row.revoked_at) row.revoked_at = new Date();
+            }
+        },
+    };
+
+    const revokedTokens = {
+        async add({ jti, userId, expiresAt }) {
+            if (!tables.revoked_tokens.some((row) => row.jti === jti)) {
+                tables.revoked_tokens.push({ jti, user_id: userId, expires_at: expiresAt });
+            }
+        },
+
+        isRevoked: async (jti) => tables.revoked_tokens.some((row) => row.jti === jti),
+
+        async deleteExpired() {
+            tables.revoked_tokens = tables.revoked_tokens.filter((row) => isFuture(row.expires_at));
+        },
+    };
+
+    const recoveryCodes = {
+        async replaceAll(userId, codeHashes) {
+            tables.recovery_codes = tables.recovery_codes.filter((row) => row.user_id !== userId);
+            for (const codeHash of codeHashes) {
+                insert('recovery_codes', { user_id: userId, code_hash: codeHash, used_at: null, created_at: new Date() });
+            }
+        },
+
+        async consume(userId, codeHash) {
+            const row = tables.recovery_codes.find((code) => code.user_id === userId && code.code_hash === codeHash && !code.used_at);
+            if (!row) return false;
+            row.used_at = new Date();
+            return true;
+        },
+
+        async status(userId) {
+            const codes = tables.recovery_codes.filter((row) => row.user_id === userId);
+            return { total: codes.length, remaining: codes.filter((row) => !row.used_at).length };
+        },
+
+        async deleteAll(userId) {
+            tables.recovery_codes = tables.recovery_codes.filter((row) => row.user_id !== userId);
+        },
+    };
+
+    const emailVerificationTokens = {
+        async deleteUnused(userId) {
+            tables.email_verification_tokens = tables.email_verification_tokens.filter(
+                (row) => row.user_id !== userId || row.used_at
+            );
+        },
+
+        async create({ userId, tokenHash, expiresAt }) {
+            insert('email_verification_tokens', {
+                user_id: userId,
+                token_hash: tokenHash,
+                expires_at: expiresAt,
+                used_at: null,
+                created_at: new Date(),
+            });
+        },
+
+        findValidByHash: async (tokenHash) => copy(tables.email_verification_tokens.find(
+            (row) => row.token_hash === tokenHash && !row.used_at && isFuture(row.expires_at)
+        )),
+
+        async claim(id) {
+            const row = tables.email_verification_tokens.find((token) => token.id === id);
+            if (!row || row.used_at) return false;
+            row.used_at = new Date();
+            return true;
+        },
+    };
+
+    const emailChanges = {
+        async create({ userId, oldEmail, newEmail, tokenHash, cancelTokenHash, expiresAt }) {
+            insert('email_changes', {
+                user_id: userId,
+                old_email: oldEmail,
+                new_email: newEmail,
+                token_hash: tokenHash,
+                cancel_token_hash: cancelTokenHash,
+                expires_at: expiresAt,
+                created_at: new Date(),
+                confirmed_at: null,
+                cancelled_at: null,
+            });
+        },
+
+        async cancelPending(userId) {
+            for (const row of tables.email_changes) {
+                if (row.user_id === userId && !row.confirmed_at && !row.cancelled_at) row.cancelled_at = new Date();
+            }
+        },
+
+        findPendingForUser: async (userId) => copy(tables.email_changes
+            .filter((row) => row.user_id === userId && !row.confirmed_at && !row.cancelled_at && isFuture(row.expires_at))
+            .sort((a, b) => b.id - a.id)[0]),
+
+        findValidByHash: async (tokenHash) => copy(tables.email_changes.find(
+            (row) => row.token_hash === tokenHash && !row.confirmed_at && !row.cancelled_at && isFuture(row.expires_at)
+        )),
+
+        findByCancelHash: async (cancelTokenHash) => copy(tables.email_changes.find((row) => row.cancel_token_hash === cancelTokenHash)),
+
+        async confirm(id) {
+            const row = tables.email_changes.find((change) => change.id === id);
+            if (!row || row.confirmed_at || row.cancelled_at) return false;
+            row.confirmed_at = new Date();
+            return true;
+        },
+
+        async cancel(id) {
+            const row = tables.email_changes.find((change) => change.id === id);
+            if (!row || row.cancelled_at) return false;
+            row.cancelled_at = new Date();
+            return true;
+        },
+    };
+
+    const passkeys = {
+        async create({ userId, credentialId, publicKey, signCount, transports, name, deviceType, backedUp }) {
+            if (tables.passkeys.some((row) => row.credential_id === credentialId)) {
+                throw duplicateEntry('credential_id');
+            }
+            return insert('passkeys', {
+                user_id: userId,
+                credential_id: credentialId,
+                public_key: Buffer.from(publicKey),
+                sign_count: signCount,
+                transports,
+                name,
+                device_type: deviceType,
+                backed_up: backedUp ? 1 : 0,
+                created_at: new Date(),
+                last_used_at: null,
+            }).id;
+        },
+
+        findByCredentialId: async (credentialId) => copy(tables.passkeys.find((row) => row.credential_id === credentialId)),
+
+        listForUser: async (userId) => tables.passkeys.filter((row) => row.user_id === userId).map(copy),
+
+        async recordUse(id, { signCount, backedUp }) {
+            const row = tables.passkeys.find((passkey) => passkey.id === id);
+            if (!row) return;
+            row.sign_count = signCount;
+            row.backed_up = backedUp ? 1 : 0;
+            row.last_used_at = new Date();
+        },
+
+        async delete(userId, id) {
+            const before = tables.passkeys.length;
+            tables.passkeys = tables.passkeys.filter((row) => row.id !== Number(id) || row.user_id !== userId);
+            return tables.passkeys.length < before;
+        },
+    };
+
+    const personalAccessTokens = {
+        async create({ userId, name, tokenHash, tokenPrefix, scopes, expiresAt }) {
+            if (tables.personal_access_tokens.some((row) => row.token_hash === tokenHash)) {
+                throw duplicateEntry('token_hash');
+            }
+            return insert('personal_access_tokens', {
+                user_id: userId,
+                name,
+                token_hash: tokenHash,
+                token_prefix: tokenPrefix,
+                scopes,
+                expires_at: expiresAt,
+                last_used_at: null,
+                last_used_ip: null,
+                created_at: new Date(),
+                revoked_at: null,
+            }).id;
+        },
+
+        findByHash: async (tokenHash) => copy(tables.personal_access_tokens.find((row) => row.token_hash === tokenHash)),
+
+        listForUser: async (userId) => tables.personal_access_tokens
+            .filter((row) => row.user_id === userId && !row.revoked_at)
+            .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+            .map(copy),
+
+        async touch(id, { ip } = {}) {
+            const row = tables.personal_access_tokens.find((token) => token.id === id);
+            if (!row) return;
+            row.last_used_at = new Date();
+            row.last_used_ip = ip || null;
+        },
+
+        async revoke(userId, id) {
+            const row = tables.personal_access_tokens.find((token) => token.id === Number(id) && token.user_id === userId);
+            if (!row || row.revoked_at) return false;
+            row.revoked_at = new Date();
+            return true;
+        },
+
+        async revokeAllForUser(userId) {
+            const now = new Date();
+            for (const row of tables.personal_access_tokens) {
+                if (row.user_id === userId && !row.revoked_at) row.revoked_at = now;
+            }
+        },
+    };
+
+    const oauthClients = {
+        async create({ clientId, name, clientSecretHash, redirectUris, scopes, createdBy }) {
+            if (tables.oauth_clients.some((row) => row.client_id === clientId)) {
+                throw duplicateEntry('client_id');
+            }
+            return insert('oauth_clients', {
+                client_id: clientId,
+                name,
+                client_secret_hash: clientSecretHash,
+                redirect_uris: redirectUris,
+                scopes,
+                created_by: createdBy,
+                created_at: new Date(),
+            }).id;
+        },
+
+        findByClientId: async (clientId) => copy(tables.oauth_clients.find((row) => row.client_id === clientId)),
+
+        list: async () => tables.oauth_clients.map(copy),
+
+        async delete(id) {
+            const client = tables.oauth_clients.find((row) => row.id === Number(id));
+            if (!client) return false;
+            tables.oauth_clients = tables.oauth_clients.filter((row) => row !== client);
+            tables.oauth_authorization_codes = tables.oauth_authorization_codes.filter((row) => row.client_id !== client.client_id);
+            return true;
+        },
+    };
+
+    const oauthCodes = {
+        async create({ codeHash, clientId, userId, redirectUri, scopes, nonce, codeChallenge, expiresAt }) {
+            insert('oauth_authorization_codes', {
+                code_hash: codeHash,
+                client_id: clientId,
+                user_id: userId,
+                redirect_uri: redirectUri,
+                scopes,
+                nonce,
+                code_challenge: codeChallenge,
+                expires_at: expiresAt,
+                created_at: new Date(),
+            });
+        },
+
+        async consume(codeHash) {
+            const row = tables.oauth_authorization_codes.find((code) => code.code_hash === codeHash);
+            if (!row) return null;
+            tables.oauth_authorization_codes = tables.oauth_authorization_codes.filter((code) => code !== row);
+            return isFuture(row.expires_at) ? copy(row) : null;
+        },
+
+        async deleteExpired() {
+            tables.oauth_authorization_codes = tables.oauth_authorization_codes.filter((code) => isFuture(code.expires_at));
+        },
+    };
+
+    const webauthnChallenges = {
+        async create({ id, userId = null, purpose, challenge, expiresAt }) {
+            tables.webauthn_challenges.push({ id, user_id: userId, purpose, challenge, expires_at: expiresAt, created_at: new Date() });
+        },
+
+        async consume(id, purpose) {
+            const row = tables.webauthn_challenges.find((challenge) => challenge.id === id && challenge.purpose === purpose);
+            if (!row) return null;
+            tables.webauthn_challenges = tables.webauthn_challenges.filter((challenge) => challenge !== row);
+            return isFuture(row.expires_at) ? copy(row) : null;
+        },
+
+        async deleteExpired() {
+            tables.webauthn_challenges = tables.webauthn_challenges.filter((row) => isFuture(row.expires_at));
+        },
+    };
+
+    const isPendingInvitation = (row) => !row.accepted_at && !row.declined_at && !row.cancelled_at;
+    const findInvitation = (id) => tables.organization_invitations.find((row) => row.id === Number(id));
+    const newestFirst = (a, b) => b.created_at - a.created_at || b.id - a.id;
+
+    const organizations = {
+        async create({ name, createdBy }) {
+            return insert('organizations', { name, created_by: createdBy, created_at: new Date() }).id;
+        },
+
+        findById: async (id) => copy(tables.organizations.find((row) => row.id === Number(id))),
+
+        listForUser: async (userId) => tables.organization_members
+            .filter((member) => member.user_id === userId)
+            .map((member) => ({ ...tables.organizations.find((row) => row.id === member.organization_id), role: member.role }))
+            .sort((a, b) => a.name.localeCompare(b.name) || a.id - b.id),
+
+        async delete(id) {
+            const organization = tables.organizations.find((row) => row.id === Number(id));
+            if (!organization) return false;
+            // Like ON DELETE CASCADE in MySQL.
+            tables.organizations = tables.organizations.filter((row) => row !== organization);
+            for (const table of ['organization_members', 'organization_invitations']) {
+                tables[table] = tables[table].filter((row) => row.organization_id !== organization.id);
+            }
+            return true;
+        },
+    };
+
+    const organizationMembers = {
+        async add({ organizationId, userId, role }) {
+            if (tables.organization_members.some((row) => row.organization_id === organizationId && row.user_id === userId)) {
+                throw duplicateEntry('PRIMARY');
+            }
+            tables.organization_members.push({ organization_id: organizationId, user_id: userId, role, created_at: new Date() });
+        },
+
+        find: async (organizationId, userId) => copy(tables.organization_members.find(
+            (row) => row.organization_id === Number(organizationId) && row.user_id === Number(userId)
+        )),
+
+        list: async (organizationId) => tables.organization_members
+            .filter((row) => row.organization_id === Number(organizationId))
+            .map((row) => {
+                const user = findUser(row.user_id);
+                return { ...row, email: user.email, name: user.name, username: user.username, image: user.image };
+            }),
+
+        async setRole(organizationId, userId, role) {
+            const row = tables.organization_members.find((member) => member.organization_id === Number(organizationId) && member.user_id === Number(userId));
+            if (!row) return false;
+            row.role = role;
+            return true;
+        },
+
+        async remove(organizationId, userId) {
+            const before = tables.organization_members.length;
+            tables.organization_members = tables.organization_members.filter(
+                (row) => row.organization_id !== Number(organizationId) || row.user_id !== Number(userId)
+            );
+            return tables.organization_members.length < before;
+        },
+    };
+
+    const organizationInvitations = {
+        async create({ organizationId, email, role, tokenHash, invitedBy, userId = null, expiresAt }) {
+            if (tables.organization_invitations.some((row) => row.token_hash === tokenHash)) {
+                throw duplicateEntry('token_hash');
+            }
+            return insert('organization_invitations', {
+                organization_id: organizationId,
+                email,
+                role,
+                token_hash: tokenHash,
+                invited_by: invitedBy,
+                user_id: userId,
+                expires_at: expiresAt,
+                created_at: new Date(),
+                accepted_at: null,
+                declined_at: null,
+                cancelled_at: null,
+            }).id;
+        },
+
+        findById: async (id) => copy(findInvitation(id)),
+
+        findByHash: async (tokenHash) => copy(tables.organization_invitations.find((row) => row.token_hash === tokenHash)),
+
+        listPending: async (organizationId) => tables.organization_invitations
+            .filter((row) => row.organization_id === Number(organizationId) && isPendingInvitation(row) && isFuture(row.expires_at))
+            .sort(newestFirst)
+            .map(copy),
+
+        listPendingForUser: async (userId) => tables.organization_invitations
+            .filter((row) => row.user_id === userId && isPendingInvitation(row) && isFuture(row.expires_at))
+            .sort(newestFirst)
+            .map(copy),
+
+        async cancelPending(organizationId, email) {
+            for (const row of tables.organization_invitations) {
+                if (row.organization_id === organizationId && sameText(row.email, email) && isPendingInvitation(row)) row.cancelled_at = new Date();
+            }
+        },
+
+        async attachToUser(email, userId) {
+            const rows = tables.organization_invitations.filter(
+                (row) => sameText(row.email, email) && row.user_id == null && isPendingInvitation(row) && isFuture(row.expires_at)
+            );
+            for (const row of rows) row.user_id = userId;
+            return rows.length;
+        },
+
+        async accept(id) {
+            const row = findInvitation(id);
+            if (!row || !isPendingInvitation(row)) return false;
+            row.accepted_at = new Date();
+            return true;
+        },
+
+        async decline(id) {
+            const row = findInvitation(id);
+            if (!row || !isPendingInvitation(row)) return false;
+            row.declined_at = new Date();
+            return true;
+        },
+
+        async cancel(id) {
+            const row = findInvitation(id);
+            if (!row || !isPendingInvitation(row)) return false;
+            row.cancelled_at = new Date();
+            return true;
+        },
+    };
+
+    const identities = {
+        findByProvider: async (provider, providerUserId) => copy(tables.user_identities.find(
+            (row) => row.provider === provider && row.provider_user_id === providerUserId
+        )),
+
+        listForUser: async (userId) => tables.user_identities.filter((row) => row.user_id === userId).map(copy),
+
+        async create({ userId, provider, providerUserId, email = null }) {
+            if (tables.user_identities.some((row) => row.provider === provider && row.provider_user_id === providerUserId)) {
+                throw duplicateEntry('provider_user');
+            }
+            if (tables.user_identities.some((row) => row.user_id === userId && row.provider === provider)) {
+                throw duplicateEntry('user_provider');
+            }
+            insert('user_identities', { user_id: userId, provider, provider_user_id: providerUserId, email, created_at: new Date() });
+        },
+
+        async delete(userId, provider) {
+            const before = tables.user_identities.length;
+            tables.user_identities = tables.user_identities.filter((row) => row.user_id !== userId || row.provider !== provider);
+            return tables.user_identities.length < before;
+        },
+    };
+
+    const roles = {
+        list: async () => tables.roles.map((role) => ({
+            name: role.name,
+            description: role.description,
+            permissions: tables.role_permissions
+                .filter((row) => row.role_id === role.id)
+                .map((row) => tables.permissions.find((permission) => permission.id === row.permission_id).name)
+                .sort(),
+        })),
+
+        listForUser: async (userId) => tables.roles
+            .filter((role) => roleIdsFor(userId).includes(role.id))
+            .map((role) => role.name),
+
+        async permissionsForUser(userId) {
+            const roleIds = roleIdsFor(userId);
+            const permissionIds = new Set(tables.role_permissions.filter((row) => roleIds.includes(row.role_id)).map((row) => row.permission_id));
+            return tables.permissions.filter((permission) => permissionIds.has(permission.id)).map((permission) => permission.name).sort();
+        },
+
+        async assign(userId, name) {
+            const role = findRole(name);
+            if (!role) return false;
+            if (!roleIdsFor(userId).includes(role.id)) {
+                tables.user_roles.push({ user_id: userId, role_id: role.id, created_at: new Date() });
+            }
+            return true;
+        },
+
+        async revoke(userId, name) {
+            const role = findRole(name);
+            const before = tables.user_roles.length;
+            tables.user_roles = tables.user_roles.filter((row) => !role || row.user_id !== userId || row.role_id !== role.id);
+            return tables.user_roles.length < before;
+        },
+
+        async countUsers(name) {
+            const role = findRole(name);
+            return role ? tables.user_roles.filter((row) => row.role_id === role.id).length : 0;
+        },
+    };
+
+    const authEvents = {
+        async record({ type, outcome, userId = null, actorId = null, email = null, ip = null, userAgent = null, detail = null }) {
+            insert('auth_events', {
+                event_type: type,
+                outcome,
+                user_id: userId,
+                actor_id: actorId,
+                email,
+                ip,
+                user_agent: userAgent,
+                detail,
+                created_at: new Date(),
+            });
+        },
+
+        listForUser: async (userId) => tables.auth_events.filter((row) => row.user_id === userId).map(copy),
+
+        async search({ userId, types, outcome, email, ip, from, before, limit, offset }) {
+            const matches = tables.auth_events.filter((row) =>
+                (userId === undefined || row.user_id === userId)
+                && (!types || types.length === 0 || types.includes(row.event_type))
+                && (!outcome || row.outcome === outcome)
+                && (!email || sameText(row.email, email))
+                && (!ip || row.ip === ip)
+                && (!from || row.created_at >= from)
+                && (!before || row.created_at < before)
+            );
+            matches.sort((a, b) => b.created_at - a.created_at || b.id - a.id);
+            return { events: matches.slice(offset, offset + limit).map(copy), total: matches.length };
+        },
+    };
+
+    return {
+        users,
+        refreshTokens,
+        sessions,
+        revokedTokens,
+        recoveryCodes,
+        emailVerificationTokens,
+        emailChanges,
+        passkeys,
+        webauthnChallenges,
+        personalAccessTokens,
+        oauthClients,
+        oauthCodes,
+        organizations,
+        organizationMembers,
+        organizationInvitations,
+        identities,
+        roles,
+        authEvents,
+        rateLimits: createMemoryStore(),
+        // Raw tables, for test assertions only.
+        tables,
+    };
+}
+
+module.exports = createMemoryRepository;
@@ -0,0 +1,790 @@
+const { assertUpdatableUserFields } = require('./fields');
+
+/**
+ * MySQL implementation of the repository interface (see ./index.js).
+ * @param {object} pool - A mysql2/promise pool (see config/db.js).
+ */
+function createMysqlRepository(pool) {
+    const first = async (sql, params) => {
+        const [rows] = await pool.query(sql, params);
+        return rows[0] || null;
+    };
+
+    const users = {
+        findById: (id) => first('SELECT * FROM users WHERE id = ?', [id]),
+
+        findByEmail: (email) => first('SELECT * FROM users WHERE email = ?', [email]),
+
+        findByValidResetToken: (tokenHash) =>
+            first('SELECT * FROM users WHERE resetToken = ? AND resetTokenExpiry > NOW()', [tokenHash]),
+
+        async claimMagicLinkToken(tokenHash) {
+            const user = await first('SELECT * FROM users WHERE magicLinkToken = ? AND magicLinkTokenExpiry > NOW()', [tokenHash]);
+            if (!user) return null;
+            // Only one request can clear the token, so a link signs in once even if it is opened twice at the same time.
+            const [result] = await pool.query(
+                'UPDATE users SET magicLinkToken = NULL, magicLinkTokenExpiry = NULL WHERE id = ? AND magicLinkToken = ?',
+                [user.id, tokenHash]
+            );
+            if (result.affectedRows === 0) return null;
+            return { ...user, magicLinkToken: null, magicLinkTokenExpiry: null };
+        },
+
+        async findDueForDeletion(now) {
+            const [rows] = await pool.query('SELECT * FROM users WHERE delete_after <= ?', [now]);
+            return rows;
+        },
+
+        async isUsernameTaken(username, exceptUserId) {
+            return Boolean(await first('SELECT id FROM users WHERE username = ? AND id != ?', [username, exceptUserId]));
+        },
+
+        async create({ email, password, name = null, onboarded = 0, emailVerified = false }) {
+            const [result] = await pool.query(
+                'INSERT INTO users (email, password, name, onboarded, email_verified, email_verified_at) VALUES (?, ?, ?, ?, ?, ?)',
+                [email, password, name, onboarded, emailVerified ? 1 : 0, emailVerified ? new Date() : null]
+            );
+            return users.findById(result.insertId);
+        },
+
+        async search({ query, onboarded, provider, status, createdFrom, createdBefore, limit, offset }) {
+            const where = [];
+            const params = [];
+            if (query) {
+                // Escape LIKE wildcards so a search for "a_b" matches literally.
+                const like = `%${query.replace(/[\\%_]/g, '\\$&')}%`;
+                where.push('(email LIKE ? OR name LIKE ? OR username LIKE ?)');
+                params.push(like, like, like);
+            }
+            if (onboarded !== undefined) {
+                where.push('onboarded = ?');
+                params.push(onboarded ? 1 : 0);
+            }
+            if (provider === 'password') {
+                where.push('password IS NOT NULL');
+            } else if (provider) {
+                where.push('EXISTS (SELECT 1 FROM user_identities i WHERE i.user_id = users.id AND i.provider = ?)');
+                params.push(provider);
+            }
+            if (status) {
+                where.push(status === 'disabled' ? 'disabled_at IS NOT NULL' : 'disabled_at IS NULL');
+            }
+            if (createdFrom) {
+                where.push('created_at >= ?');
+                params.push(createdFrom);
+            }
+            if (createdBefore) {
+                where.push('created_at < ?');
+                params.push(createdBefore);
+            }
+            const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+            const { total } = await first(`SELECT COUNT(*) AS total FROM users ${whereSql}`, params);
+            const [rows] = await pool.query(
+                `SELECT users.*,
+                        (SELECT GROUP_CONCAT(i.provider ORDER BY i.provider) FROM user_identities i WHERE i.user_id = users.id) AS providers
+                 FROM users ${whereSql}
+                 ORDER BY created_at DESC, id DESC
+                 LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+            return {
+                users: rows.map((row) => ({ ...row, providers: row.providers ? row.providers.split(',') : [] })),
+                total: Number(total),
+            };
+        },
+
+        async delete(id) {
+            // Tokens, identities, roles etc. go with it (ON DELETE CASCADE).
+            const [result] = await pool.query('DELETE FROM users WHERE id = ?', [id]);
+            return result.affectedRows > 0;
+        },
+
+        async update(id, fields) {
+            assertUpdatableUserFields(fields);
+            if (Object.keys(fields).length === 0) return;
+            await pool.query('UPDATE users SET ? WHERE id = ?', [fields, id]);
+        },
+
+        async markEmailVerified(id) {
+            await pool.query(
+                'UPDATE users SET email_verified = 1, email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = ?',
+                [id]
+            );
+        },
+
+        async changeEmail(id, email) {
+            // The address was proven by the link that led here, so it counts as verified. Reset and
+            // sign-in links mailed to the previous address stop working.
+            await pool.query(
+                `UPDATE users SET email = ?, email_verified = 1, email_verified_at = NOW(),
+                    resetToken = NULL, resetTokenExpiry = NULL, magicLinkToken = NULL, magicLinkTokenExpiry = NULL
+                 WHERE id = ?`,
+                [email, id]
+            );
+        },
+
+        async incrementTokenVersion(id) {
+            await pool.query('UPDATE users SET token_version = token_version + 1 WHERE id = ?', [id]);
+        },
+
+        async claimTotpStep(id, step) {
+            const [result] = await pool.query(
+                'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)',
+                [step, id, step]
+            );
+            return result.affectedRows > 0;
+        },
+    };
+
+    const refreshTokens = {
+        async create({ userId, tokenHash, familyId, expiresAt }) {
+            const [result] = await pool.query(
+                'INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at) VALUES (?, ?, ?, ?)',
+                [userId, tokenHash, familyId, expiresAt]
+            );
+            return result.insertId;
+        },
+
+        findByHash: (tokenHash) => first('SELECT * FROM refresh_tokens WHERE token_hash = ?', [tokenHash]),
+
+        async claim(id) {
+            const [result] = await pool.query(
+                'UPDATE refresh_tokens SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL',
+                [id]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async setReplacedBy(id, nextId) {
+            await pool.query('UPDATE refresh_tokens SET replaced_by = ? WHERE id = ?', [nextId, id]);
+        },
+
+        async revokeFamily(familyId) {
+            await pool.query(
+                'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+                [familyId]
+            );
+        },
+
+        async revokeAllForUser(userId, { exceptFamilyId } = {}) {
+            if (exceptFamilyId) {
+                await pool.query(
+                    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND family_id != ? AND revoked_at IS NULL',
+                    [userId, exceptFamilyId]
+                );
+            } else {
+                await pool.query('UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL', [userId]);
+            }
+        },
+    };
+
+    const sessions = {
+        async create({ id, userId, device, userAgent, ip }) {
+            await pool.query(
+                'INSERT INTO sessions (id, user_id, device, user_agent, ip) VALUES (?, ?, ?, ?, ?)',
+                [id, userId, device, userAgent, ip]
+            );
+        },
+
+        findById: (id) => first('SELECT * FROM sessions WHERE id = ?', [id]),
+
+        async listForUser(userId) {
+            const [rows] = await pool.query('SELECT * FROM sessions WHERE user_id = ? ORDER BY created_at', [userId]);
+            return rows;
+        },
+
+        async listActiveForUser(userId) {
+            const [rows] = await pool.query(
+                'SELECT * FROM sessions WHERE user_id = ? AND revoked_at IS NULL ORDER BY last_seen_at DESC',
+                [userId]
+            );
+            return rows;
+        },
+
+        async touch(id, { ip } = {}) {
+            if (ip) {
+                await pool.query('UPDATE sessions SET last_seen_at = NOW(), ip = ? WHERE id = ?', [ip, id]);
+            } else {
+                await pool.query('UPDATE sessions SET last_seen_at = NOW() WHERE id = ?', [id]);
+            }
+        },
+
+        async revoke(id) {
+            const [result] = await pool.query('UPDATE sessions SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL', [id]);
+            return result.affectedRows > 0;
+        },
+
+        async revokeAllForUser(userId, { exceptId } = {}) {
+            if (exceptId) {
+                await pool.query(
+                    'UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND id != ? AND revoked_at IS NULL',
+                    [userId, exceptId]
+                );
+            } else {
+                await pool.query('UPDATE sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL', [userId]);
+            }
+        },
+    };
+
+    const revokedTokens = {
+        async add({ jti, userId, expiresAt }) {
+            await pool.query(
+                'INSERT IGNORE INTO revoked_tokens (jti, user_id, expires_at) VALUES (?, ?, ?)',
+                [jti, userId, expiresAt]
+            );
+        },
+
+        async isRevoked(jti) {
+            return Boolean(await first('SELECT jti FROM revoked_tokens WHERE jti = ?', [jti]));
+        },
+
+        async deleteExpired() {
+            await pool.query('DELETE FROM revoked_tokens WHERE expires_at < NOW()');
+        },
+    };
+
+    const recoveryCodes = {
+        async replaceAll(userId, codeHashes) {
+            await pool.query('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+            await pool.query(
+                'INSERT INTO recovery_codes (user_id, code_hash) VALUES ?',
+                [codeHashes.map((codeHash) => [userId, codeHash])]
+            );
+        },
+
+        async consume(userId, codeHash) {
+            const [result] = await pool.query(
+                'UPDATE recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+                [userId, codeHash]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async status(userId) {
+            const row = await first(
+                'SELECT COUNT(*) AS total, SUM(used_at IS NULL) AS remaining FROM recovery_codes WHERE user_id = ?',
+                [userId]
+            );
+            return { total: Number(row.total), remaining: Number(row.remaining || 0) };
+        },
+
+        async deleteAll(userId) {
+            await pool.query('DELETE FROM recovery_codes WHERE user_id = ?', [userId]);
+        },
+    };
+
+    const emailVerificationTokens = {
+        async deleteUnused(userId) {
+            await pool.query('DELETE FROM email_verification_tokens WHERE user_id = ? AND used_at IS NULL', [userId]);
+        },
+
+        async create({ userId, tokenHash, expiresAt }) {
+            await pool.query(
+                'INSERT INTO email_verification_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+                [userId, tokenHash, expiresAt]
+            );
+        },
+
+        findValidByHash: (tokenHash) => first(
+            'SELECT * FROM email_verification_tokens WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()',
+            [tokenHash]
+        ),
+
+        async claim(id) {
+            const [result] = await pool.query(
+                'UPDATE email_verification_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+                [id]
+            );
+            return result.affectedRows > 0;
+        },
+    };
+
+    const emailChanges = {
+        async create({ userId, oldEmail, newEmail, tokenHash, cancelTokenHash, expiresAt }) {
+            await pool.query(
+                `INSERT INTO email_changes (user_id, old_email, new_email, token_hash, cancel_token_hash, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [userId, oldEmail, newEmail, tokenHash, cancelTokenHash, expiresAt]
+            );
+        },
+
+        async cancelPending(userId) {
+            await pool.query(
+                'UPDATE email_changes SET cancelled_at = NOW() WHERE user_id = ? AND confirmed_at IS NULL AND cancelled_at IS NULL',
+                [userId]
+            );
+        },
+
+        findPendingForUser: (userId) => first(
+            `SELECT * FROM email_changes
+             WHERE user_id = ? AND confirmed_at IS NULL AND cancelled_at IS NULL AND expires_at > NOW()
+             ORDER BY id DESC LIMIT 1`,
+            [userId]
+        ),
+
+        findValidByHash: (tokenHash) => first(
+            'SELECT * FROM email_changes WHERE token_hash = ? AND confirmed_at IS NULL AND cancelled_at IS NULL AND expires_at > NOW()',
+            [tokenHash]
+        ),
+
+        findByCancelHash: (cancelTokenHash) => first('SELECT * FROM email_changes WHERE cancel_token_hash = ?', [cancelTokenHash]),
+
+        async confirm(id) {
+            const [result] = await pool.query(
+                'UPDATE email_changes SET confirmed_at = NOW() WHERE id = ? AND confirmed_at IS NULL AND cancelled_at IS NULL',
+                [id]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async cancel(id) {
+            const [result] = await pool.query('UPDATE email_changes SET cancelled_at = NOW() WHERE id = ? AND cancelled_at IS NULL', [id]);
+            return result.affectedRows > 0;
+        },
+    };
+
+    const passkeys = {
+        async create({ userId, credentialId, publicKey, signCount, transports, name, deviceType, backedUp }) {
+            const [result] = await pool.query(
+                `INSERT INTO passkeys (user_id, credential_id, public_key, sign_count, transports, name, device_type, backed_up)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [userId, credentialId, publicKey, signCount, transports, name, deviceType, backedUp ? 1 : 0]
+            );
+            return result.insertId;
+        },
+
+        findByCredentialId: (credentialId) => first('SELECT * FROM passkeys WHERE credential_id = ?', [credentialId]),
+
+        async listForUser(userId) {
+            const [rows] = await pool.query('SELECT * FROM passkeys WHERE user_id = ? ORDER BY created_at, id', [userId]);
+            return rows;
+        },
+
+        async recordUse(id, { signCount, backedUp }) {
+            await pool.query(
+                'UPDATE passkeys SET sign_count = ?, backed_up = ?, last_used_at = NOW() WHERE id = ?',
+                [signCount, backedUp ? 1 : 0, id]
+            );
+        },
+
+        async delete(userId, id) {
+            const [result] = await pool.query('DELETE FROM passkeys WHERE id = ? AND user_id = ?', [id, userId]);
+            return result.affectedRows > 0;
+        },
+    };
+
+    const personalAccessTokens = {
+        async create({ userId, name, tokenHash, tokenPrefix, scopes, expiresAt }) {
+            const [result] = await pool.query(
+                `INSERT INTO personal_access_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [userId, name, tokenHash, tokenPrefix, scopes, expiresAt]
+            );
+            return result.insertId;
+        },
+
+        findByHash: (tokenHash) => first('SELECT * FROM personal_access_tokens WHERE token_hash = ?', [tokenHash]),
+
+        async listForUser(userId) {
+            const [rows] = await pool.query(
+                'SELECT * FROM personal_access_tokens WHERE user_id = ? AND revoked_at IS NULL ORDER BY created_at DESC, id DESC',
+                [userId]
+            );
+            return rows;
+        },
+
+        async touch(id, { ip } = {}) {
+            await pool.query('UPDATE personal_access_tokens SET last_used_at = NOW(), last_used_ip = ? WHERE id = ?', [ip || null, id]);
+        },
+
+        async revoke(userId, id) {
+            const [result] = await pool.query(
+                'UPDATE personal_access_tokens SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+                [id, userId]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async revokeAllForUser(userId) {
+            await pool.query('UPDATE personal_access_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL', [userId]);
+        },
+    };
+
+    const oauthClients = {
+        async create({ clientId, name, clientSecretHash, redirectUris, scopes, createdBy }) {
+            const [result] = await pool.query(
+                `INSERT INTO oauth_clients (client_id, name, client_secret_hash, redirect_uris, scopes, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [clientId, name, clientSecretHash, redirectUris, scopes, createdBy]
+            );
+            return result.insertId;
+        },
+
+        findByClientId: (clientId) => first('SELECT * FROM oauth_clients WHERE client_id = ?', [clientId]),
+
+        async list() {
+            const [rows] = await pool.query('SELECT * FROM oauth_clients ORDER BY created_at, id');
+            return rows;
+        },
+
+        async delete(id) {
+            const [result] = await pool.query('DELETE FROM oauth_clients WHERE id = ?', [id]);
+            return result.affectedRows > 0;
+        },
+    };
+
+    const oauthCodes = {
+        async create({ codeHash, clientId, userId, redirectUri, scopes, nonce, codeChallenge, expiresAt }) {
+            await pool.query(
+                `INSERT INTO oauth_authorization_codes (code_hash, client_id, user_id, redirect_uri, scopes, nonce, code_challenge, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [codeHash, clientId, userId, redirectUri, scopes, nonce, codeChallenge, expiresAt]
+            );
+        },
+
+        async consume(codeHash) {
+            const row = await first('SELECT * FROM oauth_authorization_codes WHERE code_hash = ?', [codeHash]);
+            if (!row) return null;
+            // Whoever deletes the row gets to use it, so a code can't be exchanged twice.
+            const [result] = await pool.query('DELETE FROM oauth_authorization_codes WHERE id = ?', [row.id]);
+            if (result.affectedRows === 0 || new Date(row.expires_at) <= new Date()) return null;
+            return row;
+        },
+
+        async deleteExpired() {
+            await pool.query('DELETE FROM oauth_authorization_codes WHERE expires_at <= NOW()');
+        },
+    };
+
+    const webauthnChallenges = {
+        async create({ id, userId = null, purpose, challenge, expiresAt }) {
+            await pool.query(
+                'INSERT INTO webauthn_challenges (id, user_id, purpose, challenge, expires_at) VALUES (?, ?, ?, ?, ?)',
+                [id, userId, purpose, challenge, expiresAt]
+            );
+        },
+
+        async consume(id, purpose) {
+            const row = await first('SELECT * FROM webauthn_challenges WHERE id = ? AND purpose = ?', [id, purpose]);
+            if (!row) return null;
+            // Whoever deletes the row gets to use it, so a challenge can't be answered twice.
+            const [result] = await pool.query('DELETE FROM webauthn_challenges WHERE id = ?', [id]);
+            if (result.affectedRows === 0 || new Date(row.expires_at) <= new Date()) return null;
+            return row;
+        },
+
+        async deleteExpired() {
+            await pool.query('DELETE FROM webauthn_challenges WHERE expires_at <= NOW()');
+        },
+    };
+
+    // Invitations that can still be accepted; expiry is checked separately where it matters.
+    const PENDING_INVITATION = 'accepted_at IS NULL AND declined_at IS NULL AND cancelled_at IS NULL';
+
+    const organizations = {
+        async create({ name, createdBy }) {
+            const [result] = await pool.query('INSERT INTO organizations (name, created_by) VALUES (?, ?)', [name, createdBy]);
+            return result.insertId;
+        },
+
+        findById: (id) => first('SELECT * FROM organizations WHERE id = ?', [id]),
+
+        async listForUser(userId) {
+            const [rows] = await pool.query(
+                `SELECT o.*, m.role
+                 FROM organization_members m JOIN organizations o ON o.id = m.organization_id
+                 WHERE m.user_id = ?
+                 ORDER BY o.name, o.id`,
+                [userId]
+            );
+            return rows;
+        },
+
+        async delete(id) {
+            // Memberships and invitations go with it (ON DELETE CASCADE).
+            const [result] = await pool.query('DELETE FROM organizations WHERE id = ?', [id]);
+            return result.affectedRows > 0;
+        },
+    };
+
+    const organizationMembers = {
+        async add({ organizationId, userId, role }) {
+            await pool.query('INSERT INTO organization_members (organization_id, user_id, role) VALUES (?, ?, ?)', [organizationId, userId, role]);
+        },
+
+        find: (organizationId, userId) => first(
+            'SELECT * FROM organization_members WHERE organization_id = ? AND user_id = ?',
+            [organizationId, userId]
+        ),
+
+        async list(organizationId) {
+            const [rows] = await pool.query(
+                `SELECT m.*, u.email, u.name, u.username, u.image
+                 FROM organization_members m JOIN users u ON u.id = m.user_id
+                 WHERE m.organization_id = ?
+                 ORDER BY m.created_at, u.id`,
+                [organizationId]
+            );
+            return rows;
+        },
+
+        async setRole(organizationId, userId, role) {
+            const [result] = await pool.query(
+                'UPDATE organization_members SET role = ? WHERE organization_id = ? AND user_id = ?',
+                [role, organizationId, userId]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async remove(organizationId, userId) {
+            const [result] = await pool.query('DELETE FROM organization_members WHERE organization_id = ? AND user_id = ?', [organizationId, userId]);
+            return result.affectedRows > 0;
+        },
+    };
+
+    const organizationInvitations = {
+        async create({ organizationId, email, role, tokenHash, invitedBy, userId = null, expiresAt }) {
+            const [result] = await pool.query(
+                `INSERT INTO organization_invitations (organization_id, email, role, token_hash, invited_by, user_id, expires_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [organizationId, email, role, tokenHash, invitedBy, userId, expiresAt]
+            );
+            return result.insertId;
+        },
+
+        findById: (id) => first('SELECT * FROM organization_invitations WHERE id = ?', [id]),
+
+        findByHash: (tokenHash) => first('SELECT * FROM organization_invitations WHERE token_hash = ?', [tokenHash]),
+
+        async listPending(organizationId) {
+            const [rows] = await pool.query(
+                `SELECT * FROM organization_invitations
+                 WHERE organization_id = ? AND ${PENDING_INVITATION} AND expires_at > NOW()
+                 ORDER BY created_at DESC, id DESC`,
+                [organizationId]
+            );
+            return rows;
+        },
+
+        async listPendingForUser(userId) {
+            const [rows] = await pool.query(
+                `SELECT * FROM organization_invitations
+                 WHERE user_id = ? AND ${PENDING_INVITATION} AND expires_at > NOW()
+                 ORDER BY created_at DESC, id DESC`,
+                [userId]
+            );
+            return rows;
+        },
+
+        async cancelPending(organizationId, email) {
+            await pool.query(
+                `UPDATE organization_invitations SET cancelled_at = NOW() WHERE organization_id = ? AND email = ? AND ${PENDING_INVITATION}`,
+                [organizationId, email]
+            );
+        },
+
+        async attachToUser(email, userId) {
+            const [result] = await pool.query(
+                `UPDATE organization_invitations SET user_id = ?
+                 WHERE email = ? AND user_id IS NULL AND ${PENDING_INVITATION} AND expires_at > NOW()`,
+                [userId, email]
+            );
+            return result.affectedRows;
+        },
+
+        async accept(id) {
+            const [result] = await pool.query(`UPDATE organization_invitations SET accepted_at = NOW() WHERE id = ? AND ${PENDING_INVITATION}`, [id]);
+            return result.affectedRows > 0;
+        },
+
+        async decline(id) {
+            const [result] = await pool.query(`UPDATE organization_invitations SET declined_at = NOW() WHERE id = ? AND ${PENDING_INVITATION}`, [id]);
+            return result.affectedRows > 0;
+        },
+
+        async cancel(id) {
+            const [result] = await pool.query(`UPDATE organization_invitations SET cancelled_at = NOW() WHERE id = ? AND ${PENDING_INVITATION}`, [id]);
+            return result.affectedRows > 0;
+        },
+    };
+
+    const identities = {
+        findByProvider: (provider, providerUserId) => first(
+            'SELECT * FROM user_identities WHERE provider = ? AND provider_user_id = ?',
+            [provider, providerUserId]
+        ),
+
+        async listForUser(userId) {
+            const [rows] = await pool.query('SELECT * FROM user_identities WHERE user_id = ? ORDER BY created_at', [userId]);
+            return rows;
+        },
+
+        async create({ userId, provider, providerUserId, email = null }) {
+            await pool.query(
+                'INSERT INTO user_identities (user_id, provider, provider_user_id, email) VALUES (?, ?, ?, ?)',
+                [userId, provider, providerUserId, email]
+            );
+        },
+
+        async delete(userId, provider) {
+            const [result] = await pool.query('DELETE FROM user_identities WHERE user_id = ? AND provider = ?', [userId, provider]);
+            return result.affectedRows > 0;
+        },
+    };
+
+    // Counter store backed by the `rate_limits` table (used when RATE_LIMIT_STORE=mysql).
+    const toRateLimitEntry = (row) => ({
+        count: row.count,
+        resetAt: new Date(row.reset_at).getTime(),
+        lastHitAt: new Date(row.last_hit_at).getTime(),
+    });
+
+    const rateLimits = {
+        async hit(key, windowMs) {
+            const now = new Date();
+            const resetAt = new Date(now.getTime() + windowMs);
+            // `count` is assigned before `reset_at`, so both IF()s still see the old window.
+            await pool.query(
+                `INSERT INTO rate_limits (\`key\`, count, reset_at, last_hit_at) VALUES (?, 1, ?, ?)
+                 ON DUPLICATE KEY UPDATE
+                    count = IF(reset_at <= ?, 1, count + 1),
+                    reset_at = IF(reset_at <= ?, VALUES(reset_at), reset_at),
+                    last_hit_at = VALUES(last_hit_at)`,
+                [key, resetAt, now, now, now]
+            );
+            return toRateLimitEntry(await first('SELECT * FROM rate_limits WHERE `key` = ?', [key]));
+        },
+
+        async get(key) {
+            const row = await first('SELECT * FROM rate_limits WHERE `key` = ? AND reset_at > ?', [key, new Date()]);
+            return row ? toRateLimitEntry(row) : null;
+        },
+
+        async reset(key) {
+            await pool.query('DELETE FROM rate_limits WHERE `key` = ?', [key]);
+        },
+    };
+
+    const roles = {
+        async list() {
+            const [rows] = await pool.query(
+                `SELECT r.name, r.description, p.name AS permission
+                 FROM roles r
+                 LEFT JOIN role_permissions rp ON rp.role_id = r.id
+                 LEFT JOIN permissions p ON p.id = rp.permission_id
+                 ORDER BY r.id, p.name`
+            );
+            const byName = new Map();
+            for (const row of rows) {
+                if (!byName.has(row.name)) byName.set(row.name, { name: row.name, description: row.description, permissions: [] });
+                if (row.permission) byName.get(row.name).permissions.push(row.permission);
+            }
+            return [...byName.values()];
+        },
+
+        async listForUser(userId) {
+            const [rows] = await pool.query(
+                'SELECT r.name FROM user_roles ur JOIN roles r ON r.id = ur.role_id WHERE ur.user_id = ? ORDER BY r.id',
+                [userId]
+            );
+            return rows.map((row) => row.name);
+        },
+
+        async permissionsForUser(userId) {
+            const [rows] = await pool.query(
+                `SELECT DISTINCT p.name
+                 FROM user_roles ur
+                 JOIN role_permissions rp ON rp.role_id = ur.role_id
+                 JOIN permissions p ON p.id = rp.permission_id
+                 WHERE ur.user_id = ?
+                 ORDER BY p.name`,
+                [userId]
+            );
+            return rows.map((row) => row.name);
+        },
+
+        async assign(userId, role) {
+            const roleRow = await first('SELECT id FROM roles WHERE name = ?', [role]);
+            if (!roleRow) return false;
+            await pool.query('INSERT IGNORE INTO user_roles (user_id, role_id) VALUES (?, ?)', [userId, roleRow.id]);
+            return true;
+        },
+
+        async revoke(userId, role) {
+            const [result] = await pool.query(
+                'DELETE ur FROM user_roles ur JOIN roles r ON r.id = ur.role_id WHERE ur.user_id = ? AND r.name = ?',
+                [userId, role]
+            );
+            return result.affectedRows > 0;
+        },
+
+        async countUsers(role) {
+            const row = await first(
+                'SELECT COUNT(*) AS count FROM user_roles ur JOIN roles r ON r.id = ur.role_id WHERE r.name = ?',
+                [role]
+            );
+            return Number(row.count);
+        },
+    };
+
+    // Insert and select only; the table's triggers refuse updates and deletes.
+    const authEvents = {
+        async record({ type, outcome, userId = null, actorId = null, email = null, ip = null, userAgent = null, detail = null }) {
+            await pool.query(
+                'INSERT INTO auth_events (event_type, outcome, user_id, actor_id, email, ip, user_agent, detail) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                [type, outcome, userId, actorId, email, ip, userAgent, detail]
+            );
+        },
+
+        async listForUser(userId) {
+            const [rows] = await pool.query('SELECT * FROM auth_events WHERE user_id = ? ORDER BY created_at, id', [userId]);
+            return rows;
+        },
+
+        async search({ userId, types, outcome, email, ip, from, before, limit, offset }) {
+            const where = [];
+            const params = [];
+            if (userId !== undefined) {
+                where.push('user_id = ?');
+                params.push(userId);
+            }
+            if (types && types.length > 0) {
+                where.push('event_type IN (?)');
+                params.push(types);
+            }
+            if (outcome) {
+                where.push('outcome = ?');
+                params.push(outcome);
+            }
+            if (email) {
+                where.push('email = ?');
+                params.push(email);
+            }
+            if (ip) {
+                where.push('ip = ?');
+                params.push(ip);
+            }
+            if (from) {
+                where.push('created_at >= ?');
+                params.push(from);
+            }
+            if (before) {
+                where.push('created_at < ?');
+                params.push(before);
+            }
+            const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+            const { total } = await first(`SELECT COUNT(*) AS total FROM auth_events ${whereSql}`, params);
+            const [rows] = await pool.query(
+                `SELECT * FROM auth_events ${whereSql} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+            return { events: rows, total: Number(total) };
+        },
+    };
+
+    return { users, refreshTokens, sessions, revokedTokens, recoveryCodes, emailVerificationTokens, emailChanges, passkeys, webauthnChallenges, personalAccessTokens, oauthClients, oauthCodes, organizations, organizationMembers, organizationInvitations, identities, roles, authEvents, rateLimits };
+}
+
+module.exports = createMysqlRepository;
@@ -0,0 +1,132 @@
+const express = require('express');
+const { stripPrivateFields } = require('../utils/users');
+const { toPasskeySummary } = require('../services/passkeyService');
+const { toPersonalAccessTokenSummary } = require('../services/personalAccessTokenService');
+const { toOrganizationSummary } = require('../services/organizationService');
+const { ADMIN_ROLE } = require('../services/permissions');
+
+/**
+ * Personal data export and self-service account deletion.
+ * @param {object} ctx - The app context built by createApp (see ../app.js).
+ */
+function createAccountRouter(ctx) {
+    const { repo, reauthService, accountDeletionService, authMiddleware, requireScope, auditLog, rateLimits } = ctx;
+    const router = express.Router();
+
+    // --- ACCOUNT DATA ROUTES ---
+
+    /**
+     * @route   GET /api/profile/export
+     * @desc    Downloads everything stored about the signed-in user as one JSON file: profile, roles,
+     *          organizations, linked sign-in methods, passkeys, personal access tokens, 2FA status, sessions
+     *          and security events. Secrets (password hash, 2FA secret, token hashes) are left out.
+     * @access  Private (requires authMiddleware; tokens need profile:read)
+     */
+    router.get('/api/profile/export', authMiddleware, requireScope('profile:read'), async (req, res) => {
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            const [roles, organizations, identities, passkeys, accessTokens, recoveryCodes, sessions, events] = await Promise.all([
+                repo.roles.listForUser(user.id),
+                repo.organizations.listForUser(user.id),
+                repo.identities.listForUser(user.id),
+                repo.passkeys.listForUser(user.id),
+                repo.personalAccessTokens.listForUser(user.id),
+                repo.recoveryCodes.status(user.id),
+                repo.sessions.listForUser(user.id),
+                repo.authEvents.listForUser(user.id),
+            ]);
+            const hasPassword = Boolean(user.password);
+
+            const archive = {
+                exportedAt: new Date(),
+                profile: { ...stripPrivateFields(user), hasPassword },
+                roles,
+                organizations: organizations.map(toOrganizationSummary),
+                identities: identities.map((identity) => ({
+                    provider: identity.provider,
+                    providerUserId: identity.provider_user_id,
+                    email: identity.email,
+                    linkedAt: identity.created_at,
+                })),
+                passkeys: passkeys.map(toPasskeySummary),
+                personalAccessTokens: accessTokens.map(toPersonalAccessTokenSummary),
+                twoFactor: { enabled: Boolean(user.totp_enabled), recoveryCodes },
+                sessions: sessions.map((session) => ({
+                    device: session.device,
+                    userAgent: session.user_agent,
+                    ip: session.ip,
+                    createdAt: session.created_at,
+                    lastSeenAt: session.last_seen_at,
+                    signedOutAt: session.revoked_at,
+                })),
+                securityEvents: events.map((event) => ({
+                    type: event.event_type,
+                    outcome: event.outcome,
+                    ip: event.ip,
+                    userAgent: event.user_agent,
+                    detail: event.detail,
+                    byAdmin: event.actor_id != null && event.actor_id !== event.user_id,
+                    createdAt: event.created_at,
+                })),
+            };
+            await auditLog.record(req, 'data_export');
+
+            res.set('Content-Disposition', `attachment; filename="account-export-${user.id}.json"`);
+            res.status(200).json(archive);
+
+        } catch (error) {
+            console.error('!!! DATA EXPORT ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while exporting your data' });
+        }
+    });
+
+    /**
+     * @route   DELETE /api/profile
+     * @desc    Schedules the signed-in user's account for deletion after a grace period and signs it out
+     *          everywhere. Signing in again before `deleteAfter` cancels the deletion.
+     *          Needs the password (accounts without one must have signed in within the last 10 minutes)
+     *          and, with 2FA on, a current code. 409 LAST_ADMIN for the only admin account.
+     * @access  Private (requires authMiddleware)
+     * @body    { password?, code? }
+     */
+    router.delete('/api/profile', authMiddleware, rateLimits.loginIp, rateLimits.reauthAccount, async (req, res) => {
+        const { password, code } = req.body || {};
+
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            if (!(await reauthService.confirm(req, res, user, { password, code, action: 'delete your account', event: 'account_deletion_request' }))) {
+                return;
+            }
+
+            // The purge would leave nobody who can manage the instance.
+            const roles = await repo.roles.listForUser(user.id);
+            if (roles.includes(ADMIN_ROLE) && await repo.roles.countUsers(ADMIN_ROLE) <= 1) {
+                return res.status(409).json({ message: 'This is the last admin account. Make someone else an admin first.', code: 'LAST_ADMIN' });
+            }
+
+            const deleteAfter = await accountDeletionService.schedule(user);
+            await auditLog.record(req, 'account_deletion_request');
+
+            res.status(200).json({
+                message: `Your account will be deleted on ${deleteAfter.toDateString()}. Sign in before then to cancel.`,
+                deleteAfter: deleteAfter,
+            });
+
+        } catch (error) {
+            console.error('!!! ACCOUNT DELETION ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while deleting your account' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createAccountRouter;
@@ -0,0 +1,334 @@
+const express = require('express');
+const { ADMIN_ROLE } = require('../services/permissions');
+const { AUTH_EVENT_TYPES } = require('../services/auditLog');
+const { stripPrivateFields, readProfileFields } = require('../utils/users');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parses a YYYY-MM-DD query parameter.
+ * @returns {Date|null|undefined} undefined if absent, null if malformed.
+ */
+const parseDate = (value) => {
+    if (!value) return undefined;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+    const date = new Date(`${value}T00:00:00`);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * The user list entry sent to the admin console; no secrets, no 2FA details.
+ */
+const toUserSummary = (user) => ({
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    username: user.username,
+    onboarded: user.onboarded,
+    emailVerified: user.email_verified,
+    providers: user.providers,
+    hasPassword: Boolean(user.password),
+    createdAt: user.created_at,
+    disabledAt: user.disabled_at,
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The audit log entry sent to the admin console.
+ */
+const toEventSummary = (event) => ({
+    id: event.id,
+    type: event.event_type,
+    outcome: event.outcome,
+    userId: event.user_id,
+    actorId: event.actor_id,
+    email: event.email,
+    ip: event.ip,
+    userAgent: event.user_agent,
+    detail: event.detail,
+    createdAt: event.created_at,
+});
+
+/**
+ * Admin console: user search, account management and the security audit log.
+ * Every route needs a permission from services/permissions.js, which only admins have by default.
+ * @param {object} ctx - The app context built by createApp (see ../app.js).
+ */
+function createAdminRouter(ctx) {
+    const { repo, tokenService, passwordResetService, accountDeletionService, authMiddleware, requirePermission, auditLog } = ctx;
+    const router = express.Router();
+
+    /**
+     * Loads the user named by :id into req.targetUser, or responds 404.
+     */
+    const loadTargetUser = async (req, res, next) => {
+        try {
+            const user = await repo.users.findById(req.params.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+            req.targetUser = user;
+            next();
+        } catch (error) {
+            console.error('!!! ADMIN LOAD USER ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while loading the user' });
+        }
+    };
+
+    // --- ADMIN USER ROUTES ---
+
+    /**
+     * @route   GET /api/admin/users
+     * @desc    Searches users, newest first. `q` matches email, name or username; `provider` is a
+     *          sign-in provider id or "password"; `status` is "active" or "disabled"; dates are YYYY-MM-DD.
+     * @access  Private (requires users:read)
+     * @query   { q?, onboarded? (0|1), provider?, status?, createdFrom?, createdTo?, page?, pageSize? }
+     */
+    router.get('/api/admin/users', authMiddleware, requirePermission('users:read'), async (req, res) => {
+        const { q, onboarded, provider, status } = req.query;
+        const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+        const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE));
+        const createdFrom = parseDate(req.query.createdFrom);
+        const createdTo = parseDate(req.query.createdTo);
+
+        if (onboarded !== undefined && onboarded !== '0' && onboarded !== '1') {
+            return res.status(400).json({ message: 'onboarded must be 0 or 1' });
+        }
+        if (status !== undefined && status !== 'active' && status !== 'disabled') {
+            return res.status(400).json({ message: 'status must be "active" or "disabled"' });
+        }
+        if (createdFrom === null || createdTo === null) {
+            return res.status(400).json({ message: 'Dates must be in YYYY-MM-DD format' });
+        }
+
+        try {
+            const { users, total } = await repo.users.search({
+                query: q ? String(q).trim() : undefined,
+                onboarded: onboarded === undefined ? undefined : onboarded === '1',
+                provider: provider || undefined,
+                status: status || undefined,
+                createdFrom,
+                // createdTo is inclusive: everything before the start of the next day.
+                createdBefore: createdTo && new Date(createdTo.getTime() + DAY_MS),
+                limit: pageSize,
+                offset: (page - 1) * pageSize,
+            });
+
+            res.status(200).json({ users: users.map(toUserSummary), total: total, page: page, pageSize: pageSize });
+
+        } catch (error) {
+            console.error('!!! ADMIN LIST USERS ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while loading users' });
+        }
+    });
+
+    /**
+     * @route   GET /api/admin/users/:id
+     * @desc    One user's details, roles and linked sign-in methods.
+     * @access  Private (requires users:read)
+     */
+    router.get('/api/admin/users/:id', authMiddleware, requirePermission('users:read'), loadTargetUser, async (req, res) => {
+        try {
+            const user = req.targetUser;
+            const [roles, identities] = await Promise.all([
+                repo.roles.listForUser(user.id),
+                repo.identities.listForUser(user.id),
+            ]);
+            const hasPassword = Boolean(user.password);
+
+            res.status(200).json({
+                user: stripPrivateFields(user),
+                hasPassword: hasPassword,
+                roles: roles,
+                identities: identities.map((identity) => ({
+                    provider: identity.provider,
+                    email: identity.email,
+                    linkedAt: identity.created_at,
+                })),
+            });
+
+        } catch (error) {
+            console.error('!!! ADMIN GET USER ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while loading the user' });
+        }
+    });
+
+    /**
+     * @route   PATCH /api/admin/users/:id
+     * @desc    Edits a user's name and/or username.
+     * @access  Private (requires users:write)
+     * @body    { name?, username? }
+     */
+    router.patch('/api/admin/users/:id', authMiddleware, requirePermission('users:write'), loadTargetUser, async (req, res) => {
+        // Same rules as the user's own profile form.
+        const { fields, error: validationError } = readProfileFields(req.body || {}, req.targetUser);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+        if (Object.keys(fields).length === 0) {
+            return res.status(400).json({ message: 'Nothing to update' });
+        }
+
+        try {
+            const user = req.targetUser;
+            if (fields.username && await repo.users.isUsernameTaken(fields.username, user.id)) {
+                return res.status(409).json({ message: 'Username is already taken.' });
+            }
+
+            await repo.users.update(user.id, fields);
+            await auditLog.record(req, 'admin_user_update', { userId: user.id, actorId: req.user.id, detail: Object.keys(fields).join(',') });
+            const updatedUser = await repo.users.findById(user.id);
+
+            res.status(200).json({ message: 'User updated', user: stripPrivateFields(updatedUser) });
+
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ message: 'Username is already taken.' });
+            }
+            console.error('!!! ADMIN UPDATE USER ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while updating the user' });
+        }
+    });
+
+    /**
+     * @route   POST /api/admin/users/:id/password-reset
+     * @desc    Emails the user a password reset link, as if they had used "forgot password".
+     * @access  Private (requires users:write)
+     */
+    router.post('/api/admin/users/:id/password-reset', authMiddleware, requirePermission('users:write'), loadTargetUser, async (req, res) => {
+        try {
+            await passwordResetService.sendReset(req.targetUser);
+            await auditLog.record(req, 'admin_password_reset', { userId: req.targetUser.id, actorId: req.user.id });
+            res.status(200).json({ message: `A password reset link has been sent to ${req.targetUser.email}.` });
+        } catch (error) {
+            console.error('!!! ADMIN PASSWORD RESET ERROR !!!:', error);
+            res.status(500).json({ message: 'The password reset email could not be sent' });
+        }
+    });
+
+    /**
+     * @route   POST /api/admin/users/:id/disable
+     * @desc    Disables an account: it can no longer sign in and all of its sessions are signed out.
+     * @access  Private (requires users:write)
+     */
+    router.post('/api/admin/users/:id/disable', authMiddleware, requirePermission('users:write'), loadTargetUser, async (req, res) => {
+        const user = req.targetUser;
+        if (user.id === req.user.id) {
+            return res.status(400).json({ message: "You can't disable your own account." });
+        }
+
+        try {
+            if (!user.disabled_at) {
+                await repo.users.update(user.id, { disabled_at: new Date() });
+                await tokenService.revokeUserTokens(user.id);
+                await auditLog.record(req, 'admin_user_disable', { userId: user.id, actorId: req.user.id });
+            }
+            res.status(200).json({ message: 'Account disabled' });
+        } catch (error) {
+            console.error('!!! ADMIN DISABLE USER ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while disabling the account' });
+        }
+    });
+
+    /**
+     * @route   POST /api/admin/users/:id/enable
+     * @desc    Re-enables a disabled account.
+     * @access  Private (requires users:write)
+     */
+    router.post('/api/admin/users/:id/enable', authMiddleware, requirePermission('users:write'), loadTargetUser, async (req, res) => {
+        try {
+            await repo.users.update(req.targetUser.id, { disabled_at: null });
+            await auditLog.record(req, 'admin_user_enable', { userId: req.targetUser.id, actorId: req.user.id });
+            res.status(200).json({ message: 'Account enabled' });
+        } catch (error) {
+            console.error('!!! ADMIN ENABLE USER ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while enabling the account' });
+        }
+    });
+
+    /**
+     * @route   DELETE /api/admin/users/:id
+     * @desc    Permanently deletes an account and everything that belongs to it.
+     * @access  Private (requires users:delete)
+     */
+    router.delete('/api/admin/users/:id', authMiddleware, requirePermission('users:delete'), loadTargetUser, async (req, res) => {
+        const user = req.targetUser;
+        if (user.id === req.user.id) {
+            return res.status(400).json({ message: "You can't delete your own account here." });
+        }
+
+        try {
+            const roles = await repo.roles.listForUser(user.id);
+            if (roles.includes(ADMIN_ROLE) && await repo.roles.countUsers(ADMIN_ROLE) <= 1) {
+                return res.status(409).json({ message: 'This is the last admin account.', code: 'LAST_ADMIN' });
+            }
+
+            await accountDeletionService.deleteNow(user);
+            // The event outlives the account, so it keeps the email for reference.
+            await auditLog.record(req, 'admin_user_delete', { userId: user.id, actorId: req.user.id, email: user.email });
+            res.status(200).json({ message: 'Account deleted' });
+
+        } catch (error) {
+            console.error('!!! ADMIN DELETE USER ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while deleting the account' });
+        }
+    });
+
+    // --- AUDIT LOG ROUTES ---
+
+    /**
+     * @route   GET /api/admin/events
+     * @desc    Searches the security audit log, newest first. `type` may be comma-separated;
+     *          `from`/`to` are YYYY-MM-DD and both inclusive.
+     * @access  Private (requires audit:read)
+     * @query   { userId?, type?, outcome? (success|failure), email?, ip?, from?, to?, page?, pageSize? }
+     */
+    router.get('/api/admin/events', authMiddleware, requirePermission('audit:read'), async (req, res) => {
+        const { userId, type, outcome, email, ip } = req.query;
+        const page = Math.max(1, Number.parseInt(req.query.page, 10) || 1);
+        const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Number.parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE));
+        const from = parseDate(req.query.from);
+        const to = parseDate(req.query.to);
+        const types = type ? String(type).split(',').map((value) => value.trim()).filter(Boolean) : [];
+
+        if (userId !== undefined && !/^\d+$/.test(userId)) {
+            return res.status(400).json({ message: 'userId must be a number' });
+        }
+        const unknownType = types.find((value) => !AUTH_EVENT_TYPES.includes(value));
+        if (unknownType) {
+            return res.status(400).json({ message: `Unknown event type: ${unknownType}` });
+        }
+        if (outcome !== undefined && outcome !== 'success' && outcome !== 'failure') {
+            return res.status(400).json({ message: 'outcome must be "success" or "failure"' });
+        }
+        if (from === null || to === null) {
+            return res.status(400).json({ message: 'Dates must be in YYYY-MM-DD format' });
+        }
+
+        try {
+            const { events, total } = await repo.authEvents.search({
+                userId: userId === undefined ? undefined : Number(userId),
+                types,
+                outcome: outcome || undefined,
+                email: email ? String(email).trim() : undefined,
+                ip: ip ? String(ip).trim() : undefined,
+                from,
+                before: to && new Date(to.getTime() + DAY_MS),
+                limit: pageSize,
+                offset: (page - 1) * pageSize,
+            });
+
+            res.status(200).json({ events: events.map(toEventSummary), total: total, page: page, pageSize: pageSize });
+
+        } catch (error) {
+            console.error('!!! ADMIN LIST EVENTS ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while loading the audit log' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createAdminRouter;
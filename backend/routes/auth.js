@@ -0,0 +1,711 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { RefreshTokenError } = require('../services/tokenService');
+const { ProviderTokenError } = require('../services/identityProviders');
+const { PasskeyError } = require('../services/passkeyService');
+const { sendTooManyRequests } = require('../middleware/rateLimit');
+const { sendWeakPassword } = require('../services/passwordPolicy');
+const { stripPrivateFields } = require('../utils/users');
+const { DEFAULT_ROLE } = require('../services/permissions');
+
+/**
+ * Sends the 429 response for a locked account.
+ * @param {object} res - Express response.
+ * @param {number} lockSeconds
+ */
+const sendAccountLocked = (res, lockSeconds) => sendTooManyRequests(res, lockSeconds, {
+    message: 'Too many failed login attempts. Your account is temporarily locked.',
+    code: 'ACCOUNT_LOCKED',
+});
+
+/**
+ * Sends the 403 response for an account an admin has disabled.
+ * Only sent once the caller has proven who they are (password, code or provider token).
+ * @param {object} res - Express response.
+ */
+const sendAccountDisabled = (res) => res.status(403).json({
+    message: 'This account has been disabled. Please contact support.',
+    code: 'ACCOUNT_DISABLED',
+});
+
+/**
+ * Where a login came from, for the session it starts (see GET /api/sessions).
+ * @param {object} req - Express request.
+ */
+const clientOf = (req) => ({ ip: req.ip, userAgent: req.get('User-Agent') });
+
+/**
+ * Registration, login (password, 2FA, passkeys, magic links and external providers), account link confirmation, token refresh and logout.
+ * @param {object} ctx - The app context built by createApp (see ../app.js).
+ */
+function createAuthRouter(ctx) {
+    const { config, repo, tokenService, identityProviders, passkeyService, magicLinkService, twoFactorService, emailVerificationService, organizationService, accountDeletionService, loginLockout, passwordPolicy, rateLimits, authMiddleware, auditLog } = ctx;
+    const router = express.Router();
+
+    /**
+     * Signs a user in once they have proven who they are: cancels a pending account deletion
+     * (signing in is how it is undone) and starts a new session.
+     * @returns {Promise<{ token: string, tokenExpires: number, refreshToken: string }>}
+     */
+    const startSession = async (req, user) => {
+        if (await accountDeletionService.cancel(user)) {
+            user.delete_after = null;
+            await auditLog.record(req, 'account_deletion_cancel', { userId: user.id });
+        }
+        return tokenService.issueTokens(user, clientOf(req));
+    };
+
+    // --- AUTHENTICATION ROUTES ---
+
+    /**REGISTER ROUTE
+
+     * @route   POST /api/register
+     * @desc    Registers a new user.
+     * @access  Public
+     * @body    { email, password }
+     */
+    router.post('/api/register', rateLimits.registerIp, async (req, res) => {
+        const { email, password } = req.body;
+
+        // Basic validation for required fields.
+        if (!email || !password) {
+            return res.status(400).json({ message: 'Email and password are required' });
+        }
+
+        const passwordErrors = passwordPolicy.check(password, { email });
+        if (passwordErrors.length > 0) {
+            return sendWeakPassword(res, passwordErrors);
+        }
+
+        try {
+            // Check if a user with the given email already exists to prevent duplicates.
+            const existingUser = await repo.users.findByEmail(email);
+            if (existingUser) {
+                await auditLog.record(req, 'register', { userId: existingUser.id, email, outcome: 'failure', detail: 'email_taken' });
+                return res.status(409).json({ message: 'User with this email already exists' });
+            }
+
+            // Hash the password for security before storing it in the database.
+            const hashedPassword = await bcrypt.hash(password, 10);
+
+            // Create the new user with the 'onboarded' flag set to false (0); the stored row is sent back in the response.
+            const newUser = await repo.users.create({ email, password: hashedPassword, onboarded: 0 });
+            await repo.roles.assign(newUser.id, DEFAULT_ROLE);
+            // Invitations to organizations sent to this address before it had an account now show up in it.
+            await organizationService.attachInvitations(newUser);
+            await auditLog.record(req, 'register', { userId: newUser.id, email });
+
+            // Email a verification link. The account exists either way, so a delivery failure is only logged;
+            // the user can ask for a new link through /api/resend-verification.
+            try {
+                await emailVerificationService.sendVerification(newUser);
+            } catch (mailError) {
+                console.error('!!! VERIFICATION EMAIL ERROR !!!:', mailError);
+            }
+
+            stripPrivateFields(newUser); // Never send the password hash back to the client.
+
+            res.status(201).json({ message: 'User registered successfully. Please check your email to verify your address.', user: newUser });
+
+        } catch (error) {
+            console.error('!!! REGISTRATION ERROR !!!:', error); 
+            res.status(500).json({ message: 'An error occurred during registration' });
+        }
+    });
+
+    /**LOGIN ROUTE
+
+     * @route   POST /api/login
+     * @desc    Logs in a user and returns a JWT plus a refresh token.
+     * @access  Public
+     * @body    { email, password }
+     */
+    router.post('/api/login', rateLimits.loginIp, async (req, res) => {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ message: 'Email and password are required' });
+        }
+
+        try {
+            // Refuse early while the account is locked after too many failed attempts.
+            const lockSeconds = await loginLockout.getLockSeconds(email);
+            if (lockSeconds > 0) {
+                await auditLog.record(req, 'login', { email, outcome: 'failure', detail: 'locked' });
+                return sendAccountLocked(res, lockSeconds);
+            }
+
+            // Find the user by their email address.
+            const user = await repo.users.findByEmail(email);
+
+            // Compare the provided password with the hashed password in the database.
+            // Accounts created through a sign-in provider have no password until the user sets one.
+            const isMatch = user && user.password ? await bcrypt.compare(password, user.password) : false;
+            if (!isMatch) {
+                await auditLog.record(req, 'login', {
+                    userId: user ? user.id : null,
+                    email,
+                    outcome: 'failure',
+                    detail: user ? 'invalid_password' : 'unknown_email',
+                });
+                // Unknown emails count as failures too, so lockouts don't reveal which emails are registered.
+                const lockedFor = await loginLockout.recordFailure(email);
+                if (lockedFor > 0) {
+                    return sendAccountLocked(res, lockedFor);
+                }
+                // Use a generic error message for security to not reveal if an email is registered.
+                return res.status(401).json({ message: 'Invalid email or password' });
+            }
+
+            if (user.disabled_at) {
+                await auditLog.record(req, 'login', { userId: user.id, email, outcome: 'failure', detail: 'disabled' });
+                return sendAccountDisabled(res);
+            }
+
+            // In 'block' mode an unverified email means no login at all.
+            if (config.emailVerification.mode === 'block' && !user.email_verified) {
+                await auditLog.record(req, 'login', { userId: user.id, email, outcome: 'failure', detail: 'email_not_verified' });
+                return res.status(403).json({ message: 'Please verify your email address before logging in.', code: 'EMAIL_NOT_VERIFIED' });
+            }
+
+            // With 2FA on, the password alone isn't enough: hand back a short-lived challenge instead of tokens.
+            if (user.totp_enabled) {
+                await auditLog.record(req, 'login', { userId: user.id, email, detail: '2fa_required' });
+                return res.status(200).json({
+                    twoFactorRequired: true,
+                    challengeToken: tokenService.signChallengeToken(user.id),
+                    message: 'Enter the code from your authenticator app',
+                });
+            }
+
+            // If credentials are correct, issue an access token and start a new refresh token family.
+            await loginLockout.recordSuccess(email);
+            const { token, tokenExpires, refreshToken } = await startSession(req, user);
+            await auditLog.record(req, 'login', { userId: user.id, email });
+
+            stripPrivateFields(user);
+
+            // Send the user object and the tokens back to the client.
+            res.status(200).json({ user: user, token: token, tokenExpires: tokenExpires, refreshToken: refreshToken });
+
+        } catch (error) {
+            console.error('!!! LOGIN ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred during login' });
+        }
+    });
+
+    /**
+     * @route   POST /api/login/2fa
+     * @desc    Completes a login that returned `twoFactorRequired` by checking a TOTP or recovery code.
+     * @access  Public (requires the challenge token from /api/login)
+     * @body    { challengeToken, code }
+     */
+    router.post('/api/login/2fa', rateLimits.loginIp, async (req, res) => {
+        const { challengeToken, code } = req.body;
+
+        if (!challengeToken || !code) {
+            return res.status(400).json({ message: 'Challenge token and code are required' });
+        }
+
+        try {
+            const userId = tokenService.verifyChallengeToken(challengeToken);
+            if (!userId) {
+                return res.status(401).json({ message: 'Your login attempt has expired. Please sign in again.' });
+            }
+
+            const user = await repo.users.findById(userId);
+            if (!user) {
+                return res.status(401).json({ message: 'Invalid authentication code' });
+            }
+            if (user.disabled_at) {
+                await auditLog.record(req, 'login_2fa', { userId: user.id, outcome: 'failure', detail: 'disabled' });
+                return sendAccountDisabled(res);
+            }
+
+            // Wrong codes count toward the same lockout as wrong passwords, so codes can't be brute-forced either.
+            const lockSeconds = await loginLockout.getLockSeconds(user.email);
+            if (lockSeconds > 0) {
+                await auditLog.record(req, 'login_2fa', { userId: user.id, outcome: 'failure', detail: 'locked' });
+                return sendAccountLocked(res, lockSeconds);
+            }
+            if (!(await twoFactorService.verify(user, code))) {
+                await auditLog.record(req, 'login_2fa', { userId: user.id, outcome: 'failure', detail: 'invalid_code' });
+                const lockedFor = await loginLockout.recordFailure(user.email);
+                if (lockedFor > 0) {
+                    return sendAccountLocked(res, lockedFor);
+                }
+                return res.status(401).json({ message: 'Invalid authentication code' });
+            }
+
+            await loginLockout.recordSuccess(user.email);
+            const { token, tokenExpires, refreshToken } = await startSession(req, user);
+            await auditLog.record(req, 'login_2fa', { userId: user.id });
+
+            stripPrivateFields(user);
+
+            res.status(200).json({ user: user, token: token, tokenExpires: tokenExpires, refreshToken: refreshToken });
+
+        } catch (error) {
+            console.error('!!! 2FA LOGIN ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred during login' });
+        }
+    });
+
+    // --- Passkey Sign-In ---
+
+    /**
+     * @route   POST /api/login/passkey/options
+     * @desc    Starts a passkey sign-in. Returns the options for navigator.credentials.get()
+     *          and the id of the challenge to send back with the result.
+     * @access  Public
+     */
+    router.post('/api/login/passkey/options', rateLimits.loginIp, async (req, res) => {
+        try {
+            const { challengeId, options } = await passkeyService.authenticationOptions();
+            res.status(200).json({ challengeId: challengeId, options: options });
+
+        } catch (error) {
+            console.error('!!! PASSKEY OPTIONS ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred during login' });
+        }
+    });
+
+    /**
+     * @route   POST /api/login/passkey
+     * @desc    Signs in with a passkey. Passkeys verify the user themselves, so there is no 2FA step.
+     * @access  Public (requires a challenge from /api/login/passkey/options)
+     * @body    { challengeId, response } - `response` is the AuthenticationResponseJSON from the browser.
+     */
+    router.post('/api/login/passkey', rateLimits.loginIp, async (req, res) => {
+        const { challengeId, response } = req.body;
+
+        if (!challengeId || !response) {
+            return res.status(400).json({ message: 'Challenge id and response are required' });
+        }
+
+        try {
+            let result;
+            try {
+                result = await passkeyService.authenticate(challengeId, response);
+            } catch (passkeyError) {
+                if (passkeyError instanceof PasskeyError) {
+                    await auditLog.record(req, 'passkey_login', { outcome: 'failure', detail: passkeyError.reason });
+                    return res.status(401).json({ message: passkeyError.message });
+                }
+                throw passkeyError;
+            }
+
+            const user = await repo.users.findById(result.userId);
+            if (!user) {
+                return res.status(401).json({ message: 'This passkey is not registered.' });
+            }
+            if (user.disabled_at) {
+                await auditLog.record(req, 'passkey_login', { userId: user.id, outcome: 'failure', detail: 'disabled' });
+                return sendAccountDisabled(res);
+            }
+            if (config.emailVerification.mode === 'block' && !user.email_verified) {
+                await auditLog.record(req, 'passkey_login', { userId: user.id, outcome: 'failure', detail: 'email_not_verified' });
+                return res.status(403).json({ message: 'Please verify your email address before logging in.', code: 'EMAIL_NOT_VERIFIED' });
+            }
+
+            const { token, tokenExpires, refreshToken } = await startSession(req, user);
+            await auditLog.record(req, 'passkey_login', { userId: user.id, detail: result.passkey.name });
+
+            stripPrivateFields(user);
+
+            res.status(200).json({ user: user, token: token, tokenExpires: tokenExpires, refreshToken: refreshToken });
+
+        } catch (error) {
+            console.error('!!! PASSKEY LOGIN ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred during login' });
+        }
+    });
+
+    // --- Magic Link Sign-In ---
+
+    /**
+     * @route   POST /api/auth/magic-link
+     * @desc    Emails a short-lived, single-use sign-in link.
+     * @access  Public
+     * @body    { email }
+     */
+    router.post('/api/auth/magic-link', rateLimits.emailIp, rateLimits.emailAccount, async (req, res) => {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ message: 'Email is required' });
+        }
+
+        try {
+            const user = await repo.users.findByEmail(email);
+
+            // Like forgot-password: a delivery failure is logged but not reported, so the response stays identical either way.
+            if (user && user.disabled_at) {
+                await auditLog.record(req, 'magic_link_request', { userId: user.id, email, outcome: 'failure', detail: 'disabled' });
+            } else if (user) {
+                await auditLog.record(req, 'magic_link_request', { userId: user.id, email });
+                try {
+                    await magicLinkService.sendLink(user);
+                } catch (mailError) {
+                    console.error('!!! MAGIC LINK EMAIL ERROR !!!:', mailError);
+                }
+            }
+
+            // Always send a generic success message to prevent email enumeration attacks.
+            res.status(200).json({ message: 'If a user with that email exists, a sign-in link has been sent.' });
+
+        } catch (error) {
+            console.error('!!! MAGIC LINK REQUEST ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred' });
+        }
+    });
+
+    /**
+     * @route   POST /api/auth/magic-link/verify
+     * @desc    Signs in with the token from a magic link. The link stands in for the password only:
+     *          accounts with 2FA get `twoFactorRequired` and finish through /api/login/2fa.
+     * @access  Public
+     * @body    { token }
+     */
+    router.post('/api/auth/magic-link/verify', rateLimits.loginIp, async (req, res) => {
+        const { token } = req.body;
+        if (!token) {
+            return res.status(400).json({ message: 'Token is required' });
+        }
+
+        try {
+            // Using the token clears it, so the link can't be used again whatever happens next.
+            const user = await magicLinkService.claim(String(token));
+            if (!user) {
+                await auditLog.record(req, 'magic_link_login', { outcome: 'failure', detail: 'invalid_token' });
+                return res.status(401).json({ message: 'This sign-in link is invalid, has expired or was already used.' });
+            }
+            if (user.disabled_at) {
+                await auditLog.record(req, 'magic_link_login', { userId: user.id, outcome: 'failure', detail: 'disabled' });
+                return sendAccountDisabled(res);
+            }
+
+            // Following the emailed link proves the user owns the address.
+            if (!user.email_verified) {
+                await emailVerificationService.markVerified(user.id);
+                user.email_verified = 1;
+            }
+
+            if (user.totp_enabled) {
+                await auditLog.record(req, 'magic_link_login', { userId: user.id, detail: '2fa_required' });
+                return res.status(200).json({
+                    twoFactorRequired: true,
+                    challengeToken: tokenService.signChallengeToken(user.id),
+                    message: 'Enter the code from your authenticator app',
+                });
+            }
+
+            const { token: accessToken, tokenExpires, refreshToken } = await startSession(req, user);
+            await auditLog.record(req, 'magic_link_login', { userId: user.id });
+
+            stripPrivateFields(user);
+
+            res.status(200).json({ user: user, token: accessToken, tokenExpires: tokenExpires, refreshToken: refreshToken });
+
+        } catch (error) {
+            console.error('!!! MAGIC LINK LOGIN ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred during login' });
+        }
+    });
+
+    // --- External Provider Sign-In (Google, GitHub, Microsoft, OIDC...) ---
+
+    /**
+     * Signs a user in with a verified provider profile, creating the account on first sign-in.
+     * If the email belongs to an account the provider isn't linked to, responds 409 ACCOUNT_LINK_REQUIRED.
+     * Audit events carry the provider id in `detail`, followed by the failure reason if any.
+     * @param {object} req - Express request.
+     * @param {object} res - Express response.
+     * @param {string} providerId
+     * @param {{ idToken?: string, accessToken?: string }} tokens - Whatever the provider issued.
+     */
+    const signInWithProvider = async (req, res, providerId, tokens) => {
+        const provider = identityProviders.get(providerId);
+        if (!provider) {
+            return res.status(400).json({ message: 'Unknown sign-in provider' });
+        }
+
+        try {
+            // 1. Verify the provider's token; the profile is taken from it, never from the request body.
+            let profile;
+            try {
+                profile = await identityProviders.verify(providerId, tokens);
+            } catch (verifyError) {
+                if (verifyError instanceof ProviderTokenError) {
+                    await auditLog.record(req, 'provider_login', { outcome: 'failure', detail: `${providerId}:invalid_token` });
+                    return res.status(401).json({ message: `Invalid ${provider.name} credentials` });
+                }
+                throw verifyError;
+            }
+            const { sub, email, name } = profile;
+
+            // 2. Find the account this provider account was linked to.
+            let user;
+            const identity = await repo.identities.findByProvider(providerId, sub);
+            if (identity) {
+                user = await repo.users.findById(identity.user_id);
+            } else {
+                const existingUser = await repo.users.findByEmail(email);
+                // Without a password there is nothing to confirm the link with here: the owner signs in the way
+                // they always do (a passkey, an email link, another provider) and links from their profile instead.
+                if (existingUser && !existingUser.password) {
+                    await auditLog.record(req, 'provider_login', { userId: existingUser.id, email, outcome: 'failure', detail: `${providerId}:link_from_profile` });
+                    return res.status(409).json({
+                        message: `An account with this email already exists. Sign in the way you usually do, then link your ${provider.name} account under "Sign-In Methods" on your profile.`,
+                        code: 'LINK_FROM_PROFILE',
+                        email: email,
+                    });
+                }
+                if (existingUser) {
+                    // Same email, but the provider was never linked to this account. Don't merge them silently:
+                    // the owner has to confirm with their password (POST /api/auth/link/confirm).
+                    await auditLog.record(req, 'provider_login', { userId: existingUser.id, email, outcome: 'failure', detail: `${providerId}:link_required` });
+                    return res.status(409).json({
+                        message: `An account with this email already exists. Enter its password to link your ${provider.name} account.`,
+                        code: 'ACCOUNT_LINK_REQUIRED',
+                        linkToken: tokenService.signLinkToken(existingUser.id, { provider: providerId, providerUserId: sub, email }),
+                        email: email,
+                    });
+                }
+
+                // 3. A new user. They have no password until they set one, and CRUCIALLY onboarded is 0.
+                // Providers must vouch for the email (see identityProviders), so the address counts as verified.
+                user = await repo.users.create({
+                    email,
+                    password: null,
+                    name,
+                    onboarded: 0, // Set onboarded to 0
+                    emailVerified: true,
+                });
+                await repo.identities.create({ userId: user.id, provider: providerId, providerUserId: sub, email });
+                await repo.roles.assign(user.id, DEFAULT_ROLE);
+                await organizationService.attachInvitations(user);
+                await auditLog.record(req, 'register', { userId: user.id, email, detail: providerId });
+            }
+
+            if (user.disabled_at) {
+                await auditLog.record(req, 'provider_login', { userId: user.id, email, outcome: 'failure', detail: `${providerId}:disabled` });
+                return sendAccountDisabled(res);
+            }
+
+            // The provider stands in for the password, not for the second factor: finish through /api/login/2fa.
+            if (user.totp_enabled) {
+                await auditLog.record(req, 'provider_login', { userId: user.id, email, detail: `${providerId}:2fa_required` });
+                return res.status(200).json({
+                    twoFactorRequired: true,
+                    challengeToken: tokenService.signChallengeToken(user.id),
+                    message: 'Enter the code from your authenticator app',
+                });
+            }
+
+            // 4. For both existing and new users, issue an access token and a refresh token.
+            const { token, tokenExpires, refreshToken } = await startSession(req, user);
+            await auditLog.record(req, 'provider_login', { userId: user.id, email, detail: providerId });
+
+            stripPrivateFields(user); // Never send the password hash.
+
+            // 5. Send back the complete user object from YOUR database and the tokens.
+            res.status(200).json({ user: user, token: token, tokenExpires: tokenExpires, refreshToken: refreshToken });
+
+        } catch (error) {
+            console.error('!!! PROVIDER AUTH ERROR !!!:', error);
+            res.status(500).json({ message: `An error occurred during ${provider.name} authentication` });
+        }
+    };
+
+    /**
+     * @route   POST /api/auth/provider
+     * @desc    Handles sign-in/sign-up through any configured provider (see GET /api/auth/providers).
+     *          OIDC providers send the ID token; plain OAuth 2.0 providers (e.g. GitHub) the access token.
+     * @access  Public
+     * @body    { provider, idToken?, accessToken? }
+     */
+    router.post('/api/auth/provider', rateLimits.loginIp, async (req, res) => {
+        const { provider, idToken, accessToken } = req.body;
+
+        if (!provider || (!idToken && !accessToken)) {
+            return res.status(400).json({ message: 'Provider and an ID token or access token are required' });
+        }
+
+        await signInWithProvider(req, res, provider, { idToken, accessToken });
+    });
+
+    /**
+     * @route   POST /api/auth/google
+     * @desc    Google sign-in; same as POST /api/auth/provider with provider "google". Kept for older clients.
+     * @access  Public
+     * @body    { idToken }
+     */
+    router.post('/api/auth/google', rateLimits.loginIp, async (req, res) => {
+        const { idToken } = req.body;
+
+        if (!idToken) {
+            return res.status(400).json({ message: 'Google ID token is required' });
+        }
+
+        await signInWithProvider(req, res, 'google', { idToken });
+    });
+
+    /**
+     * @route   GET /api/auth/providers
+     * @desc    Lists the configured sign-in providers.
+     * @access  Public
+     */
+    router.get('/api/auth/providers', (req, res) => {
+        res.status(200).json({ providers: identityProviders.list() });
+    });
+
+    /**
+     * @route   POST /api/auth/link/confirm
+     * @desc    Links a provider identity to an existing account after the owner confirms with their
+     *          password (and 2FA code, if enabled), then signs them in.
+     * @access  Public (requires the link token from a 409 ACCOUNT_LINK_REQUIRED response)
+     * @body    { linkToken, password, code? }
+     */
+    router.post('/api/auth/link/confirm', rateLimits.loginIp, async (req, res) => {
+        const { linkToken, password, code } = req.body;
+
+        if (!linkToken || !password) {
+            return res.status(400).json({ message: 'Link token and password are required' });
+        }
+
+        try {
+            const link = tokenService.verifyLinkToken(linkToken);
+            if (!link) {
+                return res.status(401).json({ message: 'Your sign-in attempt has expired. Please sign in again.' });
+            }
+
+            const user = await repo.users.findById(link.userId);
+            if (!user) {
+                return res.status(401).json({ message: 'Incorrect password' });
+            }
+            // The account's password was removed after the link token was issued.
+            if (!user.password) {
+                return res.status(409).json({
+                    message: 'This account has no password. Sign in the way you usually do, then link the account from your profile.',
+                    code: 'LINK_FROM_PROFILE',
+                });
+            }
+
+            // Confirming a link is a login, so it shares the login lockout.
+            const lockSeconds = await loginLockout.getLockSeconds(user.email);
+            if (lockSeconds > 0) {
+                await auditLog.record(req, 'account_link', { userId: user.id, outcome: 'failure', detail: `${link.provider}:locked` });
+                return sendAccountLocked(res, lockSeconds);
+            }
+            const isMatch = await bcrypt.compare(password, user.password);
+            if (!isMatch) {
+                await auditLog.record(req, 'account_link', { userId: user.id, outcome: 'failure', detail: `${link.provider}:invalid_password` });
+                const lockedFor = await loginLockout.recordFailure(user.email);
+                if (lockedFor > 0) {
+                    return sendAccountLocked(res, lockedFor);
+                }
+                return res.status(401).json({ message: 'Incorrect password' });
+            }
+            if (user.disabled_at) {
+                await auditLog.record(req, 'account_link', { userId: user.id, outcome: 'failure', detail: `${link.provider}:disabled` });
+                return sendAccountDisabled(res);
+            }
+
+            if (user.totp_enabled) {
+                if (!code) {
+                    return res.status(401).json({ twoFactorRequired: true, message: 'Enter the code from your authenticator app' });
+                }
+                if (!(await twoFactorService.verify(user, code))) {
+                    await auditLog.record(req, 'account_link', { userId: user.id, outcome: 'failure', detail: `${link.provider}:invalid_code` });
+                    const lockedFor = await loginLockout.recordFailure(user.email);
+                    if (lockedFor > 0) {
+                        return sendAccountLocked(res, lockedFor);
+                    }
+                    return res.status(401).json({ message: 'Invalid authentication code' });
+                }
+            }
+            await loginLockout.recordSuccess(user.email);
+
+            try {
+                await repo.identities.create({ userId: user.id, provider: link.provider, providerUserId: link.providerUserId, email: link.email });
+            } catch (linkError) {
+                if (linkError.code === 'ER_DUP_ENTRY') {
+                    return res.status(409).json({ message: 'This sign-in method is already linked to an account.' });
+                }
+                throw linkError;
+            }
+
+            // The provider verified this address, so it counts as verified here too.
+            if (!user.email_verified && link.email && link.email.toLowerCase() === user.email.toLowerCase()) {
+                await emailVerificationService.markVerified(user.id);
+                user.email_verified = 1;
+            }
+
+            const { token, tokenExpires, refreshToken } = await startSession(req, user);
+            await auditLog.record(req, 'account_link', { userId: user.id, detail: link.provider });
+
+            stripPrivateFields(user);
+
+            res.status(200).json({ user: user, token: token, tokenExpires: tokenExpires, refreshToken: refreshToken });
+
+        } catch (error) {
+            console.error('!!! ACCOUNT LINK ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while linking your account' });
+        }
+    });
+
+    /**
+     * @route   POST /api/token/refresh
+     * @desc    Exchanges a refresh token for a new access token. The refresh token is rotated:
+     *          the old one stops working, and reusing it revokes the whole token family.
+     * @access  Public (requires a valid refresh token)
+     * @body    { refreshToken }
+     */
+    router.post('/api/token/refresh', async (req, res) => {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({ message: 'Refresh token is required' });
+        }
+
+        try {
+            const { token, tokenExpires, refreshToken: nextRefreshToken } = await tokenService.rotateRefreshToken(refreshToken);
+            res.status(200).json({ token: token, tokenExpires: tokenExpires, refreshToken: nextRefreshToken });
+
+        } catch (error) {
+            if (error instanceof RefreshTokenError) {
+                // Successful refreshes happen constantly and aren't logged; failures (above all "reused",
+                // a sign of a stolen token) are.
+                await auditLog.record(req, 'token_refresh', { outcome: 'failure', detail: error.reason });
+                return res.status(401).json({ message: error.message, reason: error.reason });
+            }
+            console.error('!!! TOKEN REFRESH ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while refreshing the token' });
+        }
+    });
+
+    /**
+     * @route   POST /api/logout
+     * @desc    Signs out the current session: revokes this access token and its refresh token family.
+     * @access  Private (requires authMiddleware)
+     */
+    router.post('/api/logout', authMiddleware, async (req, res) => {
+        try {
+            await tokenService.revokeAccessToken(req.user);
+            if (req.user.sid) {
+                await tokenService.revokeFamily(req.user.sid);
+            }
+            await auditLog.record(req, 'logout');
+
+            res.status(200).json({ message: 'Logged out successfully' });
+
+        } catch (error) {
+            console.error('!!! LOGOUT ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred during logout' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createAuthRouter;
@@ -0,0 +1,191 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { EmailChangeError } = require('../services/emailChangeService');
+const { isValidEmail } = require('../utils/users');
+
+/**
+ * Changing the email address an account signs in with (see ../services/emailChangeService.js).
+ * @param {object} ctx - The app context built by createApp (see ../app.js).
+ */
+function createEmailChangeRouter(ctx) {
+    const { repo, emailChangeService, rateLimits, authMiddleware, requireScope, requireVerifiedEmail, auditLog } = ctx;
+    const router = express.Router();
+
+    // --- EMAIL CHANGE ROUTES ---
+
+    /**
+     * @route   GET /api/profile/email
+     * @desc    Returns the current address and the change waiting for confirmation, if any.
+     * @access  Private (requires authMiddleware; tokens need profile:read)
+     */
+    router.get('/api/profile/email', authMiddleware, requireScope('profile:read'), async (req, res) => {
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            res.status(200).json({
+                email: user.email,
+                emailVerified: Boolean(user.email_verified),
+                pendingChange: await emailChangeService.findPending(user),
+            });
+
+        } catch (error) {
+            console.error('!!! GET EMAIL ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred' });
+        }
+    });
+
+    /**
+     * @route   POST /api/profile/email
+     * @desc    Starts an email change: a confirmation link goes to the new address and a notice with a
+     *          "this wasn't me" link to the current one. Replaces any pending change.
+     *          Accounts without a password must set one first.
+     * @access  Private (requires authMiddleware and a verified email)
+     * @body    { email, password } - `email` is the new address.
+     */
+    router.post('/api/profile/email', authMiddleware, requireVerifiedEmail, rateLimits.emailIp, rateLimits.emailAccount, rateLimits.reauthAccount, async (req, res) => {
+        const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+        const { password } = req.body;
+
+        if (!email || !isValidEmail(email)) {
+            return res.status(400).json({ message: 'Enter a valid email address' });
+        }
+
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+            if (email.toLowerCase() === user.email.toLowerCase()) {
+                return res.status(400).json({ message: 'That is already your email address' });
+            }
+
+            if (!user.password) {
+                return res.status(400).json({ message: 'Set a password first, then change your email address.', code: 'PASSWORD_REQUIRED' });
+            }
+            if (!password) {
+                return res.status(400).json({ message: 'Enter your password to change your email address.' });
+            }
+            if (!(await bcrypt.compare(password, user.password))) {
+                await auditLog.record(req, 'email_change_request', { email, outcome: 'failure', detail: 'invalid_password' });
+                return res.status(401).json({ message: 'Incorrect password' });
+            }
+
+            const expiresAt = await emailChangeService.request(user, email);
+            await auditLog.record(req, 'email_change_request', { email });
+
+            res.status(200).json({
+                message: `We sent a confirmation link to ${email}. Your address changes once you open it.`,
+                pendingChange: { newEmail: email, expiresAt },
+            });
+
+        } catch (error) {
+            if (error instanceof EmailChangeError) {
+                await auditLog.record(req, 'email_change_request', { email, outcome: 'failure', detail: error.reason });
+                return res.status(409).json({ message: error.message, code: 'EMAIL_TAKEN' });
+            }
+            console.error('!!! EMAIL CHANGE REQUEST ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while changing your email address' });
+        }
+    });
+
+    /**
+     * @route   DELETE /api/profile/email
+     * @desc    Withdraws the signed-in user's pending email change.
+     * @access  Private (requires authMiddleware)
+     */
+    router.delete('/api/profile/email', authMiddleware, async (req, res) => {
+        try {
+            await emailChangeService.cancelPending(req.user);
+            await auditLog.record(req, 'email_change_cancel', { detail: 'withdrawn' });
+
+            res.status(200).json({ message: 'Your email change was cancelled.' });
+
+        } catch (error) {
+            console.error('!!! EMAIL CHANGE CANCEL ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred' });
+        }
+    });
+
+    /**
+     * @route   POST /api/email-change/confirm
+     * @desc    Confirms an email change with the token from the link sent to the new address, and
+     *          switches the account over to it.
+     * @access  Public
+     * @body    { token }
+     */
+    router.post('/api/email-change/confirm', async (req, res) => {
+        const { token } = req.body;
+        if (!token) {
+            return res.status(400).json({ message: 'Confirmation token is required' });
+        }
+
+        try {
+            const change = await emailChangeService.confirm(token);
+            if (!change) {
+                await auditLog.record(req, 'email_change', { userId: null, outcome: 'failure', detail: 'invalid_token' });
+                return res.status(400).json({ message: 'Invalid or expired confirmation link.' });
+            }
+            await auditLog.record(req, 'email_change', { userId: change.userId, email: change.newEmail });
+
+            res.status(200).json({ message: `Your email address is now ${change.newEmail}.`, email: change.newEmail });
+
+        } catch (error) {
+            if (error instanceof EmailChangeError) {
+                await auditLog.record(req, 'email_change', { userId: null, outcome: 'failure', detail: error.reason });
+                return res.status(409).json({ message: error.message, code: 'EMAIL_TAKEN' });
+            }
+            console.error('!!! EMAIL CHANGE CONFIRM ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while changing your email address' });
+        }
+    });
+
+    /**
+     * @route   POST /api/email-change/cancel
+     * @desc    The "this wasn't me" link from the notice sent to the old address. Cancels the change,
+     *          moves the account back to the old address if it was already confirmed, and signs the
+     *          account out everywhere.
+     * @access  Public
+     * @body    { token }
+     */
+    router.post('/api/email-change/cancel', async (req, res) => {
+        const { token } = req.body;
+        if (!token) {
+            return res.status(400).json({ message: 'Cancel token is required' });
+        }
+
+        try {
+            const result = await emailChangeService.cancelByToken(token);
+            if (!result) {
+                await auditLog.record(req, 'email_change_cancel', { userId: null, outcome: 'failure', detail: 'invalid_token' });
+                return res.status(400).json({ message: 'This link is invalid, was already used or has expired.' });
+            }
+            await auditLog.record(req, 'email_change_cancel', {
+                userId: result.userId,
+                email: result.email,
+                detail: result.reverted ? 'reverted' : null,
+            });
+
+            res.status(200).json({
+                message: result.reverted
+                    ? `Your account is back on ${result.email} and has been signed out everywhere. Reset your password now.`
+                    : 'The email change was cancelled and your account has been signed out everywhere. Reset your password now.',
+                email: result.email,
+            });
+
+        } catch (error) {
+            if (error instanceof EmailChangeError) {
+                await auditLog.record(req, 'email_change_cancel', { userId: null, outcome: 'failure', detail: error.reason });
+                return res.status(409).json({ message: `${error.message} Your account has been signed out everywhere; contact support to recover it.`, code: 'EMAIL_TAKEN' });
+            }
+            console.error('!!! EMAIL CHANGE CANCEL ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while cancelling the email change' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createEmailChangeRouter;
@@ -0,0 +1,77 @@
+const express = require('express');
+
+/**
+ * Email address verification.
+ * @param {object} ctx - The app context built by createApp (see ../app.js).
+ */
+function createEmailVerificationRouter(ctx) {
+    const { repo, emailVerificationService, rateLimits, auditLog } = ctx;
+    const router = express.Router();
+
+    // --- EMAIL VERIFICATION ROUTES ---
+
+    /**
+     * @route   POST /api/verify-email
+     * @desc    Verifies a user's email address using the token from the verification link.
+     * @access  Public
+     * @body    { token }
+     */
+    router.post('/api/verify-email', async (req, res) => {
+        const { token } = req.body;
+        if (!token) {
+            return res.status(400).json({ message: 'Verification token is required' });
+        }
+
+        try {
+            const userId = await emailVerificationService.verify(token);
+            if (!userId) {
+                await auditLog.record(req, 'email_verification', { userId: null, outcome: 'failure', detail: 'invalid_token' });
+                return res.status(400).json({ message: 'Invalid or expired verification link.' });
+            }
+            await auditLog.record(req, 'email_verification', { userId });
+
+            res.status(200).json({ message: 'Your email address has been verified.' });
+
+        } catch (error) {
+            console.error('!!! VERIFY EMAIL ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while verifying your email.' });
+        }
+    });
+
+    /**
+     * @route   POST /api/resend-verification
+     * @desc    Sends a new verification link to an unverified account.
+     * @access  Public
+     * @body    { email }
+     */
+    router.post('/api/resend-verification', rateLimits.emailIp, rateLimits.emailAccount, async (req, res) => {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ message: 'Email is required' });
+        }
+
+        try {
+            const user = await repo.users.findByEmail(email);
+
+            if (user && !user.email_verified) {
+                await auditLog.record(req, 'email_verification_resend', { userId: user.id, email });
+                try {
+                    await emailVerificationService.sendVerification(user);
+                } catch (mailError) {
+                    console.error('!!! VERIFICATION EMAIL ERROR !!!:', mailError);
+                }
+            }
+
+            // Same response whether or not the email exists or is already verified, to prevent enumeration.
+            res.status(200).json({ message: 'If that account needs verification, a new link has been sent.' });
+
+        } catch (error) {
+            console.error('!!! RESEND VERIFICATION ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createEmailVerificationRouter;
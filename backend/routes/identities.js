@@ -0,0 +1,145 @@
+const express = require('express');
+const { ProviderTokenError } = require('../services/identityProviders');
+
+/**
+ * Sign-in methods linked to the signed-in user's account: list, link and unlink.
+ * @param {object} ctx - The app context built by createApp (see ../app.js).
+ */
+function createIdentitiesRouter(ctx) {
+    const { repo, identityProviders, authMiddleware, requireScope, auditLog } = ctx;
+    const router = express.Router();
+
+    // --- LINKED ACCOUNT ROUTES ---
+
+    /**
+     * @route   GET /api/identities
+     * @desc    Lists the providers linked to the account, whether it has a password,
+     *          and which providers can be linked ({ id, name }).
+     * @access  Private (requires authMiddleware; tokens need profile:read)
+     */
+    router.get('/api/identities', authMiddleware, requireScope('profile:read'), async (req, res) => {
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            const identities = await repo.identities.listForUser(user.id);
+            res.status(200).json({
+                hasPassword: Boolean(user.password),
+                identities: identities.map((identity) => ({
+                    provider: identity.provider,
+                    email: identity.email,
+                    linkedAt: identity.created_at,
+                })),
+                providers: identityProviders.list(),
+            });
+
+        } catch (error) {
+            console.error('!!! LIST IDENTITIES ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while loading your sign-in methods' });
+        }
+    });
+
+    /**
+     * @route   POST /api/identities/:provider
+     * @desc    Links a provider account. Being signed in plus a fresh sign-in with the provider
+     *          (its ID token or access token) confirms that the same person owns both.
+     * @access  Private (requires authMiddleware)
+     * @body    { idToken?, accessToken? }
+     */
+    router.post('/api/identities/:provider', authMiddleware, async (req, res) => {
+        const provider = identityProviders.get(req.params.provider);
+        const { idToken, accessToken } = req.body;
+
+        if (!provider) {
+            return res.status(400).json({ message: 'Unknown sign-in provider' });
+        }
+        if (!idToken && !accessToken) {
+            return res.status(400).json({ message: 'An ID token or access token is required' });
+        }
+
+        try {
+            let profile;
+            try {
+                profile = await identityProviders.verify(provider.id, { idToken, accessToken });
+            } catch (verifyError) {
+                if (verifyError instanceof ProviderTokenError) {
+                    await auditLog.record(req, 'identity_link', { outcome: 'failure', detail: `${provider.id}:invalid_token` });
+                    return res.status(401).json({ message: `Invalid ${provider.name} credentials` });
+                }
+                throw verifyError;
+            }
+
+            const existing = await repo.identities.findByProvider(provider.id, profile.sub);
+            if (existing) {
+                const message = existing.user_id === req.user.id
+                    ? `This ${provider.name} account is already linked to your account.`
+                    : `This ${provider.name} account is linked to a different account.`;
+                await auditLog.record(req, 'identity_link', { outcome: 'failure', detail: `${provider.id}:already_linked` });
+                return res.status(409).json({ message: message });
+            }
+
+            try {
+                await repo.identities.create({ userId: req.user.id, provider: provider.id, providerUserId: profile.sub, email: profile.email });
+            } catch (linkError) {
+                if (linkError.code === 'ER_DUP_ENTRY') {
+                    return res.status(409).json({ message: `A ${provider.name} account is already linked. Unlink it first.` });
+                }
+                throw linkError;
+            }
+
+            await auditLog.record(req, 'identity_link', { email: profile.email, detail: provider.id });
+
+            res.status(201).json({ message: `${provider.name} account linked` });
+
+        } catch (error) {
+            console.error('!!! LINK IDENTITY ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while linking the account' });
+        }
+    });
+
+    /**
+     * @route   DELETE /api/identities/:provider
+     * @desc    Unlinks a provider, as long as the account keeps at least one way to sign in.
+     * @access  Private (requires authMiddleware)
+     */
+    router.delete('/api/identities/:provider', authMiddleware, async (req, res) => {
+        const { provider } = req.params;
+
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            const [identities, passkeys] = await Promise.all([
+                repo.identities.listForUser(user.id),
+                repo.passkeys.listForUser(user.id),
+            ]);
+            if (!identities.some((identity) => identity.provider === provider)) {
+                return res.status(404).json({ message: 'That sign-in method is not linked' });
+            }
+
+            const remainingMethods = identities.length - 1 + passkeys.length + (user.password ? 1 : 0);
+            if (remainingMethods === 0) {
+                return res.status(409).json({
+                    message: 'Set a password, add a passkey or link another sign-in method before removing this one.',
+                    code: 'LAST_LOGIN_METHOD',
+                });
+            }
+
+            await repo.identities.delete(user.id, provider);
+            await auditLog.record(req, 'identity_unlink', { detail: provider });
+            res.status(200).json({ message: 'Sign-in method unlinked' });
+
+        } catch (error) {
+            console.error('!!! UNLINK IDENTITY ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while unlinking the account' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createIdentitiesRouter;
@@ -0,0 +1,176 @@
+const express = require('express');
+const { OAuthError, OAUTH_SCOPES } = require('../services/oauthServer');
+
+/**
+ * Reads the client's credentials from an HTTP Basic Authorization header (client_secret_basic)
+ * or from the form body (client_secret_post, or just client_id for public clients).
+ * @param {object} req - Express request.
+ * @returns {{ clientId?: string, clientSecret?: string }}
+ */
+const clientCredentials = (req) => {
+    const basic = /^Basic\s+(.+)$/i.exec(req.get('Authorization') || '');
+    if (basic) {
+        const [clientId, clientSecret = ''] = Buffer.from(basic[1], 'base64').toString('utf8').split(':');
+        try {
+            return { clientId: decodeURIComponent(clientId), clientSecret: decodeURIComponent(clientSecret) };
+        } catch (e) {
+            return {};
+        }
+    }
+    // No form body at all leaves req.body undefined (Express 5).
+    const body = req.body || {};
+    return { clientId: body.client_id, clientSecret: body.client_secret };
+};
+
+/**
+ * Answers with an OAuth error body ({ error, error_description }), as OAuth clients expect,
+ * instead of the API's usual { message }.
+ */
+const sendOAuthError = (res, error) => {
+    if (error.status === 401) {
+        res.set('WWW-Authenticate', error.reason === 'invalid_client' ? 'Basic' : `Bearer error="${error.reason}"`);
+    }
+    res.status(error.status).json({ error: error.reason, error_description: error.message });
+};
+
+/**
+ * The OAuth 2.0 / OpenID Connect provider endpoints (see ../services/oauthServer.js): discovery,
+ * authorize, token and userinfo, plus the JSON API behind the consent page of the Next.js app.
+ * Only mounted when tokens are signed with RS256 or EdDSA (see ../app.js).
+ * @param {object} ctx - The app context built by createApp (see ../app.js).
+ */
+function createOAuthRouter(ctx) {
+    const { config, oauthServer, authMiddleware, rateLimits, auditLog } = ctx;
+    const router = express.Router();
+
+    // --- DISCOVERY ---
+
+    /**
+     * @route   GET /.well-known/openid-configuration
+     * @desc    OpenID Provider metadata: the endpoints, supported scopes, algorithms and PKCE methods.
+     * @access  Public
+     */
+    router.get('/.well-known/openid-configuration', (req, res) => {
+        res.status(200).json(oauthServer.metadata());
+    });
+
+    // --- AUTHORIZATION ---
+
+    /**
+     * @route   GET /oauth/authorize
+     * @desc    Where client apps send the browser. Forwards the request, unchanged, to the consent page
+     *          of the Next.js app, which signs the user in first if needed.
+     * @access  Public
+     */
+    router.get('/oauth/authorize', (req, res) => {
+        const query = new URLSearchParams(req.query).toString();
+        res.redirect(`${config.frontendUrl}/oauth/authorize?${query}`);
+    });
+
+    /**
+     * @route   GET /api/oauth/authorize
+     * @desc    Checks an authorization request for the consent page and describes it: the app's name
+     *          and the scopes it asks for ({ name, description }). If the request is invalid but the app
+     *          is genuine, the 400 response has a `redirectTo` that reports the error back to the app.
+     * @access  Private (requires authMiddleware)
+     */
+    router.get('/api/oauth/authorize', authMiddleware, async (req, res) => {
+        try {
+            const request = await oauthServer.validateAuthorizationRequest(req.query);
+            res.status(200).json({
+                client: { name: request.client.name },
+                scopes: request.scopes.map((name) => ({ name, description: OAUTH_SCOPES[name] })),
+            });
+
+        } catch (error) {
+            if (error instanceof OAuthError) {
+                return res.status(400).json({ message: error.message, redirectTo: error.redirectTo || undefined });
+            }
+            console.error('!!! OAUTH AUTHORIZE ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while checking the sign-in request' });
+        }
+    });
+
+    /**
+     * @route   POST /api/oauth/authorize
+     * @desc    Records the user's answer on the consent page. Approving creates an authorization code.
+     *          Either way the response's `redirectTo` sends the browser back to the app.
+     * @access  Private (requires authMiddleware)
+     * @body    { ...the authorization request's query parameters, approve: boolean }
+     */
+    router.post('/api/oauth/authorize', authMiddleware, async (req, res) => {
+        const { approve, ...params } = req.body || {};
+
+        try {
+            const request = await oauthServer.validateAuthorizationRequest(params);
+            if (approve !== true) {
+                await auditLog.record(req, 'oauth_authorize', { outcome: 'failure', detail: `${request.client.name}: declined` });
+                return res.status(200).json({ redirectTo: oauthServer.deny(request) });
+            }
+
+            const redirectTo = await oauthServer.approve(req.user, request);
+            await auditLog.record(req, 'oauth_authorize', { detail: `${request.client.name} (${request.scopes.join(' ')})` });
+            res.status(200).json({ redirectTo });
+
+        } catch (error) {
+            if (error instanceof OAuthError) {
+                return res.status(400).json({ message: error.message, redirectTo: error.redirectTo || undefined });
+            }
+            console.error('!!! OAUTH APPROVE ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while answering the sign-in request' });
+        }
+    });
+
+    // --- TOKEN ---
+
+    /**
+     * @route   POST /oauth/token
+     * @desc    Exchanges an authorization code (with its PKCE code_verifier) for an access token and,
+     *          with the openid scope, an ID token. Errors use the OAuth format ({ error, error_description }).
+     * @access  Public (client credentials in the Authorization header or the body)
+     * @body    application/x-www-form-urlencoded: grant_type=authorization_code, code, redirect_uri, code_verifier, client_id?, client_secret?
+     */
+    router.post('/oauth/token', rateLimits.loginIp, express.urlencoded({ extended: false }), async (req, res) => {
+        res.set('Cache-Control', 'no-store');
+
+        try {
+            const tokens = await oauthServer.exchangeCode({ ...req.body, ...clientCredentials(req) });
+            res.status(200).json(tokens);
+
+        } catch (error) {
+            if (error instanceof OAuthError) {
+                return sendOAuthError(res, error);
+            }
+            console.error('!!! OAUTH TOKEN ERROR !!!:', error);
+            res.status(500).json({ error: 'server_error', error_description: 'An error occurred while issuing the tokens' });
+        }
+    });
+
+    // --- USERINFO ---
+
+    /**
+     * @route   GET|POST /oauth/userinfo
+     * @desc    The signed-in user's claims, as far as the access token's scopes allow.
+     * @access  Bearer access token from /oauth/token
+     */
+    const handleUserInfo = async (req, res) => {
+        const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+
+        try {
+            res.status(200).json(await oauthServer.userInfo(token));
+
+        } catch (error) {
+            if (error instanceof OAuthError) {
+                return sendOAuthError(res, error);
+            }
+            console.error('!!! OAUTH USERINFO ERROR !!!:', error);
+            res.status(500).json({ error: 'server_error', error_description: 'An error occurred while loading the user' });
+        }
+    };
+    router.get('/oauth/userinfo', handleUserInfo);
+    router.post('/oauth/userinfo', handleUserInfo);
+
+    return router;
+}
+
+module.exports = createOAuthRouter;
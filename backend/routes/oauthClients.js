@@ -0,0 +1,91 @@
+const express = require('express');
+const { OAuthError, OAUTH_SCOPES, toOAuthClientSummary } = require('../services/oauthServer');
+
+/**
+ * Admin management of the apps that sign users in through this server (OAuth clients).
+ * @param {object} ctx - The app context built by createApp (see ../app.js).
+ */
+function createOAuthClientsRouter(ctx) {
+    const { repo, oauthServer, authMiddleware, requirePermission, auditLog } = ctx;
+    const router = express.Router();
+
+    // --- OAUTH CLIENT ROUTES ---
+
+    /**
+     * @route   GET /api/admin/oauth-clients
+     * @desc    Lists the registered apps (without secrets), the scopes apps can be given ({ name, description })
+     *          and whether the OAuth server is on (it needs JWT_ALGORITHM=RS256 or EdDSA).
+     * @access  Private (requires oauth_clients:read)
+     */
+    router.get('/api/admin/oauth-clients', authMiddleware, requirePermission('oauth_clients:read'), async (req, res) => {
+        try {
+            const clients = await repo.oauthClients.list();
+            res.status(200).json({
+                clients: clients.map(toOAuthClientSummary),
+                scopes: Object.entries(OAUTH_SCOPES).map(([name, description]) => ({ name, description })),
+                enabled: Boolean(oauthServer),
+            });
+
+        } catch (error) {
+            console.error('!!! LIST OAUTH CLIENTS ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while loading the apps' });
+        }
+    });
+
+    /**
+     * @route   POST /api/admin/oauth-clients
+     * @desc    Registers an app. A confidential app's secret is in the response and can't be shown again.
+     * @access  Private (requires oauth_clients:write)
+     * @body    { name, redirectUris: string[], scopes: string[], confidential: boolean }
+     */
+    router.post('/api/admin/oauth-clients', authMiddleware, requirePermission('oauth_clients:write'), async (req, res) => {
+        if (!oauthServer) {
+            return res.status(409).json({ message: 'Apps can only sign in through this server when tokens are signed with RS256 or EdDSA (JWT_ALGORITHM).' });
+        }
+        const { name, redirectUris, scopes, confidential } = req.body;
+
+        try {
+            const { client, clientSecret } = await oauthServer.registerClient({ name, redirectUris, scopes, confidential: confidential === true }, req.user.id);
+            await auditLog.record(req, 'oauth_client_create', { detail: `${client.name} (${client.client_id})` });
+
+            res.status(201).json({
+                message: clientSecret ? "App registered. Copy its secret now: it won't be shown again." : 'App registered.',
+                client: toOAuthClientSummary(client),
+                clientSecret: clientSecret || undefined,
+            });
+
+        } catch (error) {
+            if (error instanceof OAuthError) {
+                return res.status(400).json({ message: error.message });
+            }
+            console.error('!!! CREATE OAUTH CLIENT ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while registering the app' });
+        }
+    });
+
+    /**
+     * @route   DELETE /api/admin/oauth-clients/:id
+     * @desc    Removes an app. Its pending codes are deleted and its tokens stop working at the userinfo endpoint.
+     * @access  Private (requires oauth_clients:write)
+     */
+    router.delete('/api/admin/oauth-clients/:id', authMiddleware, requirePermission('oauth_clients:write'), async (req, res) => {
+        try {
+            const clients = await repo.oauthClients.list();
+            const client = clients.find((row) => String(row.id) === req.params.id);
+            if (!client || !(await repo.oauthClients.delete(client.id))) {
+                return res.status(404).json({ message: 'App not found' });
+            }
+            await auditLog.record(req, 'oauth_client_delete', { detail: `${client.name} (${client.client_id})` });
+
+            res.status(200).json({ message: 'App removed' });
+
+        } catch (error) {
+            console.error('!!! DELETE OAUTH CLIENT ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while removing the app' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createOAuthClientsRouter;
@@ -0,0 +1,289 @@
+const express = require('express');
+const {
+    OrganizationError,
+    ORGANIZATION_ROLES,
+    toOrganizationSummary,
+    toMemberSummary,
+    toInvitationSummary,
+} = require('../services/organizationService');
+const { isValidEmail } = require('../utils/users');
+
+/**
+ * Organizations (see ../services/organizationService.js): creating them, members and their roles,
+ * and invitations, from both sides: sending and cancelling them, and answering them.
+ * @param {object} ctx - The app context built by createApp (see ../app.js).
+ */
+function createOrganizationsRouter(ctx) {
+    const { repo, organizationService, rateLimits, authMiddleware, requireVerifiedEmail, auditLog } = ctx;
+    const router = express.Router();
+
+    /**
+     * Sends the response for an OrganizationError, or a 500 for anything else.
+     * @param {object} res - Express response.
+     * @param {Error} error
+     * @param {string} label - Names the failure in the log, e.g. 'LEAVE ORGANIZATION'.
+     * @param {string} message - The 500 response's message.
+     */
+    const sendError = (res, error, label, message) => {
+        if (error instanceof OrganizationError) {
+            return res.status(error.status).json({ message: error.message });
+        }
+        console.error(`!!! ${label} ERROR !!!:`, error);
+        res.status(500).json({ message });
+    };
+
+    // --- ORGANIZATION ROUTES ---
+
+    /**
+     * @route   GET /api/organizations
+     * @desc    Lists the organizations the signed-in user is in, by name, with their role in each.
+     * @access  Private (requires authMiddleware)
+     */
+    router.get('/api/organizations', authMiddleware, async (req, res) => {
+        try {
+            const organizations = await organizationService.listForUser(req.user.id);
+            res.status(200).json({ organizations: organizations.map(toOrganizationSummary) });
+
+        } catch (error) {
+            sendError(res, error, 'LIST ORGANIZATIONS', 'An error occurred while loading your organizations');
+        }
+    });
+
+    /**
+     * @route   POST /api/organizations
+     * @desc    Creates an organization with the signed-in user as its owner.
+     * @access  Private (requires authMiddleware and a verified email)
+     * @body    { name }
+     */
+    router.post('/api/organizations', authMiddleware, requireVerifiedEmail, async (req, res) => {
+        try {
+            const organization = await organizationService.create(req.user, req.body.name);
+            await auditLog.record(req, 'organization_create', { detail: `${organization.name} (#${organization.id})` });
+
+            res.status(201).json({ message: 'Organization created', organization: toOrganizationSummary(organization) });
+
+        } catch (error) {
+            sendError(res, error, 'CREATE ORGANIZATION', 'An error occurred while creating the organization');
+        }
+    });
+
+    /**
+     * @route   GET /api/organizations/:id
+     * @desc    An organization with its members (oldest first) and the signed-in user's role. Owners and
+     *          admins also get the pending invitations. 404 for organizations the user isn't in.
+     * @access  Private (requires authMiddleware)
+     */
+    router.get('/api/organizations/:id', authMiddleware, async (req, res) => {
+        try {
+            const { organization, role, members, invitations } = await organizationService.describe(req.params.id, req.user.id);
+            res.status(200).json({
+                organization: toOrganizationSummary({ ...organization, role }),
+                members: members.map(toMemberSummary),
+                invitations: invitations.map(toInvitationSummary),
+                roles: ORGANIZATION_ROLES,
+            });
+
+        } catch (error) {
+            sendError(res, error, 'GET ORGANIZATION', 'An error occurred while loading the organization');
+        }
+    });
+
+    /**
+     * @route   POST /api/organizations/:id/leave
+     * @desc    Leaves an organization. The last owner must first make someone else an owner, unless
+     *          nobody else is in it: then leaving deletes it (`deleted: true`).
+     * @access  Private (requires authMiddleware)
+     */
+    router.post('/api/organizations/:id/leave', authMiddleware, async (req, res) => {
+        try {
+            const { organization, deleted } = await organizationService.leave(req.params.id, req.user.id);
+            await auditLog.record(req, 'organization_leave', { detail: `${organization.name} (#${organization.id})${deleted ? ': deleted' : ''}` });
+
+            res.status(200).json({ message: deleted ? `You left ${organization.name}, which has been deleted` : `You left ${organization.name}`, deleted });
+
+        } catch (error) {
+            sendError(res, error, 'LEAVE ORGANIZATION', 'An error occurred while leaving the organization');
+        }
+    });
+
+    // --- MEMBER ROUTES ---
+
+    /**
+     * @route   PATCH /api/organizations/:id/members/:userId
+     * @desc    Changes a member's role. Owners and admins can; only owners can make or unmake owners,
+     *          and the last owner can't step down (409).
+     * @access  Private (requires authMiddleware)
+     * @body    { role } - 'owner', 'admin' or 'member'.
+     */
+    router.patch('/api/organizations/:id/members/:userId', authMiddleware, async (req, res) => {
+        const { role } = req.body;
+
+        try {
+            const { organization, member } = await organizationService.changeRole(req.params.id, req.user.id, req.params.userId, role);
+            if (member.role !== role) {
+                await auditLog.record(req, 'organization_role_change', {
+                    detail: `${organization.name} (#${organization.id}): ${member.email} ${member.role} -> ${role}`,
+                });
+            }
+
+            res.status(200).json({ message: 'Role updated' });
+
+        } catch (error) {
+            sendError(res, error, 'CHANGE ORGANIZATION ROLE', 'An error occurred while changing the role');
+        }
+    });
+
+    /**
+     * @route   DELETE /api/organizations/:id/members/:userId
+     * @desc    Removes someone else from an organization (to remove yourself, leave it). Owners and
+     *          admins can; only owners can remove owners.
+     * @access  Private (requires authMiddleware)
+     */
+    router.delete('/api/organizations/:id/members/:userId', authMiddleware, async (req, res) => {
+        try {
+            const { organization, member } = await organizationService.removeMember(req.params.id, req.user.id, req.params.userId);
+            await auditLog.record(req, 'organization_member_remove', { detail: `${organization.name} (#${organization.id}): ${member.email}` });
+
+            res.status(200).json({ message: 'Member removed' });
+
+        } catch (error) {
+            sendError(res, error, 'REMOVE ORGANIZATION MEMBER', 'An error occurred while removing the member');
+        }
+    });
+
+    // --- INVITATION ROUTES (SENDING) ---
+
+    /**
+     * @route   POST /api/organizations/:id/invitations
+     * @desc    Emails an invitation to join as an admin or member. It expires after ORGANIZATION_INVITATION_TTL_DAYS
+     *          and replaces any pending one for the same address. 409 if the address's account is already a member.
+     * @access  Private (requires authMiddleware and a verified email; owners and admins only)
+     * @body    { email, role? } - role is 'admin' or 'member' (the default).
+     */
+    router.post('/api/organizations/:id/invitations', authMiddleware, requireVerifiedEmail, rateLimits.invitations, async (req, res) => {
+        const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+        const { role = 'member' } = req.body;
+
+        if (!email || !isValidEmail(email)) {
+            return res.status(400).json({ message: 'Enter a valid email address' });
+        }
+
+        try {
+            const inviter = await repo.users.findById(req.user.id);
+            const { organization, invitation } = await organizationService.invite(req.params.id, inviter, { email, role });
+            await auditLog.record(req, 'organization_invite', { detail: `${organization.name} (#${organization.id}): ${email} as ${role}` });
+
+            res.status(201).json({ message: `Invitation sent to ${email}`, invitation: toInvitationSummary(invitation) });
+
+        } catch (error) {
+            sendError(res, error, 'SEND INVITATION', 'An error occurred while sending the invitation');
+        }
+    });
+
+    /**
+     * @route   DELETE /api/organizations/:id/invitations/:invitationId
+     * @desc    Cancels a pending invitation; its link stops working.
+     * @access  Private (requires authMiddleware; owners and admins only)
+     */
+    router.delete('/api/organizations/:id/invitations/:invitationId', authMiddleware, async (req, res) => {
+        try {
+            const { organization, invitation } = await organizationService.cancelInvitation(req.params.id, req.user.id, req.params.invitationId);
+            await auditLog.record(req, 'organization_invite_cancel', { detail: `${organization.name} (#${organization.id}): ${invitation.email}` });
+
+            res.status(200).json({ message: 'Invitation cancelled' });
+
+        } catch (error) {
+            sendError(res, error, 'CANCEL INVITATION', 'An error occurred while cancelling the invitation');
+        }
+    });
+
+    // --- INVITATION ROUTES (ANSWERING) ---
+
+    /**
+     * Records the answer to an invitation and responds. `ref` is { token } from the link or { id } of
+     * an invitation attached to the account.
+     */
+    const answer = async (req, res, ref, accepted) => {
+        try {
+            const { organization } = accepted
+                ? await organizationService.accept(req.user.id, ref)
+                : await organizationService.decline(req.user.id, ref);
+            await auditLog.record(req, accepted ? 'organization_join' : 'organization_invite_decline', {
+                detail: `${organization.name} (#${organization.id})${accepted ? ` as ${organization.role}` : ''}`,
+            });
+
+            res.status(200).json(accepted
+                ? { message: `You joined ${organization.name}`, organization: toOrganizationSummary(organization) }
+                : { message: 'Invitation declined' });
+
+        } catch (error) {
+            sendError(res, error, 'ANSWER INVITATION', 'An error occurred while answering the invitation');
+        }
+    };
+
+    /**
+     * @route   GET /api/invitations
+     * @desc    The pending invitations sent to the signed-in user's address, newest first:
+     *          { id, organization: { id, name }, email, role, invitedBy, expiresAt }.
+     * @access  Private (requires authMiddleware)
+     */
+    router.get('/api/invitations', authMiddleware, async (req, res) => {
+        try {
+            res.status(200).json({ invitations: await organizationService.listInvitationsForUser(req.user.id) });
+
+        } catch (error) {
+            sendError(res, error, 'LIST INVITATIONS', 'An error occurred while loading your invitations');
+        }
+    });
+
+    /**
+     * @route   POST /api/invitations/lookup
+     * @desc    Describes the invitation behind a link, for the page it opens (before signing in, too).
+     * @access  Public
+     * @body    { token }
+     */
+    router.post('/api/invitations/lookup', async (req, res) => {
+        try {
+            res.status(200).json({ invitation: await organizationService.lookup(req.body.token) });
+
+        } catch (error) {
+            sendError(res, error, 'LOOKUP INVITATION', 'An error occurred while loading the invitation');
+        }
+    });
+
+    /**
+     * @route   POST /api/invitations/accept
+     * @desc    Accepts the invitation behind a link, whichever account is signed in: the link is the proof.
+     * @access  Private (requires authMiddleware)
+     * @body    { token }
+     */
+    router.post('/api/invitations/accept', authMiddleware, (req, res) => answer(req, res, { token: req.body.token }, true));
+
+    /**
+     * @route   POST /api/invitations/decline
+     * @desc    Declines the invitation behind a link.
+     * @access  Private (requires authMiddleware)
+     * @body    { token }
+     */
+    router.post('/api/invitations/decline', authMiddleware, (req, res) => answer(req, res, { token: req.body.token }, false));
+
+    /**
+     * @route   POST /api/invitations/:id/accept
+     * @desc    Accepts an invitation from GET /api/invitations. Without the link, the address it was sent to
+     *          must be verified: anyone can sign up with an address. organizationService checks this
+     *          even with EMAIL_VERIFICATION_MODE=off.
+     * @access  Private (requires authMiddleware and a verified email)
+     */
+    router.post('/api/invitations/:id/accept', authMiddleware, requireVerifiedEmail, (req, res) => answer(req, res, { id: req.params.id }, true));
+
+    /**
+     * @route   POST /api/invitations/:id/decline
+     * @desc    Declines an invitation from GET /api/invitations.
+     * @access  Private (requires authMiddleware and a verified email)
+     */
+    router.post('/api/invitations/:id/decline', authMiddleware, requireVerifiedEmail, (req, res) => answer(req, res, { id: req.params.id }, false));
+
+    return router;
+}
+
+module.exports = createOrganizationsRouter;
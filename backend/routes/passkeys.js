@@ -0,0 +1,133 @@
+const express = require('express');
+const { PasskeyError, toPasskeySummary } = require('../services/passkeyService');
+
+/**
+ * The signed-in user's passkeys: list, register and remove. Signing in with one is in ./auth.js.
+ * @param {object} ctx - The app context built by createApp (see ../app.js).
+ */
+function createPasskeysRouter(ctx) {
+    const { repo, passkeyService, reauthService, rateLimits, authMiddleware, requireScope, requireVerifiedEmail, auditLog } = ctx;
+    const router = express.Router();
+
+    // --- PASSKEY ROUTES ---
+
+    /**
+     * @route   GET /api/passkeys
+     * @desc    Lists the account's passkeys, oldest first.
+     * @access  Private (requires authMiddleware; tokens need profile:read)
+     */
+    router.get('/api/passkeys', authMiddleware, requireScope('profile:read'), async (req, res) => {
+        try {
+            const passkeys = await repo.passkeys.listForUser(req.user.id);
+            res.status(200).json({ passkeys: passkeys.map(toPasskeySummary) });
+
+        } catch (error) {
+            console.error('!!! LIST PASSKEYS ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while loading your passkeys' });
+        }
+    });
+
+    /**
+     * @route   POST /api/passkeys/registration/options
+     * @desc    Starts registering a passkey. Returns the options for navigator.credentials.create()
+     *          and the id of the challenge to send back with the result. A passkey signs in without the
+     *          password or 2FA, so this needs the password (accounts without one must have signed in within
+     *          the last 10 minutes) and, with 2FA on, a current code.
+     * @access  Private (requires authMiddleware and a verified email)
+     * @body    { password?, code? }
+     */
+    router.post('/api/passkeys/registration/options', authMiddleware, requireVerifiedEmail, rateLimits.loginIp, rateLimits.reauthAccount, async (req, res) => {
+        const { password, code } = req.body || {};
+
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            if (!(await reauthService.confirm(req, res, user, { password, code, action: 'add a passkey', event: 'passkey_register' }))) {
+                return;
+            }
+
+            const { challengeId, options } = await passkeyService.registrationOptions(user);
+            res.status(200).json({ challengeId: challengeId, options: options });
+
+        } catch (error) {
+            console.error('!!! PASSKEY OPTIONS ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while setting up the passkey' });
+        }
+    });
+
+    /**
+     * @route   POST /api/passkeys
+     * @desc    Finishes registering a passkey with the browser's response. The challenge must have been
+     *          issued to this user, so the check on the options request covers it.
+     * @access  Private (requires authMiddleware and a verified email)
+     * @body    { challengeId, response, name? } - `response` is the RegistrationResponseJSON from the browser.
+     */
+    router.post('/api/passkeys', authMiddleware, requireVerifiedEmail, async (req, res) => {
+        const { challengeId, response, name } = req.body;
+        if (!challengeId || !response) {
+            return res.status(400).json({ message: 'Challenge id and response are required' });
+        }
+
+        try {
+            const passkey = await passkeyService.register(req.user, challengeId, response, name);
+            await auditLog.record(req, 'passkey_register', { detail: passkey.name });
+
+            res.status(201).json({ message: 'Passkey added', passkey: toPasskeySummary(passkey) });
+
+        } catch (error) {
+            if (error instanceof PasskeyError) {
+                await auditLog.record(req, 'passkey_register', { outcome: 'failure', detail: error.reason });
+                return res.status(error.reason === 'already_registered' ? 409 : 400).json({ message: error.message });
+            }
+            console.error('!!! PASSKEY REGISTER ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while adding the passkey' });
+        }
+    });
+
+    /**
+     * @route   DELETE /api/passkeys/:id
+     * @desc    Removes a passkey, as long as the account keeps at least one way to sign in.
+     * @access  Private (requires authMiddleware)
+     */
+    router.delete('/api/passkeys/:id', authMiddleware, async (req, res) => {
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            const [passkeys, identities] = await Promise.all([
+                repo.passkeys.listForUser(user.id),
+                repo.identities.listForUser(user.id),
+            ]);
+            const passkey = passkeys.find((row) => String(row.id) === req.params.id);
+            if (!passkey) {
+                return res.status(404).json({ message: 'Passkey not found' });
+            }
+
+            const remainingMethods = passkeys.length - 1 + identities.length + (user.password ? 1 : 0);
+            if (remainingMethods === 0) {
+                return res.status(409).json({
+                    message: 'Set a password or link another sign-in method before removing your last passkey.',
+                    code: 'LAST_LOGIN_METHOD',
+                });
+            }
+
+            await repo.passkeys.delete(user.id, passkey.id);
+            await auditLog.record(req, 'passkey_delete', { detail: passkey.name });
+
+            res.status(200).json({ message: 'Passkey removed' });
+
+        } catch (error) {
+            console.error('!!! PASSKEY DELETE ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while removing the passkey' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createPasskeysRouter;
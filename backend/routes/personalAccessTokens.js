@@ -0,0 +1,95 @@
+const express = require('express');
+const {
+    PersonalAccessTokenError,
+    availableScopes,
+    toPersonalAccessTokenSummary,
+} = require('../services/personalAccessTokenService');
+
+/**
+ * The signed-in user's personal access tokens: list, create and revoke. Managing tokens needs a
+ * signed-in session; a token can't be used to create or revoke tokens.
+ * @param {object} ctx - The app context built by createApp (see ../app.js).
+ */
+function createPersonalAccessTokensRouter(ctx) {
+    const { repo, personalAccessTokenService, authMiddleware, requireVerifiedEmail, auditLog } = ctx;
+    const router = express.Router();
+
+    // --- PERSONAL ACCESS TOKEN ROUTES ---
+
+    /**
+     * @route   GET /api/personal-access-tokens
+     * @desc    Lists the account's tokens (newest first, without their secrets) and the scopes
+     *          new tokens can have ({ name, description }).
+     * @access  Private (requires authMiddleware)
+     */
+    router.get('/api/personal-access-tokens', authMiddleware, async (req, res) => {
+        try {
+            const [tokens, permissions] = await Promise.all([
+                repo.personalAccessTokens.listForUser(req.user.id),
+                repo.roles.permissionsForUser(req.user.id),
+            ]);
+            res.status(200).json({
+                tokens: tokens.map(toPersonalAccessTokenSummary),
+                scopes: availableScopes(permissions),
+            });
+
+        } catch (error) {
+            console.error('!!! LIST ACCESS TOKENS ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while loading your access tokens' });
+        }
+    });
+
+    /**
+     * @route   POST /api/personal-access-tokens
+     * @desc    Creates a token. The secret is in the response and can't be shown again.
+     * @access  Private (requires authMiddleware and a verified email)
+     * @body    { name, scopes, expiresInDays? } - `expiresInDays` is 1-365, or null/omitted for a token that doesn't expire.
+     */
+    router.post('/api/personal-access-tokens', authMiddleware, requireVerifiedEmail, async (req, res) => {
+        const { name, scopes, expiresInDays } = req.body;
+
+        try {
+            const { token, row } = await personalAccessTokenService.create(req.user, { name, scopes, expiresInDays });
+            await auditLog.record(req, 'personal_access_token_create', { detail: `${row.name} (${row.scopes})` });
+
+            res.status(201).json({
+                message: "Token created. Copy it now: it won't be shown again.",
+                token: token,
+                personalAccessToken: toPersonalAccessTokenSummary(row),
+            });
+
+        } catch (error) {
+            if (error instanceof PersonalAccessTokenError) {
+                return res.status(400).json({ message: error.message });
+            }
+            console.error('!!! CREATE ACCESS TOKEN ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while creating the access token' });
+        }
+    });
+
+    /**
+     * @route   DELETE /api/personal-access-tokens/:id
+     * @desc    Revokes a token. Scripts using it stop working immediately.
+     * @access  Private (requires authMiddleware)
+     */
+    router.delete('/api/personal-access-tokens/:id', authMiddleware, async (req, res) => {
+        try {
+            const tokens = await repo.personalAccessTokens.listForUser(req.user.id);
+            const token = tokens.find((row) => String(row.id) === req.params.id);
+            if (!token || !(await repo.personalAccessTokens.revoke(req.user.id, token.id))) {
+                return res.status(404).json({ message: 'Access token not found' });
+            }
+            await auditLog.record(req, 'personal_access_token_revoke', { detail: token.name });
+
+            res.status(200).json({ message: 'Access token revoked' });
+
+        } catch (error) {
+            console.error('!!! REVOKE ACCESS TOKEN ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while revoking the access token' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createPersonalAccessTokensRouter;
@@ -0,0 +1,378 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { sendWeakPassword } = require('../services/passwordPolicy');
+const { AvatarError, ACCEPTED_MIME_TYPES } = require('../services/avatarService');
+const createFileUpload = require('../middleware/fileUpload');
+const { stripPrivateFields, readProfileFields } = require('../utils/users');
+
+/**
+ * Password change and reset, the password policy, onboarding, profile details and avatar, and the user's security activity.
+ * @param {object} ctx - The app context built by createApp (see ../app.js).
+ */
+function createProfileRouter(ctx) {
+    const { config, repo, tokenService, emailVerificationService, passwordResetService, avatarService, reauthService, passwordPolicy, rateLimits, authMiddleware, requireScope, requireVerifiedEmail, auditLog } = ctx;
+    const router = express.Router();
+
+    const avatarUpload = createFileUpload({ field: 'avatar', maxBytes: config.avatar.maxBytes, mimeTypes: ACCEPTED_MIME_TYPES });
+
+    // --- USER PROFILE & MANAGEMENT ROUTES ---
+
+    /**
+     * @route   GET /api/password-policy
+     * @desc    Returns the password rules so forms can show a matching checklist.
+     * @access  Public
+     */
+    router.get('/api/password-policy', (req, res) => {
+        res.status(200).json(passwordPolicy.describe());
+    });
+
+    /**
+     * @route   PUT /api/profile/password
+     * @desc    Changes a logged-in user's password and signs out every other session.
+     *          With keepCurrentSession=false the current session is signed out as well.
+     *          Accounts without a password (created through a sign-in provider) set one; instead of oldPassword
+     *          they must have signed in within the last 10 minutes (403 REAUTH_REQUIRED) and, with 2FA on, send a code.
+     * @access  Private (requires authMiddleware and a verified email)
+     * @body    { oldPassword, newPassword, code?, keepCurrentSession? }
+     */
+    router.put('/api/profile/password', authMiddleware, requireVerifiedEmail, rateLimits.loginIp, rateLimits.reauthAccount, async (req, res) => {
+        const { oldPassword, newPassword, code, keepCurrentSession = true } = req.body;
+
+        if (!newPassword) {
+            return res.status(400).json({ message: 'New password is required' });
+        }
+
+        try {
+            // The user's ID is attached to req.user by the authMiddleware.
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            if (user.password) {
+                if (!oldPassword) {
+                    return res.status(400).json({ message: 'Old and new passwords are required' });
+                }
+
+                // Verify that the provided old password is correct.
+                const isMatch = await bcrypt.compare(oldPassword, user.password);
+                if (!isMatch) {
+                    await auditLog.record(req, 'password_change', { outcome: 'failure', detail: 'invalid_password' });
+                    return res.status(401).json({ message: 'Incorrect old password' });
+                }
+            } else {
+                // With nothing to check, an access token alone could add a password sign-in that outlives it.
+                if (!(await reauthService.confirm(req, res, user, { code, action: 'set a password', event: 'password_change' }))) {
+                    return;
+                }
+            }
+
+            const passwordErrors = passwordPolicy.check(newPassword, user);
+            if (passwordErrors.length > 0) {
+                return sendWeakPassword(res, passwordErrors);
+            }
+
+            // Hash the new password and update it in the database. A reset link mailed earlier must not overwrite it.
+            const hashedNewPassword = await bcrypt.hash(newPassword, 10);
+            await repo.users.update(user.id, { password: hashedNewPassword, resetToken: null, resetTokenExpiry: null });
+
+            // Invalidate existing tokens. The current session gets a replacement access token if it is kept.
+            const replacement = await tokenService.revokeUserTokens(user.id, {
+                keepFamilyId: keepCurrentSession ? req.user.sid : undefined,
+            });
+            // "set" when a provider-only account adds its first password.
+            await auditLog.record(req, 'password_change', { detail: user.password ? null : 'set' });
+
+            res.status(200).json({
+                message: 'Password updated successfully',
+                ...(replacement && { token: replacement.token, tokenExpires: replacement.tokenExpires }),
+            });
+
+        } catch (error) {
+            console.error('!!! PASSWORD CHANGE ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while changing the password' });
+        }
+    });
+
+    /**
+     * @route   POST /api/forgot-password
+     * @desc    Initiates the password reset process.
+     * @access  Public
+     * @body    { email }
+     */
+    router.post('/api/forgot-password', rateLimits.emailIp, rateLimits.emailAccount, async (req, res) => {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ message: 'Email is required' });
+        }
+
+        try {
+            const user = await repo.users.findByEmail(email);
+
+            // If a user exists, email them a reset link (valid for 1 hour).
+            // A delivery failure is logged but not reported, so the response stays identical either way.
+            if (user) {
+                await auditLog.record(req, 'password_reset_request', { userId: user.id, email });
+                try {
+                    await passwordResetService.sendReset(user);
+                } catch (mailError) {
+                    console.error('!!! PASSWORD RESET EMAIL ERROR !!!:', mailError);
+                }
+            }
+
+            // Always send a generic success message to prevent email enumeration attacks.
+            res.status(200).json({ message: 'If a user with that email exists, a password reset link has been sent.' });
+
+        } catch (error) {
+            console.error('!!! FORGOT PASSWORD ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred' });
+        }
+    });
+
+    /**
+     * @route   POST /api/reset-password
+     * @desc    Resets the user's password using a valid token.
+     * @access  Public
+     * @body    { token, newPassword }
+     */
+    router.post('/api/reset-password', rateLimits.resetPasswordIp, async (req, res) => {
+        const { token, newPassword } = req.body;
+        if (!token || !newPassword) {
+            return res.status(400).json({ message: 'Token and new password are required' });
+        }
+
+        try {
+            // Find a user with a matching token that has not expired.
+            const user = await passwordResetService.findUserByToken(token);
+
+            if (!user) {
+                await auditLog.record(req, 'password_reset', { outcome: 'failure', detail: 'invalid_token' });
+                return res.status(400).json({ message: 'Invalid or expired password reset token.' });
+            }
+
+            // The token stays valid, so the user can try again with a stronger password.
+            const passwordErrors = passwordPolicy.check(newPassword, user);
+            if (passwordErrors.length > 0) {
+                return sendWeakPassword(res, passwordErrors);
+            }
+
+            const hashedNewPassword = await bcrypt.hash(newPassword, 10);
+
+            // Update the password and clear the reset token fields to prevent reuse.
+            await repo.users.update(user.id, { password: hashedNewPassword, resetToken: null, resetTokenExpiry: null });
+
+            // Sign out every existing session, since the old password may have been compromised.
+            await tokenService.revokeUserTokens(user.id);
+
+            // Following the emailed reset link proves the user owns the address.
+            await emailVerificationService.markVerified(user.id);
+            await auditLog.record(req, 'password_reset', { userId: user.id });
+
+            res.status(200).json({ message: 'Password has been reset successfully.' });
+
+        } catch (error) {
+            console.error('!!! RESET PASSWORD ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while resetting the password.' });
+        }
+    });
+
+    /**
+     * @route   PUT /api/onboarding
+     * @desc    Completes the onboarding process for a new user.
+     * @access  Private (requires authMiddleware and a verified email; tokens need profile:write)
+     * @body    { name, username }
+     */
+    router.put('/api/onboarding', authMiddleware, requireScope('profile:write'), requireVerifiedEmail, async (req, res) => {
+        const userId = req.user.id;
+        const { name, username } = req.body;
+
+        if (!name || !username) {
+            return res.status(400).json({ message: 'Name and username are required' });
+        }
+
+        try {
+            // Check if the chosen username is already taken by another user.
+            if (await repo.users.isUsernameTaken(username, userId)) {
+                await auditLog.record(req, 'onboarding', { outcome: 'failure', detail: 'username_taken' });
+                return res.status(409).json({ message: 'Username is already taken. Please choose another.' });
+            }
+
+            // Update the user's record with the new details and set onboarded to true (1).
+            await repo.users.update(userId, { name, username, onboarded: 1 });
+            await auditLog.record(req, 'onboarding');
+
+            res.status(200).json({ message: 'Onboarding completed successfully!' });
+
+        } catch (error) {
+            console.error('!!! ONBOARDING ERROR !!!:', error);
+            if (error.code === 'ER_DUP_ENTRY') {
+                 return res.status(409).json({ message: 'Username is already taken. Please choose another.' });
+            }
+            res.status(500).json({ message: 'An error occurred during the onboarding process.' });
+        }
+    });
+
+    /**
+     * @route   GET /api/profile
+     * @desc    The signed-in user's account details.
+     * @access  Private (requires authMiddleware; tokens need profile:read)
+     */
+    router.get('/api/profile', authMiddleware, requireScope('profile:read'), async (req, res) => {
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+            res.status(200).json({ user: stripPrivateFields(user) });
+
+        } catch (error) {
+            console.error('!!! GET PROFILE ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while loading your profile' });
+        }
+    });
+
+    /**
+     * @route   PATCH /api/profile
+     * @desc    Updates the signed-in user's name and/or username.
+     * @access  Private (requires authMiddleware and a verified email; tokens need profile:write)
+     * @body    { name?, username? }
+     */
+    router.patch('/api/profile', authMiddleware, requireScope('profile:write'), requireVerifiedEmail, async (req, res) => {
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            const { fields, error: validationError } = readProfileFields(req.body, user);
+            if (validationError) {
+                return res.status(400).json({ message: validationError });
+            }
+            if (Object.keys(fields).length === 0) {
+                return res.status(400).json({ message: 'Nothing to update' });
+            }
+            if (fields.username && await repo.users.isUsernameTaken(fields.username, user.id)) {
+                return res.status(409).json({ message: 'Username is already taken. Please choose another.' });
+            }
+
+            await repo.users.update(user.id, fields);
+            await auditLog.record(req, 'profile_update', { detail: Object.keys(fields).join(',') });
+            const updatedUser = await repo.users.findById(user.id);
+
+            res.status(200).json({ message: 'Profile updated', user: stripPrivateFields(updatedUser) });
+
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ message: 'Username is already taken. Please choose another.' });
+            }
+            console.error('!!! UPDATE PROFILE ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while updating your profile' });
+        }
+    });
+
+    /**
+     * @route   PUT /api/profile/avatar
+     * @desc    Uploads a new profile picture (JPEG, PNG, WebP or GIF, up to AVATAR_MAX_BYTES).
+     *          It is cropped to a square, resized and stored as WebP.
+     * @access  Private (requires authMiddleware and a verified email; tokens need profile:write)
+     * @body    multipart/form-data with the image in the "avatar" field
+     */
+    router.put('/api/profile/avatar', authMiddleware, requireScope('profile:write'), requireVerifiedEmail, avatarUpload, async (req, res) => {
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            const image = await avatarService.setAvatar(user, req.file.buffer);
+            await auditLog.record(req, 'profile_update', { detail: 'avatar' });
+
+            res.status(200).json({ message: 'Avatar updated', image: image });
+
+        } catch (error) {
+            if (error instanceof AvatarError) {
+                return res.status(400).json({ message: error.message, code: error.reason.toUpperCase() });
+            }
+            console.error('!!! AVATAR UPLOAD ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while saving your avatar' });
+        }
+    });
+
+    /**
+     * @route   DELETE /api/profile/avatar
+     * @desc    Removes the profile picture.
+     * @access  Private (requires authMiddleware and a verified email; tokens need profile:write)
+     */
+    router.delete('/api/profile/avatar', authMiddleware, requireScope('profile:write'), requireVerifiedEmail, async (req, res) => {
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            await avatarService.removeAvatar(user);
+            await auditLog.record(req, 'profile_update', { detail: 'avatar_removed' });
+
+            res.status(200).json({ message: 'Avatar removed' });
+
+        } catch (error) {
+            console.error('!!! AVATAR DELETE ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while removing your avatar' });
+        }
+    });
+
+    /**
+     * @route   GET /api/avatars/:key
+     * @desc    Serves an uploaded avatar. Keys are never reused, so responses can be cached for good.
+     * @access  Public
+     */
+    router.get('/api/avatars/:key', async (req, res) => {
+        try {
+            const file = await avatarService.read(req.params.key);
+            if (!file) {
+                return res.status(404).json({ message: 'Avatar not found' });
+            }
+            res.set('Cache-Control', 'public, max-age=31536000, immutable');
+            res.set('X-Content-Type-Options', 'nosniff');
+            res.type(file.contentType).send(file.body);
+
+        } catch (error) {
+            console.error('!!! AVATAR READ ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while loading the avatar' });
+        }
+    });
+
+    /**
+     * @route   GET /api/profile/activity
+     * @desc    The signed-in user's recent security events (sign-ins, password changes, ...), newest first.
+     * @access  Private (requires authMiddleware; tokens need profile:read)
+     * @query   { limit? } - Up to 50, default 20.
+     */
+    router.get('/api/profile/activity', authMiddleware, requireScope('profile:read'), async (req, res) => {
+        const limit = Math.min(50, Math.max(1, Number.parseInt(req.query.limit, 10) || 20));
+
+        try {
+            const { events } = await repo.authEvents.search({ userId: req.user.id, limit, offset: 0 });
+            res.status(200).json({
+                events: events.map((event) => ({
+                    type: event.event_type,
+                    outcome: event.outcome,
+                    ip: event.ip,
+                    userAgent: event.user_agent,
+                    detail: event.detail,
+                    // Set when an admin did it rather than the user.
+                    byAdmin: event.actor_id != null && event.actor_id !== event.user_id,
+                    createdAt: event.created_at,
+                })),
+            });
+
+        } catch (error) {
+            console.error('!!! PROFILE ACTIVITY ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while loading your activity' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createProfileRouter;
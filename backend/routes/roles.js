@@ -0,0 +1,99 @@
+const express = require('express');
+const { ADMIN_ROLE } = require('../services/permissions');
+
+/**
+ * Roles and their assignment to users.
+ * @param {object} ctx - The app context built by createApp (see ../app.js).
+ */
+function createRolesRouter(ctx) {
+    const { repo, authMiddleware, requirePermission, auditLog } = ctx;
+    const router = express.Router();
+
+    // --- ROLE ROUTES ---
+
+    /**
+     * @route   GET /api/roles
+     * @desc    Lists every role with its permissions.
+     * @access  Private (requires roles:read)
+     */
+    router.get('/api/roles', authMiddleware, requirePermission('roles:read'), async (req, res) => {
+        try {
+            res.status(200).json({ roles: await repo.roles.list() });
+        } catch (error) {
+            console.error('!!! LIST ROLES ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while loading roles' });
+        }
+    });
+
+    /**
+     * @route   GET /api/users/:id/roles
+     * @desc    Lists a user's roles.
+     * @access  Private (requires roles:read)
+     */
+    router.get('/api/users/:id/roles', authMiddleware, requirePermission('roles:read'), async (req, res) => {
+        try {
+            const user = await repo.users.findById(req.params.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+            res.status(200).json({ roles: await repo.roles.listForUser(user.id) });
+        } catch (error) {
+            console.error('!!! LIST USER ROLES ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while loading roles' });
+        }
+    });
+
+    /**
+     * @route   PUT /api/users/:id/roles
+     * @desc    Replaces a user's roles. The change applies to permission checks right away;
+     *          the `roles` claim in the user's access token updates on its next refresh.
+     * @access  Private (requires roles:write)
+     * @body    { roles: string[] }
+     */
+    router.put('/api/users/:id/roles', authMiddleware, requirePermission('roles:write'), async (req, res) => {
+        const { roles } = req.body;
+
+        if (!Array.isArray(roles) || roles.some((role) => typeof role !== 'string')) {
+            return res.status(400).json({ message: 'roles must be a list of role names' });
+        }
+
+        try {
+            const user = await repo.users.findById(req.params.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            const known = new Set((await repo.roles.list()).map((role) => role.name));
+            const unknown = roles.filter((role) => !known.has(role));
+            if (unknown.length > 0) {
+                return res.status(400).json({ message: `Unknown role: ${unknown.join(', ')}` });
+            }
+
+            const current = await repo.roles.listForUser(user.id);
+            const removed = current.filter((role) => !roles.includes(role));
+
+            // Someone has to be able to manage roles, so the last admin keeps the role.
+            if (removed.includes(ADMIN_ROLE) && await repo.roles.countUsers(ADMIN_ROLE) <= 1) {
+                return res.status(409).json({ message: 'This is the last admin account.', code: 'LAST_ADMIN' });
+            }
+
+            for (const role of removed) {
+                await repo.roles.revoke(user.id, role);
+            }
+            for (const role of roles.filter((role) => !current.includes(role))) {
+                await repo.roles.assign(user.id, role);
+            }
+            await auditLog.record(req, 'role_change', { userId: user.id, actorId: req.user.id, detail: roles.join(',') });
+
+            res.status(200).json({ roles: await repo.roles.listForUser(user.id) });
+
+        } catch (error) {
+            console.error('!!! UPDATE USER ROLES ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while updating roles' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createRolesRouter;
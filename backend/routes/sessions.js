@@ -0,0 +1,84 @@
+const express = require('express');
+
+/**
+ * The signed-in user's active sessions (one per device they are signed in on).
+ * A session is a refresh token family; the current one is the `sid` in the access token.
+ * @param {object} ctx - The app context built by createApp (see ../app.js).
+ */
+function createSessionsRouter(ctx) {
+    const { repo, tokenService, authMiddleware, requireScope, auditLog } = ctx;
+    const router = express.Router();
+
+    // --- SESSION ROUTES ---
+
+    /**
+     * @route   GET /api/sessions
+     * @desc    Lists the user's active sessions, most recently used first. `current` marks the one making the request.
+     * @access  Private (requires authMiddleware; tokens need profile:read)
+     */
+    router.get('/api/sessions', authMiddleware, requireScope('profile:read'), async (req, res) => {
+        try {
+            const sessions = await repo.sessions.listActiveForUser(req.user.id);
+            res.status(200).json({
+                sessions: sessions.map((session) => ({
+                    id: session.id,
+                    device: session.device,
+                    userAgent: session.user_agent,
+                    ip: session.ip,
+                    createdAt: session.created_at,
+                    lastSeenAt: session.last_seen_at,
+                    current: session.id === req.user.sid,
+                })),
+            });
+
+        } catch (error) {
+            console.error('!!! LIST SESSIONS ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while loading your sessions' });
+        }
+    });
+
+    /**
+     * @route   DELETE /api/sessions
+     * @desc    Signs out every session except the current one ("sign out everywhere else").
+     * @access  Private (requires authMiddleware)
+     */
+    router.delete('/api/sessions', authMiddleware, async (req, res) => {
+        try {
+            await tokenService.revokeOtherSessions(req.user.id, req.user.sid);
+            await auditLog.record(req, 'session_revoke_others');
+            res.status(200).json({ message: 'Signed out of all other sessions' });
+
+        } catch (error) {
+            console.error('!!! REVOKE SESSIONS ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while signing out your other sessions' });
+        }
+    });
+
+    /**
+     * @route   DELETE /api/sessions/:id
+     * @desc    Signs out one session. Its access token stops working right away and its refresh token is revoked.
+     *          Signing out the current session works too, like POST /api/logout.
+     * @access  Private (requires authMiddleware)
+     */
+    router.delete('/api/sessions/:id', authMiddleware, async (req, res) => {
+        try {
+            const session = await repo.sessions.findById(req.params.id);
+            // Someone else's session is reported as missing rather than forbidden, so ids can't be probed.
+            if (!session || session.user_id !== req.user.id || session.revoked_at) {
+                return res.status(404).json({ message: 'Session not found' });
+            }
+
+            await tokenService.revokeFamily(session.id);
+            await auditLog.record(req, 'session_revoke', { detail: session.device });
+            res.status(200).json({ message: 'Session signed out', current: session.id === req.user.sid });
+
+        } catch (error) {
+            console.error('!!! REVOKE SESSION ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while signing out the session' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createSessionsRouter;
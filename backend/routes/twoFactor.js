@@ -0,0 +1,165 @@
+const express = require('express');
+
+/**
+ * Two-factor authentication management for the signed-in user.
+ * @param {object} ctx - The app context built by createApp (see ../app.js).
+ */
+function createTwoFactorRouter(ctx) {
+    const { repo, twoFactorService, authMiddleware, requireScope, requireVerifiedEmail, auditLog, rateLimits } = ctx;
+    const router = express.Router();
+
+    // --- TWO-FACTOR AUTHENTICATION ROUTES ---
+
+    /**
+     * @route   GET /api/2fa
+     * @desc    Returns whether 2FA is enabled and how many recovery codes are left.
+     * @access  Private (requires authMiddleware; tokens need profile:read)
+     */
+    router.get('/api/2fa', authMiddleware, requireScope('profile:read'), async (req, res) => {
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+
+            const recoveryCodes = await twoFactorService.getRecoveryCodeStatus(req.user.id);
+            res.status(200).json({ enabled: user.totp_enabled === 1, recoveryCodes: recoveryCodes });
+
+        } catch (error) {
+            console.error('!!! 2FA STATUS ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while loading two-factor settings' });
+        }
+    });
+
+    /**
+     * @route   POST /api/2fa/setup
+     * @desc    Starts enrollment: generates a secret and returns it with an otpauth URI and QR code.
+     * @access  Private (requires authMiddleware)
+     */
+    router.post('/api/2fa/setup', authMiddleware, requireVerifiedEmail, async (req, res) => {
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+            if (user.totp_enabled) {
+                return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+            }
+
+            const { secret, otpauthUrl, qrCode } = await twoFactorService.beginSetup(user);
+            await auditLog.record(req, '2fa_setup');
+            res.status(200).json({ secret: secret, otpauthUrl: otpauthUrl, qrCode: qrCode });
+
+        } catch (error) {
+            console.error('!!! 2FA SETUP ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while setting up two-factor authentication' });
+        }
+    });
+
+    /**
+     * @route   POST /api/2fa/enable
+     * @desc    Confirms enrollment with a first code and returns the one-time recovery codes.
+     * @access  Private (requires authMiddleware)
+     * @body    { code }
+     */
+    router.post('/api/2fa/enable', authMiddleware, requireVerifiedEmail, async (req, res) => {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({ message: 'Code is required' });
+        }
+
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ message: 'User not found' });
+            }
+            if (user.totp_enabled) {
+                return res.status(409).json({ message: 'Two-factor authentication is already enabled' });
+            }
+
+            const recoveryCodes = await twoFactorService.enable(user, code);
+            if (!recoveryCodes) {
+                await auditLog.record(req, '2fa_enable', { outcome: 'failure', detail: 'invalid_code' });
+                return res.status(400).json({ message: 'Invalid code. Make sure your device clock is correct and try again.' });
+            }
+            await auditLog.record(req, '2fa_enable');
+
+            res.status(200).json({ message: 'Two-factor authentication enabled', recoveryCodes: recoveryCodes });
+
+        } catch (error) {
+            console.error('!!! 2FA ENABLE ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while enabling two-factor authentication' });
+        }
+    });
+
+    /**
+     * @route   POST /api/2fa/recovery-codes
+     * @desc    Replaces all recovery codes with a new set. The old codes stop working.
+     * @access  Private (requires authMiddleware)
+     * @body    { code } - A current authenticator code.
+     */
+    router.post('/api/2fa/recovery-codes', authMiddleware, rateLimits.loginIp, rateLimits.reauthAccount, async (req, res) => {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({ message: 'Code is required' });
+        }
+
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user || !user.totp_enabled) {
+                return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+            }
+            if ((await twoFactorService.verify(user, code)) !== 'totp') {
+                await auditLog.record(req, 'recovery_codes_regenerate', { outcome: 'failure', detail: 'invalid_code' });
+                return res.status(401).json({ message: 'Invalid authentication code' });
+            }
+
+            const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user.id);
+            await auditLog.record(req, 'recovery_codes_regenerate');
+            res.status(200).json({ recoveryCodes: recoveryCodes });
+
+        } catch (error) {
+            console.error('!!! RECOVERY CODES ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while generating recovery codes' });
+        }
+    });
+
+    /**
+     * @route   POST /api/2fa/disable
+     * @desc    Turns off two-factor authentication.
+     * @access  Private (requires authMiddleware)
+     * @body    { code } - A current authenticator code or a recovery code.
+     */
+    router.post('/api/2fa/disable', authMiddleware, rateLimits.loginIp, rateLimits.reauthAccount, async (req, res) => {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({ message: 'Code is required' });
+        }
+
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user || !user.totp_enabled) {
+                return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+            }
+            if (!(await twoFactorService.verify(user, code))) {
+                await auditLog.record(req, '2fa_disable', { outcome: 'failure', detail: 'invalid_code' });
+                return res.status(401).json({ message: 'Invalid authentication code' });
+            }
+
+            await twoFactorService.disable(user.id);
+            await auditLog.record(req, '2fa_disable');
+            res.status(200).json({ message: 'Two-factor authentication disabled' });
+
+        } catch (error) {
+            console.error('!!! 2FA DISABLE ERROR !!!:', error);
+            res.status(500).json({ message: 'An error occurred while disabling two-factor authentication' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = createTwoFactorRouter;
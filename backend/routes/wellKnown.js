@@ -0,0 +1,30 @@
+const express = require('express');
+
+// Other services may cache the key set for this long; publish new keys at least this early before they sign.
+const JWKS_MAX_AGE_SECONDS = 5 * 60;
+
+/**
+ * Public metadata under /.well-known/, for other services that check this server's tokens.
+ * @param {object} ctx - The app context built by createApp (see ../app.js).
+ */
+function createWellKnownRouter(ctx) {
+    const { signingKeys } = ctx;
+    const router = express.Router();
+
+    // --- WELL-KNOWN ROUTES ---
+
+    /**
+     * @route   GET /.well-known/jwks.json
+     * @desc    The public keys that verify access tokens, as a JSON Web Key Set. Pick the key by the token's
+     *          `kid` header. Empty when tokens are signed with the shared secret (JWT_ALGORITHM=HS256).
+     * @access  Public
+     */
+    router.get('/.well-known/jwks.json', (req, res) => {
+        res.set('Cache-Control', `public, max-age=${JWKS_MAX_AGE_SECONDS}`);
+        res.status(200).json(signingKeys.publicJwks());
+    });
+
+    return router;
+}
+
+module.exports = createWellKnownRouter;
@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+// --- JWT Signing Key CLI ---
+// Manages the key set file (JWT_KEYS_FILE) used when JWT_ALGORITHM is RS256 or EdDSA.
+// Usage (from the backend folder):
+//   npm run jwt-keys -- list                  list the keys; the one marked "signing" signs new tokens
+//   npm run jwt-keys -- generate [alg]        add a key (RS256 or EdDSA, default JWT_ALGORITHM); it is published
+//                                             at /.well-known/jwks.json but only signs once activated
+//   npm run jwt-keys -- activate <kid>        make a key the one that signs
+//   npm run jwt-keys -- retire <kid>          remove a key; tokens it signed stop working
+// The server reads the file at startup, so restart it after every change. See "Signing Keys" in the README
+// for the rotation steps.
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { generateSigningKey, readKeySet } = require('../services/signingKeys');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const USAGE = 'Usage: jwt-keys <list | generate [RS256|EdDSA] | activate <kid> | retire <kid>>';
+
+const writeKeySet = (keysFile, keys) => {
+    fs.mkdirSync(path.dirname(keysFile), { recursive: true });
+    // The file holds private keys: readable by the server's user only.
+    fs.writeFileSync(keysFile, `${JSON.stringify({ keys }, null, 2)}\n`, { mode: 0o600 });
+};
+
+function main([command, arg]) {
+    if (!['list', 'generate', 'activate', 'retire'].includes(command) || (['activate', 'retire'].includes(command) && !arg)) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+    if (!process.env.JWT_KEYS_FILE) {
+        throw new Error('Set JWT_KEYS_FILE (e.g. keys/jwt-keys.json) in backend/.env first');
+    }
+
+    const keysFile = path.resolve(process.env.JWT_KEYS_FILE);
+    let keys = fs.existsSync(keysFile) ? readKeySet(keysFile) : [];
+    // Same rule as services/signingKeys.js: the first key of the configured algorithm signs.
+    const algorithm = process.env.JWT_ALGORITHM || 'HS256';
+    const signing = keys.find((key) => key.alg === algorithm);
+
+    if (command === 'generate') {
+        const key = generateSigningKey(arg || algorithm);
+        keys = [...keys, key];
+        writeKeySet(keysFile, keys);
+        console.log(`Added ${key.alg} key ${key.kid}.`);
+    }
+
+    if (command === 'activate' || command === 'retire') {
+        const key = keys.find((candidate) => candidate.kid === arg);
+        if (!key) {
+            throw new Error(`No key with kid ${arg}`);
+        }
+        if (command === 'activate') {
+            if (key.alg !== algorithm) {
+                throw new Error(`Key ${arg} is ${key.alg} but JWT_ALGORITHM is ${algorithm}`);
+            }
+            keys = [key, ...keys.filter((other) => other !== key)];
+        } else {
+            if (key === signing) {
+                throw new Error(`Key ${arg} is signing new tokens. Activate another key first.`);
+            }
+            keys = keys.filter((other) => other !== key);
+        }
+        writeKeySet(keysFile, keys);
+    }
+
+    const active = keys.find((key) => key.alg === algorithm);
+    for (const key of keys) {
+        console.log(`${key.kid}  ${key.alg}${key === active ? '  (signing)' : ''}`);
+    }
+    if (keys.length === 0) {
+        console.log('(no keys)');
+    }
+}
+
+try {
+    main(process.argv.slice(2));
+} catch (error) {
+    console.error('!!! JWT KEYS ERROR !!!:', error.message);
+    process.exitCode = 1;
+}
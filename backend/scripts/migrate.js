@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// --- Database Migration CLI ---
+// Usage (from the backend folder):
+//   npm run migrate -- up              apply all pending migrations
+//   npm run migrate -- down [steps]    revert the last migration (or the last N)
+//   npm run migrate -- status          list migrations and whether they're applied
+//   npm run migrate -- create <name>   add a new, empty up/down pair
+// Connection settings come from the same DB_* variables in .env that server.js uses.
+
+const path = require('path');
+const dotenv = require('dotenv');
+const mysql = require('mysql2/promise');
+const loadConfig = require('../config');
+const { createMigrator, createMigrationFiles } = require('../db/migrator');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const USAGE = 'Usage: migrate <up | down [steps] | status | create <name>>';
+
+async function main([command, arg]) {
+    if (command === 'create') {
+        const files = await createMigrationFiles(arg);
+        files.forEach((file) => console.log(`Created ${path.relative(process.cwd(), file)}`));
+        return;
+    }
+
+    if (!['up', 'down', 'status'].includes(command)) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    const connection = await mysql.createConnection({
+        ...loadConfig().db,
+        multipleStatements: true, // Migration files may contain several statements.
+    });
+
+    try {
+        const migrator = createMigrator({ connection });
+
+        if (command === 'status') {
+            for (const { version, appliedAt } of await migrator.status()) {
+                console.log(`${appliedAt ? '[x]' : '[ ]'} ${version}${appliedAt ? `  (applied ${new Date(appliedAt).toISOString()})` : ''}`);
+            }
+        } else if (command === 'up') {
+            const applied = await migrator.up();
+            console.log(applied.length ? applied.map((v) => `Applied ${v}`).join('\n') : 'Database is up to date.');
+        } else {
+            const steps = arg ? Number(arg) : 1;
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error('steps must be a positive integer');
+            }
+            const reverted = await migrator.down(steps);
+            console.log(reverted.length ? reverted.map((v) => `Reverted ${v}`).join('\n') : 'Nothing to revert.');
+        }
+    } finally {
+        await connection.end();
+    }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    console.error('!!! MIGRATION ERROR !!!:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+// --- Mock OpenID Connect Issuer ---
+// A tiny OIDC provider for trying out and testing configurable sign-in providers without real credentials.
+// Usage (from the backend folder):
+//   npm run mock-oidc
+// Then add the "mock" entry from config/authProviders.example.json to the backend's and the frontend's
+// AUTH_PROVIDERS_FILE. Its sign-in page lets you pick any email and name; nothing is checked.
+// Settings: MOCK_OIDC_PORT (4000), MOCK_OIDC_CLIENT_ID (midterm-auth), MOCK_OIDC_CLIENT_SECRET (midterm-auth-secret).
+//
+// Supports discovery, the authorization code flow (with PKCE), ID tokens, userinfo and the JWKS.
+// It keeps everything in memory and signs with a key generated at startup. Never expose it.
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 3600;
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Stable subject per email, so signing in twice with the same email is the same account.
+const subjectFor = (email) => crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 24);
+
+/**
+ * Builds the mock issuer's Express app.
+ * @param {object} options
+ * @param {string} options.issuer - Public base URL, e.g. http://localhost:4000.
+ * @param {{ clientId: string, clientSecret: string }[]} options.clients - Registered clients.
+ * @returns {{ app: import('express').Express, signIdToken: (claims: object, clientId: string) => string }}
+ *          `signIdToken` mints an ID token directly, for tests that skip the browser flow.
+ */
+function createMockOidcIssuer({ issuer, clients }) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = crypto.randomBytes(8).toString('hex');
+    const jwk = { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' };
+
+    const codes = new Map(); // code -> { clientId, redirectUri, profile, nonce, codeChallenge, expiresAt }
+    const accessTokens = new Map(); // token -> { profile, expiresAt }
+
+    const findClient = (clientId) => clients.find((client) => client.clientId === clientId) || null;
+
+    const signIdToken = (claims, clientId) => jwt.sign(
+        { email_verified: true, ...claims },
+        privateKey,
+        { algorithm: 'RS256', keyid: kid, issuer, audience: clientId, expiresIn: TOKEN_TTL_SECONDS }
+    );
+
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+        res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/authorize`,
+            token_endpoint: `${issuer}/token`,
+            userinfo_endpoint: `${issuer}/userinfo`,
+            jwks_uri: `${issuer}/jwks`,
+            response_types_supported: ['code'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            scopes_supported: ['openid', 'email', 'profile'],
+            token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+            code_challenge_methods_supported: ['S256'],
+            claims_supported: ['sub', 'email', 'email_verified', 'name'],
+        });
+    });
+
+    app.get('/jwks', (req, res) => {
+        res.json({ keys: [jwk] });
+    });
+
+    // The "login page": a form that posts the chosen identity back to /authorize.
+    app.get('/authorize', (req, res) => {
+        const { client_id, redirect_uri, response_type } = req.query;
+        if (!findClient(client_id) || !redirect_uri || response_type !== 'code') {
+            return res.status(400).send('Invalid authorization request');
+        }
+        const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+            .filter((name) => req.query[name])
+            .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+            .join('');
+        res.send(`<!doctype html>
+<title>Mock OIDC sign-in</title>
+<form method="post" action="/authorize" style="font-family:sans-serif;max-width:20rem;margin:4rem auto">
+  <h1>Mock OIDC sign-in</h1>
+  ${hidden}
+  <p><label>Email<br><input name="email" type="email" required></label></p>
+  <p><label>Name<br><input name="name"></label></p>
+  <p><label><input name="email_verified" type="checkbox" checked> Email verified</label></p>
+  <button type="submit">Sign in</button>
+</form>`);
+    });
+
+    app.post('/authorize', (req, res) => {
+        const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, email, name } = req.body;
+        if (!findClient(client_id) || !redirect_uri || !email) {
+            return res.status(400).send('Invalid authorization request');
+        }
+        if (code_challenge && code_challenge_method !== 'S256') {
+            return res.status(400).send('Only S256 code challenges are supported');
+        }
+
+        const code = crypto.randomBytes(24).toString('hex');
+        codes.set(code, {
+            clientId: client_id,
+            redirectUri: redirect_uri,
+            profile: { sub: subjectFor(email), email, email_verified: req.body.email_verified === 'on', name: name || email },
+            nonce,
+            codeChallenge: code_challenge,
+            expiresAt: Date.now() + CODE_TTL_MS,
+        });
+
+        const url = new URL(redirect_uri);
+        url.searchParams.set('code', code);
+        if (state) url.searchParams.set('state', state);
+        res.redirect(url.toString());
+    });
+
+    app.post('/token', (req, res) => {
+        // Clients authenticate with HTTP Basic (client_secret_basic) or in the body (client_secret_post).
+        let { client_id: clientId, client_secret: clientSecret } = req.body;
+        const basic = /^Basic (.+)$/.exec(req.headers.authorization || '');
+        if (basic) {
+            [clientId, clientSecret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+        }
+        const client = findClient(clientId);
+        if (!client || client.clientSecret !== clientSecret) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+
+        const { grant_type, code, redirect_uri, code_verifier } = req.body;
+        const grant = codes.get(code);
+        codes.delete(code); // Codes are single-use.
+        if (grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now()
+            || grant.clientId !== clientId || grant.redirectUri !== redirect_uri) {
+            return res.status(400).json({ error: 'invalid_grant' });
+        }
+        if (grant.codeChallenge) {
+            const challenge = crypto.createHash('sha256').update(code_verifier || '').digest('base64url');
+            if (challenge !== grant.codeChallenge) {
+                return res.status(400).json({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+            }
+        }
+
+        const accessToken = crypto.randomBytes(24).toString('hex');
+        accessTokens.set(accessToken, { profile: grant.profile, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 });
+
+        res.json({
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: TOKEN_TTL_SECONDS,
+            scope: 'openid email profile',
+            id_token: signIdToken({ ...grant.profile, ...(grant.nonce ? { nonce: grant.nonce } : {}) }, clientId),
+        });
+    });
+
+    app.get('/userinfo', (req, res) => {
+        const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+        const entry = accessTokens.get(token);
+        if (!entry || entry.expiresAt < Date.now()) {
+            return res.status(401).json({ error: 'invalid_token' });
+        }
+        res.json(entry.profile);
+    });
+
+    return { app, signIdToken };
+}
+
+if (require.main === module) {
+    const port = Number(process.env.MOCK_OIDC_PORT) || 4000;
+    const { app } = createMockOidcIssuer({
+        issuer: process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`,
+        clients: [{
+            clientId: process.env.MOCK_OIDC_CLIENT_ID || 'midterm-auth',
+            clientSecret: process.env.MOCK_OIDC_CLIENT_SECRET || 'midterm-auth-secret',
+        }],
+    });
+    app.listen(port, () => {
+        console.log(`Mock OIDC issuer listening at http://localhost:${port}`);
+    });
+}
+
+module.exports = { createMockOidcIssuer };
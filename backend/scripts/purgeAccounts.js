@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+// --- Account Purge ---
+// Deletes every account whose deletion grace period (ACCOUNT_DELETION_GRACE_DAYS) is over.
+// The server already does this every hour; run it by hand or from cron when the server isn't running.
+// Usage (from the backend folder):
+//   npm run purge-accounts
+
+const path = require('path');
+const dotenv = require('dotenv');
+const loadConfig = require('../config');
+const createPool = require('../config/db');
+const { createMysqlRepository } = require('../repositories');
+const createApp = require('../app');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+async function main() {
+    const config = loadConfig();
+    const pool = createPool(config.db);
+    // The app wires the purge to the same storage and audit log the server uses.
+    const app = createApp({ repo: createMysqlRepository(pool), config });
+
+    try {
+        const count = await app.locals.accountDeletionService.purgeDue();
+        console.log(`Deleted ${count} account${count === 1 ? '' : 's'}.`);
+    } finally {
+        await pool.end();
+    }
+}
+
+main().catch((error) => {
+    console.error('!!! PURGE ERROR !!!:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// --- Role Management CLI ---
+// Usage (from the backend folder):
+//   npm run roles -- list                     list roles and their permissions
+//   npm run roles -- show <email>             list a user's roles
+//   npm run roles -- grant <email> <role>     give a user a role, e.g. to create the first admin
+//   npm run roles -- revoke <email> <role>    take a role away
+// Once there is an admin, roles can also be changed through PUT /api/users/:id/roles.
+
+const path = require('path');
+const dotenv = require('dotenv');
+const loadConfig = require('../config');
+const createPool = require('../config/db');
+const { createMysqlRepository } = require('../repositories');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const USAGE = 'Usage: roles <list | show <email> | grant <email> <role> | revoke <email> <role>>';
+
+async function main([command, email, role]) {
+    const needsUser = ['show', 'grant', 'revoke'].includes(command);
+    if (!(command === 'list' || needsUser) || (needsUser && !email) || (['grant', 'revoke'].includes(command) && !role)) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    const pool = createPool(loadConfig().db);
+    const repo = createMysqlRepository(pool);
+
+    try {
+        if (command === 'list') {
+            for (const { name, description, permissions } of await repo.roles.list()) {
+                console.log(`${name}  ${description || ''}\n    ${permissions.length ? permissions.join(', ') : '(no permissions)'}`);
+            }
+            return;
+        }
+
+        const user = await repo.users.findByEmail(email);
+        if (!user) {
+            throw new Error(`No user with email ${email}`);
+        }
+
+        if (command === 'grant' && !(await repo.roles.assign(user.id, role))) {
+            throw new Error(`No role named ${role}`);
+        }
+        if (command === 'revoke') {
+            await repo.roles.revoke(user.id, role);
+        }
+        const roles = await repo.roles.listForUser(user.id);
+        console.log(`${user.email}: ${roles.length ? roles.join(', ') : '(no roles)'}`);
+    } finally {
+        await pool.end();
+    }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    console.error('!!! ROLES ERROR !!!:', error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+// --- Software Passkey Authenticator ---
+// A WebAuthn authenticator in plain Node.js, for trying out and testing passkeys without hardware.
+// Usage (from the backend folder, with the backend running):
+//   npm run soft-authenticator -- <email> <password>
+// It signs in with the password, registers a new passkey on the account, then signs in with that
+// passkey alone. Settings: API_URL (http://localhost:5000), FRONTEND_URL (http://localhost:3000), which
+// must be one of the backend's WEBAUTHN_ORIGINS, and WEBAUTHN_RP_ID (the frontend's host).
+//
+// It creates ES256 keys with "none" attestation and always reports user presence and verification.
+// Keys only live in memory. In a browser, Chrome DevTools' WebAuthn panel offers a virtual authenticator instead.
+
+const crypto = require('crypto');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+const b64url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+// Flags in authenticator data: user present, user verified, backup eligible/state, attested credential data.
+const FLAG_UP = 0x01;
+const FLAG_UV = 0x04;
+const FLAG_AT = 0x40;
+
+/**
+ * Minimal CBOR encoder for what WebAuthn needs: integers, byte strings, text strings and maps.
+ * @param {number|string|Buffer|Map|object} value - Maps keep their key types; objects get string keys.
+ * @returns {Buffer}
+ */
+function encodeCbor(value) {
+    const head = (major, length) => {
+        if (length < 24) return Buffer.from([(major << 5) | length]);
+        if (length < 0x100) return Buffer.from([(major << 5) | 24, length]);
+        if (length < 0x10000) return Buffer.from([(major << 5) | 25, length >> 8, length & 0xff]);
+        const buffer = Buffer.alloc(5);
+        buffer[0] = (major << 5) | 26;
+        buffer.writeUInt32BE(length, 1);
+        return buffer;
+    };
+
+    if (typeof value === 'number') {
+        return value >= 0 ? head(0, value) : head(1, -1 - value);
+    }
+    if (typeof value === 'string') {
+        const bytes = Buffer.from(value, 'utf8');
+        return Buffer.concat([head(3, bytes.length), bytes]);
+    }
+    if (Buffer.isBuffer(value)) {
+        return Buffer.concat([head(2, value.length), value]);
+    }
+    const entries = value instanceof Map ? [...value.entries()] : Object.entries(value);
+    return Buffer.concat([head(5, entries.length), ...entries.flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)])]);
+}
+
+/**
+ * Creates an authenticator that answers navigator.credentials.create()/get() options with the JSON
+ * @simplewebauthn/browser would send (RegistrationResponseJSON / AuthenticationResponseJSON).
+ * @param {object} options
+ * @param {string} options.origin - The origin the "browser" is on, e.g. http://localhost:3000.
+ * @returns {{ create: (options: object) => object, get: (options: object) => object, credentials: Map }}
+ */
+function createSoftAuthenticator({ origin }) {
+    const credentials = new Map(); // credential id (base64url) -> { privateKey, rpId, userHandle, signCount }
+
+    const clientData = (type, challenge) => Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+
+    /**
+     * @param {object} options - PublicKeyCredentialCreationOptionsJSON.
+     */
+    const create = (options) => {
+        const rpId = options.rp.id;
+        const excluded = (options.excludeCredentials || []).map((credential) => credential.id);
+        if ([...credentials.keys()].some((id) => excluded.includes(id))) {
+            throw new Error('InvalidStateError: this authenticator is already registered');
+        }
+
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        const credentialId = crypto.randomBytes(32);
+        const jwk = publicKey.export({ format: 'jwk' });
+        // COSE_Key: kty EC2, alg ES256, crv P-256, x, y.
+        const coseKey = encodeCbor(new Map([
+            [1, 2], [3, -7], [-1, 1], [-2, Buffer.from(jwk.x, 'base64url')], [-3, Buffer.from(jwk.y, 'base64url')],
+        ]));
+
+        const idLength = Buffer.alloc(2);
+        idLength.writeUInt16BE(credentialId.length);
+        const authData = Buffer.concat([
+            sha256(rpId),
+            Buffer.from([FLAG_UP | FLAG_UV | FLAG_AT]),
+            Buffer.alloc(4), // Sign count 0.
+            Buffer.alloc(16), // AAGUID: all zeros for "none" attestation.
+            idLength,
+            credentialId,
+            coseKey,
+        ]);
+
+        const id = b64url(credentialId);
+        credentials.set(id, { privateKey, rpId, userHandle: options.user.id, signCount: 0 });
+
+        return {
+            id,
+            rawId: id,
+            type: 'public-key',
+            response: {
+                clientDataJSON: b64url(clientData('webauthn.create', options.challenge)),
+                attestationObject: b64url(encodeCbor({ fmt: 'none', attStmt: {}, authData })),
+                transports: ['internal'],
+            },
+            clientExtensionResults: {},
+            authenticatorAttachment: 'platform',
+        };
+    };
+
+    /**
+     * @param {object} options - PublicKeyCredentialRequestOptionsJSON. Without allowCredentials the newest
+     *        credential for the RP is used, like picking it from the browser's passkey list.
+     */
+    const get = (options) => {
+        const allowed = (options.allowCredentials || []).map((credential) => credential.id);
+        const id = [...credentials.keys()].reverse().find((key) =>
+            credentials.get(key).rpId === options.rpId && (allowed.length === 0 || allowed.includes(key)));
+        if (!id) {
+            throw new Error('NotAllowedError: no passkey for this site');
+        }
+
+        const credential = credentials.get(id);
+        credential.signCount += 1;
+        const counter = Buffer.alloc(4);
+        counter.writeUInt32BE(credential.signCount);
+        const authData = Buffer.concat([sha256(options.rpId), Buffer.from([FLAG_UP | FLAG_UV]), counter]);
+        const clientDataJSON = clientData('webauthn.get', options.challenge);
+        const signature = crypto.sign('sha256', Buffer.concat([authData, sha256(clientDataJSON)]), credential.privateKey);
+
+        return {
+            id,
+            rawId: id,
+            type: 'public-key',
+            response: {
+                clientDataJSON: b64url(clientDataJSON),
+                authenticatorData: b64url(authData),
+                signature: b64url(signature),
+                userHandle: credential.userHandle,
+            },
+            clientExtensionResults: {},
+            authenticatorAttachment: 'platform',
+        };
+    };
+
+    return { create, get, credentials };
+}
+
+if (require.main === module) {
+    const [email, password] = process.argv.slice(2);
+    const apiUrl = (process.env.API_URL || 'http://localhost:5000').replace(/\/+$/, '');
+    const authenticator = createSoftAuthenticator({ origin: new URL(process.env.FRONTEND_URL || 'http://localhost:3000').origin });
+
+    const call = async (path, body, token) => {
+        const res = await fetch(`${apiUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+            body: JSON.stringify(body || {}),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(`${path}: ${res.status} ${data.message}`);
+        return data;
+    };
+
+    (async () => {
+        if (!email || !password) {
+            throw new Error('Usage: npm run soft-authenticator -- <email> <password>');
+        }
+        const login = await call('/api/login', { email, password });
+        if (!login.token) throw new Error('The account has 2FA on; sign in through the app instead.');
+
+        const registration = await call('/api/passkeys/registration/options', { password }, login.token);
+        const { passkey } = await call('/api/passkeys', {
+            challengeId: registration.challengeId,
+            response: authenticator.create(registration.options),
+            name: 'Software authenticator',
+        }, login.token);
+        console.log(`Registered passkey #${passkey.id} "${passkey.name}".`);
+
+        const challenge = await call('/api/login/passkey/options');
+        const signedIn = await call('/api/login/passkey', { challengeId: challenge.challengeId, response: authenticator.get(challenge.options) });
+        console.log(`Signed in with the passkey as ${signedIn.user.email}.`);
+    })().catch((error) => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { createSoftAuthenticator, encodeCbor };
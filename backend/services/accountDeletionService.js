@@ -0,0 +1,72 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Self-service account deletion with a grace period.
+ *
+ * Asking to delete an account signs it out everywhere and sets `users.delete_after`. Signing in
+ * again before then cancels the deletion; afterwards purgeDue() (run by the server every hour and
+ * by `npm run purge-accounts`) deletes the account and everything that belongs to it. Audit events
+ * are kept, as they are for admin deletions.
+ *
+ * @param {object} options
+ * @param {object} options.repo - Repository from ../repositories.
+ * @param {object} options.tokenService - From ./tokenService.
+ * @param {object} options.avatarService - From ./avatarService; uploaded avatars are deleted with the account.
+ * @param {object} options.organizationService - From ./organizationService; organizations the account is
+ *        the only owner of get a new owner first.
+ * @param {object} options.auditLog - From ./auditLog.
+ * @param {number} [options.graceDays=14]
+ */
+function createAccountDeletionService({ repo, tokenService, avatarService, organizationService, auditLog, graceDays = 14 }) {
+    /**
+     * Schedules a user's account for deletion and signs out all of its sessions.
+     * @param {{ id: number }} user
+     * @returns {Promise<Date>} When the account will be deleted.
+     */
+    const schedule = async (user) => {
+        const deleteAfter = new Date(Date.now() + graceDays * DAY_MS);
+        await repo.users.update(user.id, { delete_after: deleteAfter });
+        await tokenService.revokeUserTokens(user.id);
+        return deleteAfter;
+    };
+
+    /**
+     * Cancels a pending deletion, if there is one.
+     * @param {{ id: number, delete_after: Date|null }} user
+     * @returns {Promise<boolean>} Whether a deletion was pending.
+     */
+    const cancel = async (user) => {
+        if (!user.delete_after) return false;
+        await repo.users.update(user.id, { delete_after: null });
+        return true;
+    };
+
+    /**
+     * Deletes an account right away, with its uploaded avatar. Its organizations keep an owner.
+     * @param {{ id: number, image: string|null }} user
+     */
+    const deleteNow = async (user) => {
+        if (user.image) await avatarService.removeAvatar(user);
+        await organizationService.handOverOwnership(user.id);
+        await repo.users.delete(user.id);
+    };
+
+    /**
+     * Deletes every account whose grace period is over.
+     * @param {Date} [now=new Date()]
+     * @returns {Promise<number>} How many accounts were deleted.
+     */
+    const purgeDue = async (now = new Date()) => {
+        const due = await repo.users.findDueForDeletion(now);
+        for (const user of due) {
+            await deleteNow(user);
+            // The event outlives the account, so it keeps the email for reference.
+            await auditLog.record(null, 'account_purge', { userId: user.id, email: user.email });
+        }
+        return due.length;
+    };
+
+    return { graceDays, schedule, cancel, deleteNow, purgeDue };
+}
+
+module.exports = createAccountDeletionService;
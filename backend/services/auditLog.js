@@ -0,0 +1,106 @@
+/**
+ * The event types written to the `auth_events` audit log. The admin query endpoint accepts
+ * these as filters and the profile page turns them into readable labels.
+ */
+const AUTH_EVENT_TYPES = [
+    'register',
+    'login',
+    'login_2fa',
+    'passkey_login',
+    'magic_link_request',
+    'magic_link_login',
+    'provider_login',
+    'account_link',
+    'token_refresh',
+    'logout',
+    'session_revoke',
+    'session_revoke_others',
+    'password_change',
+    'password_reset_request',
+    'password_reset',
+    'onboarding',
+    'profile_update',
+    'data_export',
+    'account_deletion_request',
+    'account_deletion_cancel',
+    'account_purge',
+    'email_verification',
+    'email_verification_resend',
+    'email_change_request',
+    'email_change',
+    'email_change_cancel',
+    '2fa_setup',
+    '2fa_enable',
+    '2fa_disable',
+    'recovery_codes_regenerate',
+    'passkey_register',
+    'passkey_delete',
+    'personal_access_token_create',
+    'personal_access_token_revoke',
+    'oauth_authorize',
+    'organization_create',
+    'organization_invite',
+    'organization_invite_cancel',
+    'organization_join',
+    'organization_invite_decline',
+    'organization_role_change',
+    'organization_member_remove',
+    'organization_leave',
+    'identity_link',
+    'identity_unlink',
+    'role_change',
+    'admin_user_update',
+    'admin_password_reset',
+    'admin_user_disable',
+    'admin_user_enable',
+    'admin_user_delete',
+    'oauth_client_create',
+    'oauth_client_delete',
+];
+
+const MAX_TEXT_LENGTH = 255;
+const truncate = (value) => (value == null ? null : String(value).slice(0, MAX_TEXT_LENGTH));
+
+/**
+ * Records security events (logins, password changes, admin actions, ...) in the append-only
+ * `auth_events` table through the repository.
+ *
+ * Writing an event never fails the request that triggered it: errors are only logged,
+ * so a problem with the audit log can't lock everyone out.
+ *
+ * @param {object} options
+ * @param {object} options.repo - Repository from ../repositories.
+ */
+function createAuditLog({ repo }) {
+    /**
+     * @param {object|null} req - The Express request; IP and user agent are taken from it.
+     *        null for events from background jobs (e.g. the account purge).
+     * @param {string} type - One of AUTH_EVENT_TYPES.
+     * @param {object} [event]
+     * @param {number} [event.userId] - The account the event is about. Defaults to the signed-in user.
+     * @param {number} [event.actorId] - Who did it, when that isn't the account itself (e.g. an admin).
+     * @param {string} [event.email] - For events without a known account, e.g. a login with an unknown email.
+     * @param {'success'|'failure'} [event.outcome='success']
+     * @param {string} [event.detail] - Short machine-readable reason or context, e.g. "invalid_password".
+     */
+    const record = async (req, type, { userId, actorId, email, outcome = 'success', detail } = {}) => {
+        try {
+            await repo.authEvents.record({
+                type,
+                outcome,
+                userId: userId !== undefined ? userId : (req && req.user ? req.user.id : null),
+                actorId: actorId || null,
+                email: truncate(email),
+                ip: (req && req.ip) || null,
+                userAgent: req ? truncate(req.get('User-Agent')) : null,
+                detail: truncate(detail),
+            });
+        } catch (error) {
+            console.error('!!! AUDIT LOG ERROR !!!:', error);
+        }
+    };
+
+    return { record };
+}
+
+module.exports = { createAuditLog, AUTH_EVENT_TYPES };
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// What uploads may be, judged by their content rather than the name or the browser's MIME type.
+const ACCEPTED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+const ACCEPTED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Rejects "decompression bombs": small files that decode to enormous images.
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+/**
+ * Error raised when an upload isn't a usable image.
+ * `reason` is 'unsupported_type' or 'invalid_image'.
+ */
+class AvatarError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'AvatarError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Stores profile pictures. Uploads are checked, cropped to a square, converted to WebP and kept
+ * in `storage` (see ../storage); the user's `image` column holds the URL they are served from
+ * (GET /api/avatars/:key). Avatars from elsewhere (e.g. a URL set by hand) are left alone.
+ *
+ * @param {object} options
+ * @param {object} options.repo - Repository from ../repositories.
+ * @param {object} options.storage - Storage driver from ../storage.
+ * @param {string} options.publicUrl - Base URL of this API.
+ * @param {number} [options.size=256] - Width and height of stored avatars, in pixels.
+ */
+function createAvatarService({ repo, storage, publicUrl, size = 256 }) {
+    const baseUrl = `${publicUrl}/api/avatars/`;
+
+    const urlFor = (key) => `${baseUrl}${key}`;
+
+    /**
+     * @returns {string|null} The storage key of an avatar URL, or null if it isn't one of ours.
+     */
+    const keyFromUrl = (url) => (url && url.startsWith(baseUrl) ? url.slice(baseUrl.length) : null);
+
+    const resize = async (buffer) => {
+        let metadata;
+        try {
+            metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+        } catch (error) {
+            throw new AvatarError('invalid_image', 'The file is not a readable image.');
+        }
+        if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+            throw new AvatarError('unsupported_type', 'Avatars must be JPEG, PNG, WebP or GIF images.');
+        }
+
+        try {
+            return await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+                .rotate() // Apply the EXIF orientation before it is dropped.
+                .resize(size, size, { fit: 'cover' })
+                .webp({ quality: 85 })
+                .toBuffer();
+        } catch (error) {
+            throw new AvatarError('invalid_image', 'The file is not a readable image.');
+        }
+    };
+
+    /**
+     * Replaces a user's avatar with an uploaded image.
+     * @param {{ id: number, image: string|null }} user
+     * @param {Buffer} buffer - The uploaded file.
+     * @returns {Promise<string>} The new avatar URL.
+     * @throws {AvatarError}
+     */
+    const setAvatar = async (user, buffer) => {
+        const resized = await resize(buffer);
+        // A new key per upload, so browsers and proxies never show a cached old picture.
+        const key = `${user.id}-${crypto.randomBytes(8).toString('hex')}.webp`;
+        await storage.save(key, resized);
+
+        const url = urlFor(key);
+        await repo.users.update(user.id, { image: url });
+        await deleteStored(user.image);
+        return url;
+    };
+
+    /**
+     * Clears a user's avatar, deleting the stored file if it is one of ours.
+     * @param {{ id: number, image: string|null }} user
+     */
+    const removeAvatar = async (user) => {
+        await repo.users.update(user.id, { image: null });
+        await deleteStored(user.image);
+    };
+
+    const deleteStored = async (url) => {
+        const key = keyFromUrl(url);
+        if (!key) return;
+        try {
+            await storage.delete(key);
+        } catch (error) {
+            // A leftover file is harmless; don't fail the request over it.
+            console.error('!!! AVATAR DELETE ERROR !!!:', error);
+        }
+    };
+
+    return { setAvatar, removeAvatar, read: (key) => storage.read(key) };
+}
+
+module.exports = { createAvatarService, AvatarError, ACCEPTED_MIME_TYPES };
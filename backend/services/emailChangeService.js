@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { hashToken } = require('./tokenService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised when an email change can't go ahead.
+ * `reason` is 'email_taken' (another account has the address by now).
+ */
+class EmailChangeError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'EmailChangeError';
+        this.reason = reason;
+    }
+}
+
+const isDuplicate = (error) => error.code === 'ER_DUP_ENTRY';
+
+/**
+ * Changing the email address an account signs in with, stored in `email_changes`.
+ *
+ * A request emails a confirmation link to the new address and a notice to the current one.
+ * users.email only changes once the link is used; password reset and sign-in links mailed to the
+ * old address stop working then. The notice carries a "this wasn't me" link
+ * that cancels a pending change, or undoes a confirmed one, for `cancelDays` days; it also signs
+ * the account out everywhere, since whoever asked knew the password.
+ *
+ * @param {object} options
+ * @param {object} options.repo - Repository from ../repositories.
+ * @param {object} options.mailer - Mailer from ../mailer.
+ * @param {object} options.tokenService - From ./tokenService.
+ * @param {number} [options.ttlHours=24] - How long the confirmation link stays valid.
+ * @param {number} [options.cancelDays=7] - How long the cancel link in the notice stays valid.
+ */
+function createEmailChangeService({ repo, mailer, tokenService, ttlHours = 24, cancelDays = 7 }) {
+    /**
+     * Starts a change, replacing any pending one, and sends both emails.
+     * @param {{ id: number, email: string }} user
+     * @param {string} newEmail
+     * @returns {Promise<Date>} When the confirmation link expires.
+     * @throws {EmailChangeError} If another account already uses newEmail.
+     */
+    const request = async (user, newEmail) => {
+        const owner = await repo.users.findByEmail(newEmail);
+        if (owner && owner.id !== user.id) {
+            throw new EmailChangeError('email_taken', 'That email address is already in use.');
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const cancelToken = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+
+        // Only the newest request should be confirmable.
+        await repo.emailChanges.cancelPending(user.id);
+        await repo.emailChanges.create({
+            userId: user.id,
+            oldEmail: user.email,
+            newEmail,
+            tokenHash: hashToken(token),
+            cancelTokenHash: hashToken(cancelToken),
+            expiresAt,
+        });
+
+        const confirmUrl = mailer.buildUrl('/confirm-email-change', { token });
+        const cancelUrl = mailer.buildUrl('/cancel-email-change', { token: cancelToken });
+        await mailer.sendEmailChangeConfirmation(newEmail, confirmUrl, ttlHours);
+        await mailer.sendEmailChangeNotice(user.email, newEmail, cancelUrl, cancelDays);
+        return expiresAt;
+    };
+
+    /**
+     * @param {{ id: number }} user
+     * @returns {Promise<{ newEmail: string, expiresAt: Date }|null>} The pending change, if any.
+     */
+    const findPending = async (user) => {
+        const pending = await repo.emailChanges.findPendingForUser(user.id);
+        return pending ? { newEmail: pending.new_email, expiresAt: pending.expires_at } : null;
+    };
+
+    /**
+     * Withdraws the user's pending change, if there is one (the user changed their mind).
+     * @param {{ id: number }} user
+     */
+    const cancelPending = async (user) => {
+        await repo.emailChanges.cancelPending(user.id);
+    };
+
+    /**
+     * Consumes a confirmation token and moves the account to the new address.
+     * @param {string} token - The raw token from the link.
+     * @returns {Promise<{ userId: number, oldEmail: string, newEmail: string }|null>} Null if the token is
+     *          invalid, used, cancelled or expired.
+     * @throws {EmailChangeError} If another account took the address since the request; the change is cancelled.
+     */
+    const confirm = async (token) => {
+        const change = await repo.emailChanges.findValidByHash(hashToken(token));
+        if (!change) return null;
+
+        // Claim the change so a second click (or a race) can't apply it again.
+        if (!(await repo.emailChanges.confirm(change.id))) return null;
+
+        try {
+            await repo.users.changeEmail(change.user_id, change.new_email);
+        } catch (error) {
+            if (!isDuplicate(error)) throw error;
+            await repo.emailChanges.cancel(change.id);
+            throw new EmailChangeError('email_taken', 'That email address is already in use by another account.');
+        }
+        return { userId: change.user_id, oldEmail: change.old_email, newEmail: change.new_email };
+    };
+
+    /**
+     * Handles the "this wasn't me" link sent to the old address: cancels the change (moving the account
+     * back to the old address if it already happened) and signs the account out everywhere.
+     * @param {string} token - The raw cancel token from the link.
+     * @returns {Promise<{ userId: number, email: string, reverted: boolean }|null>} Null if the token is
+     *          invalid, already used or too old.
+     * @throws {EmailChangeError} If the old address now belongs to another account, so it can't be restored.
+     */
+    const cancelByToken = async (token) => {
+        const change = await repo.emailChanges.findByCancelHash(hashToken(token));
+        if (!change || change.cancelled_at) return null;
+        if (Date.now() - new Date(change.created_at).getTime() > cancelDays * DAY_MS) return null;
+        if (!(await repo.emailChanges.cancel(change.id))) return null;
+
+        let reverted = false;
+        if (change.confirmed_at) {
+            const user = await repo.users.findById(change.user_id);
+            // Only undo this change, not a later one the owner may have made themselves.
+            if (user && user.email.toLowerCase() === change.new_email.toLowerCase()) {
+                try {
+                    await repo.users.changeEmail(user.id, change.old_email);
+                } catch (error) {
+                    if (!isDuplicate(error)) throw error;
+                    await tokenService.revokeUserTokens(change.user_id);
+                    throw new EmailChangeError('email_taken', 'Your old email address now belongs to another account.');
+                }
+                reverted = true;
+            }
+        }
+
+        await tokenService.revokeUserTokens(change.user_id);
+        return { userId: change.user_id, email: change.old_email, reverted };
+    };
+
+    return { request, findPending, cancelPending, confirm, cancelByToken };
+}
+
+module.exports = { createEmailChangeService, EmailChangeError };
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { hashToken } = require('./tokenService');
+
+/**
+ * Single-use, expiring email verification tokens stored (hashed) in `email_verification_tokens`.
+ *
+ * @param {object} options
+ * @param {object} options.repo - Repository from ../repositories.
+ * @param {object} options.mailer - Mailer from ../mailer.
+ * @param {number} [options.ttlHours=24] - How long a verification link stays valid.
+ */
+function createEmailVerificationService({ repo, mailer, ttlHours = 24 }) {
+    /**
+     * Creates a fresh token (discarding any unused ones) and emails the verification link.
+     * @param {{ id: number, email: string }} user
+     */
+    const sendVerification = async (user) => {
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+
+        // Only the newest link should work.
+        await repo.emailVerificationTokens.deleteUnused(user.id);
+        await repo.emailVerificationTokens.create({ userId: user.id, tokenHash: hashToken(token), expiresAt });
+
+        const verifyUrl = mailer.buildUrl('/verify-email', { token });
+        await mailer.sendVerificationEmail(user.email, verifyUrl, ttlHours);
+    };
+
+    /**
+     * Marks a user's email as verified.
+     * @param {number} userId
+     */
+    const markVerified = async (userId) => {
+        await repo.users.markEmailVerified(userId);
+    };
+
+    /**
+     * Consumes a verification token and marks the owner's email as verified.
+     * @param {string} token - The raw token from the link.
+     * @returns {Promise<number|null>} The verified user's ID, or null if the token is invalid, used or expired.
+     */
+    const verify = async (token) => {
+        const stored = await repo.emailVerificationTokens.findValidByHash(hashToken(token));
+        if (!stored) return null;
+
+        // Claim the token so a second click (or a race) can't use it again.
+        if (!(await repo.emailVerificationTokens.claim(stored.id))) return null;
+
+        await markVerified(stored.user_id);
+        return stored.user_id;
+    };
+
+    return { sendVerification, verify, markVerified };
+}
+
+module.exports = createEmailVerificationService;
@@ -0,0 +1,183 @@
+const jwt = require('jsonwebtoken');
+const createJwksClient = require('./jwksClient');
+
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const GOOGLE_JWKS_URI = 'https://www.googleapis.com/oauth2/v3/certs';
+
+// Where to find each value in the provider's claims unless a provider's `claims` says otherwise.
+// Values are claim names; dots reach into nested objects (e.g. "profile.email").
+const DEFAULT_CLAIMS = { sub: 'sub', email: 'email', emailVerified: 'email_verified', name: 'name' };
+
+/**
+ * Error raised when a provider token fails verification or lacks a required claim.
+ */
+class ProviderTokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProviderTokenError';
+    }
+}
+
+const readClaim = (claims, path) =>
+    path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+
+/**
+ * Google as a provider definition, so it goes through the same code as configured providers.
+ * @param {{ clientId: string, jwksUri?: string }} google - The `google` section of the config.
+ */
+const googleProvider = ({ clientId, jwksUri }) => ({
+    id: 'google',
+    name: 'Google',
+    type: 'oidc',
+    issuer: GOOGLE_ISSUERS,
+    jwksUri: jwksUri || GOOGLE_JWKS_URI,
+    clientId,
+});
+
+/**
+ * Claims from an OpenID Connect ID token: checks the signature against the issuer's JWKS
+ * (found through discovery unless `jwksUri` is given) plus `iss`, `aud` and `exp`.
+ */
+function createIdTokenReader(provider) {
+    let discovery = null;
+
+    const discover = () => {
+        if (!discovery) {
+            discovery = (async () => {
+                if (provider.jwksUri) {
+                    return { jwks: createJwksClient({ source: provider.jwksUri }), issuer: provider.issuer };
+                }
+                const url = provider.discoveryUrl || `${String(provider.issuer).replace(/\/$/, '')}/.well-known/openid-configuration`;
+                const res = await fetch(url);
+                if (!res.ok) {
+                    throw new Error(`OIDC discovery for "${provider.id}" failed: HTTP ${res.status}`);
+                }
+                const metadata = await res.json();
+                return { jwks: createJwksClient({ source: metadata.jwks_uri }), issuer: provider.issuer || metadata.issuer };
+            })();
+            // Don't cache a failed lookup; the issuer may just not be up yet.
+            discovery.catch(() => { discovery = null; });
+        }
+        return discovery;
+    };
+
+    return async ({ idToken }) => {
+        if (!idToken) {
+            throw new ProviderTokenError('An ID token is required');
+        }
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded || !decoded.header.kid) {
+            throw new ProviderTokenError('Malformed ID token');
+        }
+
+        const { jwks, issuer } = await discover();
+        let key;
+        try {
+            key = await jwks.getKey(decoded.header.kid);
+        } catch (error) {
+            throw new ProviderTokenError(error.message);
+        }
+
+        try {
+            return jwt.verify(idToken, key, { algorithms: ['RS256', 'ES256'], audience: provider.clientId, issuer });
+        } catch (error) {
+            throw new ProviderTokenError(`Invalid ID token: ${error.message}`);
+        }
+    };
+}
+
+/**
+ * Claims from a plain OAuth 2.0 provider (e.g. GitHub), which has no ID token:
+ * the access token is sent to the provider's userinfo endpoint.
+ * A provider accepts access tokens issued to any app, so prefer OIDC where the provider offers it.
+ */
+function createUserinfoReader(provider) {
+    return async ({ accessToken }) => {
+        if (!accessToken) {
+            throw new ProviderTokenError('An access token is required');
+        }
+        const res = await fetch(provider.userinfoUrl, {
+            headers: { Authorization: `Bearer ${accessToken}`, Accept: 'application/json', 'User-Agent': 'midterm-auth' },
+        });
+        if (res.status === 401 || res.status === 403) {
+            throw new ProviderTokenError('The provider rejected the access token');
+        }
+        if (!res.ok) {
+            throw new Error(`Userinfo request for "${provider.id}" failed: HTTP ${res.status}`);
+        }
+        return res.json();
+    };
+}
+
+/**
+ * The external sign-in providers the backend accepts.
+ *
+ * Each definition looks like (see config/authProviders.example.json):
+ *   { id, name, type: 'oidc' | 'oauth2', clientId,
+ *     issuer | discoveryUrl | jwksUri,   (oidc)
+ *     userinfoUrl,                        (oauth2)
+ *     claims: { sub, email, emailVerified, name },
+ *     trustEmail }                        treat the email as verified even without an emailVerified claim
+ * The frontend reads the same definitions (plus clientSecret, scopes and endpoint URLs) for NextAuth.
+ *
+ * Provider emails must be verified, since accounts are matched by email when linking.
+ *
+ * @param {object[]} definitions
+ */
+function createIdentityProviders(definitions) {
+    const providers = new Map();
+    for (const definition of definitions) {
+        if (!definition.id || !['oidc', 'oauth2'].includes(definition.type)) {
+            throw new Error(`Invalid sign-in provider definition: ${JSON.stringify({ id: definition.id, type: definition.type })}`);
+        }
+        if (providers.has(definition.id)) {
+            throw new Error(`Duplicate sign-in provider: ${definition.id}`);
+        }
+        const readClaims = definition.type === 'oidc' ? createIdTokenReader(definition) : createUserinfoReader(definition);
+        providers.set(definition.id, { ...definition, readClaims });
+    }
+
+    /**
+     * @returns {{ id: string, name: string }[]}
+     */
+    const list = () => [...providers.values()].map(({ id, name }) => ({ id, name: name || id }));
+
+    const get = (id) => providers.get(id) || null;
+
+    /**
+     * Verifies a provider's token and maps its claims to a profile.
+     * @param {string} providerId
+     * @param {{ idToken?: string, accessToken?: string }} tokens
+     * @returns {Promise<{ provider: string, sub: string, email: string, name: string|null }>}
+     * @throws {ProviderTokenError}
+     */
+    const verify = async (providerId, tokens) => {
+        const provider = providers.get(providerId);
+        if (!provider) {
+            throw new ProviderTokenError(`Unknown sign-in provider: ${providerId}`);
+        }
+
+        const claims = await provider.readClaims(tokens);
+        const mapping = { ...DEFAULT_CLAIMS, ...provider.claims };
+        const sub = readClaim(claims, mapping.sub);
+        const email = readClaim(claims, mapping.email);
+        const emailVerified = readClaim(claims, mapping.emailVerified);
+
+        if (sub === undefined || sub === null || sub === '') {
+            throw new ProviderTokenError('The provider did not return a subject');
+        }
+        if (!email) {
+            throw new ProviderTokenError('The provider did not return an email address');
+        }
+        // Some providers send the string "true" instead of a boolean.
+        if (!provider.trustEmail && emailVerified !== true && emailVerified !== 'true') {
+            throw new ProviderTokenError('The email address is not verified by the provider');
+        }
+
+        return { provider: provider.id, sub: String(sub), email: String(email), name: readClaim(claims, mapping.name) || null };
+    };
+
+    return { list, get, verify };
+}
+
+module.exports = { createIdentityProviders, googleProvider, ProviderTokenError };
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const { fileURLToPath } = require('url');
+
+/**
+ * Loads signing keys from a JSON Web Key Set and caches them.
+ *
+ * The source can be an https:// URL (e.g. Google's certs endpoint), an http:// URL
+ * (a locally run issuer) or a file:// URL / plain path to a JWKS file on disk, which
+ * lets tests and offline setups use a locally generated key set.
+ *
+ * @param {object} options
+ * @param {string} options.source - Where to load the JWKS from.
+ * @param {number} [options.cacheTtlMs=3600000] - How long fetched keys are trusted before reloading.
+ * @param {number} [options.minRefetchMs=30000] - How soon after a load an unknown kid may trigger another one.
+ *        Within it unknown kids fail right away, so tokens with made-up kids can't make us hammer the issuer.
+ */
+function createJwksClient({ source, cacheTtlMs = 60 * 60 * 1000, minRefetchMs = 30 * 1000 }) {
+    if (!source) {
+        throw new Error('A JWKS source is required');
+    }
+
+    let cache = null; // { keys: Map<kid, KeyObject>, loadedAt }
+
+    const readJwks = async () => {
+        if (/^https?:\/\//.test(source)) {
+            const res = await fetch(source);
+            if (!res.ok) {
+                throw new Error(`Failed to fetch JWKS from ${source}: HTTP ${res.status}`);
+            }
+            return res.json();
+        }
+        const filePath = source.startsWith('file:') ? fileURLToPath(source) : source;
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    };
+
+    const load = async () => {
+        const jwks = await readJwks();
+        const keys = new Map();
+        for (const jwk of jwks.keys || []) {
+            if (jwk.use && jwk.use !== 'sig') continue;
+            keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+        }
+        cache = { keys, loadedAt: Date.now() };
+        return keys;
+    };
+
+    /**
+     * Returns the public key for a `kid`, reloading the set once if the kid is unknown
+     * (the issuer may have rotated its keys since the last fetch) and the last load is older than minRefetchMs.
+     * @param {string} kid
+     * @returns {Promise<crypto.KeyObject>}
+     */
+    const getKey = async (kid) => {
+        const fresh = cache && Date.now() - cache.loadedAt < cacheTtlMs;
+        let keys = fresh ? cache.keys : await load();
+
+        if (!keys.has(kid) && fresh && Date.now() - cache.loadedAt >= minRefetchMs) {
+            keys = await load();
+        }
+        if (!keys.has(kid)) {
+            throw new Error(`No signing key found for kid "${kid}"`);
+        }
+        return keys.get(kid);
+    };
+
+    return { getKey };
+}
+
+module.exports = createJwksClient;
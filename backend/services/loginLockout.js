@@ -0,0 +1,58 @@
+/**
+ * Progressive per-account lockout after repeated failed logins.
+ *
+ * Failures are counted per email in the rate limit store. Once `threshold` failures have
+ * piled up, the account is locked for `baseLockMs`, doubling with every further failure
+ * up to `maxLockMs`. A successful login clears the counter.
+ *
+ * @param {object} options
+ * @param {object} options.store - A store from ./rateLimitStore.
+ * @param {number} [options.threshold=5] - Failures allowed before the first lock.
+ * @param {number} [options.baseLockMs=60000]
+ * @param {number} [options.maxLockMs=3600000]
+ * @param {number} [options.failureWindowMs=86400000] - How long failures are remembered.
+ */
+function createLoginLockout({
+    store,
+    threshold = 5,
+    baseLockMs = 60 * 1000,
+    maxLockMs = 60 * 60 * 1000,
+    failureWindowMs = 24 * 60 * 60 * 1000,
+}) {
+    const keyFor = (email) => `login-failures:${String(email).trim().toLowerCase()}`;
+
+    const lockDurationFor = (failures) =>
+        Math.min(baseLockMs * 2 ** (failures - threshold), maxLockMs);
+
+    /**
+     * @param {string} email
+     * @returns {Promise<number>} Seconds until the account unlocks, or 0 if it isn't locked.
+     */
+    const getLockSeconds = async (email) => {
+        const entry = await store.get(keyFor(email));
+        if (!entry || entry.count < threshold) return 0;
+
+        const lockedUntil = entry.lastHitAt + lockDurationFor(entry.count);
+        return Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+    };
+
+    /**
+     * Records a failed attempt (wrong password or 2FA code).
+     * @param {string} email
+     * @returns {Promise<number>} Seconds the account is now locked for (0 if not locked).
+     */
+    const recordFailure = async (email) => {
+        const entry = await store.hit(keyFor(email), failureWindowMs);
+        return entry.count >= threshold ? Math.ceil(lockDurationFor(entry.count) / 1000) : 0;
+    };
+
+    /**
+     * Clears the failure count after a successful login.
+     * @param {string} email
+     */
+    const recordSuccess = (email) => store.reset(keyFor(email));
+
+    return { getLockSeconds, recordFailure, recordSuccess };
+}
+
+module.exports = createLoginLockout;
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const { hashToken } = require('./tokenService');
+
+/**
+ * Magic sign-in links for passwordless login. Stored like password reset links: the token's hash
+ * and expiry live on the users row (`magicLinkToken`, `magicLinkTokenExpiry`), only the newest
+ * link works, and it can be used once.
+ *
+ * @param {object} options
+ * @param {object} options.repo - Repository from ../repositories.
+ * @param {object} options.mailer - Mailer from ../mailer.
+ * @param {number} [options.ttlMinutes=15] - How long a sign-in link stays valid.
+ */
+function createMagicLinkService({ repo, mailer, ttlMinutes = 15 }) {
+    /**
+     * Creates a sign-in token and emails the link.
+     * @param {{ id: number, email: string }} user
+     */
+    const sendLink = async (user) => {
+        const token = crypto.randomBytes(32).toString('hex');
+        const tokenExpiry = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+        await repo.users.update(user.id, { magicLinkToken: hashToken(token), magicLinkTokenExpiry: tokenExpiry });
+
+        const signInUrl = mailer.buildUrl('/magic-link', { token });
+        await mailer.sendMagicLinkEmail(user.email, signInUrl, ttlMinutes);
+    };
+
+    /**
+     * Uses up a sign-in token.
+     * @param {string} token - The raw token from the link.
+     * @returns {Promise<object|null>} The users row, or null if the token is invalid, expired or already used.
+     */
+    const claim = (token) => repo.users.claimMagicLinkToken(hashToken(token));
+
+    return { sendLink, claim };
+}
+
+module.exports = createMagicLinkService;
@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { hashToken } = require('./tokenService');
+
+// Codes are exchanged right after the redirect, so they only need to live briefly.
+const CODE_TTL_MS = 60 * 1000;
+const MAX_NAME_LENGTH = 100;
+const MAX_NONCE_LENGTH = 255;
+// http is only allowed for apps running on the developer's own machine.
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * The scopes client apps can ask for, with the description shown on the consent screen.
+ */
+const OAUTH_SCOPES = {
+    openid: 'Sign you in with your account',
+    profile: 'See your name, username and profile picture',
+    email: 'See your email address',
+};
+
+/**
+ * Error raised when an OAuth request can't be served.
+ * `reason` is the OAuth / OpenID Connect error code the client gets as `error`, e.g. 'invalid_request',
+ * 'invalid_client', 'invalid_grant', 'invalid_scope', 'access_denied', 'invalid_token' or
+ * 'invalid_client_metadata' (client registration). `status` is the HTTP status to answer with.
+ * `redirectTo` is set for authorization requests whose error should go back to the client app.
+ */
+class OAuthError extends Error {
+    constructor(reason, message, { status = 400, redirectTo = null } = {}) {
+        super(message);
+        this.name = 'OAuthError';
+        this.reason = reason;
+        this.status = status;
+        this.redirectTo = redirectTo;
+    }
+}
+
+const clientScopes = (client) => client.scopes.split(',');
+const clientRedirectUris = (client) => client.redirect_uris.split('\n');
+
+/**
+ * @param {string} uri
+ * @param {object} params - Query parameters to add; null and undefined values are left out.
+ */
+const withParams = (uri, params) => {
+    const url = new URL(uri);
+    for (const [name, value] of Object.entries(params)) {
+        if (value != null) url.searchParams.set(name, value);
+    }
+    return url.toString();
+};
+
+/**
+ * Whether a client may register a redirect URI: an absolute https URL (or http on a loopback
+ * host) without a fragment.
+ * @param {string} uri
+ */
+const isAllowedRedirectUri = (uri) => {
+    let url;
+    try {
+        url = new URL(uri);
+    } catch (e) {
+        return false;
+    }
+    if (url.hash) return false;
+    return url.protocol === 'https:' || (url.protocol === 'http:' && LOOPBACK_HOSTS.includes(url.hostname));
+};
+
+/**
+ * The claims about a user a client may see with the given scopes. Empty values are left out.
+ * @param {object} user - A users row.
+ * @param {string[]} scopes
+ */
+const userClaims = (user, scopes) => Object.fromEntries(Object.entries({
+    ...(scopes.includes('email') && { email: user.email, email_verified: user.email_verified === 1 }),
+    ...(scopes.includes('profile') && { name: user.name, preferred_username: user.username, picture: user.image }),
+}).filter(([, value]) => value != null));
+
+/**
+ * Lets other apps sign users in with their account here: an OAuth 2.0 authorization server and
+ * OpenID Connect provider, using the authorization code flow with PKCE (S256, required for every client).
+ *
+ * The user approves a request on the consent page of the Next.js app (/oauth/authorize), which signs
+ * them in with the normal login page first. Approving stores a single-use code in
+ * `oauth_authorization_codes`; the client exchanges it at the token endpoint for an access token and,
+ * with the `openid` scope, an ID token. Both are JWTs signed with the server's signing keys, so
+ * clients check them against /.well-known/jwks.json. Access tokens carry the client as `aud` and are
+ * only good for the userinfo endpoint; authMiddleware refuses them.
+ *
+ * @param {object} options
+ * @param {object} options.repo - Repository from ../repositories.
+ * @param {object} options.signingKeys - From ./signingKeys.js; must use RS256 or EdDSA.
+ * @param {string} options.issuer - Public base URL of this API; the `iss` of every token.
+ * @param {string} [options.accessTokenExpiresIn='1h'] - Any `jsonwebtoken` expiresIn value.
+ */
+function createOAuthServer({ repo, signingKeys, issuer, accessTokenExpiresIn = '1h' }) {
+    /**
+     * Registers a client app.
+     * @param {object} registration
+     * @param {string} registration.name - Shown to users on the consent screen.
+     * @param {string[]} registration.redirectUris
+     * @param {string[]} registration.scopes - The scopes the client may ask for, from OAUTH_SCOPES.
+     * @param {boolean} registration.confidential - Whether it gets a secret (server-side apps).
+     *        Single-page and native apps can't keep one and rely on PKCE alone.
+     * @param {number} createdBy - The admin registering it.
+     * @returns {Promise<{ client: object, clientSecret: string|null }>} The stored row and the secret (shown once).
+     * @throws {OAuthError} 'invalid_client_metadata'
+     */
+    const registerClient = async ({ name, redirectUris, scopes, confidential }, createdBy) => {
+        const label = typeof name === 'string' ? name.trim() : '';
+        if (!label || label.length > MAX_NAME_LENGTH) {
+            throw new OAuthError('invalid_client_metadata', `Give the app a name of at most ${MAX_NAME_LENGTH} characters.`);
+        }
+        if (!Array.isArray(redirectUris) || redirectUris.length === 0 || !redirectUris.every(isAllowedRedirectUri)) {
+            throw new OAuthError('invalid_client_metadata', 'Redirect URIs must be absolute https URLs (http only for localhost) without a #fragment.');
+        }
+        if (!Array.isArray(scopes) || !scopes.includes('openid') || !scopes.every((scope) => scope in OAUTH_SCOPES)) {
+            throw new OAuthError('invalid_client_metadata', `Scopes must include openid and be any of: ${Object.keys(OAUTH_SCOPES).join(', ')}.`);
+        }
+
+        const clientId = crypto.randomBytes(16).toString('hex');
+        const clientSecret = confidential ? crypto.randomBytes(32).toString('base64url') : null;
+        await repo.oauthClients.create({
+            clientId,
+            name: label,
+            clientSecretHash: clientSecret ? hashToken(clientSecret) : null,
+            redirectUris: [...new Set(redirectUris)].join('\n'),
+            scopes: [...new Set(scopes)].join(','),
+            createdBy,
+        });
+        return { client: await repo.oauthClients.findByClientId(clientId), clientSecret };
+    };
+
+    /**
+     * Checks an authorization request (the query parameters the client sent the browser with).
+     * @param {object} params - response_type, client_id, redirect_uri, scope?, state?, nonce?,
+     *        code_challenge, code_challenge_method.
+     * @returns {Promise<{ client: object, redirectUri: string, scopes: string[], state?: string, nonce?: string, codeChallenge: string }>}
+     * @throws {OAuthError} With `redirectTo` once the client and redirect URI are known to be genuine;
+     *         before that the error must not send the browser anywhere.
+     */
+    const validateAuthorizationRequest = async (params) => {
+        const { response_type, client_id, redirect_uri, scope, state, nonce, code_challenge, code_challenge_method } = params;
+
+        const client = typeof client_id === 'string' ? await repo.oauthClients.findByClientId(client_id) : null;
+        if (!client) {
+            throw new OAuthError('invalid_client', 'This app is not registered.');
+        }
+        if (!clientRedirectUris(client).includes(redirect_uri)) {
+            throw new OAuthError('invalid_request', 'The redirect_uri is not registered for this app.');
+        }
+
+        const fail = (reason, message) => new OAuthError(reason, message, {
+            redirectTo: withParams(redirect_uri, { error: reason, error_description: message, state }),
+        });
+        if (response_type !== 'code') {
+            throw fail('unsupported_response_type', 'Only response_type=code is supported.');
+        }
+        const scopes = typeof scope === 'string' && scope.trim() ? [...new Set(scope.trim().split(/\s+/))] : clientScopes(client);
+        if (!scopes.every((name) => clientScopes(client).includes(name))) {
+            throw fail('invalid_scope', `This app may only ask for: ${clientScopes(client).join(' ')}.`);
+        }
+        if (code_challenge_method !== 'S256' || !/^[A-Za-z0-9_-]{43}$/.test(code_challenge || '')) {
+            throw fail('invalid_request', 'PKCE is required: send a code_challenge with code_challenge_method=S256.');
+        }
+        if (nonce != null && (typeof nonce !== 'string' || nonce.length > MAX_NONCE_LENGTH)) {
+            throw fail('invalid_request', `The nonce must be at most ${MAX_NONCE_LENGTH} characters.`);
+        }
+
+        return { client, redirectUri: redirect_uri, scopes, state, nonce, codeChallenge: code_challenge };
+    };
+
+    /**
+     * The user approved a request: stores a code for it.
+     * @param {{ id: number }} user
+     * @param {object} request - From validateAuthorizationRequest().
+     * @returns {Promise<string>} Where to send the browser: the client's redirect URI with `code` and `state`.
+     */
+    const approve = async (user, request) => {
+        const code = crypto.randomBytes(32).toString('base64url');
+        await repo.oauthCodes.create({
+            codeHash: hashToken(code),
+            clientId: request.client.client_id,
+            userId: user.id,
+            redirectUri: request.redirectUri,
+            scopes: request.scopes.join(','),
+            nonce: request.nonce || null,
+            codeChallenge: request.codeChallenge,
+            expiresAt: new Date(Date.now() + CODE_TTL_MS),
+        });
+        repo.oauthCodes.deleteExpired().catch((error) => console.error('!!! OAUTH CODE CLEANUP ERROR !!!:', error));
+        return withParams(request.redirectUri, { code, state: request.state, iss: issuer });
+    };
+
+    /**
+     * The user turned a request down.
+     * @param {object} request - From validateAuthorizationRequest().
+     * @returns {string} Where to send the browser: the client's redirect URI with error=access_denied.
+     */
+    const deny = (request) => withParams(request.redirectUri, {
+        error: 'access_denied',
+        error_description: 'The user declined the request.',
+        state: request.state,
+    });
+
+    /**
+     * Identifies the client calling the token endpoint. Confidential clients must send their secret;
+     * public clients have none and are held to PKCE instead.
+     * @returns {Promise<object>} The oauth_clients row.
+     * @throws {OAuthError} 'invalid_client' (401)
+     */
+    const authenticateClient = async (clientId, clientSecret) => {
+        const client = typeof clientId === 'string' ? await repo.oauthClients.findByClientId(clientId) : null;
+        const expected = client && client.client_secret_hash;
+        const valid = client && (expected
+            ? typeof clientSecret === 'string' && crypto.timingSafeEqual(Buffer.from(hashToken(clientSecret)), Buffer.from(expected))
+            : !clientSecret);
+        if (!valid) {
+            throw new OAuthError('invalid_client', 'Client authentication failed.', { status: 401 });
+        }
+        return client;
+    };
+
+    /**
+     * The token endpoint: exchanges an authorization code.
+     * @param {object} params - grant_type, code, redirect_uri, code_verifier, plus the client's credentials.
+     * @param {string} params.clientId
+     * @param {string} [params.clientSecret]
+     * @returns {Promise<object>} The token response: access_token, token_type, expires_in, scope and, with openid, id_token.
+     * @throws {OAuthError}
+     */
+    const exchangeCode = async ({ grant_type, code, redirect_uri, code_verifier, clientId, clientSecret }) => {
+        if (grant_type !== 'authorization_code') {
+            throw new OAuthError('unsupported_grant_type', 'Only grant_type=authorization_code is supported.');
+        }
+        const client = await authenticateClient(clientId, clientSecret);
+
+        const row = typeof code === 'string' ? await repo.oauthCodes.consume(hashToken(code)) : null;
+        if (!row || row.client_id !== client.client_id || row.redirect_uri !== redirect_uri) {
+            throw new OAuthError('invalid_grant', 'The code is invalid, expired, already used or for another app.');
+        }
+        const challenge = typeof code_verifier === 'string'
+            ? crypto.createHash('sha256').update(code_verifier).digest('base64url')
+            : null;
+        if (challenge !== row.code_challenge) {
+            throw new OAuthError('invalid_grant', 'The code_verifier does not match the code_challenge.');
+        }
+        const user = await repo.users.findById(row.user_id);
+        if (!user || user.disabled_at) {
+            throw new OAuthError('invalid_grant', 'The account is no longer available.');
+        }
+
+        const scopes = row.scopes.split(',');
+        const subject = { iss: issuer, sub: String(user.id), aud: client.client_id };
+        const accessToken = signingKeys.sign(
+            { ...subject, client_id: client.client_id, scope: scopes.join(' ') },
+            { expiresIn: accessTokenExpiresIn, jwtid: crypto.randomUUID() }
+        );
+        const { iat, exp } = jwt.decode(accessToken);
+        const response = { access_token: accessToken, token_type: 'Bearer', expires_in: exp - iat, scope: scopes.join(' ') };
+        if (scopes.includes('openid')) {
+            response.id_token = signingKeys.sign(
+                { ...subject, ...(row.nonce && { nonce: row.nonce }), ...userClaims(user, scopes) },
+                { expiresIn: accessTokenExpiresIn }
+            );
+        }
+        return response;
+    };
+
+    /**
+     * The userinfo endpoint: the claims the access token's scopes allow.
+     * @param {string} accessToken - From the Authorization header.
+     * @returns {Promise<object>} `sub` plus email and profile claims.
+     * @throws {OAuthError} 'invalid_token' (401) or 'insufficient_scope' (403)
+     */
+    const userInfo = async (accessToken) => {
+        let claims;
+        try {
+            claims = signingKeys.verify(accessToken);
+        } catch (e) {
+            claims = null;
+        }
+        if (!claims || claims.iss !== issuer || !claims.client_id || typeof claims.scope !== 'string') {
+            throw new OAuthError('invalid_token', 'The access token is invalid or expired.', { status: 401 });
+        }
+        const scopes = claims.scope.split(' ');
+        if (!scopes.includes('openid')) {
+            throw new OAuthError('insufficient_scope', 'The access token needs the openid scope.', { status: 403 });
+        }
+
+        // Removing the app or disabling the account stops its tokens working here before they expire.
+        const [client, user] = await Promise.all([
+            repo.oauthClients.findByClientId(claims.client_id),
+            repo.users.findById(Number(claims.sub)),
+        ]);
+        if (!client || !user || user.disabled_at) {
+            throw new OAuthError('invalid_token', 'The access token is invalid or expired.', { status: 401 });
+        }
+        return { sub: claims.sub, ...userClaims(user, scopes) };
+    };
+
+    /**
+     * The OpenID Provider metadata served at /.well-known/openid-configuration.
+     */
+    const metadata = () => ({
+        issuer,
+        authorization_endpoint: `${issuer}/oauth/authorize`,
+        token_endpoint: `${issuer}/oauth/token`,
+        userinfo_endpoint: `${issuer}/oauth/userinfo`,
+        jwks_uri: `${issuer}/.well-known/jwks.json`,
+        response_types_supported: ['code'],
+        grant_types_supported: ['authorization_code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: [signingKeys.algorithm],
+        scopes_supported: Object.keys(OAUTH_SCOPES),
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        code_challenge_methods_supported: ['S256'],
+        claims_supported: ['iss', 'sub', 'aud', 'exp', 'iat', 'nonce', 'email', 'email_verified', 'name', 'preferred_username', 'picture'],
+        authorization_response_iss_parameter_supported: true,
+    });
+
+    return { registerClient, validateAuthorizationRequest, approve, deny, exchangeCode, userInfo, metadata };
+}
+
+/**
+ * The fields of an oauth_clients row that are safe to show admins. Never includes the secret's hash.
+ * @param {object} row - An oauth_clients row.
+ */
+const toOAuthClientSummary = (row) => ({
+    id: row.id,
+    clientId: row.client_id,
+    name: row.name,
+    confidential: Boolean(row.client_secret_hash),
+    redirectUris: clientRedirectUris(row),
+    scopes: clientScopes(row),
+    createdAt: row.created_at,
+});
+
+module.exports = {
+    createOAuthServer,
+    OAuthError,
+    OAUTH_SCOPES,
+    toOAuthClientSummary,
+};
@@ -0,0 +1,422 @@
+const crypto = require('crypto');
+const { hashToken } = require('./tokenService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Roles within an organization, most powerful first. Owners can do everything, including managing
+ * other owners; admins manage members and invitations; members can see who else is in it.
+ */
+const ORGANIZATION_ROLES = ['owner', 'admin', 'member'];
+// Roles an invitation can give. Owners are made by promoting someone who has joined.
+const INVITATION_ROLES = ['admin', 'member'];
+
+const outranks = (role, other) => ORGANIZATION_ROLES.indexOf(role) <= ORGANIZATION_ROLES.indexOf(other);
+
+// HTTP status for each OrganizationError reason; the others are 400s.
+const STATUS_BY_REASON = { forbidden: 403, email_not_verified: 403, not_found: 404, already_member: 409, last_owner: 409 };
+
+/**
+ * Error raised when an organization request can't be carried out. `reason` is one of 'invalid_name',
+ * 'invalid_role', 'invalid_member', 'invalid_invitation', 'forbidden', 'email_not_verified', 'not_found',
+ * 'already_member' or 'last_owner'; `status` is the HTTP status to answer with.
+ */
+class OrganizationError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'OrganizationError';
+        this.reason = reason;
+        this.status = STATUS_BY_REASON[reason] || 400;
+    }
+}
+
+const isPending = (invitation) => !invitation.accepted_at && !invitation.declined_at && !invitation.cancelled_at
+    && new Date(invitation.expires_at) > new Date();
+
+/**
+ * Organizations: teams of users with owner, admin and member roles, joined by email invitation.
+ *
+ * An invitation is a link with a single-use token (its hash is stored, like reset tokens) that works
+ * for whoever signs in with it. It is also attached to the account with the invited address, when there
+ * is one or once it signs up, so it shows up in the app; answering it there needs a verified address.
+ * Every organization keeps at least one owner.
+ *
+ * @param {object} options
+ * @param {object} options.repo - Repository from ../repositories.
+ * @param {object} options.mailer - Mailer from ../mailer.
+ * @param {number} [options.invitationTtlDays=7] - How long an invitation can be accepted.
+ */
+function createOrganizationService({ repo, mailer, invitationTtlDays = 7 }) {
+    /**
+     * Loads an organization and the user's role in it.
+     * @throws {OrganizationError} not_found, also when the user isn't a member: non-members can't tell
+     *         an organization they aren't in from one that doesn't exist.
+     */
+    const membershipOf = async (organizationId, userId) => {
+        const organization = await repo.organizations.findById(organizationId);
+        const member = organization ? await repo.organizationMembers.find(organization.id, userId) : null;
+        if (!member) {
+            throw new OrganizationError('not_found', 'Organization not found.');
+        }
+        return { organization, role: member.role };
+    };
+
+    const requireRole = ({ role }, needed, message) => {
+        if (!outranks(role, needed)) throw new OrganizationError('forbidden', message);
+    };
+
+    /**
+     * Creates an organization with the user as its owner.
+     * @param {{ id: number }} user
+     * @param {string} name
+     * @returns {Promise<object>} The organizations row, with the user's `role`.
+     * @throws {OrganizationError}
+     */
+    const create = async (user, name) => {
+        const label = typeof name === 'string' ? name.trim() : '';
+        if (!label || label.length > MAX_NAME_LENGTH) {
+            throw new OrganizationError('invalid_name', `Give the organization a name of at most ${MAX_NAME_LENGTH} characters.`);
+        }
+        const id = await repo.organizations.create({ name: label, createdBy: user.id });
+        await repo.organizationMembers.add({ organizationId: id, userId: user.id, role: 'owner' });
+        return { ...(await repo.organizations.findById(id)), role: 'owner' };
+    };
+
+    /**
+     * An organization as one of its members sees it. Only owners and admins get the pending invitations.
+     * @returns {Promise<{ organization: object, role: string, members: object[], invitations: object[] }>}
+     * @throws {OrganizationError}
+     */
+    const describe = async (organizationId, userId) => {
+        const { organization, role } = await membershipOf(organizationId, userId);
+        const [members, invitations] = await Promise.all([
+            repo.organizationMembers.list(organization.id),
+            outranks(role, 'admin') ? repo.organizationInvitations.listPending(organization.id) : [],
+        ]);
+        return { organization, role, members, invitations };
+    };
+
+    /**
+     * Invites an address and emails it the link. An earlier pending invitation for the same address stops working.
+     * @param {number} organizationId
+     * @param {{ id: number, email: string, name: string|null }} inviter - The users row of an owner or admin.
+     * @param {{ email: string, role: string }} invitation - A validated address and one of INVITATION_ROLES.
+     * @returns {Promise<{ organization: object, invitation: object }>}
+     * @throws {OrganizationError}
+     */
+    const invite = async (organizationId, inviter, { email, role }) => {
+        const membership = await membershipOf(organizationId, inviter.id);
+        requireRole(membership, 'admin', 'Only owners and admins can invite people.');
+        const { organization } = membership;
+        if (!INVITATION_ROLES.includes(role)) {
+            throw new OrganizationError('invalid_role', `Invite people as one of: ${INVITATION_ROLES.join(', ')}.`);
+        }
+
+        const invitee = await repo.users.findByEmail(email);
+        if (invitee && await repo.organizationMembers.find(organization.id, invitee.id)) {
+            throw new OrganizationError('already_member', `${email} is already a member of ${organization.name}.`);
+        }
+
+        await repo.organizationInvitations.cancelPending(organization.id, email);
+        const token = crypto.randomBytes(32).toString('hex');
+        const id = await repo.organizationInvitations.create({
+            organizationId: organization.id,
+            email,
+            role,
+            tokenHash: hashToken(token),
+            invitedBy: inviter.id,
+            userId: invitee ? invitee.id : null,
+            expiresAt: new Date(Date.now() + invitationTtlDays * DAY_MS),
+        });
+
+        await mailer.sendOrganizationInvitation(email, {
+            organizationName: organization.name,
+            inviterName: inviter.name || inviter.email,
+            role,
+            acceptUrl: mailer.buildUrl('/invitations/accept', { token }),
+            expiresInDays: invitationTtlDays,
+        });
+        return { organization, invitation: await repo.organizationInvitations.findById(id) };
+    };
+
+    /**
+     * Cancels a pending invitation; its link stops working.
+     * @returns {Promise<{ organization: object, invitation: object }>}
+     * @throws {OrganizationError}
+     */
+    const cancelInvitation = async (organizationId, actorId, invitationId) => {
+        const membership = await membershipOf(organizationId, actorId);
+        requireRole(membership, 'admin', 'Only owners and admins can cancel invitations.');
+        const invitation = await repo.organizationInvitations.findById(invitationId);
+        if (!invitation || invitation.organization_id !== membership.organization.id || !(await repo.organizationInvitations.cancel(invitation.id))) {
+            throw new OrganizationError('not_found', 'Invitation not found.');
+        }
+        return { organization: membership.organization, invitation };
+    };
+
+    /**
+     * Finds a pending invitation the user may answer: by the token from its link, or by id if it is
+     * attached to their account. Invitations are attached at sign-up, before anyone has shown they own
+     * the address, so answering by id needs it verified whatever EMAIL_VERIFICATION_MODE is.
+     * @param {number} userId
+     * @param {{ token?: string, id?: number|string }} ref
+     * @throws {OrganizationError} invalid_invitation or email_not_verified
+     */
+    const findAnswerable = async (userId, { token, id }) => {
+        let invitation = null;
+        if (typeof token === 'string' && token) {
+            invitation = await repo.organizationInvitations.findByHash(hashToken(token));
+        } else if (id != null) {
+            invitation = await repo.organizationInvitations.findById(id);
+            if (invitation && invitation.user_id !== userId) invitation = null;
+            if (invitation && !(await repo.users.findById(userId)).email_verified) {
+                throw new OrganizationError('email_not_verified', 'Please verify your email address first, or open the link in the invitation email.');
+            }
+        }
+        if (!invitation || !isPending(invitation)) {
+            throw new OrganizationError('invalid_invitation', 'This invitation is invalid, has expired or was already answered.');
+        }
+        return invitation;
+    };
+
+    /**
+     * Describes a pending invitation for the page its link opens.
+     * @param {string} token
+     * @returns {Promise<object>} See describeInvitation().
+     * @throws {OrganizationError} invalid_invitation
+     */
+    const lookup = async (token) => {
+        if (typeof token !== 'string' || !token) {
+            throw new OrganizationError('invalid_invitation', 'This invitation is invalid, has expired or was already answered.');
+        }
+        const invitation = await repo.organizationInvitations.findByHash(hashToken(token));
+        if (!invitation || !isPending(invitation)) {
+            throw new OrganizationError('invalid_invitation', 'This invitation is invalid, has expired or was already answered.');
+        }
+        return describeInvitation(invitation);
+    };
+
+    /**
+     * An invitation with the names of its organization and of whoever sent it.
+     * @param {object} invitation - An organization_invitations row.
+     * @returns {Promise<{ id, organization: { id, name }, email, role, invitedBy: string|null, expiresAt }>}
+     */
+    const describeInvitation = async (invitation) => {
+        const [organization, inviter] = await Promise.all([
+            repo.organizations.findById(invitation.organization_id),
+            invitation.invited_by ? repo.users.findById(invitation.invited_by) : null,
+        ]);
+        return {
+            id: invitation.id,
+            organization: { id: organization.id, name: organization.name },
+            email: invitation.email,
+            role: invitation.role,
+            invitedBy: inviter ? inviter.name || inviter.email : null,
+            expiresAt: invitation.expires_at,
+        };
+    };
+
+    /**
+     * The pending invitations attached to an account, newest first.
+     * @returns {Promise<object[]>} See describeInvitation().
+     */
+    const listInvitationsForUser = async (userId) =>
+        Promise.all((await repo.organizationInvitations.listPendingForUser(userId)).map(describeInvitation));
+
+    /**
+     * Joins the organization of an invitation, with the role it gives.
+     * @returns {Promise<{ organization: object, invitation: object }>} The organization has the new `role`.
+     * @throws {OrganizationError}
+     */
+    const accept = async (userId, ref) => {
+        const invitation = await findAnswerable(userId, ref);
+        const organization = await repo.organizations.findById(invitation.organization_id);
+        if (await repo.organizationMembers.find(organization.id, userId)) {
+            throw new OrganizationError('already_member', `You are already a member of ${organization.name}.`);
+        }
+        // Only one request can accept it, so a link can't be used twice.
+        if (!(await repo.organizationInvitations.accept(invitation.id))) {
+            throw new OrganizationError('invalid_invitation', 'This invitation is invalid, has expired or was already answered.');
+        }
+        await repo.organizationMembers.add({ organizationId: organization.id, userId, role: invitation.role });
+        return { organization: { ...organization, role: invitation.role }, invitation };
+    };
+
+    /**
+     * Declines an invitation; its link stops working.
+     * @returns {Promise<{ organization: object, invitation: object }>}
+     * @throws {OrganizationError}
+     */
+    const decline = async (userId, ref) => {
+        const invitation = await findAnswerable(userId, ref);
+        if (!(await repo.organizationInvitations.decline(invitation.id))) {
+            throw new OrganizationError('invalid_invitation', 'This invitation is invalid, has expired or was already answered.');
+        }
+        return { organization: await repo.organizations.findById(invitation.organization_id), invitation };
+    };
+
+    /**
+     * Changes a member's role. Admins manage admins and members; only owners can make or unmake owners,
+     * and the last owner can't step down.
+     * @returns {Promise<{ organization: object, member: object }>} The member (an organizationMembers.list() row) as they were before.
+     * @throws {OrganizationError}
+     */
+    const changeRole = async (organizationId, actorId, userId, role) => {
+        const membership = await membershipOf(organizationId, actorId);
+        requireRole(membership, 'admin', 'Only owners and admins can change roles.');
+        const { organization } = membership;
+        if (!ORGANIZATION_ROLES.includes(role)) {
+            throw new OrganizationError('invalid_role', `Role must be one of: ${ORGANIZATION_ROLES.join(', ')}.`);
+        }
+
+        const members = await repo.organizationMembers.list(organization.id);
+        const member = members.find((row) => row.user_id === Number(userId));
+        if (!member) {
+            throw new OrganizationError('not_found', 'Member not found.');
+        }
+        if ((member.role === 'owner' || role === 'owner') && membership.role !== 'owner') {
+            throw new OrganizationError('forbidden', "Only owners can make someone an owner or change an owner's role.");
+        }
+        if (member.role === 'owner' && role !== 'owner' && members.filter((row) => row.role === 'owner').length === 1) {
+            throw new OrganizationError('last_owner', `${organization.name} needs an owner. Make someone else an owner first.`);
+        }
+
+        await repo.organizationMembers.setRole(organization.id, member.user_id, role);
+        return { organization, member };
+    };
+
+    /**
+     * Removes someone else from an organization. Only owners can remove owners.
+     * @returns {Promise<{ organization: object, member: object }>}
+     * @throws {OrganizationError}
+     */
+    const removeMember = async (organizationId, actorId, userId) => {
+        const membership = await membershipOf(organizationId, actorId);
+        requireRole(membership, 'admin', 'Only owners and admins can remove members.');
+        const { organization } = membership;
+
+        const member = (await repo.organizationMembers.list(organization.id)).find((row) => row.user_id === Number(userId));
+        if (!member) {
+            throw new OrganizationError('not_found', 'Member not found.');
+        }
+        if (member.user_id === actorId) {
+            throw new OrganizationError('invalid_member', 'To remove yourself, leave the organization instead.');
+        }
+        if (member.role === 'owner' && membership.role !== 'owner') {
+            throw new OrganizationError('forbidden', 'Only owners can remove an owner.');
+        }
+
+        await repo.organizationMembers.remove(organization.id, member.user_id);
+        return { organization, member };
+    };
+
+    /**
+     * Leaves an organization. The last owner can only leave once nobody else is in it, which deletes it.
+     * @returns {Promise<{ organization: object, deleted: boolean }>}
+     * @throws {OrganizationError}
+     */
+    const leave = async (organizationId, userId) => {
+        const { organization, role } = await membershipOf(organizationId, userId);
+        const members = await repo.organizationMembers.list(organization.id);
+        if (role === 'owner' && members.filter((member) => member.role === 'owner').length === 1) {
+            if (members.length > 1) {
+                throw new OrganizationError('last_owner', `${organization.name} needs an owner. Make someone else an owner before you leave.`);
+            }
+            await repo.organizations.delete(organization.id);
+            return { organization, deleted: true };
+        }
+
+        await repo.organizationMembers.remove(organization.id, userId);
+        return { organization, deleted: false };
+    };
+
+    /**
+     * Attaches the pending invitations sent to a new account's address, so it sees them without the links.
+     * @param {{ id: number, email: string }} user
+     * @returns {Promise<number>} How many were attached.
+     */
+    const attachInvitations = (user) => repo.organizationInvitations.attachToUser(user.email, user.id);
+
+    /**
+     * Run before an account is deleted: every organization it is the only owner of passes to its
+     * longest-standing admin (or, without one, member), or is deleted if nobody else is in it.
+     * @param {number} userId
+     */
+    const handOverOwnership = async (userId) => {
+        for (const organization of await repo.organizations.listForUser(userId)) {
+            if (organization.role !== 'owner') continue;
+            const others = (await repo.organizationMembers.list(organization.id)).filter((member) => member.user_id !== userId);
+            if (others.some((member) => member.role === 'owner')) continue;
+
+            const successor = others.find((member) => member.role === 'admin') || others[0];
+            if (successor) {
+                await repo.organizationMembers.setRole(organization.id, successor.user_id, 'owner');
+            } else {
+                await repo.organizations.delete(organization.id);
+            }
+        }
+    };
+
+    return {
+        invitationTtlDays,
+        create,
+        listForUser: (userId) => repo.organizations.listForUser(userId),
+        describe,
+        invite,
+        cancelInvitation,
+        lookup,
+        listInvitationsForUser,
+        accept,
+        decline,
+        changeRole,
+        removeMember,
+        leave,
+        attachInvitations,
+        handOverOwnership,
+    };
+}
+
+/**
+ * The fields of an organizations row (with the viewer's `role`) that are sent to clients.
+ */
+const toOrganizationSummary = (organization) => ({
+    id: organization.id,
+    name: organization.name,
+    role: organization.role,
+    createdAt: organization.created_at,
+});
+
+/**
+ * The fields of an organizationMembers.list() row that are sent to clients.
+ */
+const toMemberSummary = (member) => ({
+    userId: member.user_id,
+    email: member.email,
+    name: member.name,
+    username: member.username,
+    image: member.image,
+    role: member.role,
+    joinedAt: member.created_at,
+});
+
+/**
+ * The fields of a pending invitation that owners and admins see (never the token hash).
+ */
+const toInvitationSummary = (invitation) => ({
+    id: invitation.id,
+    email: invitation.email,
+    role: invitation.role,
+    createdAt: invitation.created_at,
+    expiresAt: invitation.expires_at,
+});
+
+module.exports = {
+    createOrganizationService,
+    OrganizationError,
+    ORGANIZATION_ROLES,
+    INVITATION_ROLES,
+    toOrganizationSummary,
+    toMemberSummary,
+    toInvitationSummary,
+};
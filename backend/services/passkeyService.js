@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse,
+} = require('@simplewebauthn/server');
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_NAME_LENGTH = 100;
+
+/**
+ * Error raised when a passkey ceremony fails.
+ * `reason` is one of 'invalid_challenge', 'unknown_credential', 'already_registered' or 'verification_failed'.
+ */
+class PasskeyError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'PasskeyError';
+        this.reason = reason;
+    }
+}
+
+const splitTransports = (value) => (value ? value.split(',') : []);
+
+/**
+ * Passkeys (WebAuthn credentials): registering them on an account and signing in with them.
+ *
+ * Each ceremony is two requests. The first creates a challenge, stores it in `webauthn_challenges`
+ * and returns the options for navigator.credentials.create()/get() with the challenge's id; the
+ * second sends the browser's response with that id and is checked against the stored challenge,
+ * which can only be used once. Verification itself is done by @simplewebauthn/server.
+ *
+ * Sign-in uses discoverable credentials: the browser offers every passkey it has for the site and
+ * the one the user picks says which account is signing in. Passkeys always require user verification
+ * (PIN, fingerprint, ...), so they are a second factor on their own and skip the TOTP step.
+ *
+ * @param {object} options
+ * @param {object} options.repo - Repository from ../repositories.
+ * @param {string} options.rpId - The WebAuthn relying party id (a domain).
+ * @param {string} options.rpName - Shown by the browser while creating a passkey.
+ * @param {string[]} options.origins - Origins the ceremonies may run on (the frontend).
+ */
+function createPasskeyService({ repo, rpId, rpName, origins }) {
+    const createChallenge = async (purpose, options, userId = null) => {
+        const challengeId = crypto.randomUUID();
+        await repo.webauthnChallenges.create({
+            id: challengeId,
+            userId,
+            purpose,
+            challenge: options.challenge,
+            expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS),
+        });
+        // Expired challenges are only dead weight; sweep them now and then.
+        repo.webauthnChallenges.deleteExpired().catch((error) => console.error('!!! CHALLENGE CLEANUP ERROR !!!:', error));
+        return { challengeId, options };
+    };
+
+    const consumeChallenge = async (challengeId, purpose) => {
+        const stored = challengeId ? await repo.webauthnChallenges.consume(String(challengeId), purpose) : null;
+        if (!stored) {
+            throw new PasskeyError('invalid_challenge', 'This passkey request has expired. Please try again.');
+        }
+        return stored;
+    };
+
+    /**
+     * Starts adding a passkey to an account.
+     * @param {{ id: number, email: string, name: string|null }} user
+     * @returns {Promise<{ challengeId: string, options: object }>} `options` is PublicKeyCredentialCreationOptionsJSON.
+     */
+    const registrationOptions = async (user) => {
+        const existing = await repo.passkeys.listForUser(user.id);
+        const options = await generateRegistrationOptions({
+            rpName,
+            rpID: rpId,
+            userID: Buffer.from(String(user.id)),
+            userName: user.email,
+            userDisplayName: user.name || user.email,
+            attestationType: 'none',
+            // The same authenticator can't be registered twice.
+            excludeCredentials: existing.map((passkey) => ({ id: passkey.credential_id, transports: splitTransports(passkey.transports) })),
+            authenticatorSelection: { residentKey: 'required', userVerification: 'required' },
+        });
+        return createChallenge('registration', options, user.id);
+    };
+
+    /**
+     * Checks the browser's response to registrationOptions() and stores the new passkey.
+     * @param {{ id: number }} user
+     * @param {string} challengeId
+     * @param {object} response - RegistrationResponseJSON from the browser.
+     * @param {string} [name] - A label for the passkey, e.g. "MacBook"; defaults to "Passkey".
+     * @returns {Promise<object>} The stored passkeys row.
+     * @throws {PasskeyError}
+     */
+    const register = async (user, challengeId, response, name) => {
+        const stored = await consumeChallenge(challengeId, 'registration');
+        if (stored.user_id !== user.id) {
+            throw new PasskeyError('invalid_challenge', 'This passkey request has expired. Please try again.');
+        }
+
+        let verification;
+        try {
+            verification = await verifyRegistrationResponse({
+                response,
+                expectedChallenge: stored.challenge,
+                expectedOrigin: origins,
+                expectedRPID: rpId,
+                requireUserVerification: true,
+            });
+        } catch (error) {
+            throw new PasskeyError('verification_failed', 'The passkey could not be verified.');
+        }
+        if (!verification.verified) {
+            throw new PasskeyError('verification_failed', 'The passkey could not be verified.');
+        }
+
+        const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+        const label = typeof name === 'string' && name.trim() ? name.trim().slice(0, MAX_NAME_LENGTH) : 'Passkey';
+        try {
+            const id = await repo.passkeys.create({
+                userId: user.id,
+                credentialId: credential.id,
+                publicKey: Buffer.from(credential.publicKey),
+                signCount: credential.counter,
+                transports: (response.response && response.response.transports || []).join(',') || null,
+                name: label,
+                deviceType: credentialDeviceType,
+                backedUp: credentialBackedUp,
+            });
+            return (await repo.passkeys.listForUser(user.id)).find((passkey) => passkey.id === id);
+        } catch (error) {
+            if (error.code === 'ER_DUP_ENTRY') {
+                throw new PasskeyError('already_registered', 'This passkey is already registered.');
+            }
+            throw error;
+        }
+    };
+
+    /**
+     * Starts a passkey sign-in.
+     * @returns {Promise<{ challengeId: string, options: object }>} `options` is PublicKeyCredentialRequestOptionsJSON.
+     */
+    const authenticationOptions = async () => {
+        const options = await generateAuthenticationOptions({ rpID: rpId, userVerification: 'required' });
+        return createChallenge('authentication', options);
+    };
+
+    /**
+     * Checks the browser's response to authenticationOptions().
+     * @param {string} challengeId
+     * @param {object} response - AuthenticationResponseJSON from the browser.
+     * @returns {Promise<{ userId: number, passkey: object }>} The account that signed in and the passkey used.
+     * @throws {PasskeyError}
+     */
+    const authenticate = async (challengeId, response) => {
+        const stored = await consumeChallenge(challengeId, 'authentication');
+
+        const passkey = response && response.id ? await repo.passkeys.findByCredentialId(String(response.id)) : null;
+        if (!passkey) {
+            throw new PasskeyError('unknown_credential', 'This passkey is not registered. It may have been removed from your account.');
+        }
+
+        let verification;
+        try {
+            verification = await verifyAuthenticationResponse({
+                response,
+                expectedChallenge: stored.challenge,
+                expectedOrigin: origins,
+                expectedRPID: rpId,
+                credential: {
+                    id: passkey.credential_id,
+                    publicKey: new Uint8Array(passkey.public_key),
+                    counter: passkey.sign_count,
+                    transports: splitTransports(passkey.transports),
+                },
+                requireUserVerification: true,
+            });
+        } catch (error) {
+            // Includes a signature counter that went backwards, a sign of a cloned authenticator.
+            throw new PasskeyError('verification_failed', 'The passkey could not be verified.');
+        }
+        if (!verification.verified) {
+            throw new PasskeyError('verification_failed', 'The passkey could not be verified.');
+        }
+
+        const { newCounter, credentialBackedUp } = verification.authenticationInfo;
+        await repo.passkeys.recordUse(passkey.id, { signCount: newCounter, backedUp: credentialBackedUp });
+        return { userId: passkey.user_id, passkey };
+    };
+
+    return { registrationOptions, register, authenticationOptions, authenticate };
+}
+
+/**
+ * The fields of a passkeys row that are safe to show the user.
+ * @param {object} passkey - A passkeys row.
+ */
+const toPasskeySummary = (passkey) => ({
+    id: passkey.id,
+    name: passkey.name,
+    deviceType: passkey.device_type,
+    backedUp: Boolean(passkey.backed_up),
+    transports: splitTransports(passkey.transports),
+    createdAt: passkey.created_at,
+    lastUsedAt: passkey.last_used_at,
+});
+
+module.exports = { createPasskeyService, PasskeyError, toPasskeySummary };
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BREACHED_LIST = path.join(__dirname, '..', 'data', 'common-passwords.txt');
+
+// Character classes a policy can require, with the test and the message shown when it's missing.
+const CHARACTER_CLASSES = {
+    lowercase: { pattern: /[a-z]/, message: 'Must contain a lowercase letter.' },
+    uppercase: { pattern: /[A-Z]/, message: 'Must contain an uppercase letter.' },
+    number: { pattern: /[0-9]/, message: 'Must contain a number.' },
+    symbol: { pattern: /[^A-Za-z0-9]/, message: 'Must contain a symbol.' },
+};
+
+/**
+ * Reads a password list file into a Set of lowercased entries.
+ * Blank lines and lines starting with # are ignored.
+ * @param {string} file
+ */
+const loadPasswordList = (file) => new Set(
+    fs.readFileSync(file, 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+);
+
+/**
+ * Parts of the user's identity that must not appear in their password: the full email,
+ * its local part and the username. Very short values are skipped, since they'd match too much.
+ * @param {{ email?: string, username?: string }} user
+ */
+const personalTerms = ({ email, username } = {}) => {
+    const terms = [];
+    if (email) {
+        terms.push(email, email.split('@')[0]);
+    }
+    if (username) {
+        terms.push(username);
+    }
+    return terms.map((term) => String(term).toLowerCase()).filter((term) => term.length >= 3);
+};
+
+/**
+ * Password rules shared by registration, password reset and password change.
+ *
+ * `check` returns one `{ rule, message }` per failed rule (empty when the password is acceptable).
+ * Rules: 'minLength', one per required character class ('lowercase', 'uppercase', 'number',
+ * 'symbol'), 'personalInfo' and 'breached'.
+ *
+ * @param {object} [options]
+ * @param {number} [options.minLength=8]
+ * @param {string[]} [options.requiredClasses=['lowercase','uppercase','number']] - Keys of CHARACTER_CLASSES.
+ * @param {boolean} [options.forbidPersonalInfo=true] - Reject passwords containing the email or username.
+ * @param {string|null} [options.breachedListPath] - Password list file; null disables the check.
+ */
+function createPasswordPolicy({
+    minLength = 8,
+    requiredClasses = ['lowercase', 'uppercase', 'number'],
+    forbidPersonalInfo = true,
+    breachedListPath = DEFAULT_BREACHED_LIST,
+} = {}) {
+    for (const name of requiredClasses) {
+        if (!CHARACTER_CLASSES[name]) {
+            throw new Error(`Unknown password character class: ${name}`);
+        }
+    }
+    // Loaded once at startup; a missing file is a configuration error, so let it throw.
+    const breachedPasswords = breachedListPath ? loadPasswordList(breachedListPath) : null;
+
+    /**
+     * @param {string} password
+     * @param {{ email?: string, username?: string }} [user] - Whose password it is.
+     * @returns {{ rule: string, message: string }[]}
+     */
+    const check = (password, user = {}) => {
+        const value = String(password || '');
+        const lowered = value.toLowerCase();
+        const failures = [];
+
+        if (value.length < minLength) {
+            failures.push({ rule: 'minLength', message: `Must be at least ${minLength} characters long.` });
+        }
+        for (const name of requiredClasses) {
+            if (!CHARACTER_CLASSES[name].pattern.test(value)) {
+                failures.push({ rule: name, message: CHARACTER_CLASSES[name].message });
+            }
+        }
+        if (forbidPersonalInfo && personalTerms(user).some((term) => lowered.includes(term))) {
+            failures.push({ rule: 'personalInfo', message: 'Must not contain your email address or username.' });
+        }
+        if (breachedPasswords && breachedPasswords.has(lowered)) {
+            failures.push({ rule: 'breached', message: 'This password is too common or has appeared in a data breach.' });
+        }
+        return failures;
+    };
+
+    /**
+     * The policy's settings, safe to send to the client so it can show the same checklist.
+     */
+    const describe = () => ({
+        minLength,
+        requiredClasses: [...requiredClasses],
+        forbidPersonalInfo,
+        checksBreachedList: Boolean(breachedPasswords),
+    });
+
+    return { check, describe };
+}
+
+/**
+ * Sends the 400 response for a password that fails the policy.
+ * @param {object} res - Express response.
+ * @param {{ rule: string, message: string }[]} errors - From policy.check().
+ */
+const sendWeakPassword = (res, errors) => res.status(400).json({
+    message: 'Password does not meet the requirements.',
+    code: 'WEAK_PASSWORD',
+    errors: errors,
+});
+
+module.exports = { createPasswordPolicy, sendWeakPassword, CHARACTER_CLASSES, DEFAULT_BREACHED_LIST };
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const { hashToken } = require('./tokenService');
+
+/**
+ * Password reset links. The token's hash and expiry live on the users row
+ * (`resetToken`, `resetTokenExpiry`); only the newest link works.
+ *
+ * @param {object} options
+ * @param {object} options.repo - Repository from ../repositories.
+ * @param {object} options.mailer - Mailer from ../mailer.
+ * @param {number} [options.ttlMinutes=60] - How long a reset link stays valid.
+ */
+function createPasswordResetService({ repo, mailer, ttlMinutes = 60 }) {
+    /**
+     * Creates a reset token and emails the link. Used by "forgot password" and by admins.
+     * @param {{ id: number, email: string }} user
+     */
+    const sendReset = async (user) => {
+        // Create a secure, random token; only its hash is stored.
+        const resetToken = crypto.randomBytes(32).toString('hex');
+        const tokenExpiry = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+        await repo.users.update(user.id, { resetToken: hashToken(resetToken), resetTokenExpiry: tokenExpiry });
+
+        // Email the plain (unhashed) token.
+        const resetUrl = mailer.buildUrl('/reset-password', { token: resetToken });
+        await mailer.sendPasswordResetEmail(user.email, resetUrl);
+    };
+
+    /**
+     * @param {string} token - The raw token from the link.
+     * @returns {Promise<object|null>} The users row, or null if the token is invalid or expired.
+     */
+    const findUserByToken = (token) => repo.users.findByValidResetToken(hashToken(token));
+
+    return { sendReset, findUserByToken };
+}
+
+module.exports = createPasswordResetService;
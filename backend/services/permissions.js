@@ -0,0 +1,29 @@
+/**
+ * The built-in roles and permissions.
+ *
+ * Permissions are "<resource>:<action>" strings checked by requirePermission(); roles are
+ * named sets of them. The MySQL tables are seeded with the same data by migration
+ * 0008_create_roles (and later migrations that add permissions), and the in-memory repository seeds itself from here, so keep both in sync.
+ */
+
+const PERMISSIONS = {
+    'users:read': 'View any user account',
+    'users:write': 'Edit, disable and enable user accounts',
+    'users:delete': 'Delete user accounts',
+    'roles:read': 'View roles and who has them',
+    'roles:write': 'Grant and revoke roles',
+    'audit:read': 'View the security audit log',
+    'oauth_clients:read': 'View the apps that sign users in through this server',
+    'oauth_clients:write': 'Register and remove apps that sign users in through this server',
+};
+
+// Given to every new account, whether it registered with a password or a sign-in provider.
+const DEFAULT_ROLE = 'user';
+const ADMIN_ROLE = 'admin';
+
+const BUILT_IN_ROLES = {
+    [DEFAULT_ROLE]: { description: 'Regular account', permissions: [] },
+    [ADMIN_ROLE]: { description: 'Full access to the admin features', permissions: Object.keys(PERMISSIONS) },
+};
+
+module.exports = { PERMISSIONS, DEFAULT_ROLE, ADMIN_ROLE, BUILT_IN_ROLES };
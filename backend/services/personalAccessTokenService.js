@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { hashToken } = require('./tokenService');
+const { PERMISSIONS } = require('./permissions');
+
+// Every token starts with this, so authMiddleware can tell tokens and JWTs apart.
+const TOKEN_PREFIX = 'pat_';
+// How much of the token is kept in clear, to tell tokens apart in the list.
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 8;
+const MAX_NAME_LENGTH = 100;
+const MAX_EXPIRY_DAYS = 365;
+
+/**
+ * Scopes any user can give a token. Routes ask for them with requireScope(). Besides these, a token can
+ * carry any permission from ./permissions its owner has; requirePermission() checks those on admin routes.
+ */
+const TOKEN_SCOPES = {
+    'profile:read': 'Read your profile, sign-in methods, sessions and security events',
+    'profile:write': 'Update your name, username and profile picture',
+};
+
+/**
+ * Error raised when a token can't be created as asked.
+ * `reason` is one of 'invalid_name', 'invalid_scope' or 'invalid_expiry'.
+ */
+class PersonalAccessTokenError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'PersonalAccessTokenError';
+        this.reason = reason;
+    }
+}
+
+const splitScopes = (value) => (value ? value.split(',') : []);
+
+/**
+ * @param {string} token - A bearer token from an Authorization header.
+ * @returns {boolean} Whether it is a personal access token rather than a JWT.
+ */
+const isPersonalAccessToken = (token) => typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+
+/**
+ * The scopes a user may give a token: the TOKEN_SCOPES plus the permissions they have.
+ * @param {string[]} permissions - The user's permissions (repo.roles.permissionsForUser).
+ * @returns {{ name: string, description: string }[]}
+ */
+const availableScopes = (permissions) => [
+    ...Object.entries(TOKEN_SCOPES),
+    ...Object.entries(PERMISSIONS).filter(([name]) => permissions.includes(name)),
+].map(([name, description]) => ({ name, description }));
+
+/**
+ * Personal access tokens: long-lived credentials for scripts and CLI tools, sent as
+ * `Authorization: Bearer pat_...` instead of an access JWT (see ../middleware/authMiddleware.js).
+ *
+ * The secret is only returned when the token is created; the `personal_access_tokens` table keeps its
+ * hash, like refresh tokens. Tokens can only do what their scopes allow, and only on routes that
+ * accept tokens at all; the rest (changing the password, 2FA, managing tokens, ...) need a signed-in session.
+ *
+ * @param {object} options
+ * @param {object} options.repo - Repository from ../repositories.
+ */
+function createPersonalAccessTokenService({ repo }) {
+    /**
+     * Creates a token.
+     * @param {{ id: number }} user
+     * @param {object} request
+     * @param {string} request.name - What the token is for, e.g. "Deploy script".
+     * @param {string[]} request.scopes - Names from availableScopes().
+     * @param {number|null} [request.expiresInDays] - Days until the token stops working; null or omitted for never.
+     * @returns {Promise<{ token: string, row: object }>} The secret (shown once) and the stored row.
+     * @throws {PersonalAccessTokenError}
+     */
+    const create = async (user, { name, scopes, expiresInDays }) => {
+        const label = typeof name === 'string' ? name.trim() : '';
+        if (!label || label.length > MAX_NAME_LENGTH) {
+            throw new PersonalAccessTokenError('invalid_name', `Give the token a name of at most ${MAX_NAME_LENGTH} characters.`);
+        }
+
+        const allowed = availableScopes(await repo.roles.permissionsForUser(user.id)).map((scope) => scope.name);
+        if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every((scope) => allowed.includes(scope))) {
+            throw new PersonalAccessTokenError('invalid_scope', `Choose at least one of these scopes: ${allowed.join(', ')}.`);
+        }
+
+        let expiresAt = null;
+        if (expiresInDays != null) {
+            const days = Number(expiresInDays);
+            if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+                throw new PersonalAccessTokenError('invalid_expiry', `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days, or none.`);
+            }
+            expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+        }
+
+        const token = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+        const id = await repo.personalAccessTokens.create({
+            userId: user.id,
+            name: label,
+            tokenHash: hashToken(token),
+            tokenPrefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+            scopes: [...new Set(scopes)].join(','),
+            expiresAt,
+        });
+        const row = (await repo.personalAccessTokens.listForUser(user.id)).find((stored) => stored.id === id);
+        return { token, row };
+    };
+
+    /**
+     * Looks up the token from an Authorization header.
+     * @param {string} token - The full secret.
+     * @returns {Promise<object|null>} The stored row, or null if it is unknown, revoked or expired.
+     */
+    const findActive = async (token) => {
+        const row = await repo.personalAccessTokens.findByHash(hashToken(token));
+        if (!row || row.revoked_at || (row.expires_at && new Date(row.expires_at) <= new Date())) return null;
+        return row;
+    };
+
+    return { create, findActive };
+}
+
+/**
+ * The fields of a personal_access_tokens row that are safe to show the user. Never includes the secret.
+ * @param {object} row - A personal_access_tokens row.
+ */
+const toPersonalAccessTokenSummary = (row) => ({
+    id: row.id,
+    name: row.name,
+    prefix: row.token_prefix,
+    scopes: splitScopes(row.scopes),
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    expired: Boolean(row.expires_at && new Date(row.expires_at) <= new Date()),
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+});
+
+module.exports = {
+    createPersonalAccessTokenService,
+    PersonalAccessTokenError,
+    TOKEN_SCOPES,
+    availableScopes,
+    isPersonalAccessToken,
+    splitScopes,
+    toPersonalAccessTokenSummary,
+};
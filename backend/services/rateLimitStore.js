@@ -0,0 +1,51 @@
+/**
+ * Counter stores for rate limiting and login lockout.
+ *
+ * Stores implement this interface, using fixed windows (the MySQL one is `repo.rateLimits`):
+ *   hit(key, windowMs)  -> { count, resetAt, lastHitAt }  increments (starting a new window if expired)
+ *   get(key)            -> { count, resetAt, lastHitAt } | null
+ *   reset(key)          -> forgets the key
+ * Times are epoch milliseconds.
+ */
+
+/**
+ * In-process store. Counters are lost on restart and not shared between processes,
+ * which is fine for a single backend instance.
+ * @param {object} [options] - { cleanupIntervalMs = 60000 }
+ */
+function createMemoryStore({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    const entries = new Map();
+
+    // Drop expired windows now and then so the map doesn't grow forever.
+    const timer = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.resetAt <= now) entries.delete(key);
+        }
+    }, cleanupIntervalMs);
+    timer.unref();
+
+    return {
+        async hit(key, windowMs) {
+            const now = Date.now();
+            let entry = entries.get(key);
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs, lastHitAt: now };
+                entries.set(key, entry);
+            }
+            entry.count += 1;
+            entry.lastHitAt = now;
+            return { ...entry };
+        },
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry || entry.resetAt <= Date.now()) return null;
+            return { ...entry };
+        },
+        async reset(key) {
+            entries.delete(key);
+        },
+    };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,71 @@
+const bcrypt = require('bcrypt');
+
+/**
+ * Re-authentication for signed-in changes an access token alone must not be enough for: deleting the
+ * account, giving a passwordless account a password, adding a passkey. A stolen access token could
+ * otherwise turn into a sign-in method of its own.
+ *
+ * The user proves it with their password or, for accounts without one, a session started within the
+ * last `windowMs`; with 2FA on, a current code as well.
+ *
+ * @param {object} options
+ * @param {object} options.repo - Repository from ../repositories.
+ * @param {object} options.twoFactorService - From ./twoFactorService.
+ * @param {object} options.auditLog - From ./auditLog; wrong passwords and codes are recorded as failures.
+ * @param {number} [options.windowMs=600000]
+ */
+function createReauthService({ repo, twoFactorService, auditLog, windowMs = 10 * 60 * 1000 }) {
+    const windowMinutes = Math.round(windowMs / 60000);
+
+    /**
+     * Checks the password or session age and the 2FA code, and sends the error response if they don't pass.
+     * @param {object} req - Express request, after authMiddleware.
+     * @param {object} res - Express response.
+     * @param {object} user - The signed-in user's users row.
+     * @param {object} options
+     * @param {string} [options.password]
+     * @param {string} [options.code]
+     * @param {string} options.action - What the user is doing, for the messages, e.g. 'delete your account'.
+     * @param {string} options.event - The audit event type failures are recorded under.
+     * @returns {Promise<boolean>} Whether the request may go ahead; if not, the response was sent.
+     */
+    const confirm = async (req, res, user, { password, code, action, event }) => {
+        if (user.password) {
+            if (!password) {
+                res.status(400).json({ message: `Enter your password to ${action}.` });
+                return false;
+            }
+            if (!(await bcrypt.compare(password, user.password))) {
+                await auditLog.record(req, event, { outcome: 'failure', detail: 'invalid_password' });
+                res.status(401).json({ message: 'Incorrect password' });
+                return false;
+            }
+        } else {
+            const session = await repo.sessions.findById(req.user.sid);
+            if (!session || Date.now() - new Date(session.created_at).getTime() > windowMs) {
+                res.status(403).json({
+                    message: `For your security, sign out and sign in again, then ${action} within ${windowMinutes} minutes.`,
+                    code: 'REAUTH_REQUIRED',
+                });
+                return false;
+            }
+        }
+
+        if (user.totp_enabled) {
+            if (!code) {
+                res.status(400).json({ message: 'Enter the code from your authenticator app.', code: 'TWO_FACTOR_REQUIRED' });
+                return false;
+            }
+            if (!(await twoFactorService.verify(user, code))) {
+                await auditLog.record(req, event, { outcome: 'failure', detail: 'invalid_code' });
+                res.status(401).json({ message: 'Invalid authentication code', code: 'TWO_FACTOR_REQUIRED' });
+                return false;
+            }
+        }
+        return true;
+    };
+
+    return { confirm };
+}
+
+module.exports = createReauthService;
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const ALGORITHMS = ['HS256', 'RS256', 'EdDSA'];
+// Hash used by crypto.sign/verify for each asymmetric algorithm (Ed25519 has its own).
+const DIGESTS = { RS256: 'sha256', EdDSA: null };
+// The JWK members of a private key that must never be published.
+const PRIVATE_MEMBERS = ['d', 'p', 'q', 'dp', 'dq', 'qi'];
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+/**
+ * Generates a signing key as a private JWK, ready to be stored in the key set file.
+ * Used by scripts/jwtKeys.js.
+ * @param {'RS256'|'EdDSA'} algorithm
+ * @returns {object} The private JWK, with `kid`, `alg` and `use`.
+ */
+const generateSigningKey = (algorithm) => {
+    if (!(algorithm in DIGESTS)) {
+        throw new Error(`Cannot generate a key for "${algorithm}". Use RS256 or EdDSA.`);
+    }
+    const { privateKey } = algorithm === 'RS256'
+        ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+        : crypto.generateKeyPairSync('ed25519');
+    const date = new Date().toISOString().slice(0, 10);
+    const kid = `${date}-${crypto.randomBytes(4).toString('hex')}`;
+    return { ...privateKey.export({ format: 'jwk' }), kid, alg: algorithm, use: 'sig' };
+};
+
+/**
+ * @param {object} jwk - A private JWK.
+ * @returns {object} The same key without its private members, for the JWKS.
+ */
+const toPublicJwk = (jwk) => Object.fromEntries(Object.entries(jwk).filter(([name]) => !PRIVATE_MEMBERS.includes(name)));
+
+/**
+ * Reads a key set file: a JSON Web Key Set of private keys, each with `kid` and `alg`.
+ * @param {string} keysFile
+ * @returns {object[]} The private JWKs, in file order.
+ */
+const readKeySet = (keysFile) => {
+    const { keys } = JSON.parse(fs.readFileSync(path.resolve(keysFile), 'utf8'));
+    for (const key of keys || []) {
+        if (!key.kid || !(key.alg in DIGESTS)) {
+            throw new Error(`Every key in ${keysFile} needs a "kid" and an "alg" of RS256 or EdDSA`);
+        }
+    }
+    return keys || [];
+};
+
+/**
+ * The keys that sign and verify this server's JWTs (access tokens and purpose tokens).
+ *
+ * With HS256 every token is signed with the shared JWT_SECRET and carries no `kid`. With RS256 or
+ * EdDSA tokens are signed with the first key of that algorithm in the key set file and carry its
+ * `kid`; every key in the file still verifies, so a new key can be published before it signs and an
+ * old one kept until its tokens have expired (see scripts/jwtKeys.js). The public halves are served
+ * at /.well-known/jwks.json, so other services can check tokens without being able to mint them.
+ *
+ * Tokens without a `kid` are checked with JWT_SECRET whenever it is set, so switching from HS256
+ * doesn't sign anyone out; unset it once the last HS256 access token has expired.
+ *
+ * @param {object} options - The `jwt` section of the config.
+ * @param {string} [options.algorithm='HS256'] - 'HS256', 'RS256' or 'EdDSA'.
+ * @param {string} [options.secret] - JWT_SECRET; required for HS256.
+ * @param {string} [options.keysFile] - Path to the key set file; required for RS256 and EdDSA.
+ */
+function createSigningKeys({ algorithm = 'HS256', secret, keysFile }) {
+    if (!ALGORITHMS.includes(algorithm)) {
+        throw new Error(`Unknown JWT algorithm "${algorithm}". Use one of ${ALGORITHMS.join(', ')}.`);
+    }
+
+    const jwks = keysFile ? readKeySet(keysFile) : [];
+    const keys = new Map(jwks.map((jwk) => [jwk.kid, {
+        alg: jwk.alg,
+        privateKey: crypto.createPrivateKey({ key: jwk, format: 'jwk' }),
+        publicKey: crypto.createPublicKey({ key: toPublicJwk(jwk), format: 'jwk' }),
+    }]));
+
+    const activeJwk = jwks.find((jwk) => jwk.alg === algorithm);
+    if (algorithm === 'HS256' && !secret) {
+        throw new Error('JWT_SECRET is required when JWT_ALGORITHM is HS256');
+    }
+    if (algorithm !== 'HS256' && !activeJwk) {
+        throw new Error(`JWT_KEYS_FILE has no ${algorithm} key. Create one with "npm run jwt-keys -- generate ${algorithm}".`);
+    }
+
+    /**
+     * Signs a JWT.
+     * @param {object} payload - The claims.
+     * @param {{ expiresIn: string|number, jwtid?: string }} options - As for `jsonwebtoken`'s sign().
+     * @returns {string}
+     */
+    const sign = (payload, { expiresIn, jwtid }) => {
+        const options = { expiresIn, ...(jwtid && { jwtid }) };
+        if (algorithm === 'HS256') {
+            return jwt.sign(payload, secret, { ...options, algorithm });
+        }
+        // jsonwebtoken can't sign EdDSA; it still builds the claims (iat, exp, jti) for both algorithms.
+        const [, body] = jwt.sign(payload, null, { ...options, algorithm: 'none' }).split('.');
+        const { kid } = activeJwk;
+        const input = `${base64url(JSON.stringify({ alg: algorithm, typ: 'JWT', kid }))}.${body}`;
+        const signature = crypto.sign(DIGESTS[algorithm], Buffer.from(input), keys.get(kid).privateKey);
+        return `${input}.${signature.toString('base64url')}`;
+    };
+
+    /**
+     * Verifies a JWT's signature, with the key named by its `kid` header (or JWT_SECRET without one),
+     * and its expiry.
+     * @param {string} token
+     * @returns {object} The claims.
+     * @throws {Error} If the token is malformed, signed with an unknown key, tampered with or expired.
+     */
+    const verify = (token) => {
+        const segments = String(token).split('.');
+        if (segments.length !== 3) throw new Error('Malformed token');
+        const header = decodeSegment(segments[0]);
+
+        if (!header.kid) {
+            if (!secret) throw new Error('Token has no kid');
+            return jwt.verify(token, secret, { algorithms: ['HS256'] });
+        }
+
+        const key = keys.get(header.kid);
+        // The header must name the key's own algorithm, so a token can't pick a weaker one.
+        if (!key || header.alg !== key.alg) throw new Error(`Unknown signing key "${header.kid}"`);
+        const valid = crypto.verify(
+            DIGESTS[key.alg],
+            Buffer.from(`${segments[0]}.${segments[1]}`),
+            key.publicKey,
+            Buffer.from(segments[2], 'base64url')
+        );
+        if (!valid) throw new Error('Invalid signature');
+
+        const claims = decodeSegment(segments[1]);
+        const now = Math.floor(Date.now() / 1000);
+        if (typeof claims.exp !== 'number' || claims.exp <= now) throw new Error('Token expired');
+        if (typeof claims.nbf === 'number' && claims.nbf > now) throw new Error('Token not yet valid');
+        return claims;
+    };
+
+    /**
+     * The public keys, as served at /.well-known/jwks.json. Empty with HS256 and no key set file.
+     * @returns {{ keys: object[] }}
+     */
+    const publicJwks = () => ({ keys: jwks.map(toPublicJwk) });
+
+    return { algorithm, sign, verify, publicJwks };
+}
+
+module.exports = {
+    createSigningKeys,
+    generateSigningKey,
+    readKeySet,
+    toPublicJwk,
+};
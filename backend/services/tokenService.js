@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { describeUserAgent } = require('./userAgent');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Error raised when a refresh token cannot be exchanged.
+ * `reason` is one of 'invalid', 'expired', 'revoked' or 'reused'.
+ */
+class RefreshTokenError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'RefreshTokenError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Issues short-lived access tokens (JWT) together with long-lived, rotating refresh tokens.
+ *
+ * Refresh tokens are opaque random strings; only their SHA-256 hash is stored in
+ * `refresh_tokens`. Every token belongs to a "family" started at login. Exchanging
+ * a token revokes it and issues its successor in the same family; presenting an
+ * already-revoked token means it was stolen or replayed, so the whole family is revoked.
+ *
+ * Each family is also a row in `sessions` (same id), which is what users see and sign out
+ * under "active sessions". Revoking a family always revokes its session too.
+ *
+ * @param {object} options
+ * @param {object} options.repo - Repository from ../repositories.
+ * @param {object} options.signingKeys - Signs and verifies the JWTs (see ./signingKeys.js).
+ * @param {string} [options.accessTokenExpiresIn='1h'] - Any `jsonwebtoken` expiresIn value.
+ * @param {number} [options.refreshTokenTtlDays=30]
+ */
+function createTokenService({ repo, signingKeys, accessTokenExpiresIn = '1h', refreshTokenTtlDays = 30 }) {
+    /**
+     * Signs an access token for a user.
+     * `ver` ties the token to the user's current token_version, `sid` to its refresh token family
+     * and `jti` lets a single token be revoked on logout. `roles` is informational (e.g. for the
+     * frontend to show or hide features); requirePermission always checks the repository.
+     * @param {{ id: number, token_version: number }} user
+     * @param {string} familyId
+     */
+    const signAccessToken = async (user, familyId) => {
+        const roles = await repo.roles.listForUser(user.id);
+        const payload = { id: user.id, ver: user.token_version || 0, sid: familyId, roles };
+        const token = signingKeys.sign(payload, { expiresIn: accessTokenExpiresIn, jwtid: crypto.randomUUID() });
+        const { exp } = jwt.decode(token);
+        return { token, tokenExpires: exp * 1000 };
+    };
+
+    const createRefreshToken = async (userId, familyId) => {
+        const refreshToken = crypto.randomBytes(48).toString('hex');
+        const expiresAt = new Date(Date.now() + refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+        const id = await repo.refreshTokens.create({ userId, tokenHash: hashToken(refreshToken), familyId, expiresAt });
+        return { id, refreshToken };
+    };
+
+    /**
+     * Starts a new token family, and with it a new session, for a fresh login.
+     * @param {{ id: number, token_version: number }} user
+     * @param {{ ip?: string, userAgent?: string }} [client] - Where the login came from, shown in the sessions list.
+     * @returns {Promise<{ token: string, tokenExpires: number, refreshToken: string }>}
+     */
+    const issueTokens = async (user, { ip, userAgent } = {}) => {
+        const familyId = crypto.randomUUID();
+        await repo.sessions.create({
+            id: familyId,
+            userId: user.id,
+            device: describeUserAgent(userAgent),
+            userAgent: userAgent ? userAgent.slice(0, 255) : null,
+            ip: ip || null,
+        });
+        const { refreshToken } = await createRefreshToken(user.id, familyId);
+        return { ...(await signAccessToken(user, familyId)), refreshToken };
+    };
+
+    /**
+     * Revokes every live token in a family and signs out its session.
+     * @param {string} familyId
+     */
+    const revokeFamily = async (familyId) => {
+        await repo.refreshTokens.revokeFamily(familyId);
+        await repo.sessions.revoke(familyId);
+    };
+
+    /**
+     * Signs out every session of a user except one ("sign out everywhere else").
+     * Unlike revokeUserTokens this leaves token_version alone, so the kept session's access token stays valid.
+     * @param {number} userId
+     * @param {string} keepFamilyId
+     */
+    const revokeOtherSessions = async (userId, keepFamilyId) => {
+        await repo.refreshTokens.revokeAllForUser(userId, { exceptFamilyId: keepFamilyId });
+        await repo.sessions.revokeAllForUser(userId, { exceptId: keepFamilyId });
+    };
+
+    /**
+     * Revokes a single access token until it would have expired anyway.
+     * @param {{ jti: string, id: number, exp: number }} claims - The decoded access token.
+     */
+    const revokeAccessToken = async (claims) => {
+        if (!claims.jti) return;
+        await repo.revokedTokens.add({ jti: claims.jti, userId: claims.id, expiresAt: new Date(claims.exp * 1000) });
+        // Entries are only needed until the token would have expired on its own.
+        await repo.revokedTokens.deleteExpired();
+    };
+
+    /**
+     * Invalidates every token a user holds by bumping their token_version and revoking their
+     * refresh token families and personal access tokens. Used after a password change or reset,
+     * when an account is disabled or scheduled for deletion, and when its email changes.
+     * @param {number} userId
+     * @param {object} [options]
+     * @param {string} [options.keepFamilyId] - Refresh token family (session) to leave signed in.
+     * @returns {Promise<{ token: string, tokenExpires: number } | null>} A replacement access token
+     *          for the kept session, since its current one carries the old version.
+     */
+    const revokeUserTokens = async (userId, { keepFamilyId } = {}) => {
+        await repo.users.incrementTokenVersion(userId);
+        await repo.refreshTokens.revokeAllForUser(userId, { exceptFamilyId: keepFamilyId });
+        await repo.sessions.revokeAllForUser(userId, { exceptId: keepFamilyId });
+        await repo.personalAccessTokens.revokeAllForUser(userId);
+        if (!keepFamilyId) return null;
+
+        const user = await repo.users.findById(userId);
+        return signAccessToken(user, keepFamilyId);
+    };
+
+    /**
+     * Exchanges a refresh token for a new access token and a new refresh token.
+     * @param {string} refreshToken - The raw token presented by the client.
+     * @throws {RefreshTokenError}
+     */
+    const rotateRefreshToken = async (refreshToken) => {
+        const stored = await repo.refreshTokens.findByHash(hashToken(refreshToken));
+
+        if (!stored) {
+            throw new RefreshTokenError('invalid', 'Invalid refresh token.');
+        }
+
+        if (stored.revoked_at && !stored.replaced_by) {
+            // Revoked by logout or a password change rather than by rotation.
+            throw new RefreshTokenError('revoked', 'This session has been signed out. Please log in again.');
+        }
+
+        if (stored.revoked_at) {
+            await revokeFamily(stored.family_id);
+            throw new RefreshTokenError('reused', 'Refresh token has already been used. Please log in again.');
+        }
+
+        if (new Date(stored.expires_at) <= new Date()) {
+            throw new RefreshTokenError('expired', 'Refresh token has expired. Please log in again.');
+        }
+
+        // Claim the token atomically; if a concurrent request already rotated it, treat this as reuse.
+        const claimed = await repo.refreshTokens.claim(stored.id);
+        if (!claimed) {
+            await revokeFamily(stored.family_id);
+            throw new RefreshTokenError('reused', 'Refresh token has already been used. Please log in again.');
+        }
+
+        const next = await createRefreshToken(stored.user_id, stored.family_id);
+        await repo.refreshTokens.setReplacedBy(stored.id, next.id);
+        await repo.sessions.touch(stored.family_id);
+
+        const user = await repo.users.findById(stored.user_id);
+        return { userId: stored.user_id, ...(await signAccessToken(user, stored.family_id)), refreshToken: next.refreshToken };
+    };
+
+    /**
+     * Signs a short-lived token for one step of a multi-step flow. It carries a `purpose` claim,
+     * which authMiddleware refuses, so it can't be used as an access token.
+     */
+    const signPurposeToken = (purpose, claims, expiresIn) =>
+        signingKeys.sign({ ...claims, purpose }, { expiresIn });
+
+    /**
+     * @returns {object|null} The token's claims, or null if it is invalid, expired or for another purpose.
+     */
+    const verifyPurposeToken = (purpose, token) => {
+        try {
+            const decoded = signingKeys.verify(token);
+            return decoded.purpose === purpose ? decoded : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    /**
+     * Signs a short-lived token proving the password step of a login succeeded.
+     * @param {number} userId
+     */
+    const signChallengeToken = (userId) => signPurposeToken('login-2fa', { id: userId }, '5m');
+
+    /**
+     * @param {string} challengeToken
+     * @returns {number|null} The user ID, or null if the token is invalid or expired.
+     */
+    const verifyChallengeToken = (challengeToken) => {
+        const decoded = verifyPurposeToken('login-2fa', challengeToken);
+        return decoded ? decoded.id : null;
+    };
+
+    /**
+     * Signs a token for a verified provider sign-in that matched an existing account by email.
+     * The account owner must confirm it (see POST /api/auth/link/confirm) before the identity is linked.
+     * @param {number} userId
+     * @param {{ provider: string, providerUserId: string, email: string }} identity
+     */
+    const signLinkToken = (userId, { provider, providerUserId, email }) =>
+        signPurposeToken('link-identity', { id: userId, provider, sub: providerUserId, email }, '10m');
+
+    /**
+     * @param {string} linkToken
+     * @returns {{ userId: number, provider: string, providerUserId: string, email: string }|null}
+     */
+    const verifyLinkToken = (linkToken) => {
+        const decoded = verifyPurposeToken('link-identity', linkToken);
+        return decoded ? { userId: decoded.id, provider: decoded.provider, providerUserId: decoded.sub, email: decoded.email } : null;
+    };
+
+    return {
+        issueTokens,
+        rotateRefreshToken,
+        revokeFamily,
+        revokeOtherSessions,
+        revokeAccessToken,
+        revokeUserTokens,
+        signChallengeToken,
+        verifyChallengeToken,
+        signLinkToken,
+        verifyLinkToken,
+    };
+}
+
+module.exports = { createTokenService, RefreshTokenError, hashToken };
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32 alphabet, as used by authenticator apps for TOTP secrets.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character in TOTP secret');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generates a new random TOTP secret (160 bits, base32-encoded).
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Computes the HOTP code (RFC 4226) for a given counter.
+ * @param {string} secret - Base32 secret.
+ * @param {number} counter
+ */
+const hotp = (secret, counter) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Returns the time step (RFC 6238) a timestamp falls in.
+ * @param {number} [now=Date.now()]
+ */
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Checks a TOTP code, allowing `window` steps of clock drift either way.
+ * @param {string} secret - Base32 secret.
+ * @param {string} code - The 6-digit code the user typed.
+ * @param {object} [options] - { window = 1, now = Date.now() }
+ * @returns {number|null} The matching time step (store it to block replays), or null.
+ */
+const verifyTotp = (secret, code, { window = 1, now = Date.now() } = {}) => {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const step = currentStep(now);
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = hotp(secret, step + offset);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+            return step + offset;
+        }
+    }
+    return null;
+};
+
+/**
+ * Builds the otpauth:// URI that authenticator apps read from the QR code.
+ * @param {object} params - { secret, accountName, issuer }
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const query = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS) });
+    return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+/**
+ * Generates human-friendly one-time recovery codes, e.g. "k3f9-2mzq".
+ * @param {number} [count=10]
+ */
+const generateRecoveryCodes = (count = 10) => Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+/**
+ * Normalizes a recovery code before hashing so dashes and case don't matter.
+ * @param {string} code
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+module.exports = {
+    generateSecret,
+    hotp,
+    currentStep,
+    verifyTotp,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    normalizeRecoveryCode,
+};
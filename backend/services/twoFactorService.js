@@ -0,0 +1,91 @@
+const QRCode = require('qrcode');
+const totp = require('./totp');
+const { hashToken } = require('./tokenService');
+
+/**
+ * TOTP two-factor authentication backed by the `users.totp_*` columns and the `recovery_codes` table.
+ *
+ * Enrollment is two-step: `beginSetup` stores a pending secret (totp_enabled stays 0) and
+ * `enable` switches it on once the user proves their authenticator works.
+ *
+ * @param {object} options
+ * @param {object} options.repo - Repository from ../repositories.
+ * @param {string} [options.issuer='Midterm Auth'] - Name shown in authenticator apps.
+ */
+function createTwoFactorService({ repo, issuer = 'Midterm Auth' }) {
+    const replaceRecoveryCodes = async (userId) => {
+        const codes = totp.generateRecoveryCodes();
+        await repo.recoveryCodes.replaceAll(userId, codes.map((code) => hashToken(totp.normalizeRecoveryCode(code))));
+        return codes;
+    };
+
+    /**
+     * Generates and stores a pending secret.
+     * @param {{ id: number, email: string }} user
+     * @returns {Promise<{ secret: string, otpauthUrl: string, qrCode: string }>} qrCode is a PNG data URL.
+     */
+    const beginSetup = async (user) => {
+        const secret = totp.generateSecret();
+        await repo.users.update(user.id, { totp_secret: secret, totp_enabled: 0, totp_last_step: null });
+
+        const otpauthUrl = totp.buildOtpauthUri({ secret, accountName: user.email, issuer });
+        const qrCode = await QRCode.toDataURL(otpauthUrl);
+        return { secret, otpauthUrl, qrCode };
+    };
+
+    /**
+     * Confirms the pending secret with a first code and turns 2FA on.
+     * @param {object} user - Full users row.
+     * @param {string} code
+     * @returns {Promise<string[]|null>} Fresh recovery codes, or null if the code was wrong.
+     */
+    const enable = async (user, code) => {
+        if (!user.totp_secret) return null;
+
+        const step = totp.verifyTotp(user.totp_secret, code);
+        if (step === null) return null;
+
+        await repo.users.update(user.id, { totp_enabled: 1, totp_last_step: step });
+        return replaceRecoveryCodes(user.id);
+    };
+
+    /**
+     * Checks a second factor: either a current TOTP code or an unused recovery code.
+     * TOTP codes can't be replayed within their window; recovery codes are consumed.
+     * @param {object} user - Full users row with 2FA enabled.
+     * @param {string} code
+     * @returns {Promise<'totp'|'recovery'|null>} Which factor matched, or null.
+     */
+    const verify = async (user, code) => {
+        if (!user.totp_enabled || !user.totp_secret) return null;
+
+        const step = totp.verifyTotp(user.totp_secret, code);
+        if (step !== null) {
+            // Only accept steps newer than the last one used, so an intercepted code can't be reused.
+            return (await repo.users.claimTotpStep(user.id, step)) ? 'totp' : null;
+        }
+
+        const normalized = totp.normalizeRecoveryCode(code);
+        if (!normalized) return null;
+        return (await repo.recoveryCodes.consume(user.id, hashToken(normalized))) ? 'recovery' : null;
+    };
+
+    /**
+     * @param {number} userId
+     * @returns {Promise<{ total: number, remaining: number }>}
+     */
+    const getRecoveryCodeStatus = (userId) => repo.recoveryCodes.status(userId);
+
+    /**
+     * Turns 2FA off and forgets the secret and recovery codes.
+     * @param {number} userId
+     */
+    const disable = async (userId) => {
+        await repo.users.update(userId, { totp_secret: null, totp_enabled: 0, totp_last_step: null });
+        await repo.recoveryCodes.deleteAll(userId);
+    };
+
+    return { beginSetup, enable, verify, getRecoveryCodeStatus, regenerateRecoveryCodes: replaceRecoveryCodes, disable };
+}
+
+module.exports = createTwoFactorService;
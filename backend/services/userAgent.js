@@ -0,0 +1,37 @@
+// Checked in order, so browsers that include another's name in their user agent (Edge and Opera
+// say "Chrome", Chrome says "Safari") come before it.
+const BROWSERS = [
+    ['Edge', /Edg(?:e|A|iOS)?\//],
+    ['Opera', /OPR\/|Opera/],
+    ['Samsung Internet', /SamsungBrowser\//],
+    ['Firefox', /Firefox\/|FxiOS\//],
+    ['Chrome', /Chrome\/|CriOS\//],
+    ['Safari', /Safari\//],
+];
+
+const SYSTEMS = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Macintosh|Mac OS X/],
+    ['ChromeOS', /CrOS/],
+    ['Linux', /Linux/],
+];
+
+const match = (list, userAgent) => (list.find(([, pattern]) => pattern.test(userAgent)) || [null])[0];
+
+/**
+ * Turns a User-Agent header into a short device label for the sessions list, e.g. "Chrome on Windows".
+ * This is only for display; it's a best guess and easy to fake.
+ * @param {string} [userAgent]
+ * @returns {string}
+ */
+function describeUserAgent(userAgent) {
+    if (!userAgent) return 'Unknown device';
+    const browser = match(BROWSERS, userAgent);
+    const system = match(SYSTEMS, userAgent);
+    if (browser && system) return `${browser} on ${system}`;
+    return browser || system || userAgent.split(/[\s/]/)[0].slice(0, 100) || 'Unknown device';
+}
+
+module.exports = { describeUserAgent };
@@ -0,0 +1,25 @@
+const createLocalStorage = require('./local');
+
+/**
+ * File storage for user uploads (avatars). Every driver has the same interface, so another one
+ * (e.g. an object store) can replace local disk without touching the routes:
+ *
+ *   save(key, body: Buffer)
+ *   read(key) -> { body: Buffer, contentType } | null
+ *   delete(key)              no error if it doesn't exist
+ *
+ * Keys are flat file names such as "12-3f9c1a.webp".
+ */
+
+/**
+ * Builds the storage driver from the loaded config (see ../config).
+ * @param {object} config - { storage }
+ */
+function createStorageFromConfig({ storage }) {
+    if (storage.driver === 'local') {
+        return createLocalStorage({ dir: storage.dir });
+    }
+    throw new Error(`Unknown STORAGE_DRIVER: ${storage.driver}`);
+}
+
+module.exports = { createLocalStorage, createStorageFromConfig };
@@ -0,0 +1,55 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const CONTENT_TYPES = {
+    '.webp': 'image/webp',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+};
+
+// Keys are generated by the app, but they also arrive in URLs, so never let one leave `dir`.
+const isSafeKey = (key) => typeof key === 'string' && /^[A-Za-z0-9._-]+$/.test(key) && !key.startsWith('.');
+
+/**
+ * Creates a storage driver that keeps files in a local directory.
+ * @param {object} [options]
+ * @param {string} [options.dir] - Where files go; defaults to backend/uploads.
+ */
+function createLocalStorage(options = {}) {
+    const dir = options.dir || path.join(__dirname, '..', 'uploads');
+
+    const fileFor = (key) => {
+        if (!isSafeKey(key)) throw new Error(`Invalid storage key: ${key}`);
+        return path.join(dir, key);
+    };
+
+    return {
+        name: 'local',
+        dir,
+
+        async save(key, body) {
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(fileFor(key), body);
+        },
+
+        async read(key) {
+            if (!isSafeKey(key)) return null;
+            try {
+                const body = await fs.readFile(fileFor(key));
+                return { body, contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream' };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async delete(key) {
+            if (!isSafeKey(key)) return;
+            await fs.rm(fileFor(key), { force: true });
+        },
+    };
+}
+
+module.exports = createLocalStorage;
@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, registerVerifiedUser } = require('./helpers/testApp');
+
+const PASSWORD = 'Corr3ct-Horse-Battery';
+
+/**
+ * Signs in and returns the access token.
+ */
+const signIn = async (app, email) => {
+    const { body } = await app.request('POST', '/api/login', { body: { email, password: PASSWORD } });
+    return body.token;
+};
+
+describe('DELETE /api/profile', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(() => app.close());
+
+    it('schedules the deletion and signs the account out', async () => {
+        await registerVerifiedUser(app, 'ada@example.com', PASSWORD);
+        const token = await signIn(app, 'ada@example.com');
+
+        const { status, body } = await app.request('DELETE', '/api/profile', { token, body: { password: PASSWORD } });
+        assert.equal(status, 200);
+        assert.ok(body.deleteAfter);
+        assert.ok((await app.repo.users.findByEmail('ada@example.com')).delete_after);
+        assert.equal((await app.request('GET', '/api/profile', { token })).status, 401);
+    });
+
+    it('requires the right password', async () => {
+        await registerVerifiedUser(app, 'grace@example.com', PASSWORD);
+        const token = await signIn(app, 'grace@example.com');
+
+        const { status } = await app.request('DELETE', '/api/profile', { token, body: { password: 'Wr0ng-Password' } });
+        assert.equal(status, 401);
+        assert.equal((await app.repo.users.findByEmail('grace@example.com')).delete_after, null);
+    });
+
+    it('refuses the last admin account, but not one of several', async () => {
+        const first = await registerVerifiedUser(app, 'linus@example.com', PASSWORD);
+        await app.repo.roles.assign(first.id, 'admin');
+        const token = await signIn(app, 'linus@example.com');
+
+        const refused = await app.request('DELETE', '/api/profile', { token, body: { password: PASSWORD } });
+        assert.equal(refused.status, 409);
+        assert.equal(refused.body.code, 'LAST_ADMIN');
+        assert.equal((await app.repo.users.findByEmail('linus@example.com')).delete_after, null);
+
+        const second = await registerVerifiedUser(app, 'barbara@example.com', PASSWORD);
+        await app.repo.roles.assign(second.id, 'admin');
+
+        const allowed = await app.request('DELETE', '/api/profile', { token, body: { password: PASSWORD } });
+        assert.equal(allowed.status, 200);
+    });
+});
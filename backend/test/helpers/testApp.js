@@ -0,0 +1,78 @@
+const createApp = require('../../app');
+const loadConfig = require('../../config');
+const { createMailer } = require('../../mailer');
+const { createMemoryRepository } = require('../../repositories');
+
+/**
+ * Starts the app on a random local port with an in-memory repository and a mailer that keeps
+ * every message instead of sending it, so tests can drive the API over HTTP with no database.
+ * @param {object} [env] - Environment overrides for loadConfig(), e.g. { EMAIL_VERIFICATION_MODE: 'block' }.
+ * @returns {Promise<{ repo, config, outbox: object[], request: function, linkToken: function, close: function }>}
+ */
+async function startTestApp(env = {}) {
+    const repo = createMemoryRepository();
+    const config = loadConfig({ JWT_SECRET: 'test-secret', ...env });
+    const outbox = [];
+    const mailer = createMailer({
+        transport: { name: 'memory', send: async (message) => { outbox.push(message); return { id: String(outbox.length) }; } },
+        from: 'test@example.com',
+        frontendUrl: config.frontendUrl,
+    });
+
+    const app = createApp({ repo, config, mailer });
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * Sends a JSON request to the app.
+     * @param {string} method
+     * @param {string} path - e.g. '/api/login'
+     * @param {object} [options] - { body, token }
+     * @returns {Promise<{ status: number, body: object }>}
+     */
+    const request = async (method, path, { body, token } = {}) => {
+        const res = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                ...(token && { Authorization: `Bearer ${token}` }),
+            },
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+        return { status: res.status, body: await res.json() };
+    };
+
+    /**
+     * The token from the link in the newest email sent to an address with the given template.
+     * @param {string} to
+     * @param {string} template - A key of ../../mailer/templates, e.g. 'passwordReset'.
+     * @returns {string|undefined}
+     */
+    const linkToken = (to, template) => {
+        const message = outbox.filter((sent) => sent.to === to && sent.template === template).pop();
+        const match = message && /[?&]token=([^&\s]+)/.exec(message.text);
+        return match ? decodeURIComponent(match[1]) : undefined;
+    };
+
+    const close = () => new Promise((resolve) => server.close(resolve));
+
+    return { repo, config, outbox, request, linkToken, close };
+}
+
+/**
+ * Registers an account through the API and follows its verification link.
+ * @param {object} app - From startTestApp().
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<object>} The users row.
+ */
+async function registerVerifiedUser(app, email, password) {
+    const { status } = await app.request('POST', '/api/register', { body: { email, password } });
+    if (status !== 201) throw new Error(`Registering ${email} failed with HTTP ${status}`);
+    await app.request('POST', '/api/verify-email', { body: { token: app.linkToken(email, 'emailVerification') } });
+    return app.repo.users.findByEmail(email);
+}
+
+module.exports = { startTestApp, registerVerifiedUser };
@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, registerVerifiedUser } = require('./helpers/testApp');
+
+const PASSWORD = 'Corr3ct-Horse-Battery';
+
+/**
+ * Signs in and returns the access token.
+ */
+const signIn = async (app, email) => {
+    const { body } = await app.request('POST', '/api/login', { body: { email, password: PASSWORD } });
+    return body.token;
+};
+
+describe('POST /api/invitations/:id/accept with EMAIL_VERIFICATION_MODE=off', () => {
+    let app;
+    let organizationId;
+
+    before(async () => {
+        app = await startTestApp({ EMAIL_VERIFICATION_MODE: 'off' });
+        await registerVerifiedUser(app, 'owner@example.com', PASSWORD);
+        const token = await signIn(app, 'owner@example.com');
+        const { body } = await app.request('POST', '/api/organizations', { token, body: { name: 'Analytical Engines' } });
+        organizationId = body.organization.id;
+    });
+
+    after(() => app.close());
+
+    const invite = async (email) => {
+        const token = await signIn(app, 'owner@example.com');
+        const { body } = await app.request('POST', `/api/organizations/${organizationId}/invitations`, { token, body: { email, role: 'admin' } });
+        return body.invitation.id;
+    };
+
+    it('refuses an account that signed up with the invited address but never verified it', async () => {
+        const invitationId = await invite('ada@example.com');
+        await app.request('POST', '/api/register', { body: { email: 'ada@example.com', password: PASSWORD } });
+        const token = await signIn(app, 'ada@example.com');
+
+        const accepted = await app.request('POST', `/api/invitations/${invitationId}/accept`, { token });
+        assert.equal(accepted.status, 403);
+        const declined = await app.request('POST', `/api/invitations/${invitationId}/decline`, { token });
+        assert.equal(declined.status, 403);
+
+        const { body } = await app.request('GET', '/api/organizations', { token });
+        assert.deepEqual(body.organizations, []);
+    });
+
+    it('still lets the emailed link be used, since it proves the address', async () => {
+        const link = app.linkToken('ada@example.com', 'organizationInvitation');
+        const token = await signIn(app, 'ada@example.com');
+
+        const { status, body } = await app.request('POST', '/api/invitations/accept', { token, body: { token: link } });
+        assert.equal(status, 200);
+        assert.equal(body.organization.role, 'admin');
+    });
+
+    it('lets a verified account answer by id', async () => {
+        const invitationId = await invite('grace@example.com');
+        await registerVerifiedUser(app, 'grace@example.com', PASSWORD);
+        const token = await signIn(app, 'grace@example.com');
+
+        const { status } = await app.request('POST', `/api/invitations/${invitationId}/accept`, { token });
+        assert.equal(status, 200);
+    });
+});
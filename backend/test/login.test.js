@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, registerVerifiedUser } = require('./helpers/testApp');
+
+const PASSWORD = 'Corr3ct-Horse-Battery';
+
+describe('POST /api/login', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp({ LOGIN_LOCKOUT_THRESHOLD: '3' });
+        await registerVerifiedUser(app, 'ada@example.com', PASSWORD);
+    });
+
+    after(() => app.close());
+
+    it('returns an access token and a refresh token for the right password', async () => {
+        const { status, body } = await app.request('POST', '/api/login', { body: { email: 'ada@example.com', password: PASSWORD } });
+
+        assert.equal(status, 200);
+        assert.equal(body.user.email, 'ada@example.com');
+        assert.equal(body.user.password, undefined);
+        assert.ok(body.token);
+        assert.ok(body.refreshToken);
+
+        const profile = await app.request('GET', '/api/profile', { token: body.token });
+        assert.equal(profile.status, 200);
+        assert.equal(profile.body.user.email, 'ada@example.com');
+    });
+
+    it('gives the same answer for a wrong password and an unknown email', async () => {
+        const wrongPassword = await app.request('POST', '/api/login', { body: { email: 'ada@example.com', password: 'Wr0ng-Password' } });
+        const unknownEmail = await app.request('POST', '/api/login', { body: { email: 'nobody@example.com', password: PASSWORD } });
+
+        assert.equal(wrongPassword.status, 401);
+        assert.equal(unknownEmail.status, 401);
+        assert.equal(wrongPassword.body.message, unknownEmail.body.message);
+    });
+
+    it('requires an email and a password', async () => {
+        const { status } = await app.request('POST', '/api/login', { body: { email: 'ada@example.com' } });
+        assert.equal(status, 400);
+    });
+
+    it('rotates the refresh token and signs out on logout', async () => {
+        const login = await app.request('POST', '/api/login', { body: { email: 'ada@example.com', password: PASSWORD } });
+
+        const refreshed = await app.request('POST', '/api/token/refresh', { body: { refreshToken: login.body.refreshToken } });
+        assert.equal(refreshed.status, 200);
+        assert.notEqual(refreshed.body.refreshToken, login.body.refreshToken);
+
+        const reused = await app.request('POST', '/api/token/refresh', { body: { refreshToken: login.body.refreshToken } });
+        assert.equal(reused.status, 401);
+
+        const fresh = await app.request('POST', '/api/login', { body: { email: 'ada@example.com', password: PASSWORD } });
+        assert.equal((await app.request('POST', '/api/logout', { token: fresh.body.token })).status, 200);
+        assert.equal((await app.request('GET', '/api/profile', { token: fresh.body.token })).status, 401);
+    });
+
+    it('locks the account after too many failed attempts, even for the right password', async () => {
+        await registerVerifiedUser(app, 'grace@example.com', PASSWORD);
+        for (let attempt = 0; attempt < 3; attempt++) {
+            await app.request('POST', '/api/login', { body: { email: 'grace@example.com', password: 'Wr0ng-Password' } });
+        }
+
+        const { status, body } = await app.request('POST', '/api/login', { body: { email: 'grace@example.com', password: PASSWORD } });
+        assert.equal(status, 429);
+        assert.equal(body.code, 'ACCOUNT_LOCKED');
+    });
+});
+
+describe('POST /api/login with EMAIL_VERIFICATION_MODE=block', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp({ EMAIL_VERIFICATION_MODE: 'block' });
+    });
+
+    after(() => app.close());
+
+    it('refuses unverified accounts until the emailed link is used', async () => {
+        await app.request('POST', '/api/register', { body: { email: 'ada@example.com', password: PASSWORD } });
+
+        const unverified = await app.request('POST', '/api/login', { body: { email: 'ada@example.com', password: PASSWORD } });
+        assert.equal(unverified.status, 403);
+        assert.equal(unverified.body.code, 'EMAIL_NOT_VERIFIED');
+
+        await app.request('POST', '/api/verify-email', { body: { token: app.linkToken('ada@example.com', 'emailVerification') } });
+        const verified = await app.request('POST', '/api/login', { body: { email: 'ada@example.com', password: PASSWORD } });
+        assert.equal(verified.status, 200);
+    });
+});
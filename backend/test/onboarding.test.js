@@ -0,0 +1,67 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, registerVerifiedUser } = require('./helpers/testApp');
+
+const PASSWORD = 'Corr3ct-Horse-Battery';
+
+/**
+ * Signs in and returns the access token.
+ */
+const signIn = async (app, email) => {
+    const { body } = await app.request('POST', '/api/login', { body: { email, password: PASSWORD } });
+    return body.token;
+};
+
+describe('PUT /api/onboarding', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(() => app.close());
+
+    it('saves the name and username and marks the account onboarded', async () => {
+        await registerVerifiedUser(app, 'ada@example.com', PASSWORD);
+        const token = await signIn(app, 'ada@example.com');
+
+        const { status } = await app.request('PUT', '/api/onboarding', { token, body: { name: 'Ada Lovelace', username: 'ada' } });
+        assert.equal(status, 200);
+
+        const { body } = await app.request('GET', '/api/profile', { token });
+        assert.equal(body.user.name, 'Ada Lovelace');
+        assert.equal(body.user.username, 'ada');
+        assert.equal(body.user.onboarded, 1);
+    });
+
+    it('refuses a username another account has', async () => {
+        await registerVerifiedUser(app, 'grace@example.com', PASSWORD);
+        const token = await signIn(app, 'grace@example.com');
+
+        const { status } = await app.request('PUT', '/api/onboarding', { token, body: { name: 'Grace Hopper', username: 'ada' } });
+        assert.equal(status, 409);
+        assert.equal((await app.repo.users.findByEmail('grace@example.com')).onboarded, 0);
+    });
+
+    it('requires a name and a username', async () => {
+        await registerVerifiedUser(app, 'linus@example.com', PASSWORD);
+        const token = await signIn(app, 'linus@example.com');
+
+        const { status } = await app.request('PUT', '/api/onboarding', { token, body: { name: 'Linus' } });
+        assert.equal(status, 400);
+    });
+
+    it('waits for the email address to be verified', async () => {
+        await app.request('POST', '/api/register', { body: { email: 'barbara@example.com', password: PASSWORD } });
+        const token = await signIn(app, 'barbara@example.com');
+
+        const { status, body } = await app.request('PUT', '/api/onboarding', { token, body: { name: 'Barbara Liskov', username: 'barbara' } });
+        assert.equal(status, 403);
+        assert.equal(body.code, 'EMAIL_NOT_VERIFIED');
+    });
+
+    it('requires a signed-in user', async () => {
+        const { status } = await app.request('PUT', '/api/onboarding', { body: { name: 'Nobody', username: 'nobody' } });
+        assert.equal(status, 401);
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../services/totp');
+const { createSoftAuthenticator } = require('../scripts/softAuthenticator');
+const { startTestApp, registerVerifiedUser } = require('./helpers/testApp');
+
+const PASSWORD = 'Corr3ct-Horse-Battery';
+
+/**
+ * Signs in and returns the access token.
+ */
+const signIn = async (app, email) => {
+    const { body } = await app.request('POST', '/api/login', { body: { email, password: PASSWORD } });
+    return body.token;
+};
+
+describe('POST /api/passkeys/registration/options', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(() => app.close());
+
+    it('needs the password before a passkey can be added', async () => {
+        await registerVerifiedUser(app, 'ada@example.com', PASSWORD);
+        const token = await signIn(app, 'ada@example.com');
+
+        const missing = await app.request('POST', '/api/passkeys/registration/options', { token });
+        assert.equal(missing.status, 400);
+        const wrong = await app.request('POST', '/api/passkeys/registration/options', { token, body: { password: 'Wr0ng-Password' } });
+        assert.equal(wrong.status, 401);
+        assert.equal(missing.body.challengeId, undefined);
+        assert.equal(wrong.body.challengeId, undefined);
+    });
+
+    it('registers a passkey that signs in, once the password is given', async () => {
+        await registerVerifiedUser(app, 'grace@example.com', PASSWORD);
+        const token = await signIn(app, 'grace@example.com');
+        const authenticator = createSoftAuthenticator({ origin: new URL(app.config.frontendUrl).origin });
+
+        const options = await app.request('POST', '/api/passkeys/registration/options', { token, body: { password: PASSWORD } });
+        assert.equal(options.status, 200);
+        const registered = await app.request('POST', '/api/passkeys', {
+            token,
+            body: { challengeId: options.body.challengeId, response: authenticator.create(options.body.options) },
+        });
+        assert.equal(registered.status, 201);
+
+        const challenge = await app.request('POST', '/api/login/passkey/options');
+        const signedIn = await app.request('POST', '/api/login/passkey', {
+            body: { challengeId: challenge.body.challengeId, response: authenticator.get(challenge.body.options) },
+        });
+        assert.equal(signedIn.status, 200);
+        assert.equal(signedIn.body.user.email, 'grace@example.com');
+    });
+
+    it('also needs the 2FA code when it is on', async () => {
+        const user = await registerVerifiedUser(app, 'linus@example.com', PASSWORD);
+        const token = await signIn(app, 'linus@example.com');
+        const secret = totp.generateSecret();
+        await app.repo.users.update(user.id, { totp_secret: secret, totp_enabled: 1 });
+
+        const missing = await app.request('POST', '/api/passkeys/registration/options', { token, body: { password: PASSWORD } });
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.code, 'TWO_FACTOR_REQUIRED');
+
+        const code = totp.hotp(secret, totp.currentStep());
+        const right = await app.request('POST', '/api/passkeys/registration/options', { token, body: { password: PASSWORD, code } });
+        assert.equal(right.status, 200);
+    });
+});
@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, registerVerifiedUser } = require('./helpers/testApp');
+
+const PASSWORD = 'Corr3ct-Horse-Battery';
+const NEW_PASSWORD = 'Stapl3-Battery-Horse';
+
+describe('POST /api/forgot-password and /api/reset-password', () => {
+    let app;
+
+    before(async () => {
+        // Every test here asks for a reset link, more than the default per-IP limit allows.
+        app = await startTestApp({ RATE_LIMIT_EMAIL_IP: '50/15m' });
+    });
+
+    after(() => app.close());
+
+    it('answers the same whether or not the email has an account, and only mails existing ones', async () => {
+        await registerVerifiedUser(app, 'ada@example.com', PASSWORD);
+
+        const known = await app.request('POST', '/api/forgot-password', { body: { email: 'ada@example.com' } });
+        const unknown = await app.request('POST', '/api/forgot-password', { body: { email: 'nobody@example.com' } });
+
+        assert.equal(known.status, 200);
+        assert.equal(unknown.status, 200);
+        assert.equal(known.body.message, unknown.body.message);
+        assert.ok(app.linkToken('ada@example.com', 'passwordReset'));
+        assert.equal(app.outbox.some((message) => message.to === 'nobody@example.com'), false);
+    });
+
+    it('sets the new password once, and signs out existing sessions', async () => {
+        await registerVerifiedUser(app, 'grace@example.com', PASSWORD);
+        const login = await app.request('POST', '/api/login', { body: { email: 'grace@example.com', password: PASSWORD } });
+        await app.request('POST', '/api/forgot-password', { body: { email: 'grace@example.com' } });
+        const token = app.linkToken('grace@example.com', 'passwordReset');
+
+        const reset = await app.request('POST', '/api/reset-password', { body: { token, newPassword: NEW_PASSWORD } });
+        assert.equal(reset.status, 200);
+
+        assert.equal((await app.request('GET', '/api/profile', { token: login.body.token })).status, 401);
+        assert.equal((await app.request('POST', '/api/token/refresh', { body: { refreshToken: login.body.refreshToken } })).status, 401);
+        assert.equal((await app.request('POST', '/api/login', { body: { email: 'grace@example.com', password: PASSWORD } })).status, 401);
+        assert.equal((await app.request('POST', '/api/login', { body: { email: 'grace@example.com', password: NEW_PASSWORD } })).status, 200);
+
+        const reused = await app.request('POST', '/api/reset-password', { body: { token, newPassword: 'An0ther-Passphrase' } });
+        assert.equal(reused.status, 400);
+    });
+
+    it('keeps the link usable after a password that breaks the policy', async () => {
+        await registerVerifiedUser(app, 'linus@example.com', PASSWORD);
+        await app.request('POST', '/api/forgot-password', { body: { email: 'linus@example.com' } });
+        const token = app.linkToken('linus@example.com', 'passwordReset');
+
+        const weak = await app.request('POST', '/api/reset-password', { body: { token, newPassword: 'short' } });
+        assert.equal(weak.status, 400);
+        assert.equal(weak.body.code, 'WEAK_PASSWORD');
+
+        const strong = await app.request('POST', '/api/reset-password', { body: { token, newPassword: NEW_PASSWORD } });
+        assert.equal(strong.status, 200);
+    });
+
+    it('verifies the email address, since the link was opened from it', async () => {
+        await app.request('POST', '/api/register', { body: { email: 'barbara@example.com', password: PASSWORD } });
+        await app.request('POST', '/api/forgot-password', { body: { email: 'barbara@example.com' } });
+
+        await app.request('POST', '/api/reset-password', { body: { token: app.linkToken('barbara@example.com', 'passwordReset'), newPassword: NEW_PASSWORD } });
+        assert.equal((await app.repo.users.findByEmail('barbara@example.com')).email_verified, 1);
+    });
+
+    it('rejects unknown tokens', async () => {
+        const { status } = await app.request('POST', '/api/reset-password', { body: { token: 'not-a-real-token', newPassword: NEW_PASSWORD } });
+        assert.equal(status, 400);
+    });
+
+    it('stops an earlier link from working once the password is changed', async () => {
+        await registerVerifiedUser(app, 'edsger@example.com', PASSWORD);
+        await app.request('POST', '/api/forgot-password', { body: { email: 'edsger@example.com' } });
+        const login = await app.request('POST', '/api/login', { body: { email: 'edsger@example.com', password: PASSWORD } });
+
+        const change = await app.request('PUT', '/api/profile/password', { token: login.body.token, body: { oldPassword: PASSWORD, newPassword: NEW_PASSWORD } });
+        assert.equal(change.status, 200);
+
+        const token = app.linkToken('edsger@example.com', 'passwordReset');
+        assert.equal((await app.request('POST', '/api/reset-password', { body: { token, newPassword: 'An0ther-Passphrase' } })).status, 400);
+    });
+});
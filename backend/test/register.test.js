@@ -0,0 +1,63 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/testApp');
+
+const PASSWORD = 'Corr3ct-Horse-Battery';
+
+describe('POST /api/register', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(() => app.close());
+
+    it('creates an unverified, not yet onboarded account and emails a verification link', async () => {
+        const { status, body } = await app.request('POST', '/api/register', { body: { email: 'ada@example.com', password: PASSWORD } });
+
+        assert.equal(status, 201);
+        assert.equal(body.user.email, 'ada@example.com');
+        assert.equal(body.user.onboarded, 0);
+        assert.equal(body.user.email_verified, 0);
+        assert.equal(body.user.password, undefined);
+
+        const stored = await app.repo.users.findByEmail('ada@example.com');
+        assert.notEqual(stored.password, PASSWORD);
+        assert.deepEqual(await app.repo.roles.listForUser(stored.id), ['user']);
+        assert.ok(app.linkToken('ada@example.com', 'emailVerification'));
+    });
+
+    it('verifies the address with the emailed link', async () => {
+        await app.request('POST', '/api/register', { body: { email: 'grace@example.com', password: PASSWORD } });
+        const token = app.linkToken('grace@example.com', 'emailVerification');
+
+        const { status } = await app.request('POST', '/api/verify-email', { body: { token } });
+        assert.equal(status, 200);
+        assert.equal((await app.repo.users.findByEmail('grace@example.com')).email_verified, 1);
+
+        const again = await app.request('POST', '/api/verify-email', { body: { token } });
+        assert.equal(again.status, 400);
+    });
+
+    it('requires an email and a password', async () => {
+        const { status } = await app.request('POST', '/api/register', { body: { email: 'no-password@example.com' } });
+        assert.equal(status, 400);
+    });
+
+    it('rejects passwords that break the policy', async () => {
+        const { status, body } = await app.request('POST', '/api/register', { body: { email: 'weak@example.com', password: 'short' } });
+
+        assert.equal(status, 400);
+        assert.equal(body.code, 'WEAK_PASSWORD');
+        assert.ok(body.errors.length > 0);
+        assert.equal(await app.repo.users.findByEmail('weak@example.com'), null);
+    });
+
+    it('refuses an email that already has an account', async () => {
+        await app.request('POST', '/api/register', { body: { email: 'taken@example.com', password: PASSWORD } });
+
+        const { status } = await app.request('POST', '/api/register', { body: { email: 'TAKEN@example.com', password: PASSWORD } });
+        assert.equal(status, 409);
+    });
+});
@@ -0,0 +1,68 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const totp = require('../services/totp');
+const { startTestApp, registerVerifiedUser } = require('./helpers/testApp');
+
+const PASSWORD = 'Corr3ct-Horse-Battery';
+const NEW_PASSWORD = 'Stapl3-Battery-Horse';
+
+describe('PUT /api/profile/password for an account without a password', () => {
+    let app;
+
+    before(async () => {
+        app = await startTestApp();
+    });
+
+    after(() => app.close());
+
+    /**
+     * Signs in, then drops the password, as if the account had been created through a sign-in provider.
+     * @returns {Promise<{ user: object, token: string }>}
+     */
+    const passwordlessAccount = async (email) => {
+        const user = await registerVerifiedUser(app, email, PASSWORD);
+        const { body } = await app.request('POST', '/api/login', { body: { email, password: PASSWORD } });
+        await app.repo.users.update(user.id, { password: null });
+        return { user, token: body.token };
+    };
+
+    it('sets a first password right after signing in', async () => {
+        const { token } = await passwordlessAccount('ada@example.com');
+
+        const { status } = await app.request('PUT', '/api/profile/password', { token, body: { newPassword: NEW_PASSWORD } });
+        assert.equal(status, 200);
+        assert.equal((await app.request('POST', '/api/login', { body: { email: 'ada@example.com', password: NEW_PASSWORD } })).status, 200);
+    });
+
+    it('asks for a fresh sign-in once the session is older than 10 minutes', async () => {
+        const { token } = await passwordlessAccount('grace@example.com');
+        const now = Date.now();
+        mock.method(Date, 'now', () => now + 11 * 60 * 1000);
+
+        try {
+            const { status, body } = await app.request('PUT', '/api/profile/password', { token, body: { newPassword: NEW_PASSWORD } });
+            assert.equal(status, 403);
+            assert.equal(body.code, 'REAUTH_REQUIRED');
+        } finally {
+            mock.restoreAll();
+        }
+        assert.equal((await app.repo.users.findByEmail('grace@example.com')).password, null);
+    });
+
+    it('asks for the 2FA code when it is on', async () => {
+        const { user, token } = await passwordlessAccount('linus@example.com');
+        const secret = totp.generateSecret();
+        await app.repo.users.update(user.id, { totp_secret: secret, totp_enabled: 1 });
+
+        const missing = await app.request('PUT', '/api/profile/password', { token, body: { newPassword: NEW_PASSWORD } });
+        assert.equal(missing.status, 400);
+        assert.equal(missing.body.code, 'TWO_FACTOR_REQUIRED');
+
+        const wrong = await app.request('PUT', '/api/profile/password', { token, body: { newPassword: NEW_PASSWORD, code: '000000' } });
+        assert.equal(wrong.status, 401);
+
+        const code = totp.hotp(secret, totp.currentStep());
+        const right = await app.request('PUT', '/api/profile/password', { token, body: { newPassword: NEW_PASSWORD, code } });
+        assert.equal(right.status, 200);
+    });
+});
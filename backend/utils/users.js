@@ -0,0 +1,53 @@
+// Columns that must never be sent to the client.
+const PRIVATE_USER_FIELDS = ['password', 'resetToken', 'resetTokenExpiry', 'magicLinkToken', 'magicLinkTokenExpiry', 'token_version', 'totp_secret', 'totp_last_step'];
+
+/**
+ * Removes secrets (password hash, tokens, 2FA secret) from a users row before it is sent back.
+ * @param {object} user - A row from the users table. Modified in place.
+ */
+const stripPrivateFields = (user) => {
+    for (const field of PRIVATE_USER_FIELDS) {
+        delete user[field];
+    }
+    return user;
+};
+
+// Loose on purpose: the confirmation link sent to the address is the real check.
+const MAX_EMAIL_LENGTH = 255;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @param {string} email - Already trimmed.
+ * @returns {boolean} Whether it looks like an email address that fits the users table.
+ */
+const isValidEmail = (email) => EMAIL_PATTERN.test(email) && email.length <= MAX_EMAIL_LENGTH;
+
+const MAX_NAME_LENGTH = 100;
+const USERNAME_PATTERN = /^[A-Za-z0-9_.]{3,30}$/;
+
+/**
+ * Checks the editable profile fields of a PATCH /api/profile or PATCH /api/admin/users/:id body.
+ * A username is only checked when it changes, so older usernames from before these rules still save.
+ * @param {object} body - The request body.
+ * @param {object} user - The current users row.
+ * @returns {{ fields: object, error: string|null }}
+ */
+const readProfileFields = (body, user) => {
+    const fields = {};
+    if (body.name !== undefined) {
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!name) return { fields, error: 'Name cannot be empty' };
+        if (name.length > MAX_NAME_LENGTH) return { fields, error: `Name can be at most ${MAX_NAME_LENGTH} characters` };
+        fields.name = name;
+    }
+    if (body.username !== undefined) {
+        const username = typeof body.username === 'string' ? body.username.trim() : '';
+        if (username !== user.username && !USERNAME_PATTERN.test(username)) {
+            return { fields, error: 'Usernames are 3-30 characters: letters, numbers, "_" and "."' };
+        }
+        fields.username = username;
+    }
+    return { fields, error: null };
+};
+
+module.exports = { PRIVATE_USER_FIELDS, stripPrivateFields, isValidEmail, readProfileFields };
@@ -0,0 +1,188 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+import useAdminSession from '../useAdminSession';
+import { EVENT_LABELS, eventLabel } from '../../components/authEvents';
+
+const EMPTY_FILTERS = { userId: '', type: '', outcome: '', email: '', ip: '', from: '', to: '' };
+const PAGE_SIZE = 50;
+
+const inputClass = 'w-full mt-1 p-2 bg-gray-700 rounded-lg text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+/**
+ * Admin Audit Log
+ * Searches the security audit log. Opened from a user's detail page, it starts filtered to that user (?userId=).
+ */
+export default function AdminEvents() {
+  const { session, isAdmin } = useAdminSession();
+  const searchParams = useSearchParams();
+  const initialFilters = { ...EMPTY_FILTERS, userId: searchParams.get('userId') || '' };
+  const [filters, setFilters] = useState(initialFilters); // What's in the form.
+  const [applied, setApplied] = useState(initialFilters); // What the list was loaded with.
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null); // { events, total, page, pageSize }
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  const loadEvents = useCallback(async () => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) });
+      for (const [key, value] of Object.entries(applied)) {
+        if (value) params.set(key, value);
+      }
+      const response = await fetch(`http://localhost:5000/api/admin/events?${params}`, {
+        headers: { 'Authorization': `Bearer ${session?.accessToken}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setResult(data);
+      } else {
+        setMessage({ text: data.message || 'Could not load the audit log.', type: 'error' });
+      }
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [applied, page, session?.accessToken]);
+
+  useEffect(() => {
+    if (isAdmin) loadEvents();
+  }, [isAdmin, loadEvents]);
+
+  const updateFilter = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setApplied(filters);
+  };
+
+  const handleReset = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+    setApplied(EMPTY_FILTERS);
+  };
+
+  if (!isAdmin) {
+    return <div className="flex items-center justify-center min-h-screen bg-gray-900 text-white">Loading...</div>;
+  }
+
+  const totalPages = result ? Math.max(1, Math.ceil(result.total / result.pageSize)) : 1;
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-4 pt-12 flex flex-col items-center gap-6">
+      <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-5xl w-full">
+        <div className="flex items-center justify-between mb-6">
+          <h1 className="text-3xl font-bold text-white">Audit Log</h1>
+          <Link href="/admin" className="text-sm text-indigo-400 hover:underline">Back to users</Link>
+        </div>
+
+        <form onSubmit={handleSearch} className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+          <div>
+            <label className="block text-gray-300 text-sm">Event</label>
+            <select value={filters.type} onChange={updateFilter('type')} className={inputClass}>
+              <option value="">Any</option>
+              {Object.entries(EVENT_LABELS).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-gray-300 text-sm">Outcome</label>
+            <select value={filters.outcome} onChange={updateFilter('outcome')} className={inputClass}>
+              <option value="">Any</option>
+              <option value="success">Success</option>
+              <option value="failure">Failure</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-gray-300 text-sm">User ID</label>
+            <input type="text" inputMode="numeric" value={filters.userId} onChange={updateFilter('userId')} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-gray-300 text-sm">Email</label>
+            <input type="text" value={filters.email} onChange={updateFilter('email')} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-gray-300 text-sm">IP address</label>
+            <input type="text" value={filters.ip} onChange={updateFilter('ip')} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-gray-300 text-sm">From</label>
+            <input type="date" value={filters.from} onChange={updateFilter('from')} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-gray-300 text-sm">To</label>
+            <input type="date" value={filters.to} onChange={updateFilter('to')} className={inputClass} />
+          </div>
+          <div className="flex items-end gap-2">
+            <button type="submit" disabled={loading} className="flex-1 bg-indigo-600 text-white font-semibold py-2 px-4 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+              Search
+            </button>
+            <button type="button" onClick={handleReset} className="flex-1 bg-gray-700 text-white font-semibold py-2 px-4 rounded-xl hover:bg-gray-600">
+              Reset
+            </button>
+          </div>
+        </form>
+
+        {message.text && (<div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : 'bg-red-500'}`}>{message.text}</div>)}
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="text-gray-400 border-b border-gray-700">
+              <tr>
+                <th className="py-2 pr-4">Time</th>
+                <th className="py-2 pr-4">Event</th>
+                <th className="py-2 pr-4">User</th>
+                <th className="py-2 pr-4">IP</th>
+                <th className="py-2">Outcome</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result?.events.map((event) => (
+                <tr key={event.id} className="border-b border-gray-700 hover:bg-gray-700/50">
+                  <td className="py-2 pr-4 text-gray-300 whitespace-nowrap">{new Date(event.createdAt).toLocaleString()}</td>
+                  <td className="py-2 pr-4">
+                    {eventLabel(event.type)}
+                    {event.actorId && event.actorId !== event.userId && <span className="text-gray-400"> · by #{event.actorId}</span>}
+                  </td>
+                  <td className="py-2 pr-4 text-gray-300">
+                    {event.userId
+                      ? <Link href={`/admin/users/${event.userId}`} className="text-indigo-400 hover:underline">#{event.userId}</Link>
+                      : '—'}
+                    {event.email && <span className="text-gray-400"> {event.email}</span>}
+                  </td>
+                  <td className="py-2 pr-4 text-gray-300" title={event.userAgent || ''}>{event.ip || '—'}</td>
+                  <td className="py-2">
+                    <span className={event.outcome === 'success' ? 'text-green-400' : 'text-red-400'}>{event.outcome}</span>
+                    {event.detail && <span className="text-gray-400"> {event.detail}</span>}
+                  </td>
+                </tr>
+              ))}
+              {result && result.events.length === 0 && (
+                <tr><td colSpan={5} className="py-6 text-center text-gray-400">No events match these filters.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {result && (
+          <div className="flex items-center justify-between mt-4 text-sm text-gray-400">
+            <span>{result.total} event{result.total === 1 ? '' : 's'} · page {result.page} of {totalPages}</span>
+            <div className="flex gap-2">
+              <button type="button" onClick={() => setPage(page - 1)} disabled={loading || page <= 1} className="bg-gray-700 text-white py-1 px-3 rounded-lg hover:bg-gray-600 disabled:opacity-50">
+                Previous
+              </button>
+              <button type="button" onClick={() => setPage(page + 1)} disabled={loading || page >= totalPages} className="bg-gray-700 text-white py-1 px-3 rounded-lg hover:bg-gray-600 disabled:opacity-50">
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
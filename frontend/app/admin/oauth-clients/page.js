@@ -0,0 +1,188 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import useAdminSession from '../useAdminSession';
+
+const inputClass = 'w-full mt-1 p-2 bg-gray-700 rounded-lg text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+/**
+ * Admin OAuth Apps
+ * Registers and removes the apps that sign users in through this server. A confidential app's
+ * client secret is shown once, right after it is registered.
+ */
+export default function AdminOAuthClients() {
+  const { session, isAdmin } = useAdminSession();
+  const [result, setResult] = useState(null); // { clients, scopes, enabled }
+  const [name, setName] = useState('');
+  const [redirectUris, setRedirectUris] = useState(''); // One per line.
+  const [selectedScopes, setSelectedScopes] = useState(['openid']);
+  const [confidential, setConfidential] = useState(true);
+  const [created, setCreated] = useState(null); // { clientId, clientSecret } of the app just registered.
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  const loadClients = useCallback(async () => {
+    try {
+      const response = await fetch('http://localhost:5000/api/admin/oauth-clients', {
+        headers: { 'Authorization': `Bearer ${session?.accessToken}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setResult(data);
+      } else {
+        setMessage({ text: data.message || 'Could not load the apps.', type: 'error' });
+      }
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    }
+  }, [session?.accessToken]);
+
+  useEffect(() => {
+    if (isAdmin) loadClients();
+  }, [isAdmin, loadClients]);
+
+  const toggleScope = (scope) => {
+    setSelectedScopes((current) => (current.includes(scope) ? current.filter((name) => name !== scope) : [...current, scope]));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setCreated(null);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch('http://localhost:5000/api/admin/oauth-clients', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${session?.accessToken}` },
+        body: JSON.stringify({
+          name,
+          redirectUris: redirectUris.split('\n').map((uri) => uri.trim()).filter(Boolean),
+          scopes: selectedScopes,
+          confidential,
+        }),
+      });
+      const data = await response.json();
+      setMessage({ text: data.message, type: response.ok ? 'success' : 'error' });
+      if (response.ok) {
+        setCreated({ clientId: data.client.clientId, clientSecret: data.clientSecret });
+        setName('');
+        setRedirectUris('');
+        await loadClients();
+      }
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (client) => {
+    if (!window.confirm(`Remove "${client.name}"? Users will no longer be able to sign in to it.`)) return;
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch(`http://localhost:5000/api/admin/oauth-clients/${client.id}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${session?.accessToken}` },
+      });
+      const data = await response.json();
+      setMessage({ text: data.message, type: response.ok ? 'success' : 'error' });
+      if (response.ok) await loadClients();
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!isAdmin) {
+    return <div className="flex items-center justify-center min-h-screen bg-gray-900 text-white">Loading...</div>;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-4 pt-12 flex flex-col items-center gap-6">
+      <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-3xl w-full">
+        <div className="flex items-center justify-between mb-6">
+          <h1 className="text-3xl font-bold text-white">OAuth Apps</h1>
+          <Link href="/admin" className="text-sm text-indigo-400 hover:underline">Back to users</Link>
+        </div>
+
+        {message.text && (<div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : 'bg-red-500'}`}>{message.text}</div>)}
+        {result && !result.enabled && (
+          <div className="p-3 rounded-lg mb-4 bg-yellow-600 text-white text-sm">
+            The OAuth server is off: it needs tokens signed with RS256 or EdDSA (JWT_ALGORITHM in the backend&apos;s .env).
+          </div>
+        )}
+
+        {/* --- NEW APP CREDENTIALS (secret shown once) --- */}
+        {created && (
+          <div className="mb-6 p-4 bg-gray-900 rounded-lg border border-gray-700 text-sm">
+            <p className="text-gray-300">Client ID: <span className="font-mono text-white select-all">{created.clientId}</span></p>
+            {created.clientSecret && (
+              <p className="text-gray-300 mt-2">
+                Client secret: <span className="font-mono text-white break-all select-all">{created.clientSecret}</span>
+              </p>
+            )}
+          </div>
+        )}
+
+        <ul className="space-y-4 mb-8">
+          {result?.clients.map((client) => (
+            <li key={client.id} className="flex items-start justify-between gap-4 border-b border-gray-700 pb-4">
+              <div className="text-sm">
+                <p className="text-white font-semibold">
+                  {client.name} <span className="text-gray-400 font-normal">{client.confidential ? 'confidential' : 'public'}</span>
+                </p>
+                <p className="font-mono text-gray-400">{client.clientId}</p>
+                <p className="text-gray-400">Scopes: {client.scopes.join(' ')}</p>
+                {client.redirectUris.map((uri) => <p key={uri} className="font-mono text-xs text-gray-400 break-all">{uri}</p>)}
+              </div>
+              <button type="button" onClick={() => handleDelete(client)} disabled={loading} className="text-sm text-red-400 hover:underline disabled:opacity-50">
+                Remove
+              </button>
+            </li>
+          ))}
+          {result && result.clients.length === 0 && <li className="text-gray-400 text-center">No apps registered yet.</li>}
+        </ul>
+
+        <h2 className="text-xl font-bold text-white mb-4">Register an App</h2>
+        <form onSubmit={handleCreate} className="space-y-4">
+          <div>
+            <label className="block text-gray-300 text-sm">Name (shown on the consent screen)</label>
+            <input type="text" value={name} onChange={(e) => setName(e.target.value)} maxLength={100} className={inputClass} required />
+          </div>
+          <div>
+            <label className="block text-gray-300 text-sm">Redirect URIs (one per line)</label>
+            <textarea value={redirectUris} onChange={(e) => setRedirectUris(e.target.value)} rows={3} placeholder="https://app.example.com/auth/callback" className={`${inputClass} font-mono text-sm`} required />
+          </div>
+          <fieldset>
+            <legend className="block text-gray-300 text-sm mb-1">Scopes</legend>
+            {result?.scopes.map((scope) => (
+              <label key={scope.name} className="flex items-start gap-2 text-sm text-gray-300 mb-1">
+                <input
+                  type="checkbox"
+                  checked={selectedScopes.includes(scope.name)}
+                  onChange={() => toggleScope(scope.name)}
+                  disabled={scope.name === 'openid'}
+                  className="mt-1 rounded bg-gray-700 border-gray-600 text-indigo-600 focus:ring-indigo-500"
+                />
+                <span><span className="font-mono">{scope.name}</span> <span className="text-gray-400">{scope.description}</span></span>
+              </label>
+            ))}
+          </fieldset>
+          <label className="flex items-start gap-2 text-sm text-gray-300">
+            <input type="checkbox" checked={confidential} onChange={(e) => setConfidential(e.target.checked)} className="mt-1 rounded bg-gray-700 border-gray-600 text-indigo-600 focus:ring-indigo-500" />
+            <span>
+              Confidential (gets a client secret)
+              <span className="block text-xs text-gray-400">Untick for single-page and mobile apps, which can&apos;t keep a secret; they rely on PKCE alone.</span>
+            </span>
+          </label>
+          <button type="submit" disabled={loading || !result?.enabled} className="w-full bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+            {loading ? 'Registering...' : 'Register App'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,196 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import useAdminSession from './useAdminSession';
+
+const EMPTY_FILTERS = { q: '', onboarded: '', provider: '', status: '', createdFrom: '', createdTo: '' };
+const PAGE_SIZE = 20;
+
+const inputClass = 'w-full mt-1 p-2 bg-gray-700 rounded-lg text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+/**
+ * Admin Console
+ * Lists users with search, filters and pagination; each row links to the user's detail page.
+ */
+export default function AdminUsers() {
+  const { session, isAdmin } = useAdminSession();
+  const [filters, setFilters] = useState(EMPTY_FILTERS); // What's in the form.
+  const [applied, setApplied] = useState(EMPTY_FILTERS); // What the list was loaded with.
+  const [page, setPage] = useState(1);
+  const [result, setResult] = useState(null); // { users, total, page, pageSize }
+  const [providers, setProviders] = useState([]); // Sign-in providers for the filter, [{ id, name }].
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  const loadUsers = useCallback(async () => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const params = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) });
+      for (const [key, value] of Object.entries(applied)) {
+        if (value) params.set(key, value);
+      }
+      const response = await fetch(`http://localhost:5000/api/admin/users?${params}`, {
+        headers: { 'Authorization': `Bearer ${session?.accessToken}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setResult(data);
+      } else {
+        setMessage({ text: data.message || 'Could not load users.', type: 'error' });
+      }
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  }, [applied, page, session?.accessToken]);
+
+  useEffect(() => {
+    if (isAdmin) loadUsers();
+  }, [isAdmin, loadUsers]);
+
+  useEffect(() => {
+    fetch('http://localhost:5000/api/auth/providers')
+      .then((response) => response.json())
+      .then((data) => setProviders(data.providers || []))
+      .catch(() => setProviders([]));
+  }, []);
+
+  const updateFilter = (key) => (e) => setFilters({ ...filters, [key]: e.target.value });
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setApplied(filters);
+  };
+
+  const handleReset = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+    setApplied(EMPTY_FILTERS);
+  };
+
+  if (!isAdmin) {
+    return <div className="flex items-center justify-center min-h-screen bg-gray-900 text-white">Loading...</div>;
+  }
+
+  const totalPages = result ? Math.max(1, Math.ceil(result.total / result.pageSize)) : 1;
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-4 pt-12 flex flex-col items-center gap-6">
+      <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-5xl w-full">
+        <div className="flex items-center justify-between mb-6">
+          <h1 className="text-3xl font-bold text-white">Admin Console</h1>
+          <div className="flex gap-4">
+            <Link href="/admin/events" className="text-sm text-indigo-400 hover:underline">Audit log</Link>
+            <Link href="/admin/oauth-clients" className="text-sm text-indigo-400 hover:underline">OAuth apps</Link>
+            <Link href="/profile" className="text-sm text-indigo-400 hover:underline">Back to profile</Link>
+          </div>
+        </div>
+
+        <form onSubmit={handleSearch} className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+          <div className="md:col-span-3">
+            <label className="block text-gray-300 text-sm">Search</label>
+            <input type="text" value={filters.q} onChange={updateFilter('q')} placeholder="Email, name or username" className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-gray-300 text-sm">Onboarded</label>
+            <select value={filters.onboarded} onChange={updateFilter('onboarded')} className={inputClass}>
+              <option value="">Any</option>
+              <option value="1">Onboarded</option>
+              <option value="0">Not onboarded</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-gray-300 text-sm">Sign-in method</label>
+            <select value={filters.provider} onChange={updateFilter('provider')} className={inputClass}>
+              <option value="">Any</option>
+              <option value="password">Password</option>
+              {providers.map((provider) => <option key={provider.id} value={provider.id}>{provider.name}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-gray-300 text-sm">Status</label>
+            <select value={filters.status} onChange={updateFilter('status')} className={inputClass}>
+              <option value="">Any</option>
+              <option value="active">Active</option>
+              <option value="disabled">Disabled</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-gray-300 text-sm">Created from</label>
+            <input type="date" value={filters.createdFrom} onChange={updateFilter('createdFrom')} className={inputClass} />
+          </div>
+          <div>
+            <label className="block text-gray-300 text-sm">Created to</label>
+            <input type="date" value={filters.createdTo} onChange={updateFilter('createdTo')} className={inputClass} />
+          </div>
+          <div className="flex items-end gap-2">
+            <button type="submit" disabled={loading} className="flex-1 bg-indigo-600 text-white font-semibold py-2 px-4 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+              Search
+            </button>
+            <button type="button" onClick={handleReset} className="flex-1 bg-gray-700 text-white font-semibold py-2 px-4 rounded-xl hover:bg-gray-600">
+              Reset
+            </button>
+          </div>
+        </form>
+
+        {message.text && (<div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : 'bg-red-500'}`}>{message.text}</div>)}
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-left text-sm">
+            <thead className="text-gray-400 border-b border-gray-700">
+              <tr>
+                <th className="py-2 pr-4">Email</th>
+                <th className="py-2 pr-4">Name</th>
+                <th className="py-2 pr-4">Sign-in</th>
+                <th className="py-2 pr-4">Created</th>
+                <th className="py-2">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result?.users.map((user) => (
+                <tr key={user.id} className="border-b border-gray-700 hover:bg-gray-700/50">
+                  <td className="py-2 pr-4">
+                    <Link href={`/admin/users/${user.id}`} className="text-indigo-400 hover:underline">{user.email}</Link>
+                  </td>
+                  <td className="py-2 pr-4 text-gray-300">
+                    {user.name || '—'}{user.username && <span className="text-gray-400"> @{user.username}</span>}
+                  </td>
+                  <td className="py-2 pr-4 text-gray-300">
+                    {[...(user.hasPassword ? ['password'] : []), ...user.providers].join(', ') || '—'}
+                  </td>
+                  <td className="py-2 pr-4 text-gray-300">{new Date(user.createdAt).toLocaleDateString()}</td>
+                  <td className="py-2">
+                    {user.disabledAt
+                      ? <span className="text-red-400">Disabled</span>
+                      : <span className={user.onboarded ? 'text-green-400' : 'text-yellow-400'}>{user.onboarded ? 'Active' : 'Not onboarded'}</span>}
+                  </td>
+                </tr>
+              ))}
+              {result && result.users.length === 0 && (
+                <tr><td colSpan={5} className="py-6 text-center text-gray-400">No users match these filters.</td></tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+
+        {result && (
+          <div className="flex items-center justify-between mt-4 text-sm text-gray-400">
+            <span>{result.total} user{result.total === 1 ? '' : 's'} · page {result.page} of {totalPages}</span>
+            <div className="flex gap-2">
+              <button type="button" onClick={() => setPage(page - 1)} disabled={loading || page <= 1} className="bg-gray-700 text-white py-1 px-3 rounded-lg hover:bg-gray-600 disabled:opacity-50">
+                Previous
+              </button>
+              <button type="button" onClick={() => setPage(page + 1)} disabled={loading || page >= totalPages} className="bg-gray-700 text-white py-1 px-3 rounded-lg hover:bg-gray-600 disabled:opacity-50">
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+'use client'
+
+import { useEffect } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/navigation';
+
+/**
+ * Session hook for the admin pages: sends signed-out users to /login and non-admins to /profile.
+ * Hiding the pages is only for convenience; the backend checks permissions on every request.
+ * @returns {{ session: object|null, isAdmin: boolean }} `isAdmin` is true once the page may render.
+ */
+export default function useAdminSession() {
+  const { data: session, status } = useSession();
+  const router = useRouter();
+  const isAdmin = status === 'authenticated' && Boolean(session.user?.roles?.includes('admin'));
+
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      router.push('/login');
+    } else if (status === 'authenticated' && !isAdmin) {
+      router.push('/profile');
+    }
+  }, [status, isAdmin, router]);
+
+  return { session, isAdmin };
+}
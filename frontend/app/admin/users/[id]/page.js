@@ -0,0 +1,160 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useRouter } from 'next/navigation';
+import Link from 'next/link';
+import useAdminSession from '../../useAdminSession';
+
+const inputClass = 'w-full mt-1 p-3 bg-gray-700 rounded-lg text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+/**
+ * Admin user detail page: account details, editing name/username, and account actions
+ * (password reset email, disable/enable, delete).
+ */
+export default function AdminUserDetail() {
+  const { session, isAdmin } = useAdminSession();
+  const { id } = useParams();
+  const router = useRouter();
+  const [details, setDetails] = useState(null); // { user, hasPassword, roles, identities }
+  const [name, setName] = useState('');
+  const [username, setUsername] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  const loadUser = useCallback(async () => {
+    try {
+      const response = await fetch(`http://localhost:5000/api/admin/users/${id}`, {
+        headers: { 'Authorization': `Bearer ${session?.accessToken}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setDetails(data);
+        setName(data.user.name || '');
+        setUsername(data.user.username || '');
+      } else {
+        setMessage({ text: data.message || 'Could not load the user.', type: 'error' });
+      }
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    }
+  }, [id, session?.accessToken]);
+
+  useEffect(() => {
+    if (isAdmin) loadUser();
+  }, [isAdmin, loadUser]);
+
+  /**
+   * Calls an admin endpoint for this user, shows its message and reloads the details.
+   * @returns {Promise<boolean>} Whether the request succeeded.
+   */
+  const runAction = async (method, path = '', body) => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch(`http://localhost:5000/api/admin/users/${id}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${session?.accessToken}` },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const data = await response.json();
+      setMessage({ text: data.message, type: response.ok ? 'success' : 'error' });
+      return response.ok;
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (await runAction('PATCH', '', { name, username })) await loadUser();
+  };
+
+  const handleToggleDisabled = async () => {
+    const disabled = Boolean(details.user.disabled_at);
+    if (!disabled && !window.confirm(`Disable ${details.user.email}? They will be signed out everywhere.`)) return;
+    if (await runAction('POST', disabled ? '/enable' : '/disable')) await loadUser();
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Permanently delete ${details.user.email}? This cannot be undone.`)) return;
+    if (await runAction('DELETE')) router.push('/admin');
+  };
+
+  if (!isAdmin) {
+    return <div className="flex items-center justify-center min-h-screen bg-gray-900 text-white">Loading...</div>;
+  }
+
+  const user = details?.user;
+  const signInMethods = details ? [...(details.hasPassword ? ['Password'] : []), ...details.identities.map((identity) => identity.provider)] : [];
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-4 pt-12 flex flex-col items-center gap-6">
+      <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-lg w-full">
+        <Link href="/admin" className="text-sm text-indigo-400 hover:underline">← All users</Link>
+        <h1 className="text-2xl font-bold text-white mt-2 mb-6 break-all">{user ? user.email : 'User'}</h1>
+
+        {message.text && (<div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : 'bg-red-500'}`}>{message.text}</div>)}
+
+        {user && (
+          <>
+            <dl className="grid grid-cols-2 gap-y-2 text-sm mb-6">
+              <dt className="text-gray-400">Status</dt>
+              <dd className={user.disabled_at ? 'text-red-400' : 'text-green-400'}>
+                {user.disabled_at ? `Disabled ${new Date(user.disabled_at).toLocaleString()}` : 'Active'}
+                {user.delete_after && <span className="block text-yellow-400">Deletion scheduled for {new Date(user.delete_after).toLocaleDateString()}</span>}
+              </dd>
+              <dt className="text-gray-400">Created</dt>
+              <dd>{new Date(user.created_at).toLocaleString()}</dd>
+              <dt className="text-gray-400">Onboarded</dt>
+              <dd>{user.onboarded ? 'Yes' : 'No'}</dd>
+              <dt className="text-gray-400">Email verified</dt>
+              <dd>{user.email_verified ? 'Yes' : 'No'}</dd>
+              <dt className="text-gray-400">Two-factor</dt>
+              <dd>{user.totp_enabled ? 'On' : 'Off'}</dd>
+              <dt className="text-gray-400">Sign-in methods</dt>
+              <dd>{signInMethods.join(', ') || '—'}</dd>
+              <dt className="text-gray-400">Roles</dt>
+              <dd>{details.roles.join(', ') || '—'}</dd>
+            </dl>
+            <Link href={`/admin/events?userId=${user.id}`} className="block -mt-4 mb-6 text-sm text-indigo-400 hover:underline">View this user&apos;s activity</Link>
+
+            <h2 className="text-xl font-bold text-white mb-4">Edit Profile</h2>
+            <form onSubmit={handleSave} className="space-y-4 mb-6">
+              <div>
+                <label className="block text-gray-300">Name</label>
+                <input type="text" value={name} onChange={(e) => setName(e.target.value)} className={inputClass} required />
+              </div>
+              <div>
+                <label className="block text-gray-300">Username</label>
+                <input type="text" value={username} onChange={(e) => setUsername(e.target.value)} className={inputClass} required />
+              </div>
+              <button type="submit" disabled={loading} className="w-full bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+                Save Changes
+              </button>
+            </form>
+
+            <h2 className="text-xl font-bold text-white mb-4">Account Actions</h2>
+            <div className="space-y-3">
+              <button type="button" onClick={() => runAction('POST', '/password-reset')} disabled={loading} className="w-full bg-gray-700 text-white font-semibold py-3 px-4 rounded-xl hover:bg-gray-600 disabled:opacity-50">
+                Send Password Reset Email
+              </button>
+              {String(user.id) !== String(session.user.id) && (
+                <>
+                  <button type="button" onClick={handleToggleDisabled} disabled={loading} className="w-full bg-yellow-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-yellow-700 disabled:opacity-50">
+                    {user.disabled_at ? 'Enable Account' : 'Disable Account'}
+                  </button>
+                  <button type="button" onClick={handleDelete} disabled={loading} className="w-full bg-red-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-red-700 disabled:opacity-50">
+                    Delete Account
+                  </button>
+                </>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import fs from "fs";
+import path from "path";
+import GoogleProvider from "next-auth/providers/google";
+
+// Where to find each value in the provider's profile unless a definition's `claims` says otherwise.
+// Must match DEFAULT_CLAIMS in the backend's services/identityProviders.js.
+const DEFAULT_CLAIMS = { sub: "sub", email: "email", name: "name" };
+
+const readClaim = (claims, claimPath) =>
+    claimPath.split(".").reduce((value, key) => (value == null ? undefined : value[key]), claims);
+
+/**
+ * Turns one provider definition (the same JSON the backend reads, see
+ * backend/config/authProviders.example.json) into a NextAuth OAuth provider.
+ * OIDC providers are configured through discovery; plain OAuth 2.0 providers list their endpoints.
+ */
+function toNextAuthProvider(definition) {
+    const claims = { ...DEFAULT_CLAIMS, ...definition.claims };
+    const provider = {
+        id: definition.id,
+        name: definition.name || definition.id,
+        type: "oauth",
+        clientId: definition.clientId,
+        clientSecret: definition.clientSecret,
+        checks: ["pkce", "state"],
+        profile(profile) {
+            return {
+                id: String(readClaim(profile, claims.sub)),
+                name: readClaim(profile, claims.name) || null,
+                email: readClaim(profile, claims.email) || null,
+            };
+        },
+    };
+
+    if (definition.type === "oidc") {
+        return {
+            ...provider,
+            issuer: definition.issuer,
+            wellKnown: definition.discoveryUrl || `${definition.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`,
+            authorization: { params: { scope: (definition.scopes || ["openid", "email", "profile"]).join(" ") } },
+            idToken: true,
+        };
+    }
+    return {
+        ...provider,
+        authorization: { url: definition.authorizationUrl, params: { scope: (definition.scopes || []).join(" ") } },
+        token: definition.tokenUrl,
+        userinfo: definition.userinfoUrl,
+    };
+}
+
+/**
+ * The OAuth/OIDC sign-in providers: Google when NEXT_PUBLIC_GOOGLE_CLIENT_ID is set,
+ * plus every provider in the JSON file named by AUTH_PROVIDERS_FILE.
+ */
+export function loadOAuthProviders() {
+    const providers = [];
+    if (process.env.NEXT_PUBLIC_GOOGLE_CLIENT_ID) {
+        providers.push(GoogleProvider({
+            clientId: process.env.NEXT_PUBLIC_GOOGLE_CLIENT_ID,
+            clientSecret: process.env.NEXT_PUBLIC_GOOGLE_CLIENT_SECRET,
+        }));
+    }
+    if (process.env.AUTH_PROVIDERS_FILE) {
+        const definitions = JSON.parse(fs.readFileSync(path.resolve(process.env.AUTH_PROVIDERS_FILE), "utf8"));
+        providers.push(...definitions.map(toNextAuthProvider));
+    }
+    return providers;
+}
@@ -1,32 +1,309 @@
 import NextAuth from "next-auth";
-import GoogleProvider from "next-auth/providers/google";
 import CredentialsProvider from "next-auth/providers/credentials";
+import { getToken } from "next-auth/jwt";
+import { cookies, headers } from "next/headers";
+import { loadOAuthProviders } from "./oauthProviders";
+
+// Prefix of the error the credentials provider raises when the backend asks for a 2FA code.
+const TWO_FACTOR_ERROR_PREFIX = "2FA_REQUIRED:";
+
+/**
+ * Maps a backend login response to the `user` object NextAuth hands to the jwt callback.
+ */
+function toSignedInUser(responseData) {
+    return {
+        ...responseData.user,
+        accessToken: responseData.token,
+        accessTokenExpires: responseData.tokenExpires,
+        refreshToken: responseData.refreshToken,
+    };
+}
+
+// Error raised when the backend refuses a login because the email isn't verified ('block' mode).
+const EMAIL_NOT_VERIFIED_ERROR = "EMAIL_NOT_VERIFIED";
+
+// Prefix of the error raised when the backend rate-limits or locks the login; followed by seconds to wait.
+const RATE_LIMITED_ERROR_PREFIX = "RATE_LIMITED:";
+
+/**
+ * Headers for login calls made on the user's behalf. Forwarding the browser's IP lets the backend
+ * apply per-IP rate limits to the user instead of to this Next.js server, and forwarding its
+ * user agent lets the new session show up as the user's device in their sessions list.
+ */
+function loginHeaders(req) {
+    const result = { "Content-Type": "application/json" };
+    const forwardedFor = req?.headers?.["x-forwarded-for"];
+    if (forwardedFor) result["X-Forwarded-For"] = forwardedFor;
+    const userAgent = req?.headers?.["user-agent"];
+    if (userAgent) result["User-Agent"] = userAgent;
+    return result;
+}
+
+// Error raised when an admin has disabled the account.
+const ACCOUNT_DISABLED_ERROR = "ACCOUNT_DISABLED";
+
+/**
+ * Throws the error the login page shows if the backend refused the login regardless of what was entered:
+ * a "try again later" message after a 429, or "account disabled".
+ */
+function throwIfBlocked(res, responseData) {
+    if (res.status === 429) {
+        throw new Error(`${RATE_LIMITED_ERROR_PREFIX}${responseData?.retryAfter || res.headers.get("Retry-After") || 60}`);
+    }
+    if (responseData?.code === ACCOUNT_DISABLED_ERROR) {
+        throw new Error(ACCOUNT_DISABLED_ERROR);
+    }
+}
+
+// Prefix of the error the login page gets when a provider account matches an existing, unlinked account;
+// followed by the backend's link token.
+const LINK_REQUIRED_ERROR_PREFIX = "LINK_REQUIRED:";
+
+// Put in ?error= when the existing account has no password to confirm the link with; its owner links from the profile instead.
+const LINK_FROM_PROFILE_ERROR = "LINK_FROM_PROFILE";
+
+// Raised by the link-account provider when the account also needs a 2FA code to confirm the link.
+const LINK_TWO_FACTOR_ERROR = "LINK_2FA_REQUIRED";
+
+// Set by the profile page before it starts a provider sign-in that should link to the current account.
+const LINK_INTENT_COOKIE = "link-intent";
+
+/**
+ * Links the provider account just signed in with to the account of the current session,
+ * and returns where to send the user. The current session stays signed in.
+ */
+async function linkToCurrentAccount(account, cookieStore) {
+    const sessionToken = await getToken({
+        req: { headers: {}, cookies: Object.fromEntries(cookieStore.getAll().map((cookie) => [cookie.name, cookie.value])) },
+        secret: process.env.NEXTAUTH_SECRET,
+    });
+    if (!sessionToken?.accessToken) return "/login";
+
+    try {
+        const res = await fetch(`http://localhost:5000/api/identities/${account.provider}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${sessionToken.accessToken}` },
+            body: JSON.stringify({ idToken: account.id_token, accessToken: account.access_token }),
+        });
+        const data = await res.json();
+        if (res.ok) return `/profile?linked=${account.provider}`;
+        return `/profile?linkError=${encodeURIComponent(data.message || "Could not link the account.")}`;
+    } catch (error) {
+        console.error("LINK ACCOUNT ERROR:", error);
+        return `/profile?linkError=${encodeURIComponent("Could not link the account.")}`;
+    }
+}
+
+/**
+ * Reads the `roles` claim from a backend access token, so the session can show or hide features by role.
+ * The backend still checks permissions itself; this only decodes, it doesn't verify the signature.
+ */
+function rolesFromAccessToken(accessToken) {
+    try {
+        const payload = JSON.parse(Buffer.from(accessToken.split(".")[1], "base64url").toString());
+        return Array.isArray(payload.roles) ? payload.roles : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Refresh the backend access token this long before it actually expires.
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+/**
+ * Exchanges the stored refresh token for a new backend access token.
+ * The backend rotates refresh tokens, so the new one must replace the old one in the token.
+ */
+async function refreshAccessToken(token) {
+    try {
+        const res = await fetch('http://localhost:5000/api/token/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: token.refreshToken }),
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message || "Refresh failed");
+
+        return {
+            ...token,
+            accessToken: data.token,
+            accessTokenExpires: data.tokenExpires,
+            refreshToken: data.refreshToken,
+            // Picks up role changes made since the last refresh.
+            roles: rolesFromAccessToken(data.token),
+        };
+    } catch (error) {
+        console.error("REFRESH ACCESS TOKEN ERROR:", error);
+        return { ...token, error: "RefreshAccessTokenError" };
+    }
+}
 
 const handler = NextAuth({
     providers: [
-        GoogleProvider({
-            clientId: process.env.NEXT_PUBLIC_GOOGLE_CLIENT_ID,
-            clientSecret: process.env.NEXT_PUBLIC_GOOGLE_CLIENT_SECRET,
-        }),
+        // Google and the providers from AUTH_PROVIDERS_FILE.
+        ...loadOAuthProviders(),
         CredentialsProvider({
             name: "Credentials",
             credentials: {
                 email: { label: "Email", type: "text" },
                 password: { label: "Password", type: "password" },
             },
-            async authorize(credentials) {
+            async authorize(credentials, req) {
+                let res;
+                let responseData;
                 try {
-                    const res = await fetch('http://localhost:5000/api/login', {
+                    res = await fetch('http://localhost:5000/api/login', {
                         method: 'POST',
-                        body: JSON.stringify(credentials),
-                        headers: { "Content-Type": "application/json" }
+                        body: JSON.stringify({ email: credentials.email, password: credentials.password }),
+                        headers: loginHeaders(req)
                     });
-                    const responseData = await res.json();
+                    responseData = await res.json();
                     if (res.ok && responseData.user) {
-                        return { ...responseData.user, accessToken: responseData.token };
+                        return toSignedInUser(responseData);
                     }
                 } catch (error) {
                     console.error("Authorize Error:", error);
+                    return null;
+                }
+
+                // The password was right but a second factor is needed. NextAuth passes a thrown
+                // error's message to the login page, which then asks for the code.
+                throwIfBlocked(res, responseData);
+                if (responseData?.twoFactorRequired) {
+                    throw new Error(`${TWO_FACTOR_ERROR_PREFIX}${responseData.challengeToken}`);
+                }
+                if (responseData?.code === EMAIL_NOT_VERIFIED_ERROR) {
+                    throw new Error(EMAIL_NOT_VERIFIED_ERROR);
+                }
+                return null;
+            }
+        }),
+        // Second step of a 2FA login: trades the challenge token plus a TOTP/recovery code for backend tokens.
+        CredentialsProvider({
+            id: "two-factor",
+            name: "Two-Factor",
+            credentials: {
+                challengeToken: { label: "Challenge", type: "text" },
+                code: { label: "Code", type: "text" },
+            },
+            async authorize(credentials, req) {
+                let res;
+                let responseData;
+                try {
+                    res = await fetch('http://localhost:5000/api/login/2fa', {
+                        method: 'POST',
+                        body: JSON.stringify({ challengeToken: credentials.challengeToken, code: credentials.code }),
+                        headers: loginHeaders(req)
+                    });
+                    responseData = await res.json();
+                    if (res.ok && responseData.user) {
+                        return toSignedInUser(responseData);
+                    }
+                } catch (error) {
+                    console.error("Two-Factor Authorize Error:", error);
+                    return null;
+                }
+                throwIfBlocked(res, responseData);
+                return null;
+            }
+        }),
+        // Passwordless sign-in: trades a passkey assertion, made in the browser for a challenge from the backend, for backend tokens.
+        CredentialsProvider({
+            id: "passkey",
+            name: "Passkey",
+            credentials: {
+                challengeId: { label: "Challenge", type: "text" },
+                response: { label: "Response", type: "text" }, // The AuthenticationResponseJSON, as a JSON string.
+            },
+            async authorize(credentials, req) {
+                let res;
+                let responseData;
+                try {
+                    res = await fetch('http://localhost:5000/api/login/passkey', {
+                        method: 'POST',
+                        body: JSON.stringify({ challengeId: credentials.challengeId, response: JSON.parse(credentials.response) }),
+                        headers: loginHeaders(req)
+                    });
+                    responseData = await res.json();
+                    if (res.ok && responseData.user) {
+                        return toSignedInUser(responseData);
+                    }
+                } catch (error) {
+                    console.error("Passkey Authorize Error:", error);
+                    return null;
+                }
+                throwIfBlocked(res, responseData);
+                if (responseData?.code === EMAIL_NOT_VERIFIED_ERROR) {
+                    throw new Error(EMAIL_NOT_VERIFIED_ERROR);
+                }
+                return null;
+            }
+        }),
+        // Passwordless sign-in from an emailed link: trades the link's single-use token for backend tokens.
+        // Like a password, the link is only the first step for accounts with 2FA.
+        CredentialsProvider({
+            id: "magic-link",
+            name: "Magic Link",
+            credentials: {
+                token: { label: "Token", type: "text" },
+            },
+            async authorize(credentials, req) {
+                let res;
+                let responseData;
+                try {
+                    res = await fetch('http://localhost:5000/api/auth/magic-link/verify', {
+                        method: 'POST',
+                        body: JSON.stringify({ token: credentials.token }),
+                        headers: loginHeaders(req)
+                    });
+                    responseData = await res.json();
+                    if (res.ok && responseData.user) {
+                        return toSignedInUser(responseData);
+                    }
+                } catch (error) {
+                    console.error("Magic Link Authorize Error:", error);
+                    return null;
+                }
+                throwIfBlocked(res, responseData);
+                if (responseData?.twoFactorRequired) {
+                    throw new Error(`${TWO_FACTOR_ERROR_PREFIX}${responseData.challengeToken}`);
+                }
+                return null;
+            }
+        }),
+        // Confirms linking a provider to an existing account with its password (and 2FA code), then signs in.
+        CredentialsProvider({
+            id: "link-account",
+            name: "Link Account",
+            credentials: {
+                linkToken: { label: "Link", type: "text" },
+                password: { label: "Password", type: "password" },
+                code: { label: "Code", type: "text" },
+            },
+            async authorize(credentials, req) {
+                let res;
+                let responseData;
+                try {
+                    res = await fetch('http://localhost:5000/api/auth/link/confirm', {
+                        method: 'POST',
+                        body: JSON.stringify({
+                            linkToken: credentials.linkToken,
+                            password: credentials.password,
+                            code: credentials.code || undefined,
+                        }),
+                        headers: loginHeaders(req)
+                    });
+                    responseData = await res.json();
+                    if (res.ok && responseData.user) {
+                        return toSignedInUser(responseData);
+                    }
+                } catch (error) {
+                    console.error("Link Account Authorize Error:", error);
+                    return null;
+                }
+                throwIfBlocked(res, responseData);
+                if (responseData?.twoFactorRequired) {
+                    throw new Error(LINK_TWO_FACTOR_ERROR);
                 }
                 return null;
             }
@@ -35,51 +312,121 @@ const handler = NextAuth({
 
     //  CALLBACKS OBJECT
     callbacks: {
+        /**
+         * Syncs OAuth/OIDC sign-ins (Google and configured providers) with our backend. Returning a URL
+         * instead of true stops the sign-in and redirects there, which is how linking (to an existing or the current account) is handled.
+         */
+        async signIn({ user, account }) {
+            if (account?.type !== 'oauth') return true;
+
+            // Started from "Link" on the profile page: attach the provider to the signed-in account.
+            const cookieStore = await cookies();
+            if (cookieStore.get(LINK_INTENT_COOKIE)?.value === account.provider) {
+                cookieStore.delete(LINK_INTENT_COOKIE);
+                return linkToCurrentAccount(account, cookieStore);
+            }
+
+            try {
+                const res = await fetch('http://localhost:5000/api/auth/provider', {
+                    method: 'POST',
+                    // Callbacks don't get the request, so read its headers from Next.js.
+                    headers: loginHeaders({ headers: Object.fromEntries(await headers()) }),
+                    // Send the provider's tokens; the backend verifies them and reads the profile from them
+                    // (the signed ID token for OIDC providers, the userinfo endpoint for plain OAuth 2.0).
+                    body: JSON.stringify({ provider: account.provider, idToken: account.id_token, accessToken: account.access_token }),
+                });
+                const data = await res.json();
+
+                // The email belongs to an account this provider isn't linked to yet: the owner must confirm with their password.
+                if (res.status === 409 && data.code === 'ACCOUNT_LINK_REQUIRED') {
+                    return `/login?error=${encodeURIComponent(`${LINK_REQUIRED_ERROR_PREFIX}${data.linkToken}`)}`;
+                }
+                if (res.status === 409 && data.code === LINK_FROM_PROFILE_ERROR) {
+                    return `/login?error=${LINK_FROM_PROFILE_ERROR}`;
+                }
+                if (data.code === ACCOUNT_DISABLED_ERROR) {
+                    return `/login?error=${ACCOUNT_DISABLED_ERROR}`;
+                }
+                // The account has 2FA: the login page asks for the code and finishes through the two-factor provider.
+                if (data.twoFactorRequired) {
+                    return `/login?error=${encodeURIComponent(`${TWO_FACTOR_ERROR_PREFIX}${data.challengeToken}`)}`;
+                }
+                if (!res.ok) throw new Error("Backend call failed");
+
+                // NextAuth hands this same `user` object to the jwt callback.
+                Object.assign(user, toSignedInUser(data));
+                return true;
+            } catch (error) {
+                console.error("PROVIDER SIGN-IN SYNC ERROR:", error);
+                return false;
+            }
+        },
+
         /**
          * This JWT callback is the single source of truth for the user's session token.
-         * It is the only place we need to interact with our custom backend.
+         * Besides token refresh, all backend calls for a sign-in happen in the providers and the signIn callback.
          */
         async jwt({ token, user, account, trigger, session }) {
             // This block runs only ONCE per login, when the `user` object is first available.
             if (user && account) {
-                let userFromBackend;
-                let backendToken;
-
-                if (account.provider === 'google') {
-                    // For Google sign-in, we must fetch the user from our backend to get their real status.
-                    try {
-                        const res = await fetch('http://localhost:5000/api/auth/google', {
-                            method: 'POST',
-                            headers: { 'Content-Type': "application/json" },
-                            body: JSON.stringify({ email: user.email, name: user.name, image: user.image }),
-                        });
-                        const data = await res.json();
-                        if (!res.ok) throw new Error("Backend call failed");
-                        userFromBackend = data.user;
-                        backendToken = data.token;
-                    } catch (error) {
-                        console.error("JWT GOOGLE SYNC ERROR:", error);
-                        return { ...token, error: "BackendError" }; // Mark the token as invalid
-                    }
-                } else {
-                    // For credentials sign-in, the `user` object is already from our backend.
-                    userFromBackend = user;
-                    backendToken = user.accessToken;
-                }
-                
+                // The `user` object is already from our backend: the credentials providers return it,
+                // and the signIn callback fills it in for OAuth providers.
+                const userFromBackend = user;
+                const backendToken = user.accessToken;
+                const backendTokenExpires = user.accessTokenExpires;
+                const backendRefreshToken = user.refreshToken;
+
                 // Now, safely populate the token with the data from our database.
                 token.id = userFromBackend.id;
                 token.name = userFromBackend.name;
                 token.username = userFromBackend.username;
+                token.image = userFromBackend.image || null;
                 token.onboarded = userFromBackend.onboarded; // This will be 0 or 1
+                token.emailVerified = userFromBackend.email_verified; // Also 0 or 1
                 token.accessToken = backendToken;
+                token.accessTokenExpires = backendTokenExpires;
+                token.refreshToken = backendRefreshToken;
+                token.roles = rolesFromAccessToken(backendToken);
             }
 
             // This block runs when the session is updated on the client (e.g., after onboarding).
-            if (trigger === "update" && session) {
+            if (trigger === "update" && session?.user) {
                 token.name = session.user.name;
                 token.username = session.user.username;
-                token.onboarded = 1; // Mark as onboarded
+                // Set by the profile page after an avatar upload or removal.
+                if (session.user.image !== undefined) {
+                    token.image = session.user.image;
+                }
+                // The client may send the session's boolean or the backend's 0/1; store 0/1 either way.
+                token.onboarded = session.user.onboarded ? 1 : 0;
+                // Set after the user follows their verification link while signed in.
+                if (session.user.emailVerified) {
+                    token.emailVerified = 1;
+                }
+                // Set after the user confirms a new email address while signed in.
+                if (session.user.email) {
+                    token.email = session.user.email;
+                }
+
+                // A password change hands back a new access token for the session that stays signed in.
+                if (session.accessToken) {
+                    token.accessToken = session.accessToken;
+                    token.accessTokenExpires = session.accessTokenExpires;
+                    token.roles = rolesFromAccessToken(session.accessToken);
+                }
+            }
+
+            // Set by the organization switcher: the organization the user is working in ({ id, name }), or null
+            // for their personal account. The backend still checks membership on every organization request.
+            if (trigger === "update" && session?.activeOrganization !== undefined) {
+                token.activeOrganization = session.activeOrganization
+                    ? { id: session.activeOrganization.id, name: session.activeOrganization.name }
+                    : null;
+            }
+
+            // Keep the backend access token fresh: once it is about to expire, rotate it using the refresh token.
+            if (token.refreshToken && token.accessTokenExpires && Date.now() > token.accessTokenExpires - REFRESH_MARGIN_MS) {
+                return refreshAccessToken(token);
             }
 
             return token;
@@ -100,16 +447,38 @@ const handler = NextAuth({
                 name: token.name,
                 email: token.email,
                 username: token.username,
+                image: token.image || null,
                 // CRITICAL: Convert the numeric status (0/1) to a true boolean for the client.
                 onboarded: token.onboarded === 1,
+                emailVerified: token.emailVerified === 1,
+                roles: token.roles || [], // e.g. ["user"] or ["user", "admin"]
             };
             session.accessToken = token.accessToken;
+            session.activeOrganization = token.activeOrganization || null;
 
             return session;
         }
     },
 
 
+    events: {
+        /**
+         * Revoke the backend session too, so its tokens stop working immediately
+         * instead of staying valid until they expire.
+         */
+        async signOut({ token }) {
+            if (!token?.accessToken) return;
+            try {
+                await fetch('http://localhost:5000/api/logout', {
+                    method: 'POST',
+                    headers: { 'Authorization': `Bearer ${token.accessToken}` },
+                });
+            } catch (error) {
+                console.error("BACKEND LOGOUT ERROR:", error);
+            }
+        },
+    },
+
     session: { strategy: "jwt" },
     secret: process.env.NEXTAUTH_SECRET,
     pages: { signIn: '/login' },
@@ -0,0 +1,69 @@
+'use client'
+
+import { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { useSession, signOut } from 'next-auth/react';
+import Link from 'next/link';
+
+/**
+ * CancelEmailChange Component
+ * Landing page for the "this wasn't me" link sent to the old address when someone changes an
+ * account's email. The backend cancels (or undoes) the change and signs the account out everywhere,
+ * so this browser is signed out too.
+ */
+export default function CancelEmailChange() {
+  const searchParams = useSearchParams();
+  const { status } = useSession();
+  const [message, setMessage] = useState({ text: 'Cancelling the email change...', type: '' });
+  const [cancelled, setCancelled] = useState(false);
+  const requested = useRef(false); // The token is single-use, so only ever send it once.
+
+  useEffect(() => {
+    if (requested.current) return;
+    const token = searchParams.get('token');
+    if (!token) {
+      setMessage({ text: 'Invalid or missing link.', type: 'error' });
+      return;
+    }
+    requested.current = true;
+
+    const cancel = async () => {
+      try {
+        const response = await fetch('http://localhost:5000/api/email-change/cancel', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token }),
+        });
+        const data = await response.json();
+        setMessage({ text: data.message, type: response.ok ? 'success' : 'error' });
+        setCancelled(response.ok);
+      } catch (error) {
+        setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+      }
+    };
+    cancel();
+  }, [searchParams]);
+
+  // The backend has revoked every session; drop this browser's too.
+  useEffect(() => {
+    if (cancelled && status === 'authenticated') {
+      signOut({ redirect: false });
+    }
+  }, [cancelled, status]);
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-900">
+      <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-sm w-full">
+        <h1 className="text-3xl font-bold text-white mb-6 text-center">Email Change</h1>
+
+        <div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : message.type === 'error' ? 'bg-red-500' : 'bg-gray-700'}`}>
+          {message.text}
+        </div>
+
+        <Link href={cancelled ? '/forgot-password' : '/login'} className="w-full block text-center bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700">
+          {cancelled ? 'Reset Your Password' : 'Proceed to Login'}
+        </Link>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+/**
+ * Avatar Component
+ * The user's profile picture, or their initial on a colored circle when they have none.
+ * @param {{ image?: string|null, name?: string|null, email?: string|null, size?: number }} props - `size` in pixels.
+ */
+export default function Avatar({ image, name, email, size = 64 }) {
+  const style = { width: size, height: size };
+
+  if (image) {
+    return (
+      // eslint-disable-next-line @next/next/no-img-element -- served by the backend, not the Next.js image pipeline
+      <img src={image} alt="" style={style} className="rounded-full object-cover bg-gray-700" />
+    );
+  }
+
+  const initial = (name || email || '?').trim().charAt(0).toUpperCase();
+  return (
+    <div style={{ ...style, fontSize: size / 2.5 }} className="rounded-full bg-indigo-600 text-white font-semibold flex items-center justify-center select-none">
+      {initial}
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+'use client'
+
+import { useState, useEffect } from 'react';
+import { useSession } from 'next-auth/react';
+import Link from 'next/link';
+
+/**
+ * OrganizationSwitcher Component
+ * Picks the organization the user is working in. The choice is kept in the session as
+ * `activeOrganization` ({ id, name }, or null for the personal account), so every page can read it.
+ * An organization the user has since left or been removed from is dropped from the session.
+ */
+export default function OrganizationSwitcher() {
+  const { data: session, update } = useSession();
+  const [organizations, setOrganizations] = useState(null);
+  const accessToken = session?.accessToken;
+  const active = session?.activeOrganization;
+
+  useEffect(() => {
+    if (!accessToken) return;
+    fetch('http://localhost:5000/api/organizations', {
+      headers: { 'Authorization': `Bearer ${accessToken}` },
+    })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => data && setOrganizations(data.organizations))
+      .catch((error) => console.error('LOAD ORGANIZATIONS ERROR:', error));
+  }, [accessToken]);
+
+  useEffect(() => {
+    if (organizations && active && !organizations.some((organization) => organization.id === active.id)) {
+      update({ activeOrganization: null });
+    }
+  }, [organizations, active, update]);
+
+  const handleChange = (e) => {
+    const organization = organizations.find((candidate) => String(candidate.id) === e.target.value);
+    update({ activeOrganization: organization ? { id: organization.id, name: organization.name } : null });
+  };
+
+  return (
+    <div className="flex items-center gap-3 text-sm">
+      <select
+        value={active ? String(active.id) : ''}
+        onChange={handleChange}
+        disabled={!organizations}
+        aria-label="Active organization"
+        className="p-2 bg-gray-800 rounded-lg text-white border border-gray-700 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+      >
+        <option value="">Personal account</option>
+        {organizations?.map((organization) => (
+          <option key={organization.id} value={organization.id}>{organization.name}</option>
+        ))}
+      </select>
+      <Link href={active ? `/organizations/${active.id}` : '/organizations'} className="text-indigo-400 hover:underline">
+        {active ? 'Members' : 'Organizations'}
+      </Link>
+    </div>
+  );
+}
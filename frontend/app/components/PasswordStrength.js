@@ -0,0 +1,122 @@
+'use client'
+
+import { useState, useEffect } from 'react';
+
+// Used until the backend's policy has loaded (and if it can't be reached); matches the backend defaults.
+const DEFAULT_POLICY = {
+  minLength: 8,
+  requiredClasses: ['lowercase', 'uppercase', 'number'],
+  forbidPersonalInfo: true,
+  checksBreachedList: true,
+};
+
+const CHARACTER_CLASSES = {
+  lowercase: { pattern: /[a-z]/, label: 'A lowercase letter' },
+  uppercase: { pattern: /[A-Z]/, label: 'An uppercase letter' },
+  number: { pattern: /[0-9]/, label: 'A number' },
+  symbol: { pattern: /[^A-Za-z0-9]/, label: 'A symbol' },
+};
+
+const STRENGTH_LABELS = ['Very weak', 'Weak', 'Fair', 'Good', 'Strong'];
+const STRENGTH_COLORS = ['bg-red-500', 'bg-red-500', 'bg-yellow-500', 'bg-green-500', 'bg-green-500'];
+
+/**
+ * Loads the password rules from GET /api/password-policy.
+ */
+export function usePasswordPolicy() {
+  const [policy, setPolicy] = useState(DEFAULT_POLICY);
+
+  useEffect(() => {
+    fetch('http://localhost:5000/api/password-policy')
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => data && setPolicy(data))
+      .catch(() => {});
+  }, []);
+
+  return policy;
+}
+
+/**
+ * Mirrors the backend's checks that can run in the browser. Whether a password is on the
+ * breached list is only known after submitting, so that rule comes from `serverErrors`.
+ * @returns {{ rule: string, label: string, passed: boolean|null }[]} passed is null when not yet known.
+ */
+function checkRules(password, policy, { email, username }, serverErrors) {
+  const lowered = password.toLowerCase();
+  const rules = [
+    { rule: 'minLength', label: `At least ${policy.minLength} characters`, passed: password.length >= policy.minLength },
+    ...policy.requiredClasses
+      .filter((name) => CHARACTER_CLASSES[name])
+      .map((name) => ({ rule: name, label: CHARACTER_CLASSES[name].label, passed: CHARACTER_CLASSES[name].pattern.test(password) })),
+  ];
+
+  if (policy.forbidPersonalInfo) {
+    const terms = [email, email?.split('@')[0], username]
+      .filter(Boolean)
+      .map((term) => term.toLowerCase())
+      .filter((term) => term.length >= 3);
+    rules.push({ rule: 'personalInfo', label: 'Does not contain your email or username', passed: !terms.some((term) => lowered.includes(term)) });
+  }
+  if (policy.checksBreachedList) {
+    rules.push({ rule: 'breached', label: 'Not a common or breached password', passed: null });
+  }
+
+  // The server has the final say, e.g. for the breached list or an email we don't know here.
+  const failedOnServer = new Set((serverErrors || []).map((error) => error.rule));
+  return rules.map((item) => {
+    if (failedOnServer.has(item.rule)) return { ...item, passed: false };
+    // Nothing typed yet: don't show every rule as failed.
+    return password ? item : { ...item, passed: null };
+  });
+}
+
+/**
+ * A rough 0-4 strength score from length and variety. A password that breaks a rule never scores above 1.
+ */
+function scorePassword(password, rules) {
+  if (!password) return 0;
+  const classes = Object.values(CHARACTER_CLASSES).filter(({ pattern }) => pattern.test(password)).length;
+  let score = 0;
+  if (password.length >= 8) score++;
+  if (password.length >= 12) score++;
+  if (password.length >= 16) score++;
+  if (classes >= 3) score++;
+  if (rules.some((item) => item.passed === false)) score = Math.min(score, 1);
+  return Math.min(score, 4);
+}
+
+/**
+ * Live strength meter and rule checklist shown under a new-password field.
+ * @param {object} props
+ * @param {string} props.password
+ * @param {string} [props.email] - The account's email, for the personal info rule.
+ * @param {string} [props.username]
+ * @param {{ rule: string, message: string }[]} [props.serverErrors] - `errors` from a WEAK_PASSWORD response.
+ */
+export default function PasswordStrength({ password, email, username, serverErrors }) {
+  const policy = usePasswordPolicy();
+  const rules = checkRules(password, policy, { email, username }, serverErrors);
+  const score = scorePassword(password, rules);
+
+  return (
+    <div className="mt-2 space-y-2">
+      {password && (
+        <div>
+          <div className="flex gap-1">
+            {[1, 2, 3, 4].map((level) => (
+              <div key={level} className={`h-1.5 flex-1 rounded ${score >= level ? STRENGTH_COLORS[score] : 'bg-gray-600'}`} />
+            ))}
+          </div>
+          <p className="text-xs text-gray-400 mt-1">Strength: {STRENGTH_LABELS[score]}</p>
+        </div>
+      )}
+      <ul className="text-sm space-y-1">
+        {rules.map((item) => (
+          <li key={item.rule} className={item.passed === false ? 'text-red-400' : item.passed ? 'text-green-400' : 'text-gray-400'}>
+            {item.passed === false ? '✗' : item.passed ? '✓' : '•'} {item.label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+'use client'
+
+import { useSession } from 'next-auth/react';
+
+/**
+ * ShowForRole Component
+ * Renders its children only when the signed-in user has the given role (from the session's `roles`).
+ * This only hides UI; the backend checks permissions on every request.
+ * @param {{ role: string, children: React.ReactNode }} props
+ */
+export default function ShowForRole({ role, children }) {
+  const { data: session } = useSession();
+  return session?.user?.roles?.includes(role) ? children : null;
+}
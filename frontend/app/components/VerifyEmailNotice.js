@@ -0,0 +1,42 @@
+'use client'
+
+import { useState } from 'react';
+
+/**
+ * VerifyEmailNotice Component
+ * A banner for signed-in users whose email isn't verified yet, with a button to resend the link.
+ * @param {{ email: string }} props
+ */
+export default function VerifyEmailNotice({ email }) {
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+
+  const handleResend = async () => {
+    setLoading(true);
+    try {
+      await fetch('http://localhost:5000/api/resend-verification', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email }),
+      });
+      setSent(true);
+    } catch (error) {
+      console.error('Resend verification failed:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-600 text-white p-3 rounded-lg text-center text-sm max-w-sm w-full">
+      <p>Please verify your email address. Check your inbox for the link we sent to {email}.</p>
+      {sent ? (
+        <p className="mt-2 font-semibold">A new verification link has been sent.</p>
+      ) : (
+        <button type="button" onClick={handleResend} disabled={loading} className="mt-2 font-semibold underline hover:no-underline">
+          {loading ? 'Sending...' : 'Resend verification email'}
+        </button>
+      )}
+    </div>
+  );
+}
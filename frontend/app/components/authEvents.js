@@ -0,0 +1,62 @@
+// Readable names for the audit log's event types (AUTH_EVENT_TYPES in the backend's services/auditLog.js).
+export const EVENT_LABELS = {
+  register: 'Account created',
+  login: 'Signed in',
+  passkey_login: 'Signed in with a passkey',
+  magic_link_request: 'Sign-in link requested',
+  magic_link_login: 'Signed in with an email link',
+  login_2fa: 'Two-factor sign-in',
+  provider_login: 'Signed in with a provider',
+  account_link: 'Provider linked at sign-in',
+  token_refresh: 'Session refresh',
+  logout: 'Signed out',
+  session_revoke: 'Session signed out',
+  session_revoke_others: 'Signed out everywhere else',
+  password_change: 'Password changed',
+  password_reset_request: 'Password reset requested',
+  password_reset: 'Password reset',
+  onboarding: 'Profile set up',
+  profile_update: 'Profile updated',
+  data_export: 'Data exported',
+  account_deletion_request: 'Account deletion requested',
+  account_deletion_cancel: 'Account deletion cancelled',
+  account_purge: 'Account deleted after grace period',
+  email_verification: 'Email verified',
+  email_verification_resend: 'Verification email sent',
+  email_change_request: 'Email change requested',
+  email_change: 'Email address changed',
+  email_change_cancel: 'Email change cancelled',
+  '2fa_setup': 'Two-factor setup started',
+  '2fa_enable': 'Two-factor turned on',
+  '2fa_disable': 'Two-factor turned off',
+  recovery_codes_regenerate: 'Recovery codes regenerated',
+  passkey_register: 'Passkey added',
+  passkey_delete: 'Passkey removed',
+  personal_access_token_create: 'Access token created',
+  personal_access_token_revoke: 'Access token revoked',
+  oauth_authorize: 'App sign-in consent',
+  organization_create: 'Organization created',
+  organization_invite: 'Invitation sent',
+  organization_invite_cancel: 'Invitation cancelled',
+  organization_join: 'Joined an organization',
+  organization_invite_decline: 'Invitation declined',
+  organization_role_change: 'Member role changed',
+  organization_member_remove: 'Member removed',
+  organization_leave: 'Left an organization',
+  identity_link: 'Sign-in method linked',
+  identity_unlink: 'Sign-in method unlinked',
+  role_change: 'Roles changed',
+  admin_user_update: 'Profile edited by an admin',
+  admin_password_reset: 'Password reset sent by an admin',
+  admin_user_disable: 'Account disabled',
+  admin_user_enable: 'Account enabled',
+  admin_user_delete: 'Account deleted',
+  oauth_client_create: 'OAuth app registered',
+  oauth_client_delete: 'OAuth app removed',
+};
+
+/**
+ * @param {string} type - An audit log event type.
+ * @returns {string} Its readable name, or the type itself if it's unknown.
+ */
+export const eventLabel = (type) => EVENT_LABELS[type] || type;
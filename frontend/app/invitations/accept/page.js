@@ -0,0 +1,127 @@
+'use client'
+
+import { useState, useEffect } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+
+/**
+ * AcceptInvitation Component
+ * Landing page for the invitation link emailed by POST /api/organizations/:id/invitations. It shows
+ * who invited the user to which organization. Signed-out users sign in (or create an account) first
+ * and come back. Accepting joins the organization and switches the session to it.
+ */
+export default function AcceptInvitation() {
+  const { data: session, status, update } = useSession();
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const token = searchParams.get('token');
+  const [invitation, setInvitation] = useState(null); // { organization: { id, name }, email, role, invitedBy, expiresAt }
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  useEffect(() => {
+    if (!token) {
+      setMessage({ text: 'Invalid or missing invitation token.', type: 'error' });
+      return;
+    }
+    fetch('http://localhost:5000/api/invitations/lookup', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token }),
+    })
+      .then(async (response) => {
+        const data = await response.json();
+        if (response.ok) {
+          setInvitation(data.invitation);
+        } else {
+          setMessage({ text: data.message || 'This invitation is invalid.', type: 'error' });
+        }
+      })
+      .catch(() => setMessage({ text: 'An error occurred. Please try again.', type: 'error' }));
+  }, [token]);
+
+  /**
+   * Accepts or declines the invitation with the link's token.
+   * @param {boolean} accept
+   */
+  const answer = async (accept) => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch(`http://localhost:5000/api/invitations/${accept ? 'accept' : 'decline'}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${session.accessToken}` },
+        body: JSON.stringify({ token }),
+      });
+      const data = await response.json();
+      if (response.ok && accept) {
+        await update({ activeOrganization: data.organization });
+        router.push(`/organizations/${data.organization.id}`);
+        return;
+      }
+      setMessage({ text: data.message, type: response.ok ? 'success' : 'error' });
+      if (response.ok) setInvitation(null);
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    }
+    setLoading(false);
+  };
+
+  if (status === 'loading' || (!invitation && !message.text)) {
+    return <div className="flex items-center justify-center min-h-screen bg-gray-900 text-white">Loading...</div>;
+  }
+
+  const callbackUrl = encodeURIComponent(`/invitations/accept?token=${token}`);
+  const otherAccount = status === 'authenticated' && invitation && session.user.email?.toLowerCase() !== invitation.email.toLowerCase();
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-900 p-4">
+      <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-sm w-full">
+        {message.text && (<div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : 'bg-red-500'}`}>{message.text}</div>)}
+
+        {invitation ? (
+          <>
+            <h1 className="text-2xl font-bold text-white mb-2 text-center">Join {invitation.organization.name}</h1>
+            <p className="text-gray-400 text-center mb-6">
+              {invitation.invitedBy ? `${invitation.invitedBy} invited you` : "You've been invited"} to join as {invitation.role === 'admin' ? 'an admin' : 'a member'}.
+            </p>
+
+            {status === 'authenticated' ? (
+              <>
+                {otherAccount && (
+                  <p className="text-sm text-yellow-400 mb-4 text-center">
+                    The invitation was sent to {invitation.email}, but you are signed in as {session.user.email}. Accepting adds this account.
+                  </p>
+                )}
+                <div className="flex gap-4">
+                  <button type="button" onClick={() => answer(false)} disabled={loading} className="flex-1 bg-gray-700 text-white font-semibold py-3 px-4 rounded-xl hover:bg-gray-600 disabled:opacity-50">
+                    Decline
+                  </button>
+                  <button type="button" onClick={() => answer(true)} disabled={loading} className="flex-1 bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+                    Accept
+                  </button>
+                </div>
+              </>
+            ) : (
+              <>
+                <Link href={`/login?callbackUrl=${callbackUrl}`} className="w-full block text-center bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700 mb-4">
+                  Sign in to accept
+                </Link>
+                <p className="text-sm text-gray-400 text-center">
+                  No account yet?{' '}
+                  <Link href="/register" className="text-indigo-400 hover:underline">Create one</Link>{' '}
+                  with {invitation.email}: the invitation will be waiting for you.
+                </p>
+              </>
+            )}
+          </>
+        ) : (
+          <Link href="/organizations" className="w-full block text-center bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700">
+            Go to your organizations
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -4,15 +4,52 @@
 
 // --- IMPORTS ---
 // Import necessary hooks and components from React and Next.js.
-import { useState } from "react"; // For managing component state (e.g., form inputs, loading status).
-import { useRouter } from "next/navigation"; // For programmatic navigation (e.g., redirecting after login).
-import { signIn } from "next-auth/react"; // The core function from NextAuth to handle sign-in attempts.
+import { useState, useEffect } from "react"; // For managing component state (e.g., form inputs, loading status).
+import { useRouter, useSearchParams } from "next/navigation"; // For navigation and reading ?error= after a provider sign-in.
+import { signIn, getProviders } from "next-auth/react"; // NextAuth's sign-in function and the list of configured providers.
 import Link from "next/link"; // For client-side navigation between pages without a full-page reload.
+import { startAuthentication, browserSupportsWebAuthn } from "@simplewebauthn/browser"; // Runs the passkey ceremony in the browser.
+
+// Must match the prefix the NextAuth credentials provider puts in front of the 2FA challenge token.
+const TWO_FACTOR_ERROR_PREFIX = "2FA_REQUIRED:";
+// Returned by the credentials provider when the backend requires a verified email before login.
+const EMAIL_NOT_VERIFIED_ERROR = "EMAIL_NOT_VERIFIED";
+// Returned when the backend rate-limited the attempt or locked the account; followed by seconds to wait.
+const RATE_LIMITED_ERROR_PREFIX = "RATE_LIMITED:";
+// Put in ?error= by NextAuth when a provider account matches an existing account that must confirm the link.
+const LINK_REQUIRED_ERROR_PREFIX = "LINK_REQUIRED:";
+// Put in ?error= when that existing account has no password: its owner signs in as usual and links from the profile.
+const LINK_FROM_PROFILE_ERROR = "LINK_FROM_PROFILE";
+// Returned by the link-account provider when the account also needs its 2FA code.
+const LINK_TWO_FACTOR_ERROR = "LINK_2FA_REQUIRED";
+// Returned (or put in ?error=) when an admin has disabled the account.
+const ACCOUNT_DISABLED_ERROR = "ACCOUNT_DISABLED";
+
+/**
+ * Turns a rate-limit or disabled-account error into a readable message, or returns null for other errors.
+ * @param {string} error - The error string from signIn().
+ */
+function blockedMessage(error) {
+  if (error === ACCOUNT_DISABLED_ERROR) return "This account has been disabled. Please contact support.";
+  if (!error?.startsWith(RATE_LIMITED_ERROR_PREFIX)) return null;
+  const seconds = Number(error.slice(RATE_LIMITED_ERROR_PREFIX.length)) || 60;
+  const wait = seconds < 60 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minute${seconds > 60 ? 's' : ''}`;
+  return `Too many failed attempts. For your security, sign-in is locked. Please try again in ${wait}.`;
+}
+
+/**
+ * Where to go after signing in: the ?callbackUrl= of the page that sent the user here (e.g. the
+ * consent page of an app signing in through us) if it is a path on this site, otherwise the profile.
+ * @param {string|null} value - The callbackUrl query parameter.
+ */
+function safeCallbackUrl(value) {
+  return value?.startsWith("/") && !value.startsWith("//") && !value.startsWith("/\\") ? value : "/profile";
+}
 
 /**
  * LoginPage Component
- * Renders a login form that allows users to sign in using their email/password
- * or via a Google OAuth provider.
+ * Renders a login form that allows users to sign in using their email/password, a passkey,
+ * an emailed sign-in link, or via any configured OAuth/OIDC provider (Google, GitHub, Microsoft, ...).
  */
 export default function LoginPage() {
   // --- STATE MANAGEMENT ---
@@ -21,7 +58,55 @@ export default function LoginPage() {
   const [error, setError] = useState(""); // Holds any login error messages to display to the user.
   const [loading, setLoading] = useState(false); // Manages the loading state for the submit button.
   const [showPassword, setShowPassword] = useState(false); // Toggles the visibility of the password field.
+  const [challengeToken, setChallengeToken] = useState(""); // Set when the account has 2FA and the password step passed.
+  const [code, setCode] = useState(""); // The authenticator or recovery code for the second step.
+  const [needsVerification, setNeedsVerification] = useState(false); // Shows the "resend verification" option.
+  const [notice, setNotice] = useState(""); // Non-error feedback, e.g. after resending the verification email.
+  const [linkToken, setLinkToken] = useState(""); // Set when a provider sign-in must be confirmed with the account's password.
+  const [linkNeedsCode, setLinkNeedsCode] = useState(false); // The account to link has 2FA, so ask for a code too.
+  const [oauthProviders, setOAuthProviders] = useState([]); // One sign-in button is rendered per provider.
+  const [passkeysSupported, setPasskeysSupported] = useState(false); // Hides the passkey button in browsers without WebAuthn.
   const router = useRouter(); // Hook to get access to the router instance.
+  const searchParams = useSearchParams();
+  const callbackUrl = safeCallbackUrl(searchParams.get("callbackUrl"));
+  // Going back to the first step keeps the callbackUrl.
+  const loginUrl = callbackUrl === "/profile" ? "/login" : `/login?callbackUrl=${encodeURIComponent(callbackUrl)}`;
+
+  // --- ERRORS FROM A REDIRECT ---
+  // A provider sign-in whose email already has an account comes back here with a link token,
+  // and a provider sign-in or magic link for an account with 2FA comes back with the challenge for the code step.
+  useEffect(() => {
+    const redirectError = searchParams.get("error");
+    if (redirectError?.startsWith(LINK_REQUIRED_ERROR_PREFIX)) {
+      setLinkToken(redirectError.slice(LINK_REQUIRED_ERROR_PREFIX.length));
+    } else if (redirectError?.startsWith(TWO_FACTOR_ERROR_PREFIX)) {
+      setChallengeToken(redirectError.slice(TWO_FACTOR_ERROR_PREFIX.length));
+    } else if (redirectError === LINK_FROM_PROFILE_ERROR) {
+      setError('An account with this email already exists. Sign in the way you usually do (a passkey, a sign-in link or another provider), then link this account under "Sign-In Methods" on your profile.');
+    } else if (redirectError === ACCOUNT_DISABLED_ERROR) {
+      setError(blockedMessage(redirectError));
+    } else if (redirectError) {
+      setError("Sign-in failed. Please try again.");
+    }
+
+    // Sent here after the user asked to delete their account from the profile page.
+    const deletionScheduled = searchParams.get("deletionScheduled");
+    if (deletionScheduled) {
+      setNotice(`Your account will be deleted on ${new Date(deletionScheduled).toLocaleDateString()}. Sign in before then to keep it.`);
+    }
+  }, [searchParams]);
+
+  // --- CONFIGURED SIGN-IN PROVIDERS ---
+  // The credentials-based providers are our own forms; everything of type "oauth" gets a button.
+  useEffect(() => {
+    getProviders().then((providers) => {
+      setOAuthProviders(Object.values(providers || {}).filter((provider) => provider.type === "oauth"));
+    });
+  }, []);
+
+  useEffect(() => {
+    setPasskeysSupported(browserSupportsWebAuthn());
+  }, []);
 
   // --- FORM SUBMISSION HANDLER (EMAIL & PASSWORD) ---
   /**
@@ -32,6 +117,8 @@ export default function LoginPage() {
     // Prevent the default form submission behavior which causes a page refresh.
     e.preventDefault();
     setError(""); // Clear any previous errors.
+    setNotice("");
+    setNeedsVerification(false);
     setLoading(true); // Set loading to true to disable the button.
 
     // --- NEXTAUTH SIGN-IN ---
@@ -45,17 +132,185 @@ export default function LoginPage() {
     });
 
     // --- HANDLE LOGIN RESULT ---
-    if (result.error) {
+    if (result.error?.startsWith(TWO_FACTOR_ERROR_PREFIX)) {
+      // The password was correct, but the account has two-factor authentication.
+      // Keep the challenge token and switch the form to the code step.
+      setChallengeToken(result.error.slice(TWO_FACTOR_ERROR_PREFIX.length));
+      setLoading(false);
+    } else if (blockedMessage(result.error)) {
+      // Too many failed attempts or a disabled account: say so (and how long to wait) instead of "invalid password".
+      setError(blockedMessage(result.error));
+      setLoading(false);
+    } else if (result.error === EMAIL_NOT_VERIFIED_ERROR) {
+      // Correct credentials, but the account's email hasn't been verified yet.
+      setError("Please verify your email address before logging in.");
+      setNeedsVerification(true);
+      setLoading(false);
+    } else if (result.error) {
       // If the result object has an error, it means login failed.
       setError("Invalid email or password."); // Set a generic error message for security.
       setLoading(false); // Re-enable the button.
     } else {
       // If there is no error, login was successful.
-      // Manually redirect the user to their profile page.
-      router.push("/profile");
+      // Manually redirect the user to their profile page (or the page that sent them here).
+      router.push(callbackUrl);
     }
   };
 
+  // --- SECOND STEP HANDLER (TWO-FACTOR CODE) ---
+  /**
+   * Completes a 2FA login by sending the challenge token and code to the "two-factor" provider.
+   * @param {Event} e - The form submission event.
+   */
+  const handleTwoFactorSignIn = async (e) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+
+    const result = await signIn("two-factor", { redirect: false, challengeToken, code });
+
+    if (result.error) {
+      setError(blockedMessage(result.error) || "Invalid or expired code.");
+      setLoading(false);
+    } else {
+      router.push(callbackUrl);
+    }
+  };
+
+  // --- PASSKEY SIGN-IN HANDLER ---
+  /**
+   * Gets a challenge from the backend, lets the browser sign it with one of the user's passkeys,
+   * and hands the result to the "passkey" provider. No email or password is needed.
+   */
+  const handlePasskeySignIn = async () => {
+    setError("");
+    setNotice("");
+    setLoading(true);
+
+    let challengeId;
+    let response;
+    try {
+      const optionsResponse = await fetch('http://localhost:5000/api/login/passkey/options', { method: 'POST' });
+      const data = await optionsResponse.json();
+      if (!optionsResponse.ok) {
+        setError(data.message || "Could not start the passkey sign-in.");
+        setLoading(false);
+        return;
+      }
+      challengeId = data.challengeId;
+      response = await startAuthentication({ optionsJSON: data.options });
+    } catch (error) {
+      // Also reached when the user closes the browser's passkey prompt.
+      setError("Passkey sign-in was cancelled or isn't available on this device.");
+      setLoading(false);
+      return;
+    }
+
+    const result = await signIn("passkey", { redirect: false, challengeId, response: JSON.stringify(response) });
+
+    if (result.error === EMAIL_NOT_VERIFIED_ERROR) {
+      setError("Please verify your email address before logging in.");
+      setLoading(false);
+    } else if (result.error) {
+      setError(blockedMessage(result.error) || "That passkey could not be verified.");
+      setLoading(false);
+    } else {
+      router.push(callbackUrl);
+    }
+  };
+
+  // --- MAGIC LINK REQUEST HANDLER ---
+  /**
+   * Asks the backend to email a sign-in link to the address typed into the form.
+   * The answer is the same whether or not the address has an account.
+   */
+  const handleMagicLinkRequest = async () => {
+    setError("");
+    setNotice("");
+    setNeedsVerification(false);
+    if (!email) {
+      setError("Enter your email address to get a sign-in link.");
+      return;
+    }
+    setLoading(true);
+    try {
+      const response = await fetch('http://localhost:5000/api/auth/magic-link', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setNotice(data.message);
+      } else {
+        setError(data.message || "Could not send a sign-in link. Please try again.");
+      }
+    } catch (error) {
+      setError("An error occurred. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // --- LINK CONFIRMATION HANDLER ---
+  /**
+   * Confirms linking the provider to the existing account with its password (and 2FA code), which also signs in.
+   * @param {Event} e - The form submission event.
+   */
+  const handleLinkAccount = async (e) => {
+    e.preventDefault();
+    setError("");
+    setLoading(true);
+
+    const result = await signIn("link-account", { redirect: false, linkToken, password, code });
+
+    if (result.error === LINK_TWO_FACTOR_ERROR) {
+      setLinkNeedsCode(true);
+      setLoading(false);
+    } else if (result.error) {
+      setError(blockedMessage(result.error) || (linkNeedsCode ? "Incorrect password or code." : "Incorrect password."));
+      setLoading(false);
+    } else {
+      router.push(callbackUrl);
+    }
+  };
+
+  // Abandons linking and shows the normal login form.
+  const cancelLink = () => {
+    setLinkToken("");
+    setLinkNeedsCode(false);
+    setPassword("");
+    setCode("");
+    setError("");
+    router.replace(loginUrl);
+  };
+
+  // --- RESEND VERIFICATION HANDLER ---
+  // Asks the backend for a new verification link for the email typed into the form.
+  const handleResendVerification = async () => {
+    try {
+      const response = await fetch('http://localhost:5000/api/resend-verification', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email }),
+      });
+      const data = await response.json();
+      setError("");
+      setNeedsVerification(false);
+      setNotice(data.message);
+    } catch (error) {
+      setError("An error occurred. Please try again.");
+    }
+  };
+
+  // Returns to the email/password step, e.g. after the challenge expired.
+  const resetTwoFactor = () => {
+    setChallengeToken("");
+    setCode("");
+    setError("");
+    router.replace(loginUrl);
+  };
+
   // --- JSX RENDER ---
   return (
     // Main container to center the form on the page with a dark background.
@@ -69,10 +324,100 @@ export default function LoginPage() {
         {error && (
           <div className="bg-red-500 text-white p-3 rounded-lg text-center mb-4">
             {error}
+            {needsVerification && (
+              <button type="button" onClick={handleResendVerification} className="block mx-auto mt-2 font-semibold underline hover:no-underline">
+                Resend verification email
+              </button>
+            )}
+          </div>
+        )}
+        {notice && (
+          <div className="bg-green-600 text-white p-3 rounded-lg text-center mb-4">
+            {notice}
           </div>
         )}
 
-        {/* --- LOGIN FORM --- */}
+        {/* --- LINK ACCOUNT FORM --- */}
+        {/* Shown after a provider sign-in whose email already has an account the provider isn't linked to. */}
+        {linkToken ? (
+          <form onSubmit={handleLinkAccount} className="space-y-4">
+            <p className="text-gray-400 text-center">
+              An account with this email already exists. Enter its password to link the account you signed in with to it.
+            </p>
+            <div>
+              <label className="block text-gray-300">Password</label>
+              <input
+                type="password"
+                autoFocus
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="w-full mt-1 p-3 bg-gray-700 rounded-lg text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                required
+              />
+            </div>
+            {linkNeedsCode && (
+              <div>
+                <label className="block text-gray-300">Authentication Code</label>
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className="w-full mt-1 p-3 bg-gray-700 rounded-lg text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500 tracking-widest text-center"
+                  required
+                />
+              </div>
+            )}
+            <div className="text-right">
+              <Link href="/forgot-password" className="text-sm text-indigo-400 hover:underline">
+                Don&apos;t know the password?
+              </Link>
+            </div>
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700 transition duration-300 shadow-md disabled:bg-indigo-400"
+            >
+              {loading ? 'Linking...' : 'Link and Sign In'}
+            </button>
+            <button type="button" onClick={cancelLink} className="w-full text-sm text-indigo-400 hover:underline">
+              Back to login
+            </button>
+          </form>
+        ) : challengeToken ? (
+        /* --- TWO-FACTOR FORM --- */
+        /* Replaces the login form once the password step asked for a second factor. */
+          <form onSubmit={handleTwoFactorSignIn} className="space-y-4">
+            <p className="text-gray-400 text-center">
+              Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+            </p>
+            <div>
+              <label className="block text-gray-300">Authentication Code</label>
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                autoFocus
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                className="w-full mt-1 p-3 bg-gray-700 rounded-lg text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500 tracking-widest text-center"
+                required
+              />
+            </div>
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700 transition duration-300 shadow-md disabled:bg-indigo-400"
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+            <button type="button" onClick={resetTwoFactor} className="w-full text-sm text-indigo-400 hover:underline">
+              Back to login
+            </button>
+          </form>
+        ) : (
+        /* --- LOGIN FORM --- */
         <form onSubmit={handleEmailPasswordSignIn} className="space-y-4">
           <div>
             <label className="block text-gray-300">Email</label>
@@ -123,17 +468,43 @@ export default function LoginPage() {
             {loading ? 'Signing In...' : 'Sign In'} {/* Text changes to give user feedback. */}
           </button>
 
-          {/* --- GOOGLE SIGN-IN BUTTON --- */}
+          {/* --- PASSKEY SIGN-IN BUTTON --- */}
+          {passkeysSupported && (
+            <button
+              type="button"
+              onClick={handlePasskeySignIn}
+              disabled={loading}
+              className="w-full bg-gray-700 text-white font-semibold py-3 px-4 rounded-xl hover:bg-gray-600 transition duration-300 shadow-md disabled:opacity-50"
+            >
+              Sign In with a Passkey
+            </button>
+          )}
+
+          {/* --- MAGIC LINK BUTTON --- */}
           <button
             type="button"
-            // On click, call NextAuth's signIn function, specifying the "google" provider.
-            // 'callbackUrl' tells NextAuth where to redirect the user after a successful Google login.
-            onClick={() => signIn('google', { callbackUrl: "/profile" })}
-            className="w-full bg-red-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-red-700 transition duration-300 shadow-md"
+            onClick={handleMagicLinkRequest}
+            disabled={loading}
+            className="w-full bg-gray-700 text-white font-semibold py-3 px-4 rounded-xl hover:bg-gray-600 transition duration-300 shadow-md disabled:opacity-50"
           >
-            Sign In with Google
+            Email Me a Sign-In Link
           </button>
+
+          {/* --- PROVIDER SIGN-IN BUTTONS --- */}
+          {oauthProviders.map((provider) => (
+            <button
+              key={provider.id}
+              type="button"
+              // On click, call NextAuth's signIn function with the provider's id.
+              // 'callbackUrl' tells NextAuth where to redirect the user after a successful login.
+              onClick={() => signIn(provider.id, { callbackUrl })}
+              className={`w-full text-white font-semibold py-3 px-4 rounded-xl transition duration-300 shadow-md ${provider.id === 'google' ? 'bg-red-600 hover:bg-red-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+            >
+              Sign In with {provider.name}
+            </button>
+          ))}
         </form>
+        )}
 
         {/* --- LINK TO REGISTER PAGE --- */}
         <div className="text-center mt-6">
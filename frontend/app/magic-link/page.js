@@ -0,0 +1,64 @@
+'use client'
+
+import { useState, useEffect, useRef } from 'react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import { signIn } from 'next-auth/react';
+import Link from 'next/link';
+
+// Must match the prefix the NextAuth providers put in front of the 2FA challenge token.
+const TWO_FACTOR_ERROR_PREFIX = '2FA_REQUIRED:';
+// Returned when an admin has disabled the account.
+const ACCOUNT_DISABLED_ERROR = 'ACCOUNT_DISABLED';
+
+/**
+ * MagicLink Component
+ * Landing page for the sign-in link emailed by POST /api/auth/magic-link. It signs in with the
+ * link's token through the "magic-link" provider as soon as the page loads. Accounts with 2FA
+ * continue on the login page, which asks for the code.
+ */
+export default function MagicLink() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const [message, setMessage] = useState({ text: 'Signing you in...', type: '' });
+  const requested = useRef(false); // The token is single-use, so only ever send it once.
+
+  useEffect(() => {
+    if (requested.current) return;
+    const token = searchParams.get('token');
+    if (!token) {
+      setMessage({ text: 'Invalid or missing sign-in token.', type: 'error' });
+      return;
+    }
+    requested.current = true;
+
+    signIn('magic-link', { redirect: false, token }).then((result) => {
+      if (result.error?.startsWith(TWO_FACTOR_ERROR_PREFIX)) {
+        router.replace(`/login?error=${encodeURIComponent(result.error)}`);
+      } else if (result.error === ACCOUNT_DISABLED_ERROR) {
+        setMessage({ text: 'This account has been disabled. Please contact support.', type: 'error' });
+      } else if (result.error) {
+        setMessage({ text: 'This sign-in link is invalid, has expired or was already used. Please request a new one.', type: 'error' });
+      } else {
+        router.replace('/profile');
+      }
+    });
+  }, [searchParams, router]);
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-900">
+      <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-sm w-full">
+        <h1 className="text-3xl font-bold text-white mb-6 text-center">Sign In</h1>
+
+        <div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'error' ? 'bg-red-500' : 'bg-gray-700'}`}>
+          {message.text}
+        </div>
+
+        {message.type === 'error' && (
+          <Link href="/login" className="w-full block text-center bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700">
+            Back to Login
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
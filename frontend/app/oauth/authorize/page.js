@@ -0,0 +1,107 @@
+'use client'
+
+import { useState, useEffect } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter, useSearchParams } from 'next/navigation';
+import Link from 'next/link';
+
+/**
+ * OAuthConsent Component
+ * Consent screen for apps that sign users in through this server. The backend's /oauth/authorize
+ * forwards the app's request here unchanged. Signed-out users go through the login page first and
+ * come back. Allowing or denying sends the browser back to the app with a code or an error.
+ */
+export default function OAuthConsent() {
+  const { data: session, status } = useSession();
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const [request, setRequest] = useState(null); // { client: { name }, scopes: [{ name, description }] }
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  useEffect(() => {
+    if (status === 'unauthenticated') {
+      router.replace(`/login?callbackUrl=${encodeURIComponent(`/oauth/authorize?${searchParams.toString()}`)}`);
+    }
+  }, [status, router, searchParams]);
+
+  useEffect(() => {
+    if (status !== 'authenticated') return;
+    fetch(`http://localhost:5000/api/oauth/authorize?${searchParams.toString()}`, {
+      headers: { 'Authorization': `Bearer ${session.accessToken}` },
+    })
+      .then(async (response) => {
+        const data = await response.json();
+        if (response.ok) {
+          setRequest(data);
+        } else if (data.redirectTo) {
+          // The request is broken but the app is genuine: let it know.
+          window.location.assign(data.redirectTo);
+        } else {
+          setMessage({ text: data.message || 'This sign-in request is invalid.', type: 'error' });
+        }
+      })
+      .catch(() => setMessage({ text: 'An error occurred. Please try again.', type: 'error' }));
+  }, [status, session?.accessToken, searchParams]);
+
+  /**
+   * Sends the user's answer to the backend and follows its redirect back to the app.
+   * @param {boolean} approve
+   */
+  const answer = async (approve) => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch('http://localhost:5000/api/oauth/authorize', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${session.accessToken}` },
+        body: JSON.stringify({ ...Object.fromEntries(searchParams.entries()), approve }),
+      });
+      const data = await response.json();
+      if (data.redirectTo) {
+        window.location.assign(data.redirectTo);
+        return;
+      }
+      setMessage({ text: data.message || 'An error occurred. Please try again.', type: 'error' });
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    }
+    setLoading(false);
+  };
+
+  if (!request && !message.text) {
+    return <div className="flex items-center justify-center min-h-screen bg-gray-900 text-white">Loading...</div>;
+  }
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-900 p-4">
+      <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-sm w-full">
+        {message.text && (<div className="p-3 rounded-lg text-center mb-4 text-white bg-red-500">{message.text}</div>)}
+
+        {request ? (
+          <>
+            <h1 className="text-2xl font-bold text-white mb-2 text-center">Sign in to {request.client.name}</h1>
+            <p className="text-gray-400 text-center mb-6">
+              {request.client.name} wants to use your account{session?.user?.email ? ` (${session.user.email})` : ''}. It will be able to:
+            </p>
+            <ul className="space-y-2 mb-6 text-gray-300 list-disc list-inside">
+              {request.scopes.map((scope) => <li key={scope.name}>{scope.description}</li>)}
+            </ul>
+            <div className="flex gap-4">
+              <button type="button" onClick={() => answer(false)} disabled={loading} className="flex-1 bg-gray-700 text-white font-semibold py-3 px-4 rounded-xl hover:bg-gray-600 disabled:opacity-50">
+                Deny
+              </button>
+              <button type="button" onClick={() => answer(true)} disabled={loading} className="flex-1 bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+                Allow
+              </button>
+            </div>
+          </>
+        ) : (
+          <Link href="/profile" className="w-full block text-center bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700">
+            Go to your profile
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+}
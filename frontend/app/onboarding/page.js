@@ -3,6 +3,7 @@
 import { useState, useEffect } from 'react';
 import { useSession } from 'next-auth/react';
 import { useRouter } from 'next/navigation';
+import VerifyEmailNotice from '../components/VerifyEmailNotice';
 
 export default function Onboarding() {
   const { data: session, status, update } = useSession();
@@ -74,7 +75,9 @@ export default function Onboarding() {
   // The useEffect will handle redirecting unauthenticated users.
   if (status === "authenticated") {
     return (
-      <div className="flex items-center justify-center min-h-screen bg-gray-900">
+      <div className="flex flex-col items-center justify-center gap-6 min-h-screen bg-gray-900 p-4">
+        {/* Onboarding is blocked by the backend until the email is verified (unless verification is off). */}
+        {!session.user.emailVerified && <VerifyEmailNotice email={session.user.email} />}
         <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-sm w-full">
           <h1 className="text-3xl font-bold text-white mb-2 text-center">Complete Your Profile</h1>
           <p className="text-gray-400 mb-6 text-center">Please provide a few more details to get started.</p>
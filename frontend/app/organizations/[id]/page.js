@@ -0,0 +1,221 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react';
+import { useSession } from 'next-auth/react';
+import { useParams, useRouter } from 'next/navigation';
+import Link from 'next/link';
+import Avatar from '../../components/Avatar';
+
+const inputClass = 'w-full mt-1 p-3 bg-gray-700 rounded-lg text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+const selectClass = 'p-2 bg-gray-700 rounded-lg text-white border border-gray-600 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+/**
+ * OrganizationMembers Component
+ * An organization's members page. Everyone sees the members; owners and admins also invite people,
+ * cancel invitations, change roles and remove members (only owners can touch owners). Anyone can leave.
+ */
+export default function OrganizationMembers() {
+  const { id } = useParams();
+  const { data: session, status, update } = useSession();
+  const router = useRouter();
+  const [result, setResult] = useState(null); // { organization, members, invitations, roles }
+  const [email, setEmail] = useState('');
+  const [inviteRole, setInviteRole] = useState('member');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  useEffect(() => {
+    if (status === 'unauthenticated') router.replace(`/login?callbackUrl=${encodeURIComponent(`/organizations/${id}`)}`);
+  }, [status, router, id]);
+
+  const load = useCallback(async () => {
+    try {
+      const response = await fetch(`http://localhost:5000/api/organizations/${id}`, {
+        headers: { 'Authorization': `Bearer ${session?.accessToken}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setResult(data);
+      } else {
+        setMessage({ text: data.message || 'Could not load the organization.', type: 'error' });
+      }
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    }
+  }, [id, session?.accessToken]);
+
+  useEffect(() => {
+    if (status === 'authenticated') load();
+  }, [status, load]);
+
+  /**
+   * Sends a change to the backend, shows its message and reloads the page's data.
+   * @param {string} path - Under /api/organizations/:id.
+   * @param {string} method
+   * @param {object} [body]
+   * @returns {Promise<boolean>} Whether it worked.
+   */
+  const send = async (path, method, body) => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch(`http://localhost:5000/api/organizations/${id}${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${session.accessToken}` },
+        body: body && JSON.stringify(body),
+      });
+      const data = await response.json();
+      setMessage({ text: data.message, type: response.ok ? 'success' : 'error' });
+      if (response.ok) await load();
+      return response.ok;
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (await send('/invitations', 'POST', { email, role: inviteRole })) setEmail('');
+  };
+
+  const handleRemove = (member) => {
+    if (!window.confirm(`Remove ${member.name || member.email} from ${result.organization.name}?`)) return;
+    send(`/members/${member.userId}`, 'DELETE');
+  };
+
+  const handleLeave = async () => {
+    const lastMember = result.members.length === 1;
+    if (!window.confirm(lastMember
+      ? `You are the only member: leaving deletes ${result.organization.name}. Continue?`
+      : `Leave ${result.organization.name}?`)) return;
+
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch(`http://localhost:5000/api/organizations/${id}/leave`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${session.accessToken}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        if (session.activeOrganization?.id === result.organization.id) await update({ activeOrganization: null });
+        router.push('/organizations');
+        return;
+      }
+      setMessage({ text: data.message, type: 'error' });
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    }
+    setLoading(false);
+  };
+
+  if (!result) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-screen bg-gray-900 text-white gap-4">
+        {message.text ? <div className="p-3 rounded-lg text-center text-white bg-red-500">{message.text}</div> : 'Loading...'}
+        {message.text && <Link href="/organizations" className="text-indigo-400 hover:underline">Back to organizations</Link>}
+      </div>
+    );
+  }
+
+  const { organization, members, invitations, roles } = result;
+  const canManage = organization.role === 'owner' || organization.role === 'admin';
+  // Admins manage admins and members; owners manage everyone.
+  const canManageMember = (member) => canManage && member.userId !== session.user.id && (organization.role === 'owner' || member.role !== 'owner');
+  const assignableRoles = organization.role === 'owner' ? roles : roles.filter((role) => role !== 'owner');
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-4 pt-12 flex flex-col items-center gap-6">
+      <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-2xl w-full">
+        <div className="flex items-center justify-between mb-2">
+          <h1 className="text-3xl font-bold text-white">{organization.name}</h1>
+          <Link href="/organizations" className="text-sm text-indigo-400 hover:underline">All organizations</Link>
+        </div>
+        <p className="text-gray-400 text-sm mb-6">You are {organization.role === 'member' ? 'a member' : `an ${organization.role}`}.</p>
+
+        {message.text && (<div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : 'bg-red-500'}`}>{message.text}</div>)}
+
+        {/* --- MEMBERS --- */}
+        <h2 className="text-xl font-bold text-white mb-4">Members</h2>
+        <ul className="space-y-3 mb-8">
+          {members.map((member) => (
+            <li key={member.userId} className="flex items-center gap-3 border-b border-gray-700 pb-3">
+              <Avatar image={member.image} name={member.name} email={member.email} size={36} />
+              <div className="flex-1 min-w-0 text-sm">
+                <p className="text-white truncate">{member.name || member.email}{member.userId === session.user.id && ' (you)'}</p>
+                {member.name && <p className="text-gray-400 truncate">{member.email}</p>}
+              </div>
+              {canManageMember(member) ? (
+                <>
+                  <select
+                    value={member.role}
+                    onChange={(e) => send(`/members/${member.userId}`, 'PATCH', { role: e.target.value })}
+                    disabled={loading}
+                    aria-label={`Role of ${member.email}`}
+                    className={selectClass}
+                  >
+                    {assignableRoles.map((role) => <option key={role} value={role}>{role}</option>)}
+                  </select>
+                  <button type="button" onClick={() => handleRemove(member)} disabled={loading} className="text-sm text-red-400 hover:underline disabled:opacity-50">
+                    Remove
+                  </button>
+                </>
+              ) : (
+                <span className="text-sm text-gray-400">{member.role}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+
+        {canManage && (
+          <>
+            {/* --- PENDING INVITATIONS --- */}
+            {invitations.length > 0 && (
+              <>
+                <h2 className="text-xl font-bold text-white mb-4">Pending Invitations</h2>
+                <ul className="space-y-3 mb-8">
+                  {invitations.map((invitation) => (
+                    <li key={invitation.id} className="flex items-center justify-between gap-4 border-b border-gray-700 pb-3 text-sm">
+                      <div className="min-w-0">
+                        <p className="text-white truncate">{invitation.email}</p>
+                        <p className="text-gray-400">{invitation.role} · expires {new Date(invitation.expiresAt).toLocaleDateString()}</p>
+                      </div>
+                      <button type="button" onClick={() => send(`/invitations/${invitation.id}`, 'DELETE')} disabled={loading} className="text-red-400 hover:underline disabled:opacity-50">
+                        Cancel
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+
+            <h2 className="text-xl font-bold text-white mb-4">Invite Someone</h2>
+            <form onSubmit={handleInvite} className="space-y-4 mb-8">
+              <div>
+                <label className="block text-gray-300">Email</label>
+                <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} className={inputClass} required />
+              </div>
+              <div>
+                <label className="block text-gray-300">Role</label>
+                <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)} className={`${inputClass} p-3`}>
+                  <option value="member">Member</option>
+                  <option value="admin">Admin (manages members and invitations)</option>
+                </select>
+              </div>
+              <button type="submit" disabled={loading} className="w-full bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+                {loading ? 'Sending...' : 'Send Invitation'}
+              </button>
+            </form>
+          </>
+        )}
+
+        <button type="button" onClick={handleLeave} disabled={loading} className="w-full bg-red-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-red-700 disabled:opacity-50">
+          Leave Organization
+        </button>
+      </div>
+    </div>
+  );
+}
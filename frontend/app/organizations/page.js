@@ -0,0 +1,162 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+
+const inputClass = 'w-full mt-1 p-3 bg-gray-700 rounded-lg text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+/**
+ * Organizations Component
+ * The organizations the user is in, the invitations waiting for them and a form to create a new
+ * organization. Joining or creating one switches the session to it.
+ */
+export default function Organizations() {
+  const { data: session, status, update } = useSession();
+  const router = useRouter();
+  const [organizations, setOrganizations] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [name, setName] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  useEffect(() => {
+    if (status === 'unauthenticated') router.replace('/login?callbackUrl=%2Forganizations');
+  }, [status, router]);
+
+  const load = useCallback(async () => {
+    try {
+      const headers = { 'Authorization': `Bearer ${session?.accessToken}` };
+      const [organizationsResponse, invitationsResponse] = await Promise.all([
+        fetch('http://localhost:5000/api/organizations', { headers }),
+        fetch('http://localhost:5000/api/invitations', { headers }),
+      ]);
+      const organizationsData = await organizationsResponse.json();
+      const invitationsData = await invitationsResponse.json();
+      if (organizationsResponse.ok) setOrganizations(organizationsData.organizations);
+      if (invitationsResponse.ok) setInvitations(invitationsData.invitations);
+      if (!organizationsResponse.ok) setMessage({ text: organizationsData.message || 'Could not load your organizations.', type: 'error' });
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    }
+  }, [session?.accessToken]);
+
+  useEffect(() => {
+    if (status === 'authenticated') load();
+  }, [status, load]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch('http://localhost:5000/api/organizations', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${session.accessToken}` },
+        body: JSON.stringify({ name }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        await update({ activeOrganization: data.organization });
+        router.push(`/organizations/${data.organization.id}`);
+        return;
+      }
+      setMessage({ text: data.message, type: 'error' });
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    }
+    setLoading(false);
+  };
+
+  /**
+   * Accepts or declines an invitation from the list.
+   * @param {object} invitation
+   * @param {boolean} accept
+   */
+  const answer = async (invitation, accept) => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch(`http://localhost:5000/api/invitations/${invitation.id}/${accept ? 'accept' : 'decline'}`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${session.accessToken}` },
+      });
+      const data = await response.json();
+      setMessage({ text: data.message, type: response.ok ? 'success' : 'error' });
+      if (response.ok && accept) await update({ activeOrganization: data.organization });
+      await load();
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (status !== 'authenticated') {
+    return <div className="flex items-center justify-center min-h-screen bg-gray-900 text-white">Loading...</div>;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-4 pt-12 flex flex-col items-center gap-6">
+      <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-lg w-full">
+        <div className="flex items-center justify-between mb-6">
+          <h1 className="text-3xl font-bold text-white">Organizations</h1>
+          <Link href="/profile" className="text-sm text-indigo-400 hover:underline">Back to profile</Link>
+        </div>
+
+        {message.text && (<div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : 'bg-red-500'}`}>{message.text}</div>)}
+
+        {/* --- PENDING INVITATIONS --- */}
+        {invitations.length > 0 && (
+          <div className="mb-6">
+            <h2 className="text-xl font-bold text-white mb-4">Invitations</h2>
+            <ul className="space-y-4">
+              {invitations.map((invitation) => (
+                <li key={invitation.id} className="p-4 bg-gray-900 rounded-lg border border-gray-700 text-sm">
+                  <p className="text-white">
+                    Join <span className="font-semibold">{invitation.organization.name}</span> as {invitation.role === 'admin' ? 'an admin' : 'a member'}
+                  </p>
+                  <p className="text-gray-400">
+                    {invitation.invitedBy && `From ${invitation.invitedBy} · `}Expires {new Date(invitation.expiresAt).toLocaleDateString()}
+                  </p>
+                  <div className="flex gap-4 mt-3">
+                    <button type="button" onClick={() => answer(invitation, true)} disabled={loading} className="bg-indigo-600 text-white font-semibold py-2 px-4 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+                      Accept
+                    </button>
+                    <button type="button" onClick={() => answer(invitation, false)} disabled={loading} className="bg-gray-700 text-white font-semibold py-2 px-4 rounded-xl hover:bg-gray-600 disabled:opacity-50">
+                      Decline
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <ul className="space-y-3 mb-8">
+          {organizations?.map((organization) => (
+            <li key={organization.id} className="flex items-center justify-between border-b border-gray-700 pb-3">
+              <Link href={`/organizations/${organization.id}`} className="text-white font-semibold hover:underline">{organization.name}</Link>
+              <span className="text-sm text-gray-400">
+                {organization.role}{session.activeOrganization?.id === organization.id && ' · active'}
+              </span>
+            </li>
+          ))}
+          {organizations && organizations.length === 0 && <li className="text-gray-400 text-center">You aren&apos;t in any organization yet.</li>}
+        </ul>
+
+        <h2 className="text-xl font-bold text-white mb-4">Create an Organization</h2>
+        <form onSubmit={handleCreate} className="space-y-4">
+          <div>
+            <label className="block text-gray-300">Name</label>
+            <input type="text" value={name} onChange={(e) => setName(e.target.value)} maxLength={100} className={inputClass} required />
+          </div>
+          <button type="submit" disabled={loading} className="w-full bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+            {loading ? 'Creating...' : 'Create Organization'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react';
+
+const inputClass = 'w-full mt-1 p-3 bg-gray-700 rounded-lg text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+// Choices for "Expires"; '' means the token never expires.
+const EXPIRY_OPTIONS = [
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' },
+];
+
+/**
+ * AccessTokensSection Component
+ * Lists the account's personal access tokens, creates new ones (the secret is shown once, right
+ * after creation) and revokes them. Scripts send a token as `Authorization: Bearer pat_...`.
+ * @param {{ accessToken: string }} props - The backend access token from the session.
+ */
+export default function AccessTokensSection({ accessToken }) {
+  const [tokens, setTokens] = useState(null);
+  const [scopes, setScopes] = useState([]); // The scopes this account can give a token: [{ name, description }].
+  const [name, setName] = useState('');
+  const [selectedScopes, setSelectedScopes] = useState([]);
+  const [expiresInDays, setExpiresInDays] = useState('30');
+  const [newToken, setNewToken] = useState(''); // Shown once, right after it's created.
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  const loadTokens = useCallback(async () => {
+    try {
+      const response = await fetch('http://localhost:5000/api/personal-access-tokens', {
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setTokens(data.tokens);
+        setScopes(data.scopes);
+      } else {
+        setMessage({ text: data.message || 'Could not load your access tokens.', type: 'error' });
+      }
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    }
+  }, [accessToken]);
+
+  useEffect(() => {
+    if (accessToken) loadTokens();
+  }, [accessToken, loadTokens]);
+
+  const toggleScope = (scope) => {
+    setSelectedScopes((current) => (current.includes(scope) ? current.filter((name) => name !== scope) : [...current, scope]));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setNewToken('');
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch('http://localhost:5000/api/personal-access-tokens', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${accessToken}` },
+        body: JSON.stringify({ name, scopes: selectedScopes, expiresInDays: expiresInDays ? Number(expiresInDays) : null }),
+      });
+      const data = await response.json();
+      setMessage({ text: data.message, type: response.ok ? 'success' : 'error' });
+      if (response.ok) {
+        setNewToken(data.token);
+        setName('');
+        setSelectedScopes([]);
+        await loadTokens();
+      }
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke the token "${token.name}"? Anything using it will stop working.`)) return;
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch(`http://localhost:5000/api/personal-access-tokens/${token.id}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+      });
+      const data = await response.json();
+      setMessage({ text: data.message, type: response.ok ? 'success' : 'error' });
+      if (response.ok) await loadTokens();
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!tokens) return null;
+
+  return (
+    <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-sm w-full">
+      <h2 className="text-xl font-bold text-white mb-4">Access Tokens</h2>
+      {message.text && (<div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : 'bg-red-500'}`}>{message.text}</div>)}
+      <p className="text-gray-400 text-sm mb-4">
+        Personal access tokens let scripts and command-line tools call the API as you, limited to the scopes you choose.
+      </p>
+
+      {/* --- NEW TOKEN (shown once) --- */}
+      {newToken && (
+        <div className="mb-4 p-4 bg-gray-900 rounded-lg border border-gray-700">
+          <p className="text-gray-300 text-sm mb-2">Copy your new token now. For your security, it won&apos;t be shown again.</p>
+          <p className="font-mono text-sm text-white break-all select-all">{newToken}</p>
+        </div>
+      )}
+
+      {tokens.length > 0 && (
+        <ul className="space-y-3 mb-4">
+          {tokens.map((token) => (
+            <li key={token.id} className="flex items-center justify-between gap-2">
+              <div className="text-sm">
+                <p className="text-gray-300">
+                  {token.name} <span className="font-mono text-gray-400">{token.prefix}…</span>
+                </p>
+                <p className="text-xs text-gray-400">{token.scopes.join(', ')}</p>
+                <p className="text-xs text-gray-400">
+                  {token.expired
+                    ? 'Expired'
+                    : token.expiresAt ? `Expires ${new Date(token.expiresAt).toLocaleDateString()}` : 'Never expires'}
+                  {' · '}
+                  {token.lastUsedAt ? `Last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'Never used'}
+                </p>
+              </div>
+              <button type="button" onClick={() => handleRevoke(token)} disabled={loading} className="text-sm text-red-400 hover:underline disabled:opacity-50">
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-4">
+        <div>
+          <label className="block text-gray-300">Name</label>
+          <input type="text" value={name} onChange={(e) => setName(e.target.value)} maxLength={100} placeholder="e.g. Deploy script" className={inputClass} required />
+        </div>
+        <fieldset>
+          <legend className="block text-gray-300 mb-1">Scopes</legend>
+          {scopes.map((scope) => (
+            <label key={scope.name} className="flex items-start gap-2 text-sm text-gray-300 mb-1">
+              <input
+                type="checkbox"
+                checked={selectedScopes.includes(scope.name)}
+                onChange={() => toggleScope(scope.name)}
+                className="mt-1 rounded bg-gray-700 border-gray-600 text-indigo-600 focus:ring-indigo-500"
+              />
+              <span>
+                <span className="font-mono">{scope.name}</span>
+                <span className="block text-xs text-gray-400">{scope.description}</span>
+              </span>
+            </label>
+          ))}
+        </fieldset>
+        <div>
+          <label className="block text-gray-300">Expires</label>
+          <select value={expiresInDays} onChange={(e) => setExpiresInDays(e.target.value)} className={inputClass}>
+            {EXPIRY_OPTIONS.map((option) => <option key={option.label} value={option.value}>{option.label}</option>)}
+          </select>
+        </div>
+        <button type="submit" disabled={loading || selectedScopes.length === 0} className="w-full bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+          {loading ? 'Creating...' : 'Create Token'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+'use client'
+
+import { useState, useEffect } from 'react';
+import { eventLabel } from '../components/authEvents';
+
+/**
+ * ActivitySection Component
+ * Shows the account's recent security activity (sign-ins, password changes, ...) from GET /api/profile/activity.
+ * @param {{ accessToken: string }} props - The backend access token from the session.
+ */
+export default function ActivitySection({ accessToken }) {
+  const [events, setEvents] = useState(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (!accessToken) return;
+    fetch('http://localhost:5000/api/profile/activity', {
+      headers: { 'Authorization': `Bearer ${accessToken}` },
+    })
+      .then(async (response) => {
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Could not load your activity.');
+        setEvents(data.events);
+      })
+      .catch((error) => setMessage(error.message));
+  }, [accessToken]);
+
+  return (
+    <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-sm w-full">
+      <h2 className="text-xl font-bold text-white mb-4">Recent Security Activity</h2>
+      {message && <div className="p-3 rounded-lg text-center mb-4 text-white bg-red-500">{message}</div>}
+      {events && events.length === 0 && <p className="text-gray-400 text-sm">No activity yet.</p>}
+      <ul className="space-y-3">
+        {events?.map((event, index) => (
+          <li key={index} className="text-sm">
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-gray-300">{eventLabel(event.type)}</span>
+              <span className={event.outcome === 'success' ? 'text-green-400' : 'text-red-400'}>
+                {event.outcome === 'success' ? 'OK' : 'Failed'}
+              </span>
+            </div>
+            <p className="text-xs text-gray-400">
+              {new Date(event.createdAt).toLocaleString()}{event.ip && ` · ${event.ip}`}{event.byAdmin && ' · by an admin'}
+            </p>
+          </li>
+        ))}
+      </ul>
+      <p className="text-xs text-gray-400 mt-4">Don&apos;t recognize something? Change your password and turn on two-factor authentication.</p>
+    </div>
+  );
+}
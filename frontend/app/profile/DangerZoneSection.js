@@ -0,0 +1,118 @@
+'use client'
+
+import { useState } from 'react';
+import { signOut } from 'next-auth/react';
+
+const inputClass = 'w-full mt-1 p-3 bg-gray-700 rounded-lg text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-red-500';
+
+/**
+ * DangerZoneSection Component
+ * Downloads the user's data (GET /api/profile/export) and deletes the account (DELETE /api/profile).
+ * Deletion is scheduled, not immediate: signing in again during the grace period cancels it.
+ * @param {object} props
+ * @param {string} props.accessToken - The backend access token from the session.
+ * @param {boolean} props.hasPassword - Whether the account has a password to confirm with.
+ */
+export default function DangerZoneSection({ accessToken, hasPassword }) {
+  const [confirming, setConfirming] = useState(false);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [needsCode, setNeedsCode] = useState(false); // Set once the backend asks for a 2FA code.
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  const handleExport = async () => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch('http://localhost:5000/api/profile/export', {
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+      });
+      if (!response.ok) {
+        const data = await response.json();
+        setMessage({ text: data.message || 'Could not export your data.', type: 'error' });
+        return;
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'account-export.json';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch('http://localhost:5000/api/profile', {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${accessToken}` },
+        body: JSON.stringify({ password: hasPassword ? password : undefined, code: needsCode ? code : undefined }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        // Every session has been signed out, this one included.
+        await signOut({ callbackUrl: `/login?deletionScheduled=${encodeURIComponent(data.deleteAfter)}` });
+        return;
+      }
+      if (data.code === 'TWO_FACTOR_REQUIRED') setNeedsCode(true);
+      setMessage({ text: data.message, type: 'error' });
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-red-700 max-w-sm w-full">
+      <h2 className="text-xl font-bold text-red-400 mb-4">Danger Zone</h2>
+      {message.text && (<div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : 'bg-red-500'}`}>{message.text}</div>)}
+
+      <p className="text-gray-400 text-sm mb-3">Download a copy of everything we store about you.</p>
+      <button type="button" onClick={handleExport} disabled={loading} className="w-full bg-gray-700 text-white font-semibold py-3 px-4 rounded-xl hover:bg-gray-600 disabled:opacity-50 mb-6">
+        Download My Data
+      </button>
+
+      {!confirming ? (
+        <button type="button" onClick={() => setConfirming(true)} className="w-full bg-red-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-red-700">
+          Delete Account
+        </button>
+      ) : (
+        <form onSubmit={handleDelete} className="space-y-4">
+          <p className="text-gray-300 text-sm">
+            You will be signed out everywhere and your account will be deleted after a grace period.
+            Signing in again before then cancels the deletion.
+          </p>
+          {hasPassword && (
+            <div>
+              <label className="block text-gray-300">Password</label>
+              <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} required />
+            </div>
+          )}
+          {needsCode && (
+            <div>
+              <label className="block text-gray-300">Authentication Code</label>
+              <input type="text" inputMode="numeric" autoComplete="one-time-code" value={code} onChange={(e) => setCode(e.target.value)} className={inputClass} required />
+            </div>
+          )}
+          <div className="flex gap-2">
+            <button type="button" onClick={() => setConfirming(false)} className="flex-1 bg-gray-700 text-white font-semibold py-3 px-4 rounded-xl hover:bg-gray-600">
+              Cancel
+            </button>
+            <button type="submit" disabled={loading} className="flex-1 bg-red-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-red-700 disabled:opacity-50">
+              Delete
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
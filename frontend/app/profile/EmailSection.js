@@ -0,0 +1,130 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react';
+
+const inputClass = 'w-full mt-1 p-3 bg-gray-700 rounded-lg text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+/**
+ * EmailSection Component
+ * Changes the email address the account signs in with (GET/POST/DELETE /api/profile/email).
+ * The new address only takes over once the link sent to it is opened (see /confirm-email-change).
+ * @param {object} props
+ * @param {object} props.session - The NextAuth session.
+ * @param {(data: object) => Promise<object>} props.update - useSession()'s update function.
+ * @param {boolean} props.hasPassword - Whether the account has a password to confirm with.
+ */
+export default function EmailSection({ session, update, hasPassword }) {
+  const [email, setEmail] = useState(session.user.email);
+  const [pendingChange, setPendingChange] = useState(null); // { newEmail, expiresAt }
+  const [newEmail, setNewEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  const load = useCallback(async () => {
+    if (!session.accessToken) return;
+    try {
+      const response = await fetch('http://localhost:5000/api/profile/email', {
+        headers: { 'Authorization': `Bearer ${session.accessToken}` },
+      });
+      if (!response.ok) return;
+      const data = await response.json();
+      setEmail(data.email);
+      setPendingChange(data.pendingChange);
+    } catch (error) {
+      // Keep showing the session's address.
+    }
+  }, [session.accessToken]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // The change may have been confirmed in another browser; bring this session up to date.
+  useEffect(() => {
+    if (email && email !== session.user.email) {
+      update({ ...session, user: { ...session.user, email, emailVerified: true } });
+    }
+  }, [email, session, update]);
+
+  const handleRequest = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch('http://localhost:5000/api/profile/email', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${session.accessToken}` },
+        body: JSON.stringify({ email: newEmail, password }),
+      });
+      const data = await response.json();
+      setMessage({ text: data.message, type: response.ok ? 'success' : 'error' });
+      if (response.ok) {
+        setPendingChange(data.pendingChange);
+        setNewEmail('');
+        setPassword('');
+      }
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch('http://localhost:5000/api/profile/email', {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${session.accessToken}` },
+      });
+      const data = await response.json();
+      setMessage({ text: data.message, type: response.ok ? 'success' : 'error' });
+      if (response.ok) setPendingChange(null);
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-sm w-full">
+      <h2 className="text-xl font-bold text-white mb-4">Email Address</h2>
+      {message.text && (<div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : 'bg-red-500'}`}>{message.text}</div>)}
+
+      <p className="text-gray-300 mb-4">You sign in with <span className="font-semibold text-white break-all">{email}</span>.</p>
+
+      {pendingChange && (
+        <div className="bg-gray-700 p-4 rounded-lg mb-4">
+          <p className="text-gray-300 text-sm">
+            Waiting for you to confirm <span className="font-semibold text-white break-all">{pendingChange.newEmail}</span>.
+            Open the link we sent there before {new Date(pendingChange.expiresAt).toLocaleString()}.
+          </p>
+          <button type="button" onClick={handleCancel} disabled={loading} className="mt-3 text-sm text-red-400 hover:underline disabled:opacity-50">
+            Cancel this change
+          </button>
+        </div>
+      )}
+
+      {hasPassword ? (
+        <form onSubmit={handleRequest} className="space-y-4">
+          <div>
+            <label className="block text-gray-300">New Email</label>
+            <input type="email" value={newEmail} onChange={(e) => setNewEmail(e.target.value)} className={inputClass} required />
+          </div>
+          <div>
+            <label className="block text-gray-300">Current Password</label>
+            <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} required />
+          </div>
+          <button type="submit" disabled={loading} className="w-full bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+            {loading ? 'Sending...' : 'Change Email'}
+          </button>
+        </form>
+      ) : (
+        <p className="text-gray-400 text-sm">Set a password above to change your email address.</p>
+      )}
+    </div>
+  );
+}
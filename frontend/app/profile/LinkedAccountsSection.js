@@ -0,0 +1,94 @@
+'use client'
+
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { signIn } from 'next-auth/react';
+
+// Must match LINK_INTENT_COOKIE in the NextAuth route: tells its signIn callback to link instead of signing in.
+const LINK_INTENT_COOKIE = 'link-intent';
+
+/**
+ * LinkedAccountsSection Component
+ * Lists the account's sign-in methods and lets the user link or unlink providers.
+ * @param {object} props
+ * @param {string} props.accessToken - The backend access token from the session.
+ * @param {{ hasPassword: boolean, identities: object[], providers: { id: string, name: string }[] }|null} props.methods - From GET /api/identities.
+ * @param {() => Promise<void>} props.onChange - Reloads `methods` after a change.
+ */
+export default function LinkedAccountsSection({ accessToken, methods, onChange }) {
+  const searchParams = useSearchParams();
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  // Display names of the configured providers, by id.
+  const providerNames = new Map((methods?.providers || []).map((provider) => [provider.id, provider.name]));
+
+  // The NextAuth route sends the user back here with the result of a link attempt.
+  useEffect(() => {
+    if (searchParams.get('linked')) {
+      setMessage({ text: 'Account linked.', type: 'success' });
+    } else if (searchParams.get('linkError')) {
+      setMessage({ text: searchParams.get('linkError'), type: 'error' });
+    }
+  }, [searchParams]);
+
+  // Linking goes through the provider's normal sign-in; the cookie makes NextAuth attach it to this account.
+  const handleLink = (provider) => {
+    document.cookie = `${LINK_INTENT_COOKIE}=${provider}; path=/; max-age=300; samesite=lax`;
+    signIn(provider, { callbackUrl: '/profile' });
+  };
+
+  const handleUnlink = async (provider) => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch(`http://localhost:5000/api/identities/${provider}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+      });
+      const data = await response.json();
+      setMessage({ text: data.message, type: response.ok ? 'success' : 'error' });
+      if (response.ok) await onChange();
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!methods) return null;
+
+  const linked = new Map(methods.identities.map((identity) => [identity.provider, identity]));
+  // Linked providers stay listed (so they can be unlinked) even if they were removed from the configuration.
+  const providers = [...new Set([...providerNames.keys(), ...linked.keys()])];
+
+  return (
+    <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-sm w-full">
+      <h2 className="text-xl font-bold text-white mb-4">Sign-In Methods</h2>
+      {message.text && (<div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : 'bg-red-500'}`}>{message.text}</div>)}
+      <ul className="space-y-3">
+        <li className="flex items-center justify-between">
+          <span className="text-gray-300">Password</span>
+          <span className={`text-sm ${methods.hasPassword ? 'text-green-400' : 'text-gray-400'}`}>{methods.hasPassword ? 'Set' : 'Not set'}</span>
+        </li>
+        {providers.map((provider) => (
+          <li key={provider} className="flex items-center justify-between gap-2">
+            <div>
+              <p className="text-gray-300">{providerNames.get(provider) || provider}</p>
+              {linked.get(provider)?.email && <p className="text-xs text-gray-400">{linked.get(provider).email}</p>}
+            </div>
+            {linked.has(provider) ? (
+              <button type="button" onClick={() => handleUnlink(provider)} disabled={loading} className="bg-gray-700 text-white text-sm font-semibold py-2 px-4 rounded-xl hover:bg-gray-600 disabled:opacity-50">
+                Unlink
+              </button>
+            ) : (
+              <button type="button" onClick={() => handleLink(provider)} disabled={loading} className="bg-indigo-600 text-white text-sm font-semibold py-2 px-4 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+                Link
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react';
+import { startRegistration, browserSupportsWebAuthn } from '@simplewebauthn/browser';
+
+const inputClass = 'w-full mt-1 p-3 bg-gray-700 rounded-lg text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+/**
+ * PasskeysSection Component
+ * Lists the account's passkeys, adds new ones (POST /api/passkeys/registration/options, then
+ * POST /api/passkeys with the browser's response) and removes them. Passkeys sign in from the
+ * login page without a password, so adding one asks for the password and, with 2FA on, a code.
+ * @param {object} props
+ * @param {string} props.accessToken - The backend access token from the session.
+ * @param {boolean} props.hasPassword - Whether the account has a password to confirm with.
+ */
+export default function PasskeysSection({ accessToken, hasPassword }) {
+  const [passkeys, setPasskeys] = useState(null);
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [needsCode, setNeedsCode] = useState(false); // Set once the backend asks for a 2FA code.
+  const [supported, setSupported] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  const loadPasskeys = useCallback(async () => {
+    try {
+      const response = await fetch('http://localhost:5000/api/passkeys', {
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setPasskeys(data.passkeys);
+      } else {
+        setMessage({ text: data.message || 'Could not load your passkeys.', type: 'error' });
+      }
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    }
+  }, [accessToken]);
+
+  useEffect(() => {
+    setSupported(browserSupportsWebAuthn());
+    if (accessToken) loadPasskeys();
+  }, [accessToken, loadPasskeys]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const optionsResponse = await fetch('http://localhost:5000/api/passkeys/registration/options', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${accessToken}` },
+        body: JSON.stringify({ password: hasPassword ? password : undefined, code: needsCode ? code : undefined }),
+      });
+      const options = await optionsResponse.json();
+      if (!optionsResponse.ok) {
+        if (options.code === 'TWO_FACTOR_REQUIRED') setNeedsCode(true);
+        setMessage({ text: options.message, type: 'error' });
+        return;
+      }
+
+      let registration;
+      try {
+        registration = await startRegistration({ optionsJSON: options.options });
+      } catch (error) {
+        // The user closed the prompt, or this authenticator is already registered.
+        setMessage({ text: 'No passkey was created.', type: 'error' });
+        return;
+      }
+
+      const response = await fetch('http://localhost:5000/api/passkeys', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${accessToken}` },
+        body: JSON.stringify({ challengeId: options.challengeId, response: registration, name }),
+      });
+      const data = await response.json();
+      setMessage({ text: data.message, type: response.ok ? 'success' : 'error' });
+      if (response.ok) {
+        setName('');
+        setPassword('');
+        setCode('');
+        setNeedsCode(false);
+        await loadPasskeys();
+      }
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRemove = async (passkey) => {
+    if (!window.confirm(`Remove the passkey "${passkey.name}"? You won't be able to sign in with it anymore.`)) return;
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch(`http://localhost:5000/api/passkeys/${passkey.id}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+      });
+      const data = await response.json();
+      setMessage({ text: data.message, type: response.ok ? 'success' : 'error' });
+      if (response.ok) await loadPasskeys();
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!passkeys) return null;
+
+  return (
+    <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-sm w-full">
+      <h2 className="text-xl font-bold text-white mb-4">Passkeys</h2>
+      {message.text && (<div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : 'bg-red-500'}`}>{message.text}</div>)}
+      <p className="text-gray-400 text-sm mb-4">
+        Sign in with your fingerprint, face or device PIN instead of a password.
+      </p>
+
+      {passkeys.length > 0 && (
+        <ul className="space-y-3 mb-4">
+          {passkeys.map((passkey) => (
+            <li key={passkey.id} className="flex items-center justify-between gap-2">
+              <div className="text-sm">
+                <p className="text-gray-300">
+                  {passkey.name}
+                  {passkey.backedUp && <span className="text-gray-400"> · Synced</span>}
+                </p>
+                <p className="text-xs text-gray-400">
+                  Added {new Date(passkey.createdAt).toLocaleDateString()}
+                  {passkey.lastUsedAt && ` · Last used ${new Date(passkey.lastUsedAt).toLocaleString()}`}
+                </p>
+              </div>
+              <button type="button" onClick={() => handleRemove(passkey)} disabled={loading} className="text-sm text-red-400 hover:underline disabled:opacity-50">
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {supported ? (
+        <form onSubmit={handleAdd} className="space-y-4">
+          <div>
+            <label className="block text-gray-300">Name (optional)</label>
+            <input type="text" value={name} onChange={(e) => setName(e.target.value)} maxLength={100} placeholder="e.g. MacBook, iPhone" className={inputClass} />
+          </div>
+          {hasPassword && (
+            <div>
+              <label className="block text-gray-300">Password</label>
+              <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} className={inputClass} required />
+            </div>
+          )}
+          {needsCode && (
+            <div>
+              <label className="block text-gray-300">Authentication Code</label>
+              <input type="text" inputMode="numeric" autoComplete="one-time-code" value={code} onChange={(e) => setCode(e.target.value)} className={inputClass} required />
+            </div>
+          )}
+          <button type="submit" disabled={loading} className="w-full bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+            {loading ? 'Waiting for your device...' : 'Add a Passkey'}
+          </button>
+        </form>
+      ) : (
+        <p className="text-gray-400 text-sm">This browser doesn&apos;t support passkeys.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+'use client'
+
+import { useState, useEffect, useRef } from 'react';
+import Avatar from '../components/Avatar';
+
+const inputClass = 'w-full mt-1 p-3 bg-gray-700 rounded-lg text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+/**
+ * ProfileDetailsSection Component
+ * Edits the user's name, username and avatar (GET/PATCH /api/profile, PUT/DELETE /api/profile/avatar)
+ * and copies each change into the NextAuth session so the rest of the app shows it right away.
+ * @param {object} props
+ * @param {object} props.session - The NextAuth session.
+ * @param {(data: object) => Promise<object>} props.update - useSession()'s update function.
+ */
+export default function ProfileDetailsSection({ session, update }) {
+  const [name, setName] = useState(session.user.name || '');
+  const [username, setUsername] = useState(session.user.username || '');
+  const [image, setImage] = useState(session.user.image || null);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+  const fileInput = useRef(null);
+
+  // The session can be out of date (e.g. an admin edited the profile), so start from the backend's copy.
+  useEffect(() => {
+    if (!session.accessToken) return;
+    fetch('http://localhost:5000/api/profile', {
+      headers: { 'Authorization': `Bearer ${session.accessToken}` },
+    })
+      .then((response) => (response.ok ? response.json() : null))
+      .then((data) => {
+        if (!data) return;
+        setName(data.user.name || '');
+        setUsername(data.user.username || '');
+        setImage(data.user.image);
+      })
+      .catch(() => {});
+  }, [session.accessToken]);
+
+  const syncSession = (changes) => update({ ...session, user: { ...session.user, ...changes } });
+
+  // Runs one request with shared loading/message handling; returns the parsed body when it succeeded.
+  const send = async (method, path, body) => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch(`http://localhost:5000${path}`, {
+        method,
+        headers: {
+          ...(body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
+          'Authorization': `Bearer ${session.accessToken}`,
+        },
+        body: body instanceof FormData ? body : body ? JSON.stringify(body) : undefined,
+      });
+      const data = await response.json();
+      setMessage({ text: data.message, type: response.ok ? 'success' : 'error' });
+      return response.ok ? data : null;
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const data = await send('PATCH', '/api/profile', { name, username });
+    if (data) await syncSession({ name: data.user.name, username: data.user.username });
+  };
+
+  const handleAvatarChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Picking the same file again should upload again.
+    if (!file) return;
+
+    const form = new FormData();
+    form.append('avatar', file);
+    const data = await send('PUT', '/api/profile/avatar', form);
+    if (data) {
+      setImage(data.image);
+      await syncSession({ image: data.image });
+    }
+  };
+
+  const handleAvatarRemove = async () => {
+    if (await send('DELETE', '/api/profile/avatar')) {
+      setImage(null);
+      await syncSession({ image: null });
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-sm w-full">
+      <h2 className="text-xl font-bold text-white mb-4">Profile Details</h2>
+      {message.text && (<div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : 'bg-red-500'}`}>{message.text}</div>)}
+
+      <div className="flex items-center gap-4 mb-6">
+        <Avatar image={image} name={name} email={session.user.email} size={72} />
+        <div className="flex flex-col gap-2">
+          <input ref={fileInput} type="file" accept="image/jpeg,image/png,image/webp,image/gif" onChange={handleAvatarChange} className="hidden" />
+          <button type="button" onClick={() => fileInput.current.click()} disabled={loading} className="bg-indigo-600 text-white text-sm font-semibold py-2 px-4 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+            {image ? 'Change Picture' : 'Upload Picture'}
+          </button>
+          {image && (
+            <button type="button" onClick={handleAvatarRemove} disabled={loading} className="bg-gray-700 text-white text-sm font-semibold py-2 px-4 rounded-xl hover:bg-gray-600 disabled:opacity-50">
+              Remove
+            </button>
+          )}
+        </div>
+      </div>
+
+      <form onSubmit={handleSave} className="space-y-4">
+        <div>
+          <label className="block text-gray-300">Name</label>
+          <input type="text" value={name} onChange={(e) => setName(e.target.value)} maxLength={100} className={inputClass} required />
+        </div>
+        <div>
+          <label className="block text-gray-300">Username</label>
+          <input type="text" value={username} onChange={(e) => setUsername(e.target.value)} maxLength={30} className={inputClass} required />
+          <p className="text-xs text-gray-400 mt-1">3-30 characters: letters, numbers, &quot;_&quot; and &quot;.&quot;</p>
+        </div>
+        <button type="submit" disabled={loading} className="w-full bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700 disabled:opacity-50">
+          Save Changes
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,98 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react';
+import { signOut } from 'next-auth/react';
+
+/**
+ * SessionsSection Component
+ * Lists the devices the account is signed in on and lets the user sign out any of them,
+ * or every one except this device.
+ * @param {{ accessToken: string }} props - The backend access token from the session.
+ */
+export default function SessionsSection({ accessToken }) {
+  const [sessions, setSessions] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const response = await fetch('http://localhost:5000/api/sessions', {
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setSessions(data.sessions);
+      } else {
+        setMessage({ text: data.message || 'Could not load your sessions.', type: 'error' });
+      }
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    }
+  }, [accessToken]);
+
+  useEffect(() => {
+    if (accessToken) loadSessions();
+  }, [accessToken, loadSessions]);
+
+  const revoke = async (path) => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      const response = await fetch(`http://localhost:5000${path}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${accessToken}` },
+      });
+      const data = await response.json();
+      if (response.ok && data.current) {
+        // This device's session is gone, so its tokens no longer work.
+        await signOut({ callbackUrl: '/login' });
+        return;
+      }
+      setMessage({ text: data.message, type: response.ok ? 'success' : 'error' });
+      if (response.ok) await loadSessions();
+    } catch (error) {
+      setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSignOutOthers = () => {
+    if (!window.confirm('Sign out of every other device?')) return;
+    revoke('/api/sessions');
+  };
+
+  if (!sessions) return null;
+
+  return (
+    <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-sm w-full">
+      <h2 className="text-xl font-bold text-white mb-4">Where You&apos;re Signed In</h2>
+      {message.text && (<div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : 'bg-red-500'}`}>{message.text}</div>)}
+      <ul className="space-y-3 mb-4">
+        {sessions.map((session) => (
+          <li key={session.id} className="flex items-center justify-between gap-2">
+            <div className="text-sm">
+              <p className="text-gray-300" title={session.userAgent || ''}>
+                {session.device || 'Unknown device'}
+                {session.current && <span className="text-green-400"> · This device</span>}
+              </p>
+              <p className="text-xs text-gray-400">
+                {session.ip && `${session.ip} · `}Last active {new Date(session.lastSeenAt).toLocaleString()}
+              </p>
+            </div>
+            {!session.current && (
+              <button type="button" onClick={() => revoke(`/api/sessions/${session.id}`)} disabled={loading} className="bg-gray-700 text-white text-sm font-semibold py-2 px-4 rounded-xl hover:bg-gray-600 disabled:opacity-50">
+                Sign Out
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {sessions.length > 1 && (
+        <button type="button" onClick={handleSignOutOthers} disabled={loading} className="w-full bg-red-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-red-700 disabled:opacity-50">
+          Sign Out Everywhere Else
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,155 @@
+'use client'
+
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * TwoFactorSection Component
+ * Lets a signed-in user enroll an authenticator app (TOTP), manage recovery codes and turn 2FA off.
+ * @param {{ accessToken: string }} props - The backend access token from the session.
+ */
+export default function TwoFactorSection({ accessToken }) {
+  const [status, setStatus] = useState(null); // { enabled, recoveryCodes: { total, remaining } }
+  const [setup, setSetup] = useState(null); // { secret, otpauthUrl, qrCode } while enrolling.
+  const [recoveryCodes, setRecoveryCodes] = useState([]); // Shown once, right after they're generated.
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: '' });
+
+  // Small wrapper so every call sends the access token and parses JSON the same way.
+  const callApi = useCallback(async (path, method = 'GET', body) => {
+    const response = await fetch(`http://localhost:5000${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${accessToken}` },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || 'Request failed');
+    return data;
+  }, [accessToken]);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await callApi('/api/2fa'));
+    } catch (error) {
+      setMessage({ text: error.message, type: 'error' });
+    }
+  }, [callApi]);
+
+  useEffect(() => {
+    if (accessToken) loadStatus();
+  }, [accessToken, loadStatus]);
+
+  // Runs one API action with shared loading/message handling.
+  const run = async (action) => {
+    setLoading(true);
+    setMessage({ text: '', type: '' });
+    try {
+      await action();
+    } catch (error) {
+      setMessage({ text: error.message, type: 'error' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    setRecoveryCodes([]);
+    setSetup(await callApi('/api/2fa/setup', 'POST'));
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await callApi('/api/2fa/enable', 'POST', { code });
+      setRecoveryCodes(data.recoveryCodes);
+      setSetup(null);
+      setCode('');
+      setMessage({ text: data.message, type: 'success' });
+      await loadStatus();
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await callApi('/api/2fa/recovery-codes', 'POST', { code });
+      setRecoveryCodes(data.recoveryCodes);
+      setCode('');
+      setMessage({ text: 'New recovery codes generated. Your old codes no longer work.', type: 'success' });
+      await loadStatus();
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await callApi('/api/2fa/disable', 'POST', { code });
+      setRecoveryCodes([]);
+      setCode('');
+      setMessage({ text: data.message, type: 'success' });
+      await loadStatus();
+    });
+  };
+
+  const inputClass = "w-full mt-1 p-3 bg-gray-700 rounded-lg text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500";
+  const primaryButtonClass = "w-full bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700 transition duration-300 shadow-md disabled:bg-indigo-400";
+
+  return (
+    <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-sm w-full">
+      <h2 className="text-xl font-bold text-white mb-4">Two-Factor Authentication</h2>
+      {message.text && (<div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : 'bg-red-500'}`}>{message.text}</div>)}
+
+      {/* --- RECOVERY CODES (shown once) --- */}
+      {recoveryCodes.length > 0 && (
+        <div className="mb-4 p-4 bg-gray-900 rounded-lg border border-gray-700">
+          <p className="text-gray-300 text-sm mb-2">Save these recovery codes somewhere safe. Each one works once if you lose your device.</p>
+          <ul className="grid grid-cols-2 gap-1 font-mono text-sm text-white">
+            {recoveryCodes.map((recoveryCode) => <li key={recoveryCode}>{recoveryCode}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {!status ? (
+        <p className="text-gray-400">Loading...</p>
+      ) : status.enabled ? (
+        /* --- ENABLED: MANAGE --- */
+        <form className="space-y-4" onSubmit={handleDisable}>
+          <p className="text-green-400">Enabled. {status.recoveryCodes.remaining} of {status.recoveryCodes.total} recovery codes left.</p>
+          <div>
+            <label className="block text-gray-300">Authentication Code</label>
+            <input type="text" inputMode="numeric" autoComplete="one-time-code" value={code} onChange={(e) => setCode(e.target.value)} className={inputClass} required />
+          </div>
+          <button type="button" onClick={handleRegenerate} disabled={loading || !code} className={primaryButtonClass}>
+            Regenerate Recovery Codes
+          </button>
+          <button type="submit" disabled={loading} className="w-full bg-red-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-red-700 transition duration-300 shadow-md">
+            {loading ? 'Working...' : 'Disable 2FA'}
+          </button>
+        </form>
+      ) : setup ? (
+        /* --- ENROLLING: SCAN AND CONFIRM --- */
+        <form className="space-y-4" onSubmit={handleEnable}>
+          <p className="text-gray-300 text-sm">Scan this QR code with your authenticator app, then enter the 6-digit code it shows.</p>
+          {/* eslint-disable-next-line @next/next/no-img-element -- data URL generated by the backend */}
+          <img src={setup.qrCode} alt="2FA QR code" className="mx-auto rounded-lg bg-white p-2" width={200} height={200} />
+          <p className="text-gray-400 text-xs break-all text-center">Or enter this key manually: <span className="font-mono text-white">{setup.secret}</span></p>
+          <div>
+            <label className="block text-gray-300">Authentication Code</label>
+            <input type="text" inputMode="numeric" autoComplete="one-time-code" value={code} onChange={(e) => setCode(e.target.value)} className={inputClass} required />
+          </div>
+          <button type="submit" disabled={loading} className={primaryButtonClass}>
+            {loading ? 'Verifying...' : 'Enable 2FA'}
+          </button>
+        </form>
+      ) : (
+        /* --- DISABLED: OFFER SETUP --- */
+        <div className="space-y-4">
+          <p className="text-gray-400">Protect your account with a code from an authenticator app when you sign in.</p>
+          <button type="button" onClick={handleStartSetup} disabled={loading} className={primaryButtonClass}>
+            {loading ? 'Preparing...' : 'Set Up 2FA'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
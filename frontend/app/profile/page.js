@@ -1,19 +1,39 @@
 'use client'
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useSession, signOut } from 'next-auth/react';
 import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import TwoFactorSection from './TwoFactorSection';
+import PasskeysSection from './PasskeysSection';
+import LinkedAccountsSection from './LinkedAccountsSection';
+import SessionsSection from './SessionsSection';
+import AccessTokensSection from './AccessTokensSection';
+import ProfileDetailsSection from './ProfileDetailsSection';
+import EmailSection from './EmailSection';
+import ActivitySection from './ActivitySection';
+import DangerZoneSection from './DangerZoneSection';
+import VerifyEmailNotice from '../components/VerifyEmailNotice';
+import PasswordStrength from '../components/PasswordStrength';
+import ShowForRole from '../components/ShowForRole';
+import Avatar from '../components/Avatar';
+import OrganizationSwitcher from '../components/OrganizationSwitcher';
 
 export default function Profile() {
-  const { data: session, status } = useSession();
+  const { data: session, status, update } = useSession();
   const router = useRouter();
   
   const [oldPassword, setOldPassword] = useState('');
   const [newPassword, setNewPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [needsCode, setNeedsCode] = useState(false); // Set once the backend asks for a 2FA code to set a password.
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ text: '', type: '' });
   const [showOldPassword, setShowOldPassword] = useState(false);
   const [showNewPassword, setShowNewPassword] = useState(false);
+  const [signOutThisDevice, setSignOutThisDevice] = useState(false);
+  const [passwordErrors, setPasswordErrors] = useState([]); // Failed password rules from the backend.
+  const [signInMethods, setSignInMethods] = useState(null); // { hasPassword, identities, providers }
 
   useEffect(() => {
     // This hook now correctly handles all redirection logic.
@@ -30,10 +50,29 @@ export default function Profile() {
     }
   }, [status, session, router]);
 
+  // Accounts created with Google have no password yet; the form then sets one instead of changing it.
+  const loadSignInMethods = useCallback(async () => {
+    try {
+      const response = await fetch('http://localhost:5000/api/identities', {
+        headers: { 'Authorization': `Bearer ${session?.accessToken}` },
+      });
+      if (response.ok) setSignInMethods(await response.json());
+    } catch (error) {
+      console.error('LOAD SIGN-IN METHODS ERROR:', error);
+    }
+  }, [session?.accessToken]);
+
+  useEffect(() => {
+    if (status === 'authenticated' && session?.accessToken) loadSignInMethods();
+  }, [status, session?.accessToken, loadSignInMethods]);
+
+  const hasPassword = signInMethods?.hasPassword !== false;
+
   const handlePasswordChange = async (e) => {
     e.preventDefault();
     setLoading(true);
     setMessage({ text: '', type: '' });
+    setPasswordErrors([]);
     const token = session?.accessToken;
     if (!token) return;
 
@@ -41,15 +80,27 @@ export default function Profile() {
       const response = await fetch('http://localhost:5000/api/profile/password', {
         method: 'PUT',
         headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${token}` },
-        body: JSON.stringify({ oldPassword, newPassword }),
+        body: JSON.stringify({ oldPassword, newPassword, code: needsCode ? code : undefined, keepCurrentSession: !signOutThisDevice }),
       });
       const data = await response.json();
       if (response.ok) {
-        setMessage({ text: data.message, type: 'success' });
+        // Every other session was signed out by the backend.
+        if (signOutThisDevice) {
+          await signOut({ callbackUrl: '/login' });
+          return;
+        }
+        // This session stays signed in with the fresh access token the backend issued.
+        await update({ ...session, accessToken: data.token, accessTokenExpires: data.tokenExpires });
+        setMessage({ text: `${data.message}. Other devices have been signed out.`, type: 'success' });
         setOldPassword('');
         setNewPassword('');
+        setCode('');
+        setNeedsCode(false);
+        await loadSignInMethods();
       } else {
+        if (data.code === 'TWO_FACTOR_REQUIRED') setNeedsCode(true);
         setMessage({ text: data.message, type: 'error' });
+        setPasswordErrors(data.errors || []);
       }
     } catch (error) {
       setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
@@ -66,18 +117,31 @@ export default function Profile() {
   // Only render the profile if the user is fully authenticated and onboarded.
   if (status === "authenticated" && session.user?.onboarded === true) {
     return (
-      <div className="relative min-h-screen bg-gray-900 text-white p-4 flex items-center justify-center">
+      <div className="relative min-h-screen bg-gray-900 text-white p-4 pt-20 flex flex-col items-center justify-center gap-6">
+        <div className="absolute top-4 left-4">
+          <OrganizationSwitcher />
+        </div>
         <button onClick={() => signOut({ callbackUrl: '/login' })} className="absolute top-4 right-4 bg-red-600 text-white font-semibold py-2 px-5 rounded-xl hover:bg-red-700">
           Sign Out
         </button>
+        {!session.user.emailVerified && <VerifyEmailNotice email={session.user.email} />}
         <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-sm w-full">
           <div className="text-center mb-6">
+            <div className="flex justify-center mb-3">
+              <Avatar image={session.user.image} name={session.user.name} email={session.user.email} size={80} />
+            </div>
             <h2 className="text-2xl font-semibold text-white">{session.user.name}</h2>
             <p className="text-gray-400">@{session.user.username}</p>
+            <ShowForRole role="admin">
+              <span className="inline-block mt-2 text-xs font-semibold uppercase tracking-wide bg-indigo-600 text-white py-1 px-3 rounded-full">Admin</span>
+              <Link href="/admin" className="block mt-2 text-sm text-indigo-400 hover:underline">Open the admin console</Link>
+            </ShowForRole>
           </div>
-          <h2 className="text-xl font-bold text-white mb-4">Change Password</h2>
+          <h2 className="text-xl font-bold text-white mb-4">{hasPassword ? 'Change Password' : 'Set a Password'}</h2>
+          {!hasPassword && <p className="text-gray-400 text-sm mb-4">You sign in with Google. Set a password to also sign in with your email. For your security, this needs a recent sign-in.</p>}
           {message.text && (<div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : 'bg-red-500'}`}>{message.text}</div>)}
           <form onSubmit={handlePasswordChange} className="space-y-4">
+            {hasPassword && (
             <div>
               <label className="block text-gray-300">Old Password</label>
               <div className="relative">
@@ -85,18 +149,39 @@ export default function Profile() {
                 <button type="button" onClick={() => setShowOldPassword(!showOldPassword)} className="absolute inset-y-0 right-0 px-3 flex items-center text-gray-400 hover:text-white">{showOldPassword ? 'Hide' : 'Show'}</button>
               </div>
             </div>
+            )}
             <div>
               <label className="block text-gray-300">New Password</label>
               <div className="relative">
                 <input type={showNewPassword ? 'text' : 'password'} value={newPassword} onChange={(e) => setNewPassword(e.target.value)} className="w-full mt-1 p-3 bg-gray-700 rounded-lg text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" required />
                 <button type="button" onClick={() => setShowNewPassword(!showNewPassword)} className="absolute inset-y-0 right-0 px-3 flex items-center text-gray-400 hover:text-white">{showNewPassword ? 'Hide' : 'Show'}</button>
               </div>
+              <PasswordStrength password={newPassword} email={session.user.email} username={session.user.username} serverErrors={passwordErrors} />
+            </div>
+            {needsCode && (
+            <div>
+              <label className="block text-gray-300">Authentication Code</label>
+              <input type="text" inputMode="numeric" autoComplete="one-time-code" value={code} onChange={(e) => setCode(e.target.value)} className="w-full mt-1 p-3 bg-gray-700 rounded-lg text-white border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500" required />
             </div>
+            )}
+            <label className="flex items-center gap-2 text-gray-300 text-sm">
+              <input type="checkbox" checked={signOutThisDevice} onChange={(e) => setSignOutThisDevice(e.target.checked)} className="rounded bg-gray-700 border-gray-600 text-indigo-600 focus:ring-indigo-500" />
+              Also sign out this device
+            </label>
             <button type="submit" className="w-full bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700 transition duration-300 shadow-md" disabled={loading}>
-              {loading ? "Updating..." : "Update Password"}
+              {loading ? "Updating..." : hasPassword ? "Update Password" : "Set Password"}
             </button>
           </form>
         </div>
+        <ProfileDetailsSection session={session} update={update} />
+        <EmailSection session={session} update={update} hasPassword={hasPassword} />
+        <LinkedAccountsSection accessToken={session.accessToken} methods={signInMethods} onChange={loadSignInMethods} />
+        <PasskeysSection accessToken={session.accessToken} hasPassword={hasPassword} />
+        <TwoFactorSection accessToken={session.accessToken} />
+        <SessionsSection accessToken={session.accessToken} />
+        <AccessTokensSection accessToken={session.accessToken} />
+        <ActivitySection accessToken={session.accessToken} />
+        <DangerZoneSection accessToken={session.accessToken} hasPassword={hasPassword} />
       </div>
     );
   }
@@ -1,21 +1,23 @@
 'use client'
 
 import { useState } from 'react';
-import { useRouter } from 'next/navigation';
 import Link from 'next/link';
+import PasswordStrength from '../components/PasswordStrength';
 
 export default function RegisterPage() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [passwordErrors, setPasswordErrors] = useState([]); // Failed password rules from the backend.
   const [loading, setLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false); // 1. Add state for password visibility
-  const router = useRouter();
+  const [registered, setRegistered] = useState(false); // Shows the "check your email" step after sign-up.
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     // ... (handleSubmit function)
     setError('');
+    setPasswordErrors([]);
     setLoading(true);
 
     if (!email || !password) {
@@ -34,9 +36,11 @@ export default function RegisterPage() {
       const data = await response.json();
 
       if (response.ok) {
-        router.push('/login');
+        // The account needs its email verified, so ask the user to check their inbox before logging in.
+        setRegistered(true);
       } else {
         setError(data.message);
+        setPasswordErrors(data.errors || []);
       }
     } catch (err) {
       setError('An error occurred. Please try again.');
@@ -49,7 +53,18 @@ export default function RegisterPage() {
     <div className="flex items-center justify-center min-h-screen bg-gray-900">
       <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-sm w-full">
         <h1 className="text-3xl font-bold text-white mb-4 text-center">Create Account</h1>
-        
+
+        {registered ? (
+          <div className="text-center space-y-4">
+            <div className="bg-green-600 text-white p-3 rounded-lg">
+              Account created! We sent a verification link to {email}. Please check your inbox.
+            </div>
+            <Link href="/login" className="w-full block text-center bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700">
+              Proceed to Login
+            </Link>
+          </div>
+        ) : (
+        <>
         {error && (
           <div className="bg-red-500 text-white p-3 rounded-lg text-center mb-4">
             {error}
@@ -89,6 +104,7 @@ export default function RegisterPage() {
                 {showPassword ? 'Hide' : 'Show'}
               </button>
             </div>
+            <PasswordStrength password={password} email={email} serverErrors={passwordErrors} />
           </div>
 
           <button
@@ -99,6 +115,8 @@ export default function RegisterPage() {
             {loading ? 'Registering...' : 'Register'}
           </button>
         </form>
+        </>
+        )}
 
         <p className="text-center text-gray-400 mt-6">
           Already have an account?{' '}
@@ -3,6 +3,7 @@
 import { useState, useEffect } from 'react';
 import { useSearchParams, useRouter } from 'next/navigation';
 import Link from 'next/link';
+import PasswordStrength from '../components/PasswordStrength';
 
 export default function ResetPassword() {
   const searchParams = useSearchParams();
@@ -13,6 +14,7 @@ export default function ResetPassword() {
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState({ text: '', type: '' });
   const [passwordResetSuccess, setPasswordResetSuccess] = useState(false);
+  const [passwordErrors, setPasswordErrors] = useState([]); // Failed password rules from the backend.
 
   //  Add state for each password field 
   const [showNewPassword, setShowNewPassword] = useState(false);
@@ -37,6 +39,7 @@ export default function ResetPassword() {
     }
     setLoading(true);
     setMessage({ text: '', type: '' });
+    setPasswordErrors([]);
 
     try {
       const response = await fetch('http://localhost:5000/api/reset-password', {
@@ -52,6 +55,7 @@ export default function ResetPassword() {
         setPasswordResetSuccess(true);
       } else {
         setMessage({ text: data.message, type: 'error' });
+        setPasswordErrors(data.errors || []);
       }
     } catch (error) {
       setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
@@ -98,6 +102,7 @@ export default function ResetPassword() {
                   {showNewPassword ? 'Hide' : 'Show'}
                 </button>
               </div>
+              <PasswordStrength password={newPassword} serverErrors={passwordErrors} />
             </div>
             {/* CONFIRM PASSWORD FIELD WITH TOGGLE  */}
             <div>
@@ -0,0 +1,68 @@
+'use client'
+
+import { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { useSession } from 'next-auth/react';
+import Link from 'next/link';
+
+/**
+ * VerifyEmail Component
+ * Landing page for the link in the verification email. It sends the token to the backend
+ * as soon as the page loads and shows the result.
+ */
+export default function VerifyEmail() {
+  const searchParams = useSearchParams();
+  const { data: session, status, update } = useSession();
+  const [message, setMessage] = useState({ text: 'Verifying your email...', type: '' });
+  const [verified, setVerified] = useState(false);
+  const requested = useRef(false); // The token is single-use, so only ever send it once.
+
+  useEffect(() => {
+    if (requested.current) return;
+    const token = searchParams.get('token');
+    if (!token) {
+      setMessage({ text: 'Invalid or missing verification token.', type: 'error' });
+      return;
+    }
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await fetch('http://localhost:5000/api/verify-email', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token }),
+        });
+        const data = await response.json();
+        setMessage({ text: data.message, type: response.ok ? 'success' : 'error' });
+        setVerified(response.ok);
+      } catch (error) {
+        setMessage({ text: 'An error occurred. Please try again.', type: 'error' });
+      }
+    };
+    verify();
+  }, [searchParams]);
+
+  // If the link was opened in a signed-in browser, refresh the session so the "verify your email" banner goes away.
+  useEffect(() => {
+    if (verified && status === 'authenticated' && !session.user.emailVerified) {
+      update({ ...session, user: { ...session.user, emailVerified: true } });
+    }
+  }, [verified, status, session, update]);
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-900">
+      <div className="bg-gray-800 p-8 rounded-2xl shadow-xl border border-gray-700 max-w-sm w-full">
+        <h1 className="text-3xl font-bold text-white mb-6 text-center">Email Verification</h1>
+
+        <div className={`p-3 rounded-lg text-center mb-4 text-white ${message.type === 'success' ? 'bg-green-600' : message.type === 'error' ? 'bg-red-500' : 'bg-gray-700'}`}>
+          {message.text}
+        </div>
+
+        <Link href={status === 'authenticated' ? '/profile' : '/login'} className="w-full block text-center bg-indigo-600 text-white font-semibold py-3 px-4 rounded-xl hover:bg-indigo-700">
+          {status === 'authenticated' ? 'Continue' : 'Proceed to Login'}
+        </Link>
+      </div>
+    </div>
+  );
+}